@@ -0,0 +1,159 @@
+/**
+ * Pathfinding benchmark: per-enemy A* vs. the shared flow field
+ *
+ * Builds a wave-8-like night (all ground enemies of the last scripted wave
+ * marching on a walled burrow) and measures the navigation cost per frame for
+ * both strategies. A* follows the renderer's policy (path refresh every 60
+ * frames, 500ms path cache); the flow field rebuilds once per wall change.
+ *
+ *   npm run bench:pathfinding
+ */
+
+import { WallGrid } from '../src/game/systems/wallGrid.js'
+import { PathfindingSystem } from '../src/game/systems/pathfinding.js'
+import { FlowField } from '../src/game/systems/flowField.js'
+import { DEFAULT_WAVES } from '../src/game/systems/waveScript.js'
+import { ENEMY_TYPES } from '../src/constants/enemies.js'
+import { createRandom } from '../src/game/utils/random.js'
+
+const FRAMES = 900 // 15 seconds at 60fps
+const FRAME_MS = 1000 / 60
+const SPAWN_RADIUS = 38
+const STOP_DISTANCE = 5
+const WALL_CHANGE_FRAMES = [300, 600] // Player builds during the night
+
+// Fake clock so the A* cache expires like in a real 60fps session
+let frame = 0
+Date.now = () => Math.round(frame * FRAME_MS)
+
+function createScene() {
+  const wallGrid = new WallGrid(2)
+  // Burrow footprint
+  for (let gx = -2; gx <= 2; gx++) {
+    for (let gz = -2; gz <= 2; gz++) {
+      if (gx * gx + gz * gz <= 5) wallGrid.setBlocked(gx, gz, true)
+    }
+  }
+  // Wall ring (radius 10) with a gate in the north and two open gaps
+  const gaps = ['-5,0', '3,-4']
+  for (let gx = -6; gx <= 6; gx++) {
+    for (let gz = -6; gz <= 6; gz++) {
+      const { x, z } = wallGrid.gridToWorld(gx, gz)
+      const dist = Math.sqrt(x * x + z * z)
+      if (dist < 9 || dist > 11 || gaps.includes(`${gx},${gz}`)) continue
+      const options = gx === 0 && gz === 5 ? { segmentType: 'gate', lockSegmentType: true } : undefined
+      wallGrid.addWall(gx, gz, null, options)
+    }
+  }
+  return wallGrid
+}
+
+function createEnemies(random) {
+  const wave = DEFAULT_WAVES[DEFAULT_WAVES.length - 1]
+  const enemies = []
+  wave.groups.forEach(group => {
+    const type = ENEMY_TYPES[group.enemy]
+    if (type.flying) return
+    for (let i = 0; i < (group.count || 1); i++) {
+      const angle = random() * Math.PI * 2
+      enemies.push({
+        x: Math.cos(angle) * SPAWN_RADIUS,
+        z: Math.sin(angle) * SPAWN_RADIUS,
+        speed: type.speed,
+        path: null,
+        pathIndex: 0,
+        pathAge: 0,
+      })
+    }
+  })
+  return enemies
+}
+
+function changeWalls(wallGrid, step) {
+  // Close one of the gaps, then break open a new one
+  if (step === 0) wallGrid.addWall(-5, 0, null)
+  else wallGrid.removeWall(5, 0)
+}
+
+function moveAStar(enemy, pathfinding) {
+  if (pathfinding.hasLineOfSight(enemy.x, enemy.z, 0, 0)) {
+    enemy.path = null
+    return { x: -enemy.x, z: -enemy.z }
+  }
+  if (!enemy.path || enemy.pathAge > 60) {
+    enemy.path = pathfinding.findSmoothPath(enemy.x, enemy.z, 0, 0)
+    enemy.pathIndex = 0
+    enemy.pathAge = 0
+  }
+  enemy.pathAge++
+  if (!enemy.path || enemy.path.length === 0) return null
+  let waypoint = enemy.path[enemy.pathIndex]
+  while (enemy.pathIndex < enemy.path.length - 1 &&
+         Math.hypot(waypoint.x - enemy.x, waypoint.z - enemy.z) < 1) {
+    waypoint = enemy.path[++enemy.pathIndex]
+  }
+  return { x: waypoint.x - enemy.x, z: waypoint.z - enemy.z }
+}
+
+function moveFlow(enemy, pathfinding, flowField) {
+  if (pathfinding.hasLineOfSight(enemy.x, enemy.z, 0, 0)) return { x: -enemy.x, z: -enemy.z }
+  return flowField.getDirection(enemy.x, enemy.z)
+}
+
+function run(name, step) {
+  const wallGrid = createScene()
+  const pathfinding = new PathfindingSystem(wallGrid)
+  const flowField = new FlowField(wallGrid)
+  const enemies = createEnemies(createRandom('benchmark').next)
+  const times = []
+  let arrived = 0
+
+  for (frame = 0; frame < FRAMES; frame++) {
+    const wallChange = WALL_CHANGE_FRAMES.indexOf(frame)
+    if (wallChange >= 0) {
+      changeWalls(wallGrid, wallChange)
+      pathfinding.clearCache()
+      enemies.forEach(enemy => { enemy.path = null })
+    }
+
+    const start = performance.now()
+    for (const enemy of enemies) {
+      if (Math.hypot(enemy.x, enemy.z) <= STOP_DISTANCE) continue
+      const direction = step(enemy, pathfinding, flowField)
+      const length = direction ? Math.hypot(direction.x, direction.z) : 0
+      if (length > 0.001) {
+        enemy.x += (direction.x / length) * enemy.speed
+        enemy.z += (direction.z / length) * enemy.speed
+      }
+    }
+    times.push(performance.now() - start)
+  }
+  enemies.forEach(enemy => { if (Math.hypot(enemy.x, enemy.z) <= STOP_DISTANCE + 1) arrived++ })
+
+  const sorted = [...times].sort((a, b) => a - b)
+  const avg = times.reduce((sum, t) => sum + t, 0) / times.length
+  return {
+    name,
+    enemies: enemies.length,
+    avg: avg.toFixed(3),
+    p95: sorted[Math.floor(sorted.length * 0.95)].toFixed(3),
+    max: sorted[sorted.length - 1].toFixed(3),
+    arrived,
+    fieldBuilds: flowField.buildCount,
+  }
+}
+
+// Warm up the JIT before measuring
+run('warmup', moveAStar)
+run('warmup', moveFlow)
+
+const results = [run('A* pro Gegner', moveAStar), run('Flow-Field', moveFlow)]
+console.log(`Welle ${DEFAULT_WAVES.length}, ${FRAMES} Frames, ${results[0].enemies} Bodengegner (ms pro Frame)`)
+console.table(results.map(({ name, avg, p95, max, arrived, fieldBuilds }) => ({
+  Strategie: name,
+  Durchschnitt: avg,
+  p95,
+  Max: max,
+  'Am Bau': arrived,
+  'Feld-Builds': fieldBuilds,
+})))
@@ -1,4 +1,4 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import {
@@ -8,14 +8,47 @@ import {
   createDustParticles
 } from './utils/graphics.js';
 import { createLandscape } from './game/systems/landscape.js';
-import { WallGrid } from './game/systems/wallGrid.js';
-import { PathfindingSystem } from './game/systems/pathfinding.js';
-import { addThreat, decayThreat, clearThreat, selectTarget, THREAT_CONFIG } from './game/systems/threat.js';
-import { createWallSegment, updateWallSegmentGeometry } from './game/entities/Building.js';
+import { createWallSegment, updateWallSegmentGeometry, applyTowerUpgradeVisual } from './game/entities/Building.js';
+import { applyRankInsignia } from './game/entities/GuineaPig.js';
+import { updateStatusIcons } from './game/entities/StatusIcons.js';
+import { createMole, createWeasel, createHawk, createBadger, updateBurrowVisual, updateEnemyAnimation } from './game/entities/Enemy.js';
+import { createTowerProjectileMesh } from './game/entities/Projectile.js';
+import { createTelegraphDecal, updateTelegraphDecal, disposeTelegraphDecal } from './game/entities/BossTelegraph.js';
+import { createZoneRing, createLogisticsOverlay, updateLogisticsOverlay, disposeLogisticsOverlay } from './game/entities/CollectorOverlay.js';
 import soundSystem from './audio/SoundSystem.js';
 import { saveToIndexedDB, loadFromIndexedDB, migrateFromLocalStorage, STORAGE_KEYS } from './storage/indexedDB.js';
 import { DEFAULT_SKILLS, DEFAULT_META, SKILL_TIERS } from './constants/skills.js';
-import { WAVE_CONFIGS, ENEMY_BEHAVIOR } from './constants/enemies.js';
+import { BUILDING_TYPES, BUILDING_ACTIONS, TOWER_BRANCHES, TOWER_MAX_TIER, WALL_UPGRADES, WALL_MAX_TIER } from './constants/buildings.js';
+import { GUINEA_PIG_TYPES, HERO_LEVELS, HERO_PERKS } from './constants/guineaPigs.js';
+import { DIFFICULTY_MODS, GAME_MODES } from './constants/config.js';
+import {
+  GameSimulation, GAME_TICK, RENDER_EVENTS, isWallLikeType, isPlacementRestrictedToRing, getHeroName, BREED_COST, BREED_DISTANCE
+} from './game/simulation.js';
+import { createRandom, generateSeed, getDailySeed, normalizeSeed, isValidSeed } from './game/utils/random.js';
+import { ReplayRecorder, ReplayPlayer, REPLAY_SPEEDS, getReplaySkills, saveReplay, serializeReplay, getReplayFileName, formatReplayTime } from './game/systems/replay.js';
+import { saveRun, loadRun, clearRun } from './game/systems/runSave.js';
+import { DEFAULT_WAVES, getWaveSummary } from './game/systems/waveScript.js';
+import { getEndlessWave } from './game/systems/endless.js';
+import { getTowerStats, getTowerUpgrades, upgradeTower, canAffordUpgrade } from './game/systems/towers.js';
+import { getAbilityCooldown } from './game/systems/combat.js';
+import { removeStatus } from './game/systems/statusEffects.js';
+import { getDamageColor } from './game/systems/damage.js';
+import { hasAntiAirCoverage } from './game/systems/airDefense.js';
+import { getBossStatus } from './game/systems/bosses.js';
+import { getTargetingMode, hasTargeting, getTargetingSummary } from './game/systems/targeting.js';
+import { getSellRefund, getRepairCost, getBuildCost } from './game/systems/buildingActions.js';
+import { getWallUpgrade, upgradeWall } from './game/systems/wallUpgrades.js';
+import { getForestStock } from './game/systems/woodEconomy.js';
+import { getCarrotDef } from './game/systems/carrots.js';
+import { setGatherZone, clampGatherRadius, getFieldCarrots } from './game/systems/collectorLogistics.js';
+import { CommandBus, GAME_COMMANDS, GAME_EVENTS, commandOk, commandFailed } from './game/systems/commands.js';
+import { getPartnerProfile } from './game/systems/genetics.js';
+import { getLevelProgress, getPerkOptions, chooseHeroPerk } from './game/systems/heroProgression.js';
+import { HERO_ORDERS, HERO_ORDER_STYLES, createHeroOrder, getFormationOffsets } from './game/systems/heroOrders.js';
+import ReplayViewer from './components/UI/ReplayViewer.jsx';
+import BossBar from './components/UI/BossBar.jsx';
+import TargetingLog from './components/UI/TargetingLog.jsx';
+import TargetingModeSelect from './components/UI/TargetingModeSelect.jsx';
 
 // ============== GLB MODEL POSITIONING HELPER ==============
 /**
@@ -184,16 +217,62 @@ async function loadMetaAsync() {
 }
 
 // ============== WAVE CONFIGURATION ==============
-const WAVES_CONFIG = WAVE_CONFIGS;
+const WAVES_CONFIG = DEFAULT_WAVES;
+const WAVE_PREVIEW_ENEMIES = [
+  { type: 'fox', icon: '🦊', title: 'Füchse' },
+  { type: 'raven', icon: '🐦‍⬛', title: 'Raben' },
+  { type: 'snake', icon: '🐍', title: 'Schlangen' },
+  { type: 'mole', icon: '🕳️', title: 'Maulwürfe' },
+  { type: 'weasel', icon: '🦦', title: 'Wiesel' },
+  { type: 'hawk', icon: '🦅', title: 'Habichte' },
+  { type: 'badger', icon: '🦡', title: 'Dachse' },
+];
+
+// Hint while a hero order waits for its target click(s)
+const ORDER_TARGET_HINTS = {
+  move: 'Ziel anklicken',
+  guard: 'Gebäude anklicken',
+  patrol: 'Ersten Wegpunkt anklicken',
+  patrol2: 'Zweiten Wegpunkt anklicken',
+};
+
+// ============== RUN SEED ==============
+// Shared runs: ?seed=K3F9QZ in the URL preselects the seed
+function getInitialSeed() {
+  try {
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    if (isValidSeed(urlSeed)) return normalizeSeed(urlSeed);
+  } catch (e) {
+    console.warn('Failed to read seed from URL:', e);
+  }
+  return generateSeed();
+}
 
-export default function GuineaPigTDRoguelike() {
+/**
+ * @param {Object} props
+ * @param {CommandBus} [props.commandBus] - Lets tutorials and tests drive the game and observe its events
+ */
+export default function GuineaPigTDRoguelike({ commandBus = null } = {}) {
   const containerRef = useRef(null);
   const sceneRef = useRef(null);
   const gameRef = useRef({});
+  const commandsRef = useRef(null);
+  if (!commandsRef.current) commandsRef.current = commandBus || new CommandBus();
+  const commands = commandsRef.current;
   
   // Game state
   const [score, setScore] = useState(0);
   const [wood, setWood] = useState(0);
+  const [towerPanel, setTowerPanel] = useState(null);
+  const [selectedInfo, setSelectedInfo] = useState(null);
+  const [partnerPanel, setPartnerPanel] = useState(null);
+  const [roster, setRoster] = useState([]);
+  const [showRoster, setShowRoster] = useState(false);
+  const [heroCard, setHeroCard] = useState(null);
+  const [orderTargeting, setOrderTargeting] = useState(null); // Hero order waiting for a target click
+  const [zonePainting, setZonePainting] = useState(false); // Collector hut waiting for its gather zone
+  const [showLogistics, setShowLogistics] = useState(false); // Collector routes and gather zones overlay
+  const [selectionBox, setSelectionBox] = useState(null);
   const [wave, setWave] = useState(0);
   const [phase, setPhase] = useState('menu');
   const [baseHealth, setBaseHealth] = useState(100);
@@ -208,15 +287,26 @@ export default function GuineaPigTDRoguelike() {
   const [weather, setWeather] = useState('sunny');
   const [rageMode, setRageMode] = useState(false);
   const [bossActive, setBossActive] = useState(false);
+  const [bossStatus, setBossStatus] = useState(null); // HP bar of the strongest boss on the field
+  const [targetingStats, setTargetingStats] = useState(null); // { wave, entries } of the current/last night
+  const [hasAntiAir, setHasAntiAir] = useState(true); // Any tower or hero that can hit flyers
   const [soundEnabled, setSoundEnabled] = useState(true);
   const [difficulty, setDifficulty] = useState('normal'); // 'easy', 'normal', 'hard'
-
-  // Difficulty modifiers
-  const DIFFICULTY_MODS = {
-    easy: { enemyHealth: 0.7, enemyDamage: 0.7, enemySpeed: 0.85, carrotValue: 1.3, spawnRate: 1.3, label: 'Leicht', icon: '🌱' },
-    normal: { enemyHealth: 1.0, enemyDamage: 1.0, enemySpeed: 1.0, carrotValue: 1.0, spawnRate: 1.0, label: 'Normal', icon: '⚔️' },
-    hard: { enemyHealth: 1.5, enemyDamage: 1.4, enemySpeed: 1.15, carrotValue: 0.8, spawnRate: 0.7, label: 'Schwer', icon: '💀' },
-  };
+  const [gameMode, setGameMode] = useState('classic'); // 'classic', 'endless'
+  const [runSeed, setRunSeed] = useState(getInitialSeed);
+  const runSeedRef = useRef(runSeed);
+  runSeedRef.current = runSeed;
+
+  // Replays
+  const [lastReplay, setLastReplay] = useState(null);
+  const [showReplays, setShowReplays] = useState(false);
+  const replayRunRef = useRef(null); // Recording the next game plays back
+  const replayControlsRef = useRef({ speed: 1, paused: false });
+  const [replayStatus, setReplayStatus] = useState(null); // { seconds, duration, speed, paused, finished } during playback
+
+  // Mid-run save ("Weiterspielen")
+  const [savedRun, setSavedRun] = useState(null);
+  const resumeRunRef = useRef(null);
 
   // Building state
   const [buildMode, setBuildMode] = useState(null);
@@ -224,18 +314,6 @@ export default function GuineaPigTDRoguelike() {
   const [buildRotation, setBuildRotation] = useState(0); // 0, 45, 90, 135, 180, 225, 270, 315 degrees
   const [wallDragStart, setWallDragStart] = useState(null); // For wall drag-building
 
-  // Wall Grid and Pathfinding Systems (persistent refs)
-  const wallGridRef = useRef(null);
-  const pathfindingRef = useRef(null);
-
-  // Initialize systems lazily
-  if (!wallGridRef.current) {
-    wallGridRef.current = new WallGrid(2); // 2x2 grid cells
-  }
-  if (!pathfindingRef.current) {
-    pathfindingRef.current = new PathfindingSystem(wallGridRef.current);
-  }
-  
   // Skill tree
   const [showSkillTree, setShowSkillTree] = useState(false);
   const [skills, setSkills] = useState(loadSkillsSync);
@@ -257,6 +335,14 @@ export default function GuineaPigTDRoguelike() {
     loadFromDB();
   }, []);
 
+  // Look for an unfinished run whenever the menu is shown
+  useEffect(() => {
+    if (phase !== 'menu') return;
+    loadRun()
+      .then(setSavedRun)
+      .catch(e => console.warn('Failed to load saved run:', e));
+  }, [phase]);
+
   // Save skills to IndexedDB
   const saveProgress = useCallback(async () => {
     if (isSavingRef.current) return;
@@ -288,21 +374,10 @@ export default function GuineaPigTDRoguelike() {
     return Number.isFinite(value) ? value : 0;
   }, [skills]);
 
-  // Building costs with skill discount
-  const getBuildingCost = useCallback((type) => {
-    const baseCosts = {
-      collectorHut: 15,
-      heroHut: 35,
-      beaverHut: 20,
-      tower: 25,
-      gate: 8,
-      wall: 8,
-    };
-    const discount = getSkillEffect('cheapBuildings') / 100;
-    const baseCost = baseCosts[type];
-    if (!Number.isFinite(baseCost)) return 0;
-    return Math.floor(baseCost * (1 - discount));
-  }, [getSkillEffect]);
+  // Building costs ({ carrots, wood }) with skill discount
+  const getBuildingCost = useCallback((type) => (
+    getBuildCost(type, getSkillEffect('cheapBuildings'))
+  ), [getSkillEffect]);
 
   // Upgrade skill
   const upgradeSkill = useCallback((skillId) => {
@@ -320,13 +395,70 @@ export default function GuineaPigTDRoguelike() {
     }));
   }, [skills, meta.skillPoints]);
 
-  // Start game
+  // Download the last recorded run as a replay file (for bug reports)
+  const downloadReplay = useCallback(() => {
+    if (!lastReplay) return;
+    const blob = new Blob([serializeReplay(lastReplay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getReplayFileName(lastReplay);
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [lastReplay]);
+
+  // Start game (initGame is read through a ref so the latest menu settings are used)
+  const initGameRef = useRef(null);
+  const stopGameRef = useRef(null); // Cleanup of the running game
   const startGame = useCallback(() => {
     soundSystem.init();
     soundSystem.click();
     setPhase('loading');
     setShowSkillTree(false);
-    setTimeout(() => initGame(), 100);
+    setTimeout(() => { stopGameRef.current = initGameRef.current?.() || null; }, 100);
+  }, []);
+
+  // Continue the saved run with its own seed and difficulty
+  const resumeGame = useCallback(() => {
+    if (!savedRun) return;
+    resumeRunRef.current = savedRun;
+    setDifficulty(savedRun.difficulty);
+    setGameMode(savedRun.mode || 'classic');
+    setRunSeed(savedRun.seed);
+    startGame();
+  }, [savedRun, startGame]);
+
+  // Play a recording back in the game itself, with its own seed, difficulty and skills
+  const playReplay = useCallback((recording) => {
+    replayRunRef.current = recording;
+    replayControlsRef.current = { speed: 1, paused: false };
+    setShowReplays(false);
+    setDifficulty(recording.difficulty);
+    setGameMode(recording.mode || 'classic');
+    setRunSeed(recording.seed);
+    startGame();
+  }, [startGame]);
+
+  const setReplaySpeed = useCallback((speed) => {
+    replayControlsRef.current.speed = speed;
+    setReplayStatus(prev => prev && { ...prev, speed });
+  }, []);
+
+  const toggleReplayPause = useCallback(() => {
+    const paused = !replayControlsRef.current.paused;
+    replayControlsRef.current.paused = paused;
+    setReplayStatus(prev => prev && { ...prev, paused });
+  }, []);
+
+  // Leaving a replay stops its game loop; nothing of the replayed run is kept
+  const exitReplay = useCallback(() => {
+    stopGameRef.current?.();
+    stopGameRef.current = null;
+    setReplayStatus(null);
+    setGameOver(false);
+    setVictory(false);
+    setPhase('menu');
+    sceneRef.current = null;
   }, []);
 
   // Initialize 3D game
@@ -334,6 +466,32 @@ export default function GuineaPigTDRoguelike() {
     if (!containerRef.current || sceneRef.current) return;
     sceneRef.current = true;
 
+    // A saved run brings its own seed, difficulty and RNG position, a replay its whole setup
+    const resume = resumeRunRef.current;
+    resumeRunRef.current = null;
+    const replay = resume ? null : replayRunRef.current;
+    replayRunRef.current = null;
+    const runSetup = resume || replay;
+    const runDifficulty = runSetup?.difficulty || difficulty;
+    const runMode = runSetup?.mode || gameMode;
+
+    // Every gameplay random decision of this run derives from the seed
+    const seed = runSetup ? runSetup.seed : (isValidSeed(runSeedRef.current) ? normalizeSeed(runSeedRef.current) : generateSeed());
+    setRunSeed(seed);
+
+    // Gameplay of this run (state, RNG, waves, entities); the main loop below steps it in
+    // fixed ticks, this component only renders its entities and runs the UI
+    const sim = new GameSimulation({ skills: replay ? getReplaySkills(replay) : skills, difficulty: runDifficulty, mode: runMode, seed });
+    const gameState = sim.state;
+    // Entity records of the simulation; it never replaces these arrays
+    const { buildings: buildingObjects, defenders, enemies, carrots, collectors, beavers } = sim;
+    // Skill effects of this run (a replay brings the skill levels it was recorded with)
+    const getSkillEffect = (skillId) => sim.getSkillEffect(skillId);
+    // A replay neither earns skill points nor touches records
+    const updateMeta = (update) => {
+      if (!replay) setMeta(update);
+    };
+
     // ============== SCENE SETUP ==============
     const scene = new THREE.Scene();
     scene.background = null; // Using sky dome instead
@@ -375,14 +533,20 @@ export default function GuineaPigTDRoguelike() {
     const ground = createEnhancedGround(scene);
 
     // ============== LANDSCAPE (Trees, Rocks, Bushes) ==============
-    const landscapeSystem = createLandscape(scene);
-    // Load GLB assets async, fallback to procedural if not found
+    const landscapeSystem = createLandscape(scene, { random: createRandom(seed).fork('landscape').next });
+    // Load GLB assets async, fallback to procedural if not found. The game loop
+    // waits for the forest, so every run (and replay) starts with its trees
+    let landscapeReady = false;
     landscapeSystem.loadAssets().then(hasAssets => {
       console.log(`[Landscape] Assets loaded: ${hasAssets}`);
       landscapeSystem.generate();
     }).catch(err => {
       console.log('[Landscape] Using procedural generation');
       landscapeSystem.generate();
+    }).finally(() => {
+      // The simulation fells and replants these trees (beavers, saved stock)
+      sim.setForest(landscapeSystem.getAllTrees());
+      landscapeReady = true;
     });
 
     // Grid for building (subtle)
@@ -446,40 +610,8 @@ export default function GuineaPigTDRoguelike() {
     scene.add(rain);
 
     // ============== MAIN BURROW (enhanced) ==============
-    const castleBlockedCells = new Set();
-    const updateCastleBlockedCells = (radius) => {
-      const wallGrid = wallGridRef.current;
-      if (!wallGrid || !Number.isFinite(radius)) return;
-
-      // Clear previous castle blocks
-      for (const key of castleBlockedCells) {
-        const { gx, gz } = wallGrid.parseKey(key);
-        wallGrid.setBlocked(gx, gz, false);
-      }
-      castleBlockedCells.clear();
-
-      const cellSize = wallGrid.cellSize || 2;
-      const maxOffset = Math.ceil(radius / cellSize);
-      for (let gx = -maxOffset; gx <= maxOffset; gx++) {
-        for (let gz = -maxOffset; gz <= maxOffset; gz++) {
-          const world = wallGrid.gridToWorld(gx, gz);
-          const dist = Math.sqrt(world.x * world.x + world.z * world.z);
-          if (dist <= radius) {
-            wallGrid.setBlocked(gx, gz, true);
-            castleBlockedCells.add(wallGrid.getKey(gx, gz));
-          }
-        }
-      }
-
-      if (pathfindingRef.current) {
-        pathfindingRef.current.clearCache();
-      }
-    };
-
     function createMainBurrow() {
       const group = new THREE.Group();
-      group.userData.isCastle = true;
-      group.userData.collisionRadius = 3.5;
       const fallback = new THREE.Group();
 
       // Fallback mound (used if castle fails to load)
@@ -545,9 +677,8 @@ export default function GuineaPigTDRoguelike() {
         const baseRadius = Number.isFinite(footprintRadius)
           ? Math.max(3.0, footprintRadius)
           : Math.max(3.0, baseHeight * 0.7);
-        const radius = Math.min(baseRadius, 4.8);
-        group.userData.collisionRadius = radius;
-        updateCastleBlockedCells(radius);
+        // The castle blocks the grid around it in the simulation
+        sim.setCastleRadius(Math.min(baseRadius, 4.8));
       };
 
       // Initial UI height for fallback mound
@@ -592,6 +723,7 @@ export default function GuineaPigTDRoguelike() {
       heroHut: '/glb/KayKit_Medieval_Hexagon_Pack_1.0_FREE/Assets/gltf/buildings/green/building_barracks_green.gltf',
       tower: '/glb/KayKit_Medieval_Hexagon_Pack_1.0_FREE/Assets/gltf/buildings/green/building_tower_A_green.gltf',
       beaverHut: '/glb/KayKit_Medieval_Hexagon_Pack_1.0_FREE/Assets/gltf/buildings/green/building_lumbermill_green.gltf',
+      lumberYard: '/glb/KayKit_Medieval_Hexagon_Pack_1.0_FREE/Assets/gltf/buildings/green/building_market_green.gltf',
     };
 
     const buildingScales = {
@@ -599,27 +731,14 @@ export default function GuineaPigTDRoguelike() {
       heroHut: 2.4,
       tower: 2.2,
       beaverHut: 2.1,
-    };
-
-    const buildingCollisionRadii = {
-      collectorHut: 1.4,
-      heroHut: 1.7,
-      tower: 1.4,
-      beaverHut: 1.5,
-      wall: 1.0,
-      gate: 1.0,
+      lumberYard: 2.0,
     };
 
     function createGuineaPigHouse(type) {
-      const isWallLike = type === 'wall' || type === 'gate';
+      const isWallLike = isWallLikeType(type);
       const group = new THREE.Group();
-      group.userData = {
-        type,
-        spawnTimer: 0,
-        health: isWallLike ? (100 + getSkillEffect('wallHealth')) : 200,
-        maxHealth: isWallLike ? (100 + getSkillEffect('wallHealth')) : 200,
-        collisionRadius: buildingCollisionRadii[type] || 1.4,
-      };
+      // Gameplay data (health, spawn timer, collision radius) comes from the simulation
+      group.userData = {};
 
       if (isWallLike) {
         // Simple wall segment (keep procedural)
@@ -637,6 +756,25 @@ export default function GuineaPigTDRoguelike() {
         top.position.y = 1.95;
         top.castShadow = true;
         group.add(top);
+      } else if (type === 'carrotField') {
+        // Low soil bed with furrows (keep procedural), the carrots grow around it
+        const colors = BUILDING_TYPES.carrotField.color;
+        const soil = new THREE.Mesh(
+          new THREE.BoxGeometry(2.4, 0.2, 2.4),
+          new THREE.MeshStandardMaterial({ color: colors.wood, roughness: 1 })
+        );
+        soil.position.y = 0.1;
+        soil.receiveShadow = true;
+        group.add(soil);
+        for (let i = -1; i <= 1; i++) {
+          const row = new THREE.Mesh(
+            new THREE.BoxGeometry(2.2, 0.12, 0.3),
+            new THREE.MeshStandardMaterial({ color: colors.roof })
+          );
+          row.position.set(0, 0.26, i * 0.7);
+          row.castShadow = true;
+          group.add(row);
+        }
       } else if (buildingModelPaths[type]) {
         // Load GLB model for building
         const loader = new GLTFLoader();
@@ -676,7 +814,7 @@ export default function GuineaPigTDRoguelike() {
       }
 
       // HP bar for all buildings (adjusted for larger models)
-      const hpBarHeight = isWallLike ? 2.5 : (type === 'tower' ? 10 : (type === 'heroHut' ? 12 : 6));
+      const hpBarHeight = isWallLike ? 2.5 : (type === 'tower' ? 10 : (type === 'heroHut' ? 12 : (type === 'carrotField' ? 1.5 : 6)));
       const hpBgGeo = new THREE.PlaneGeometry(2, 0.2);
       const hpBg = new THREE.Mesh(hpBgGeo, new THREE.MeshBasicMaterial({ color: 0x333333 }));
       hpBg.position.y = hpBarHeight;
@@ -694,46 +832,11 @@ export default function GuineaPigTDRoguelike() {
     }
 
     // ============== GUINEA PIG MODELS ==============
-    const GUINEA_PIG_TYPES = {
-      player: { c1: 0xFFD700, c2: 0xFFFACD, name: 'Commander' },
-      partner1: { c1: 0xD2691E, c2: 0xF5F5DC, name: 'Brownie' },
-      partner2: { c1: 0x2F2F2F, c2: 0xFFFFFF, name: 'Oreo' },
-      partner3: { c1: 0x8B4513, c2: 0xFFA500, name: 'Caramel' },
-      collector: { c1: 0xFFA500, c2: 0xFFE4B5, name: 'Sammler' },
-      tunneler: { c1: 0x8B4513, c2: 0xD2691E, name: 'Tunneler' },
-      shadow: { c1: 0x2F2F2F, c2: 0x696969, name: 'Shadow' },
-      bomber: { c1: 0xFF6B35, c2: 0xFFD700, name: 'Bomber' },
-      healer: { c1: 0xFFFFFF, c2: 0xFFB6C1, name: 'Healer' },
-      tank: { c1: 0x4682B4, c2: 0xB0C4DE, name: 'Tank' },
-      assassin: { c1: 0x800080, c2: 0xDA70D6, name: 'Assassin' },
-    };
-
     function createGuineaPig(type, isPlayer = false, scale = 1) {
       const config = GUINEA_PIG_TYPES[type] || GUINEA_PIG_TYPES.player;
       const group = new THREE.Group();
-
-      const heroBonus = 1 + getSkillEffect('heroStats') / 100;
-
-      group.userData = {
-        type,
-        isPlayer,
-        isPartner: type.startsWith('partner'),
-        isCollector: type === 'collector',
-        health: isPlayer ? 100 : Math.floor(50 * heroBonus),
-        maxHealth: isPlayer ? 100 : Math.floor(50 * heroBonus),
-        attackCooldown: 0,
-        abilityCooldown: 0,
-        targetRotation: 0,
-        radius: 0.8 * scale,
-        targetPos: new THREE.Vector3(),
-        waitTime: 0,
-        carryingCarrots: 0,
-        carryingCount: 0,
-        maxCarry: 2 + getSkillEffect('collectorCapacity'),
-        speed: type === 'collector' ? (0.04 * (1 + getSkillEffect('collectorSpeed') / 100)) : 0.025,
-        attackRange: type === 'bomber' ? 7 : (type === 'assassin' ? 3 : 5),
-        attackDamage: Math.floor((type === 'bomber' ? 30 : (type === 'assassin' ? 45 : 18)) * heroBonus),
-      };
+      // Gameplay data (stats, carrying, targets) comes from the simulation
+      group.userData = {};
 
       // Use GLB model for collector (Sammler)
       if (type === 'collector') {
@@ -1060,27 +1163,11 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     function createHealerTank(scale = 1) {
       const group = new THREE.Group();
-      const heroBonus = 1 + getSkillEffect('heroStats') / 100;
-
+      // Gameplay data (stats, patrol) comes from the simulation
       group.userData = {
-        type: 'healer',
-        isPlayer: false,
-        health: Math.floor(70 * heroBonus),
-        maxHealth: Math.floor(70 * heroBonus),
-        attackCooldown: 0,
-        abilityCooldown: 0,
-        targetRotation: 0,
-        radius: 1.2 * scale,
-        speed: 0.02,
-        attackRange: 8,
-        attackDamage: Math.floor(15 * heroBonus),
-        isGLBModel: true,
         modelLoaded: false,
         turret: null,
         healerBody: null,
-        patrolTarget: new THREE.Vector3(),
-        patrolWait: 0,
-        placed: false,
       };
 
       // Placeholder während Laden
@@ -1118,43 +1205,11 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
 
     // ============== ENEMIES ==============
-    function applyEnemyBehavior(data, behaviorKey) {
-      const behavior = ENEMY_BEHAVIOR[behaviorKey];
-      if (!data || !behavior) return;
-      data.threatTable = new Map();
-      data.currentTarget = null;
-      data.targetType = 'base';
-      data.isRetaliating = false;
-      data.originalTarget = null;
-      data.lastDamageSource = null;
-      data.lastDamageTime = 0;
-      data.aggroRange = behavior.aggroRange;
-      data.leashRange = behavior.leashRange;
-      data.defenderFocus = behavior.defenderFocus;
-      data.threatMultiplier = behavior.threatMultiplier;
-      data.retaliationChance = behavior.retaliationChance;
-      data.priorityTargets = behavior.priorityTargets || [];
-    }
-
     function createFox(isBoss = false) {
       const group = new THREE.Group();
       const scale = isBoss ? 2.5 : 1.1;
-      group.userData = {
-        type: isBoss ? 'boss_fox' : 'fox',
-        health: isBoss ? 500 : 50,
-        maxHealth: isBoss ? 500 : 50,
-        speed: isBoss ? 0.025 : 0.04,
-        damage: isBoss ? 25 : 12,
-        attackCooldown: 0,
-        confused: false,
-        confuseTime: 0,
-        slowed: false,
-        slowTime: 0,
-        radius: 1.2 * scale,
-        isBoss,
-        targetBuilding: null,
-      };
-      applyEnemyBehavior(group.userData, isBoss ? 'boss_fox' : 'fox');
+      // Gameplay data (stats, threat, mechanics) comes from the simulation
+      group.userData = {};
 
       const bodyGeo = new THREE.SphereGeometry(0.5, 16, 12);
       bodyGeo.scale(1.6, 0.9, 0.9);
@@ -1225,23 +1280,8 @@ healerEditor.config            - Aktuelle Werte zeigen
     function createRaven(isBoss = false) {
       const group = new THREE.Group();
       const scale = isBoss ? 2 : 1;
-      group.userData = {
-        type: isBoss ? 'boss_raven' : 'raven',
-        health: isBoss ? 350 : 30,
-        maxHealth: isBoss ? 350 : 30,
-        speed: isBoss ? 0.04 : 0.06,
-        damage: isBoss ? 18 : 10,
-        attackCooldown: 0,
-        flying: true,
-        confused: false,
-        confuseTime: 0,
-        slowed: false,
-        slowTime: 0,
-        radius: 0.8 * scale,
-        isBoss,
-        targetBuilding: null,
-      };
-      applyEnemyBehavior(group.userData, isBoss ? 'boss_raven' : 'raven');
+      // Gameplay data (stats, threat, mechanics) comes from the simulation
+      group.userData = {};
 
       const bodyGeo = new THREE.SphereGeometry(0.3, 12, 10);
       bodyGeo.scale(1.4, 1, 1);
@@ -1295,22 +1335,8 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     function createSnake() {
       const group = new THREE.Group();
-      group.userData = {
-        type: 'snake',
-        health: 70,
-        maxHealth: 70,
-        speed: 0.055,
-        damage: 15,
-        attackCooldown: 0,
-        confused: false,
-        confuseTime: 0,
-        slowed: false,
-        slowTime: 0,
-        radius: 0.6,
-        targetBuilding: null,
-        canPoison: true,
-      };
-      applyEnemyBehavior(group.userData, 'snake');
+      // Gameplay data (stats, threat, mechanics) comes from the simulation
+      group.userData = {};
 
       // Snake body segments
       for (let i = 0; i < 5; i++) {
@@ -1372,30 +1398,12 @@ healerEditor.config            - Aktuelle Werte zeigen
     // ============== BOMBER HERO (GLB MODEL) ==============
     function createBomberHero(scale = 1) {
       const group = new THREE.Group();
-      const heroBonus = 1 + getSkillEffect('heroStats') / 100;
-
+      // Gameplay data (stats, splash radius, patrol) comes from the simulation
       group.userData = {
-        type: 'bomber',
-        isPlayer: false,
-        health: Math.floor(60 * heroBonus),
-        maxHealth: Math.floor(60 * heroBonus),
-        attackCooldown: 0,
-        abilityCooldown: 0,
-        targetRotation: 0,
-        radius: 1.0 * scale,
-        speed: 0.018,
-        attackRange: 10, // Fernkampf mit Bomben
-        attackDamage: Math.floor(35 * heroBonus),
-        isGLBModel: true,
         modelLoaded: false,
         bomberModel: null,
         bombInHand: null,
         hasBomb: true,
-        bombCooldown: 0,
-        splashRadius: 3,
-        patrolTarget: new THREE.Vector3(),
-        patrolWait: 0,
-        placed: false,
       };
 
       // Placeholder während Laden
@@ -1512,7 +1520,7 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
 
     // Geworfene Bombe erstellen (Projektil)
-    function createThrownBomb(start, target, damage, splashRadius, isBoss = false) {
+    function createThrownBomb(isBoss = false) {
       const group = new THREE.Group();
 
       const bomberLoader = new GLTFLoader();
@@ -1571,34 +1579,10 @@ healerEditor.config            - Aktuelle Werte zeigen
       group.add(fuse);
       group.userData.fuse = fuse;
 
-      group.position.copy(start);
-      group.position.y = start.y || 1;
-
-      // Berechne Wurfbahn (parabolisch)
-      const dir = new THREE.Vector3().subVectors(target, start);
-      const distance = dir.length();
-      dir.normalize();
-
-      group.userData = {
-        ...group.userData,
-        type: 'bomb',
-        velocity: dir.multiplyScalar(0.25),
-        verticalVelocity: 0.15, // Aufwärts für Bogen
-        gravity: 0.008,
-        damage: damage,
-        splashRadius: splashRadius,
-        targetY: 0,
-        startY: start.y || 1,
-        progress: 0,
-        maxProgress: distance / 0.25,
-        isBoss,
-      };
-
       return group;
     }
 
     // ============== CARROTS ==============
-    const carrots = [];
     let cachedCarrotModel = null;
 
     // Preload carrot GLB model
@@ -1621,20 +1605,11 @@ healerEditor.config            - Aktuelle Werte zeigen
       }
     );
 
-    function createCarrot(x, z, type = 'normal') {
+    function createCarrot(type = 'normal') {
       const group = new THREE.Group();
-      group.userData = {
-        collected: false,
-        type,
-        value: type === 'golden' ? 5 : (type === 'blue' ? 3 : 1),
-        effect: type === 'golden' ? 'bonus' : (type === 'blue' ? 'speed' : null),
-      };
-
-      const colors = {
-        normal: 0xFF6B35,
-        golden: 0xFFD700,
-        blue: 0x4169E1,
-      };
+      const def = getCarrotDef(type);
+      // Gameplay data (value, effect, field) comes from the simulation
+      group.userData = {};
 
       // Use GLB model if loaded, otherwise use fallback geometry
       if (cachedCarrotModel) {
@@ -1647,7 +1622,7 @@ healerEditor.config            - Aktuelle Werte zeigen
           carrotModel.traverse((child) => {
             if (child.isMesh) {
               child.material = safeCloneMaterial(child.material);
-              setMaterialEmissive(child.material, colors[type], 0.4);
+              setMaterialEmissive(child.material, def.color, 0.4);
             }
           });
         }
@@ -1657,8 +1632,8 @@ healerEditor.config            - Aktuelle Werte zeigen
         // Fallback: procedural carrot geometry
         const bodyGeo = new THREE.ConeGeometry(0.14, 0.55, 8);
         const bodyMat = new THREE.MeshStandardMaterial({
-          color: colors[type],
-          emissive: type !== 'normal' ? colors[type] : 0x000000,
+          color: def.color,
+          emissive: type !== 'normal' ? def.color : 0x000000,
           emissiveIntensity: type !== 'normal' ? 0.3 : 0,
         });
         const body = new THREE.Mesh(bodyGeo, bodyMat);
@@ -1680,7 +1655,7 @@ healerEditor.config            - Aktuelle Werte zeigen
       // Glow ring (always shown)
       const ringGeo = new THREE.RingGeometry(0.28, 0.36, 32);
       const ringMat = new THREE.MeshBasicMaterial({
-        color: colors[type],
+        color: def.color,
         side: THREE.DoubleSide,
         transparent: true,
         opacity: 0.4
@@ -1691,64 +1666,10 @@ healerEditor.config            - Aktuelle Werte zeigen
       group.add(ring);
       group.userData.ring = ring;
 
-      group.position.set(x, 0, z);
       return group;
     }
 
-    function spawnCarrot() {
-      let x, z;
-      let attempts = 0;
-      do {
-        const angle = Math.random() * Math.PI * 2;
-        const radius = 8 + Math.random() * 25;
-        x = Math.cos(angle) * radius;
-        z = Math.sin(angle) * radius;
-        attempts++;
-      } while (attempts < 20 && Math.sqrt(x*x + z*z) < 6);
-
-      // Determine carrot type
-      let type = 'normal';
-      const roll = Math.random();
-      const goldenBonus = getSkillEffect('goldenAge') ? 0.5 : 0;
-      // Weather Master + Sunny = extra golden chance
-      const weatherMasterSunnyBonus = (gameState.weather === 'sunny' && getSkillEffect('weatherMaster') >= 1) ? 0.03 : 0;
-      if (roll < 0.02 + goldenBonus * 0.02 + weatherMasterSunnyBonus) type = 'golden';
-      else if (roll < 0.08) type = 'blue';
-
-      const carrot = createCarrot(x, z, type);
-      scene.add(carrot);
-      carrots.push(carrot);
-    }
-
     // ============== PROJECTILES & EFFECTS ==============
-    function createProjectile(start, target, type = 'carrot') {
-      const colors = { carrot: 0xFF6B35, tower: 0x8B0000, poison: 0x00FF00 };
-      const geo = type === 'tower' 
-        ? new THREE.SphereGeometry(0.15, 8, 8)
-        : new THREE.ConeGeometry(0.12, 0.45, 6);
-      const mat = new THREE.MeshStandardMaterial({ 
-        color: colors[type] || 0xFF6B35,
-        emissive: colors[type] || 0xFF6B35,
-        emissiveIntensity: 0.3,
-      });
-      const proj = new THREE.Mesh(geo, mat);
-      proj.position.copy(start);
-      proj.position.y = start.y || 0.6;
-      
-      const dir = new THREE.Vector3().subVectors(target, start).normalize();
-      proj.userData = {
-        velocity: dir.multiplyScalar(type === 'tower' ? 0.5 : 0.35),
-        damage: type === 'tower' ? (25 * (1 + getSkillEffect('towerDamage') / 100)) : 25,
-        splash: type === 'carrot',
-        splashRadius: 2.5,
-        type,
-      };
-      
-      proj.lookAt(target);
-      if (type !== 'tower') proj.rotation.x += Math.PI / 2;
-      return proj;
-    }
-
     function createExplosion(position, color = 0xFF6B35) {
       const particles = [];
       for (let i = 0; i < 15; i++) {
@@ -1837,7 +1758,7 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
 
     // Create floating damage number using canvas sprite
-    function createDamageNumber(position, damage, isCrit = false, isHeal = false) {
+    function createDamageNumber(position, damage, isCrit = false, isHeal = false, damageType = 'physical') {
       const canvas = document.createElement('canvas');
       canvas.width = 128;
       canvas.height = 64;
@@ -1849,7 +1770,7 @@ healerEditor.config            - Aktuelle Werte zeigen
       ctx.textBaseline = 'middle';
 
       // Color based on type
-      let color = '#FF4444'; // Red for damage
+      let color = getDamageColor(damageType);
       if (isHeal) color = '#44FF44'; // Green for heals
       if (isCrit) color = '#FFD700'; // Gold for crits
 
@@ -1883,92 +1804,52 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
 
     // ============== GAME STATE ==============
-    const baseHealthValue = 100 + getSkillEffect('baseHealth');
-    const dayDurationValue = 90 + getSkillEffect('dayLength');
+    // Record every command and the movement of this run for replays. A replay has
+    // to start at the beginning of the run, so resumed runs are not recorded
+    const recorder = new ReplayRecorder({ seed, difficulty: runDifficulty, mode: runMode, skills });
+    if (resume || replay) recorder.active = false;
+    setLastReplay(null);
+    // Commands take effect in the next tick
+    const unobserveCommands = commands.observe((type, payload) => recorder.recordCommand(sim.tick + 1, type, payload));
+    const replayPlayer = replay ? new ReplayPlayer(replay) : null;
+    setReplayStatus(replay ? {
+      seconds: 0,
+      duration: Math.floor(replay.ticks * GAME_TICK),
+      speed: replayControlsRef.current.speed,
+      paused: false,
+      finished: false,
+    } : null);
+    const finishReplay = (victory) => {
+      if (replayPlayer) {
+        setReplayStatus(prev => prev && { ...prev, finished: true });
+        return;
+      }
+      if (!recorder.active) return;
+      const recording = recorder.finish({ wave: gameState.wave, score: Math.floor(getSafeScore()), victory }, sim.tick);
+      setLastReplay(recording);
+      saveReplay(recording).catch(e => console.warn('Failed to save replay:', e));
+    };
     
     const toNumber = (value, fallback = 0) => (Number.isFinite(value) ? value : fallback);
-    const initialScore = toNumber(getSkillEffect('startCarrots'));
-
-    const gameState = {
-      phase: 'day',
-      wave: 0,
-      baseHealth: baseHealthValue,
-      maxBaseHealth: baseHealthValue,
-      gameOver: false,
-      victory: false,
-      score: initialScore,
-      time: 0,
-      dayDuration: dayDurationValue,
-      nightActive: false,
-      countdownTime: 0,
-      dayTimer: 0,
-      combo: 0,
-      comboTimer: 0,
-      weather: 'sunny',
-      weatherTimer: 0,
-      rageActive: false,
-      bossWave: false,
-      speedBoostTimer: 0,
-      // Snake Poison system
-      poisonedTargets: [], // { target, damage, duration, tickTimer }
-      basePoisoned: false,
-      basePoisonDamage: 0,
-      basePoisonDuration: 0,
-      basePoisonTickTimer: 0,
-      wood: 0,
-    };
+
     gameRef.current = gameState;
 
-    const getSafeScore = () => toNumber(gameState.score);
-    const setScoreSafe = (value) => {
-      const next = toNumber(value);
-      gameState.score = next;
-      setScore(next);
-    };
-    const addScore = (delta) => {
-      const next = getSafeScore() + toNumber(delta);
-      gameState.score = next;
-      setScore(next);
-    };
+    const getSafeScore = () => sim.getSafeScore();
+    const addScore = (delta) => sim.addScore(toNumber(delta));
 
-    setScoreSafe(gameState.score);
-    setWood(0);
+    setScore(getSafeScore());
+    setWood(gameState.wood);
     setBaseHealth(gameState.baseHealth);
     setMaxBaseHealth(gameState.maxBaseHealth);
     setPhase('day');
 
     // Player - Load GLB model with wheelbarrow and sweat drops
     const gltfLoader = new GLTFLoader();
-    let player = null;
     let playerModelLoaded = false;
 
     // Create player group that will hold the GLB model
     const playerGroup = new THREE.Group();
-    playerGroup.userData = {
-      type: 'player',
-      isPlayer: true,
-      isPartner: false,
-      isCollector: false,
-      health: 100,
-      maxHealth: 100,
-      attackCooldown: 0,
-      abilityCooldown: 0,
-      targetRotation: 0,
-      radius: 0.8 * 1.3,
-      targetPos: new THREE.Vector3(),
-      waitTime: 0,
-      carryingCarrots: 0,
-      carryingCount: 0,
-      maxCarry: 2 + getSkillEffect('collectorCapacity'),
-      speed: 0.025,
-      attackRange: 5,
-      attackDamage: 18,
-      velocityX: 0,
-      velocityZ: 0,
-    };
-    playerGroup.position.set(0, 0, 10);
-    scene.add(playerGroup);
-    player = playerGroup;
+    playerGroup.userData = {};
 
     // Load the GLB model asynchronously
     gltfLoader.load(
@@ -2011,54 +1892,215 @@ healerEditor.config            - Aktuelle Werte zeigen
       }
     );
 
-    // Partners
-    const partners = [
-      createGuineaPig('partner1', false, 1.2),
-      createGuineaPig('partner2', false, 1.2),
-      createGuineaPig('partner3', false, 1.2),
-    ];
-    partners[0].position.set(-10, 0, 6);
-    partners[1].position.set(12, 0, -5);
-    partners[2].position.set(-6, 0, -12);
-    partners.forEach(p => {
-      p.userData.targetPos.copy(p.position);
-      scene.add(p);
-    });
+    // Healer and bomber use their own (GLB) models
+    function createHeroUnit(heroType, scale) {
+      return heroType === 'healer' ? createHealerTank(scale)
+        : (heroType === 'bomber' ? createBomberHero(scale) : createGuineaPig(heroType, false, scale));
+    }
 
-    // Start hero if skill unlocked
-    const heroTypes = ['tunneler', 'shadow', 'bomber', 'healer', 'tank', 'assassin'];
-    const defenders = [];
-    if (getSkillEffect('startHero')) {
-      const startHeroType = heroTypes[Math.floor(Math.random() * heroTypes.length)];
-      let startHero;
-      if (startHeroType === 'healer') {
-        startHero = createHealerTank(1.2);
-      } else if (startHeroType === 'bomber') {
-        startHero = createBomberHero(1.2);
-      } else {
-        startHero = createGuineaPig(startHeroType, false, 1.2);
-      }
-      startHero.position.set(5, 0, 5);
-      startHero.userData.placed = true;
-      scene.add(startHero);
-      defenders.push(startHero);
+    // Beavers use the collector model for now, slightly brown-tinted
+    function createBeaver(scale) {
+      const beaver = createGuineaPig('collector', false, scale);
+      beaver.traverse((child) => {
+        if (child.isMesh && child.material) {
+          child.material = safeCloneMaterial(child.material);
+          child.material.color.setHex(0x8B4513);
+        }
+      });
+      return beaver;
     }
 
-    const enemies = [];
-    const projectiles = [];
     const effects = [];
-    const collectors = [];
-    const beavers = [];
-    const buildingObjects = [];
-
-    const UNIT_COLLISION_RADIUS = {
-      player: 0.9,
-      partner: 0.7,
-      collector: 0.65,
-      beaver: 0.65,
-      defender: 0.8,
-      enemy: 0.85,
-    };
+    const telegraphDecals = []; // Ground decals of boss attacks winding up
+
+    // ============== ENTITY MESHES ==============
+    // Every entity of the simulation gets a mesh here; the mesh shares the entity's
+    // userData, so picking and panels read live gameplay values
+    const meshes = new Map();
+    const meshOf = (entity) => meshes.get(entity) || null;
+
+    function createEntityMesh(entity) {
+      const data = entity.userData;
+      switch (entity.kind) {
+        case 'player': return playerGroup;
+        case 'partner': return createGuineaPig(data.type, false, entity.scale);
+        case 'hero': return createHeroUnit(data.type, entity.scale);
+        case 'collector': return createGuineaPig('collector', false, entity.scale);
+        case 'beaver': return createBeaver(entity.scale);
+        case 'enemy': return createEnemyOfType(data.type);
+        case 'building': return createGuineaPigHouse(data.type);
+        case 'carrot': return createCarrot(data.type);
+        case 'projectile': return createTowerProjectileMesh(data.type);
+        case 'bomb': return createThrownBomb();
+        default: return null; // Trees are the landscape's own meshes
+      }
+    }
+
+    function addEntityMesh(entity, target) {
+      const mesh = createEntityMesh(entity);
+      if (!mesh) return;
+      mesh.userData = Object.assign(entity.userData, mesh.userData);
+      mesh.position.copy(entity.position);
+      mesh.rotation.y = entity.rotation.y;
+      mesh.visible = entity.visible;
+      if (target) mesh.lookAt(target);
+      meshes.set(entity, mesh);
+      scene.add(mesh);
+      // Restored heroes and towers show the rank they were saved with
+      if (entity.kind === 'hero') applyRankInsignia(mesh);
+      if (entity.kind === 'building' && entity.userData.branch) applyTowerUpgradeVisual(mesh, { height: TOWER_TOP_HEIGHT });
+
+      // Towers turn their crossbow to the shot, the bomber's hand is empty for a moment after a throw
+      const crossbow = entity.kind === 'projectile' ? entity.userData.source?.userData.crossbow : null;
+      if (crossbow && target) crossbow.lookAt(target);
+      const thrower = entity.kind === 'bomb' ? entity.userData.source?.userData : null;
+      if (thrower?.bombInHand) {
+        thrower.bombInHand.visible = false;
+        setTimeout(() => {
+          if (thrower.bombInHand) thrower.bombInHand.visible = true;
+        }, 500);
+      }
+    }
+
+    function removeEntityMesh(entity, reason) {
+      const mesh = meshOf(entity);
+      if (!mesh) return;
+      meshes.delete(entity);
+      if (reason !== 'collected') {
+        scene.remove(mesh);
+        return;
+      }
+      // Animate removal of a picked up carrot
+      const anim = () => {
+        mesh.scale.multiplyScalar(0.85);
+        mesh.position.y += 0.12;
+        if (mesh.scale.x > 0.05) {
+          requestAnimationFrame(anim);
+        } else {
+          scene.remove(mesh);
+        }
+      };
+      anim();
+    }
+
+    // Sparks, numbers and particles the simulation asks for
+    function showEffect({ name, position, color, value, crit, damageType }) {
+      if (name === 'explosion') effects.push(...createExplosion(position, color));
+      else if (name === 'heal') effects.push(...createHealEffect(position));
+      else if (name === 'hearts') effects.push(...createHearts(position));
+      else if (name === 'combo') effects.push(...createComboText(position, value));
+      else if (name === 'damageNumber') effects.push(...createDamageNumber(position, value, crit, false, damageType));
+      else if (name === 'sparks') {
+        // Repair feedback - brown particles
+        for (let i = 0; i < 3; i++) {
+          const spark = new THREE.Mesh(
+            new THREE.SphereGeometry(0.1),
+            new THREE.MeshBasicMaterial({ color })
+          );
+          spark.position.copy(position);
+          spark.userData = { type: 'effect', life: 0.5, velocity: new THREE.Vector3((Math.random() - 0.5) * 2, 2, (Math.random() - 0.5) * 2) };
+          scene.add(spark);
+          effects.push(spark);
+        }
+      }
+    }
+
+    const hpColor = (hp) => (hp > 0.5 ? 0x00FF00 : (hp > 0.25 ? 0xFFFF00 : 0xFF0000));
+
+    // Meshes follow their entities once per frame, animations run on game time
+    function syncEntityMeshes() {
+      const time = sim.time;
+      let carrotIndex = 0;
+      meshes.forEach((mesh, entity) => {
+        const data = entity.userData;
+        mesh.position.copy(entity.position);
+        mesh.visible = entity.visible;
+        if (entity.kind !== 'projectile' && entity.kind !== 'bomb') mesh.rotation.y = entity.rotation.y;
+
+        if (entity.kind === 'player') {
+          const intensity = data.moveIntensity || 0;
+          mesh.rotation.z = Math.sin(time * 10) * 0.1 * intensity;
+          mesh.position.y = Math.abs(Math.sin(time * 10)) * 0.05 * intensity;
+          // Player breathing
+          mesh.scale.y = 1.3 * (1 + Math.sin(time * 2.5) * 0.02);
+          if (data.crown) data.crown.rotation.y = time * 1.5;
+        } else if (entity.kind === 'partner') {
+          // Heart indicator
+          if (data.heartIndicator) {
+            const pdist = Math.hypot(sim.player.position.x - entity.position.x, sim.player.position.z - entity.position.z);
+            data.heartIndicator.visible = getSafeScore() >= BREED_COST && pdist < 4;
+            if (data.heartIndicator.visible) data.heartIndicator.position.y = 1.2 + Math.sin(time * 3) * 0.1;
+          }
+        } else if (entity.kind === 'carrot') {
+          if (data.ring) data.ring.rotation.z = time * 2;
+          mesh.position.y = Math.sin(time * 2 + carrotIndex++) * 0.03;
+        } else if (entity.kind === 'collector') {
+          mesh.rotation.z = Math.sin(time * 6) * 0.05;
+        } else if (entity.kind === 'beaver') {
+          mesh.rotation.z = Math.sin(time * 5) * 0.04;
+        } else if (entity.kind === 'enemy') {
+          if (data.type === 'fox' || data.type === 'boss_fox') {
+            mesh.rotation.z = Math.sin(time * 6) * 0.04;
+          } else if (data.type === 'raven' || data.type === 'boss_raven') {
+            mesh.position.y = 1.8 + Math.sin(time * 4) * 0.25;
+            if (data.wingL) data.wingL.rotation.x = -0.3 + Math.sin(time * 10) * 0.35;
+            if (data.wingR) data.wingR.rotation.x = 0.3 - Math.sin(time * 10) * 0.35;
+          } else if (data.type === 'snake') {
+            mesh.rotation.z = Math.sin(time * 8) * 0.1;
+            if (data.tongue) data.tongue.scale.x = 1 + Math.sin(time * 15) * 0.3;
+          } else {
+            updateEnemyAnimation(mesh, time);
+          }
+          updateBurrowVisual(mesh);
+          updateStatusIcons(mesh);
+        } else if (entity.kind === 'hero') {
+          if (data.isGLBModel && data.turret && data.combatTarget) {
+            // Turret zur Feind-Ausrichtung (für GLB Healer)
+            const targetPos = data.combatTarget.position.clone();
+            targetPos.y = data.turret.position.y + mesh.position.y;
+            data.turret.lookAt(targetPos);
+          } else if (data.isGLBModel && !data.order) {
+            // GLB Healer: Umschau-Animation wenn keine Feinde
+            if (data.healerBody) data.healerBody.rotation.y = Math.sin(time * 1.2) * 0.4;
+            if (data.turret) data.turret.rotation.y = Math.sin(time * 0.5) * 0.3;
+          }
+          updateStatusIcons(mesh);
+        } else if (entity.kind === 'building') {
+          updateStatusIcons(mesh);
+        } else if (entity.kind === 'bomb') {
+          mesh.rotation.x += 0.1;
+          mesh.rotation.z += 0.05;
+          if (data.fuse) {
+            data.fuse.material.color.setHSL(0.05 + Math.sin(time * 20) * 0.05, 1, 0.5);
+            data.fuse.scale.setScalar(0.8 + Math.sin(time * 15) * 0.3);
+          }
+        }
+
+        if (data.hpBar && data.maxHealth) {
+          const hp = data.health / data.maxHealth;
+          data.hpBar.scale.x = Math.max(0.01, hp);
+          if (entity.kind === 'building') data.hpBar.material.color.setHex(hpColor(hp));
+        }
+      });
+
+      // Main burrow HP bar
+      if (mainBurrow.userData.hpBar) {
+        const hp = gameState.baseHealth / gameState.maxBaseHealth;
+        mainBurrow.userData.hpBar.scale.x = Math.max(0.01, hp);
+        mainBurrow.userData.hpBar.material.color.setHex(hpColor(hp));
+      }
+      if (mainBurrow.userData.flag) {
+        mainBurrow.userData.flag.rotation.z = Math.sin(time * 3) * 0.1;
+      }
+
+      // Boss attack decals fill up until they land
+      for (let i = telegraphDecals.length - 1; i >= 0; i--) {
+        if (updateTelegraphDecal(telegraphDecals[i], time)) continue;
+        scene.remove(telegraphDecals[i]);
+        disposeTelegraphDecal(telegraphDecals[i]);
+        telegraphDecals.splice(i, 1);
+      }
+    }
 
     // Building preview ghost
     let previewGhost = null;
@@ -2116,204 +2158,6 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
     wallPreviewLine = createWallPreviewLine();
 
-    function findHomeBuilding(type, homePos) {
-      if (!homePos) return null;
-      return buildingObjects.find(b => {
-        if (b.userData.type !== type) return false;
-        const dx = b.position.x - homePos.x;
-        const dz = b.position.z - homePos.z;
-        return Math.sqrt(dx * dx + dz * dz) < 0.5;
-      }) || null;
-    }
-
-    function resolveUnitBuildingCollisions(unit, options = {}) {
-      if (!unit || !unit.visible) return;
-
-      const {
-        unitRadius = 0.7,
-        allowBuilding = null,
-        ignoreCastle = false,
-      } = options;
-
-      const position = unit.position;
-
-      if (!ignoreCastle && mainBurrow?.userData?.collisionRadius) {
-        const dx = position.x - mainBurrow.position.x;
-        const dz = position.z - mainBurrow.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        const radius = mainBurrow.userData.collisionRadius + unitRadius;
-        if (dist > 0 && dist < radius) {
-          const push = radius - dist;
-          position.x += (dx / dist) * push;
-          position.z += (dz / dist) * push;
-        }
-      }
-
-      for (const building of buildingObjects) {
-        if (!building.visible) continue;
-        if (allowBuilding && allowBuilding(building)) continue;
-        const radius = (building.userData.collisionRadius || 1.2) + unitRadius;
-        const dx = position.x - building.position.x;
-        const dz = position.z - building.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-        if (dist > 0 && dist < radius) {
-          const push = radius - dist;
-          position.x += (dx / dist) * push;
-          position.z += (dz / dist) * push;
-        }
-      }
-    }
-
-    function moveUnitToward(unit, target, speed, stopDistance = 1.0) {
-      const dx = target.x - unit.position.x;
-      const dz = target.z - unit.position.z;
-      const d = Math.sqrt(dx * dx + dz * dz);
-      if (d <= stopDistance) return d;
-      unit.position.x += (dx / d) * speed;
-      unit.position.z += (dz / d) * speed;
-      unit.rotation.y = Math.atan2(-dz, dx);
-      return d;
-    }
-
-    function getBuildingApproachDistance(building, unitRadius, extra = 0.4) {
-      const radius = building?.userData?.collisionRadius;
-      if (Number.isFinite(radius)) {
-        return radius + unitRadius + extra;
-      }
-      return 1.5 + unitRadius + extra;
-    }
-
-    function moveUnitWithPathfinding(unit, target, speed, options = {}) {
-      if (!unit || !target) return 0;
-
-      const {
-        allowGate = false,
-        stopDistance = 1.0,
-        maxPathAge = 60,
-        setRotation = true,
-        allowFallback = true,
-      } = options;
-
-      const data = unit.userData || {};
-      data.navNoPath = false;
-      data.navNoPathTargetKey = null;
-
-      const dx = target.x - unit.position.x;
-      const dz = target.z - unit.position.z;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-      if (dist <= stopDistance || dist === 0) return dist;
-
-      const pathfinding = pathfindingRef.current;
-      if (!pathfinding) {
-        unit.position.x += (dx / dist) * speed;
-        unit.position.z += (dz / dist) * speed;
-        if (setRotation) {
-          unit.rotation.y = Math.atan2(-dz, dx);
-        }
-        return dist;
-      }
-      const wallGrid = wallGridRef.current;
-      const targetGrid = wallGrid ? wallGrid.worldToGrid(target.x, target.z) : null;
-      const targetKey = targetGrid
-        ? `${targetGrid.gx},${targetGrid.gz}`
-        : `${Math.round(target.x)},${Math.round(target.z)}`;
-      const targetChanged = data.navTargetKey !== targetKey;
-      const allowGateChanged = data.navAllowGate !== allowGate;
-
-      const hasDirectPath = pathfinding.hasLineOfSight(
-        unit.position.x, unit.position.z, target.x, target.z, { allowGate }
-      );
-
-      if (hasDirectPath) {
-        unit.position.x += (dx / dist) * speed;
-        unit.position.z += (dz / dist) * speed;
-        if (setRotation) {
-          unit.rotation.y = Math.atan2(-dz, dx);
-        }
-        data.navPath = null;
-        data.navPathAge = 0;
-        data.navTargetKey = targetKey;
-        data.navAllowGate = allowGate;
-        return dist;
-      }
-
-      if (!data.navPath || data.navPathInvalid || data.navPathAge > maxPathAge || targetChanged || allowGateChanged) {
-        data.navPath = pathfinding.findSmoothPath(
-          unit.position.x, unit.position.z, target.x, target.z, { allowGate }
-        );
-        data.navPathIndex = 0;
-        data.navPathAge = 0;
-        data.navPathInvalid = false;
-      }
-
-      data.navPathAge = (data.navPathAge || 0) + 1;
-      data.navTargetKey = targetKey;
-      data.navAllowGate = allowGate;
-
-      let moveX = 0;
-      let moveZ = 0;
-
-      if (!data.navPath || data.navPath.length === 0) {
-        data.navNoPath = true;
-        data.navNoPathTargetKey = targetKey;
-        if (!allowFallback) {
-          return dist;
-        }
-      }
-
-      if (data.navPath && data.navPath.length > 0) {
-        let waypoint = data.navPath[data.navPathIndex] || data.navPath[0];
-
-        while (data.navPathIndex < data.navPath.length - 1) {
-          const wdx = waypoint.x - unit.position.x;
-          const wdz = waypoint.z - unit.position.z;
-          const wDist = Math.sqrt(wdx * wdx + wdz * wdz);
-          if (wDist < 0.8) {
-            data.navPathIndex += 1;
-            waypoint = data.navPath[data.navPathIndex];
-          } else {
-            break;
-          }
-        }
-
-        const wdx = waypoint.x - unit.position.x;
-        const wdz = waypoint.z - unit.position.z;
-        const wDist = Math.sqrt(wdx * wdx + wdz * wdz);
-
-        if (wDist > 0.05) {
-          moveX = (wdx / wDist) * speed;
-          moveZ = (wdz / wDist) * speed;
-        }
-
-        if (data.navPathIndex >= data.navPath.length - 1 && wDist < 0.8) {
-          data.navPath = null;
-        }
-      } else {
-        moveX = (dx / dist) * speed;
-        moveZ = (dz / dist) * speed;
-      }
-
-      if (moveX !== 0 || moveZ !== 0) {
-        unit.position.x += moveX;
-        unit.position.z += moveZ;
-        if (setRotation) {
-          unit.rotation.y = Math.atan2(-moveZ, moveX);
-        }
-      }
-
-      return dist;
-    }
-
-    function isPathReachable(from, to, options = {}) {
-      const pathfinding = pathfindingRef.current;
-      if (!pathfinding || !from || !to) return true;
-      const hasDirectPath = pathfinding.hasLineOfSight(
-        from.x, from.z, to.x, to.z, options
-      );
-      if (hasDirectPath) return true;
-      return !!pathfinding.findPath(from.x, from.z, to.x, to.z, options);
-    }
-
     function createPreviewGhost(type) {
       if (previewGhost) {
         scene.remove(previewGhost);
@@ -2346,11 +2190,11 @@ healerEditor.config            - Aktuelle Werte zeigen
 
       // For walls/gates, update segment geometry based on neighbors
       const isWallPreview = currentPreviewType === 'wall' || currentPreviewType === 'gate';
-      if (isWallPreview && wallGridRef.current) {
-        const grid = wallGridRef.current.worldToGrid(x, z);
+      if (isWallPreview && sim.wallGrid) {
+        const grid = sim.wallGrid.worldToGrid(x, z);
         const wallRotation = Number.isFinite(rotation) ? rotation : 0;
         const segmentInfo = currentPreviewType === 'gate'
-          ? { type: 'gate', rotation: getGateRotationForGrid(grid.gx, grid.gz, wallRotation) }
+          ? { type: 'gate', rotation: sim.getGateRotation(grid.gx, grid.gz, wallRotation) }
           : (Math.abs(wallRotation % 90) === 45
             ? { type: 'diagonal', rotation: wallRotation }
             : getPreviewSegmentType(grid.gx, grid.gz, []));
@@ -2385,7 +2229,7 @@ healerEditor.config            - Aktuelle Werte zeigen
 
       // Update tower range indicator (only for towers)
       if (currentPreviewType === 'tower') {
-        const towerRange = 12 * (1 + getSkillEffect('towerRange') / 100);
+        const towerRange = getTowerStats({ userData: { type: 'tower' } }, getTowerSkillEffects()).range;
         // Update geometry if range changed
         if (towerRangeIndicator.geometry.parameters.radius !== towerRange) {
           towerRangeIndicator.geometry.dispose();
@@ -2425,33 +2269,6 @@ healerEditor.config            - Aktuelle Werte zeigen
       towerRangeBorder.visible = false;
     }
 
-    const isWallLikeType = (type) => type === 'wall' || type === 'gate';
-    const isPlacementRestrictedToRing = (type) => !(
-      type === 'wall' || type === 'gate' || type === 'tower'
-    );
-
-    function getGateRotationForGrid(gx, gz, fallbackRotation = 0) {
-      const wallGrid = wallGridRef.current;
-      if (!wallGrid) {
-        const snapped = Math.round(fallbackRotation / 90) * 90;
-        return ((snapped % 360) + 360) % 360;
-      }
-
-      const north = wallGrid.getWall(gx, gz + 1);
-      const south = wallGrid.getWall(gx, gz - 1);
-      const east = wallGrid.getWall(gx + 1, gz);
-      const west = wallGrid.getWall(gx - 1, gz);
-
-      const hasNS = (!!north && north.segmentType !== 'diagonal') || (!!south && south.segmentType !== 'diagonal');
-      const hasEW = (!!east && east.segmentType !== 'diagonal') || (!!west && west.segmentType !== 'diagonal');
-
-      if (hasEW && !hasNS) return 90;
-      if (hasNS && !hasEW) return 0;
-
-      const snapped = Math.round(fallbackRotation / 90) * 90;
-      return ((snapped % 360) + 360) % 360;
-    }
-
     function checkPlacementValid(x, z, collisionRadius = 2.5, type = null) {
       const buildType = type || gameRef.current?.buildMode;
       if (isPlacementRestrictedToRing(buildType)) {
@@ -2477,88 +2294,26 @@ healerEditor.config            - Aktuelle Werte zeigen
       return true;
     }
 
-    // Initial carrots
-    for (let i = 0; i < 30; i++) spawnCarrot();
-
-    // Use global WAVES_CONFIG
-    const WAVES = WAVES_CONFIG;
-
-    let enemiesToSpawn = [];
-    let spawnTimer = 0;
-    const thrownBombs = []; // Array für geworfene Bomben
-
-    function startWave(waveNum) {
-      const config = WAVES[Math.min(waveNum, WAVES.length - 1)];
-      enemiesToSpawn = [];
-      for (let i = 0; i < config.foxes; i++) enemiesToSpawn.push('fox');
-      for (let i = 0; i < config.ravens; i++) enemiesToSpawn.push('raven');
-      for (let i = 0; i < config.snakes; i++) enemiesToSpawn.push('snake');
-
-      // Add boss
-      if (config.boss) {
-        gameState.bossWave = true;
-        setBossActive(true);
-        if (config.boss === 'fox' || config.boss === 'both') enemiesToSpawn.push('boss_fox');
-        if (config.boss === 'raven' || config.boss === 'both') enemiesToSpawn.push('boss_raven');
-      }
-
-      enemiesToSpawn.sort(() => Math.random() - 0.5);
-      // Put bosses at end
-      const bosses = enemiesToSpawn.filter(e => e.startsWith('boss'));
-      enemiesToSpawn = enemiesToSpawn.filter(e => !e.startsWith('boss')).concat(bosses);
-
-      spawnTimer = 0;
-      setMessage(`🌙 Welle ${waveNum + 1}${config.boss ? ' - BOSS!' : ''}`);
-      setTimeout(() => setMessage(''), 2500);
-      soundSystem.waveStart();
-    }
-
-    function spawnEnemy() {
-      if (enemiesToSpawn.length === 0) return;
-      const type = enemiesToSpawn.shift();
-      const angle = Math.random() * Math.PI * 2;
-      const radius = 38;
-
+    function createEnemyOfType(type) {
       let enemy;
       if (type === 'boss_fox') enemy = createFox(true);
       else if (type === 'boss_raven') enemy = createRaven(true);
       else if (type === 'fox') enemy = createFox();
       else if (type === 'raven') enemy = createRaven();
+      else if (type === 'mole') enemy = createMole();
+      else if (type === 'weasel') enemy = createWeasel();
+      else if (type === 'hawk') enemy = createHawk();
+      else if (type === 'badger') enemy = createBadger();
       else enemy = createSnake();
-
-      // Apply difficulty modifiers to enemy stats
-      const diffMod = DIFFICULTY_MODS[difficulty] || DIFFICULTY_MODS.normal;
-      enemy.userData.health = Math.floor(enemy.userData.health * diffMod.enemyHealth);
-      enemy.userData.maxHealth = Math.floor(enemy.userData.maxHealth * diffMod.enemyHealth);
-      enemy.userData.damage = Math.floor(enemy.userData.damage * diffMod.enemyDamage);
-      enemy.userData.speed = enemy.userData.speed * diffMod.enemySpeed;
-
-      enemy.position.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
-      scene.add(enemy);
-      enemies.push(enemy);
+      return enemy;
     }
 
     // ============== WEATHER SYSTEM ==============
-    const WEATHERS = ['sunny', 'rainy', 'windy'];
-    
-    function changeWeather() {
-      const weatherMasterLevel = getSkillEffect('weatherMaster');
-      let newWeather;
-      
-      if (weatherMasterLevel >= 2) {
-        // Player can influence weather - bias towards beneficial
-        newWeather = Math.random() < 0.6 ? 'sunny' : WEATHERS[Math.floor(Math.random() * WEATHERS.length)];
-      } else {
-        newWeather = WEATHERS[Math.floor(Math.random() * WEATHERS.length)];
-      }
-      
-      gameState.weather = newWeather;
-      setWeather(newWeather);
-      
-      // Visual effects
-      rain.visible = newWeather === 'rainy';
+    function showWeather(weather) {
+      setWeather(weather);
+      rain.visible = weather === 'rainy';
 
-      if (newWeather === 'rainy') {
+      if (weather === 'rainy') {
         lights.sun.intensity = 0.8;
       } else {
         lights.sun.intensity = gameState.phase === 'night' ? 0.25 : 1.5;
@@ -2566,7 +2321,8 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
 
     // ============== TOUCH CONTROLS ==============
-    const joystick = { active: false, startX: 0, startY: 0, moveX: 0, moveZ: 0 };
+    const joystick = { active: false, startX: 0, startY: 0, moveX: 0, moveZ: 0, moved: false };
+    const TAP_TOLERANCE = 10; // Pixels a touch may drift and still count as a tap
     const raycaster = new THREE.Raycaster();
     const pointer = new THREE.Vector2();
     let touchBuildStart = null;
@@ -2575,6 +2331,13 @@ healerEditor.config            - Aktuelle Werte zeigen
       const touch = e.touches[0];
       const rect = containerRef.current.getBoundingClientRect();
 
+      // Relocating a building - the tap picks the new spot
+      if (gameState.phase === 'day' && gameRef.current.movingBuilding) {
+        const point = getGroundPoint(touch.clientX, touch.clientY);
+        if (point) commands.dispatch(GAME_COMMANDS.MOVE_BUILDING, { x: Math.round(point.x / 2) * 2, z: Math.round(point.z / 2) * 2 });
+        return;
+      }
+
       // Check if in build mode
       if (gameState.phase === 'day' && gameRef.current.buildMode) {
         pointer.x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
@@ -2597,7 +2360,7 @@ healerEditor.config            - Aktuelle Werte zeigen
             const type = gameRef.current.buildMode;
             if (!isPlacementRestrictedToRing(type) || (dist >= 6 && dist <= 14)) {
               const rotation = gameRef.current.buildRotation || 0;
-              placeBuildingWithRotation(gridX, gridZ, rotation);
+              commands.dispatch(GAME_COMMANDS.PLACE_BUILDING, { x: gridX, z: gridZ, rotation });
             }
           }
         }
@@ -2607,6 +2370,7 @@ healerEditor.config            - Aktuelle Werte zeigen
       joystick.active = true;
       joystick.startX = touch.clientX;
       joystick.startY = touch.clientY;
+      joystick.moved = false;
     }
 
     function handleTouchMove(e) {
@@ -2637,6 +2401,7 @@ healerEditor.config            - Aktuelle Werte zeigen
 
       joystick.moveX = Math.max(-1, Math.min(1, dx / maxDist));
       joystick.moveZ = Math.max(-1, Math.min(1, dy / maxDist));
+      if (Math.abs(dx) > TAP_TOLERANCE || Math.abs(dy) > TAP_TOLERANCE) joystick.moved = true;
     }
 
     function handleTouchEnd(e) {
@@ -2658,7 +2423,7 @@ healerEditor.config            - Aktuelle Werte zeigen
           const positions = getWallPositionsAlongLine(touchBuildStart.x, touchBuildStart.z, endX, endZ);
 
           let wallsPlaced = 0;
-          const wallGrid = wallGridRef.current;
+          const wallGrid = sim.wallGrid;
           for (const wallPos of positions) {
             const grid = wallGrid.worldToGrid(wallPos.x, wallPos.z);
             if (wallGrid.isBlockedCell(grid.gx, grid.gz)) break;
@@ -2666,7 +2431,7 @@ healerEditor.config            - Aktuelle Werte zeigen
             if (!checkWallPlacementValid(wallPos.x, wallPos.z, 1.5)) break;
 
             // Each wall has its own rotation from the line orientation
-            if (!placeBuildingWithRotation(wallPos.x, wallPos.z, wallPos.rotation)) break;
+            if (!commands.dispatch(GAME_COMMANDS.PLACE_BUILDING, { x: wallPos.x, z: wallPos.z, rotation: wallPos.rotation }).ok) break;
             wallsPlaced++;
           }
 
@@ -2682,6 +2447,11 @@ healerEditor.config            - Aktuelle Werte zeigen
         return;
       }
 
+      // A short touch without dragging selects a building
+      if (joystick.active && !joystick.moved) {
+        handleSelectionClick(joystick.startX, joystick.startY);
+      }
+
       joystick.active = false;
       joystick.moveX = 0;
       joystick.moveZ = 0;
@@ -2694,7 +2464,13 @@ healerEditor.config            - Aktuelle Werte zeigen
     // Mouse move for preview ghost
     let lastMousePos = { x: 0, z: 0 };
     function handleMouseMove(e) {
-      if (gameState.phase !== 'day' || !gameRef.current.buildMode) {
+      updateSelectionBox(e.clientX, e.clientY);
+      if (gatherZoneHut) {
+        updateGatherZonePreview(e.clientX, e.clientY);
+        return;
+      }
+      const movingBuilding = gameRef.current.movingBuilding;
+      if (gameState.phase !== 'day' || (!gameRef.current.buildMode && !movingBuilding)) {
         hidePreview();
         return;
       }
@@ -2712,17 +2488,22 @@ healerEditor.config            - Aktuelle Werte zeigen
         lastMousePos = { x: gridX, z: gridZ };
 
         // Create or update preview ghost
-        const type = gameRef.current.buildMode;
+        const type = gameRef.current.buildMode || movingBuilding.userData.type;
         if (currentPreviewType !== type) {
           createPreviewGhost(type);
         }
 
+        if (movingBuilding) {
+          updatePreviewPosition(gridX, gridZ, movingBuilding.userData.rotation || 0, checkMoveValid(movingBuilding, gridX, gridZ));
+          return;
+        }
+
         let isValid = checkPlacementValid(gridX, gridZ, 2.5, type);
         if (type === 'wall') {
           isValid = checkWallPlacementValid(gridX, gridZ, 1.5);
         } else if (type === 'gate') {
-          const grid = wallGridRef.current.worldToGrid(gridX, gridZ);
-          const occupied = wallGridRef.current.hasWall(grid.gx, grid.gz);
+          const grid = sim.wallGrid.worldToGrid(gridX, gridZ);
+          const occupied = sim.wallGrid.hasWall(grid.gx, grid.gz);
           isValid = !occupied && checkWallPlacementValid(gridX, gridZ, 1.5);
         }
         const rotation = gameRef.current.buildRotation || 0;
@@ -2740,7 +2521,7 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     // Calculate wall positions along a line - grid-snapped for Snap & Connect system
     function getWallPositionsAlongLine(x1, z1, x2, z2) {
-      const cellSize = wallGridRef.current?.cellSize || 2;
+      const cellSize = sim.wallGrid?.cellSize || 2;
       const positions = [];
 
       // Grid-snap start and end
@@ -2891,7 +2672,7 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     // Calculate segment type for preview based on existing walls and preview positions
     function getPreviewSegmentType(gx, gz, previewPositions) {
-      const wallGrid = wallGridRef.current;
+      const wallGrid = sim.wallGrid;
       const northCell = wallGrid?.getWall(gx, gz + 1);
       const southCell = wallGrid?.getWall(gx, gz - 1);
       const eastCell = wallGrid?.getWall(gx + 1, gz);
@@ -2912,13 +2693,13 @@ healerEditor.config            - Aktuelle Werte zeigen
         if (pos.gx === gx - 1 && pos.gz === gz) existingNeighbors.west = true;
       });
 
-      return wallGridRef.current?.determineSegmentType(existingNeighbors) || { type: 'post', rotation: 0 };
+      return sim.wallGrid?.determineSegmentType(existingNeighbors) || { type: 'post', rotation: 0 };
     }
 
     // Update wall preview with multiple ghost walls - grid-snapped with segment types
     function updateWallPreviewLine(x1, z1, x2, z2) {
       const positions = getWallPositionsAlongLine(x1, z1, x2, z2);
-      const wallGrid = wallGridRef.current;
+      const wallGrid = sim.wallGrid;
       const previewPositions = [];
       for (const pos of positions) {
         const grid = wallGrid?.worldToGrid(pos.x, pos.z);
@@ -2989,6 +2770,14 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     // Mouse down for wall drag start
     function handleMouseDown(e) {
+      if (e.button === 0 && gatherZoneHut) {
+        const point = getGroundPoint(e.clientX, e.clientY);
+        if (point) gatherZoneStart = { x: point.x, z: point.z };
+        return;
+      }
+      if (e.button === 0 && !gameRef.current.buildMode && !gameRef.current.movingBuilding && !heroOrderMode) {
+        boxSelectStart = { x: e.clientX, y: e.clientY, dragging: false };
+      }
       if (gameState.phase !== 'day' || !gameRef.current.buildMode) return;
       if (gameRef.current.buildMode !== 'wall') return;
 
@@ -3008,7 +2797,22 @@ healerEditor.config            - Aktuelle Werte zeigen
 
     // Mouse up for wall drag end / regular building placement
     function handleMouseUp(e) {
-      if (gameState.phase !== 'day' || !gameRef.current.buildMode) return;
+      if (e.button !== 0) return; // Right click orders heroes (contextmenu)
+      if (gatherZoneHut) {
+        finishGatherZone(e.clientX, e.clientY);
+        return;
+      }
+      if (finishSelectionBox(e.clientX, e.clientY)) return;
+      if (gameState.phase === 'day' && gameRef.current.movingBuilding) {
+        const point = getGroundPoint(e.clientX, e.clientY);
+        if (point) commands.dispatch(GAME_COMMANDS.MOVE_BUILDING, { x: Math.round(point.x / 2) * 2, z: Math.round(point.z / 2) * 2 });
+        return;
+      }
+      if (!gameRef.current.buildMode) {
+        handleSelectionClick(e.clientX, e.clientY);
+        return;
+      }
+      if (gameState.phase !== 'day') return;
 
       const rect = containerRef.current.getBoundingClientRect();
       pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
@@ -3030,7 +2834,7 @@ healerEditor.config            - Aktuelle Werte zeigen
           const positions = getWallPositionsAlongLine(wallDragStartPos.x, wallDragStartPos.z, endX, endZ);
 
           let wallsPlaced = 0;
-          const wallGrid = wallGridRef.current;
+          const wallGrid = sim.wallGrid;
           for (const wallPos of positions) {
             const grid = wallGrid.worldToGrid(wallPos.x, wallPos.z);
             if (wallGrid.isBlockedCell(grid.gx, grid.gz)) break;
@@ -3038,7 +2842,7 @@ healerEditor.config            - Aktuelle Werte zeigen
             if (!checkWallPlacementValid(wallPos.x, wallPos.z, 1.5)) break;
 
             // Each wall has its own rotation from the line orientation
-            if (!placeBuildingWithRotation(wallPos.x, wallPos.z, wallPos.rotation)) break;
+            if (!commands.dispatch(GAME_COMMANDS.PLACE_BUILDING, { x: wallPos.x, z: wallPos.z, rotation: wallPos.rotation }).ok) break;
             wallsPlaced++;
           }
 
@@ -3054,7 +2858,7 @@ healerEditor.config            - Aktuelle Werte zeigen
           const dist = Math.sqrt(gridX * gridX + gridZ * gridZ);
           if (!isPlacementRestrictedToRing(type) || (dist >= 6 && dist <= 14)) {
             const rotation = gameRef.current.buildRotation || 0;
-            placeBuildingWithRotation(gridX, gridZ, rotation);
+            commands.dispatch(GAME_COMMANDS.PLACE_BUILDING, { x: gridX, z: gridZ, rotation });
           } else {
             setMessage('Zu nah oder zu weit vom Zentrum!');
             setTimeout(() => setMessage(''), 1500);
@@ -3078,26 +2882,29 @@ healerEditor.config            - Aktuelle Werte zeigen
     // Keyboard
     const keys = { w: false, a: false, s: false, d: false };
     const handleKeyDown = (e) => {
+      if (replayPlayer) return; // Replays only take their recorded commands
       const k = e.key.toLowerCase();
       if (k in keys) keys[k] = true;
 
       // R key to rotate building
       if (k === 'r' && gameRef.current.buildMode) {
-        const currentRotation = gameRef.current.buildRotation || 0;
-        const step = gameRef.current.buildMode === 'gate' ? 90 : 45;
-        const newRotation = (currentRotation + step) % 360;
-        gameRef.current.buildRotation = newRotation;
-        setBuildRotation(newRotation);
-
-        // Update preview
-        if (previewGhost) {
-          previewGhost.rotation.y = newRotation * Math.PI / 180;
-        }
+        commands.dispatch(GAME_COMMANDS.ROTATE_BUILDING);
       }
 
-      // Escape to cancel build mode
-      if (e.key === 'Escape' && gameRef.current.buildMode) {
-        window.gameCancelBuild && window.gameCancelBuild();
+      // Escape to cancel build mode, then a relocation, zone painting or hero order, then the selection
+      if (e.key === 'Escape') {
+        if (gameRef.current.buildMode) {
+          commands.dispatch(GAME_COMMANDS.CANCEL_BUILD);
+        } else if (gameRef.current.movingBuilding) {
+          commands.dispatch(GAME_COMMANDS.CANCEL_MOVE_BUILDING);
+        } else if (gatherZoneHut) {
+          commands.dispatch(GAME_COMMANDS.CANCEL_GATHER_ZONE);
+        } else if (heroOrderMode) {
+          commands.dispatch(GAME_COMMANDS.CANCEL_HERO_ORDER);
+        } else {
+          commands.dispatch(GAME_COMMANDS.DESELECT_BUILDING);
+          commands.dispatch(GAME_COMMANDS.DESELECT_HERO);
+        }
       }
     };
     const handleKeyUp = (e) => { const k = e.key.toLowerCase(); if (k in keys) keys[k] = false; };
@@ -3105,2041 +2912,1230 @@ healerEditor.config            - Aktuelle Werte zeigen
     window.addEventListener('keyup', handleKeyUp);
 
     // ============== BUILDING FUNCTIONS ==============
+    const buildingNames = {
+      collectorHut: 'Sammler-Hütte',
+      heroHut: 'Helden-Hütte',
+      beaverHut: 'Biber-Hütte',
+      lumberYard: 'Sägewerk',
+      carrotField: 'Karottenbeet',
+      tower: 'Wachturm',
+      wall: 'Mauer',
+      gate: 'Tor'
+    };
+
+    function syncBuildingList() {
+      setBuildings(buildingObjects.map(b => ({ type: b.userData.type, x: b.position.x, z: b.position.z, rotation: b.userData.rotation || 0 })));
+    }
+
+    // Places the building of the build mode (PLACE_BUILDING)
+    function placeBuilding({ x, z, rotation }) {
+      if (gameState.phase !== 'day') return commandFailed('Nur tagsüber!');
+      if (!gameRef.current.buildMode) return commandFailed('Kein Gebäude gewählt');
+      return placeBuildingWithRotation(x, z, rotation) ? commandOk() : commandFailed('Bauen nicht möglich');
+    }
+
     function placeBuildingWithRotation(x, z, rotation = 0, showMessage = true) {
       const type = gameRef.current.buildMode;
       if (!type) return false;
 
-      const wallGrid = wallGridRef.current;
-      const pathfinding = pathfindingRef.current;
-
-      // For walls/gates: snap to grid and use WallGrid system
-      if (isWallLikeType(type)) {
-        const grid = wallGrid.worldToGrid(x, z);
-        const snapped = wallGrid.gridToWorld(grid.gx, grid.gz);
-        x = snapped.x;
-        z = snapped.z;
-        const isGate = type === 'gate';
-        let wallRotation = Number.isFinite(rotation) ? rotation : 0;
-        if (isGate) {
-          wallRotation = getGateRotationForGrid(grid.gx, grid.gz, wallRotation);
-        }
-        const isDiagonal = !isGate && Math.abs(wallRotation % 90) === 45;
+      const result = sim.placeBuilding(type, x, z, rotation);
+      if (showMessage && (!result.ok || !isWallLikeType(type))) {
+        setMessage(result.ok ? `${buildingNames[type] || type} gebaut!` : result.error);
+        setTimeout(() => setMessage(''), 1500);
+      }
+      return result.ok;
+    }
 
-        // Check if grid cell already has a wall
-        if (wallGrid.hasWall(grid.gx, grid.gz)) {
-          if (showMessage) {
-            setMessage('Platz belegt!');
-            setTimeout(() => setMessage(''), 1500);
-          }
-          return false;
-        }
+    function startBuildMode(type) {
+      if (gameState.phase !== 'day') return commandFailed('Nur tagsüber!');
+      clearBuildingSelection();
+      gameRef.current.buildMode = type;
+      gameRef.current.buildRotation = 0; // Reset rotation when selecting new building
+      setBuildMode(type);
+      setBuildRotation(0);
+      createPreviewGhost(type);
+      return commandOk();
+    }
 
-        // Check radial limits (6-14 units from center)
-        if (isPlacementRestrictedToRing(type)) {
-          const dist = Math.sqrt(x * x + z * z);
-          if (dist < 6 || dist > 14) {
-            if (showMessage) {
-              setMessage('Zu nah oder zu weit vom Zentrum!');
-              setTimeout(() => setMessage(''), 1500);
-            }
-            return false;
-          }
-        }
+    function cancelBuildMode() {
+      gameRef.current.buildMode = null;
+      setBuildMode(null);
+      hidePreview();
+      if (previewGhost) {
+        scene.remove(previewGhost);
+        previewGhost = null;
+        currentPreviewType = null;
+      }
+      wallDragStartPos = null;
+      hideWallPreviewGhosts();
+    }
 
-        const cost = getBuildingCost(type);
-        if (getSafeScore() < cost) {
-          if (showMessage) {
-            setMessage('Nicht genug Karotten!');
-            setTimeout(() => setMessage(''), 1500);
-          }
-          return false;
-        }
+    function rotateBuildMode() {
+      if (!gameRef.current.buildMode) return commandFailed('Kein Gebäude gewählt');
+      const currentRotation = gameRef.current.buildRotation || 0;
+      const step = gameRef.current.buildMode === 'gate' ? 90 : 45;
+      const newRotation = (currentRotation + step) % 360;
+      gameRef.current.buildRotation = newRotation;
+      setBuildRotation(newRotation);
+      if (previewGhost) {
+        previewGhost.rotation.y = newRotation * Math.PI / 180;
+      }
+      return commandOk({ rotation: newRotation });
+    }
 
-        addScore(-cost);
-
-        // Create initial wall building (will be updated with correct segment)
-        const building = createGuineaPigHouse(type);
-        building.position.set(x, 0, z);
-        building.userData.rotation = wallRotation;
-        building.userData.wallOrientation = isDiagonal ? 'diagonal' : 'orth';
-        scene.add(building);
-        buildingObjects.push(building);
-        soundSystem.build();
-
-        // Add to WallGrid - this connects with neighbors
-        const wallOptions = isDiagonal
-          ? { connect: false, segmentType: 'diagonal', rotation: wallRotation }
-          : (isGate ? { segmentType: 'gate', rotation: wallRotation, lockSegmentType: true, lockRotation: true } : undefined);
-        const cell = wallGrid.addWall(grid.gx, grid.gz, building, wallOptions);
-
-        // Update geometry based on neighbor connections
-        if (cell) {
-          if (isDiagonal) {
-            updateWallSegmentGeometry(building, 'diagonal', wallRotation);
-          } else {
-            const segmentType = isGate ? 'gate' : cell.segmentType;
-            const segmentRotation = isGate ? wallRotation : cell.rotation;
-            updateWallSegmentGeometry(building, segmentType, segmentRotation);
-
-            // Update all affected neighbor geometries
-            Object.values(cell.neighbors).forEach(neighbor => {
-              if (neighbor && neighbor.building) {
-                const { type: segType, rotation: segRot } = wallGrid.updateSegmentType(neighbor);
-                updateWallSegmentGeometry(neighbor.building, segType, segRot);
-              }
-            });
-          }
-        }
+    // ============== BREEDING ==============
+    const heroRoster = []; // Bred heroes of this run, fallen ones stay listed
+    let nearbyPartnerType = null;
+    setRoster([]);
 
-        // Clear pathfinding cache since walls changed
-        pathfinding.clearCache();
+    function syncRoster() {
+      setRoster(heroRoster.map(entry => ({ ...entry })));
+    }
 
-        setBuildings([...buildingObjects.map(b => ({ type: b.userData.type, x: b.position.x, z: b.position.z, rotation: b.userData.rotation || 0 }))]);
+    function addToRoster(hero) {
+      const genes = hero.userData.genes;
+      if (!genes) return;
+      heroRoster.push({
+        id: hero.userData.heroId,
+        name: genes.name,
+        heroType: genes.heroType,
+        parent: GUINEA_PIG_TYPES[genes.parent]?.name || '?',
+        traits: genes.traits,
+        level: hero.userData.level || 1,
+        alive: true,
+      });
+      syncRoster();
+    }
 
-        return true;
-      }
+    function markHeroFallen(hero) {
+      const entry = heroRoster.find(e => e.id === hero.userData.heroId);
+      if (!entry || !entry.alive) return;
+      entry.alive = false;
+      syncRoster();
+    }
 
-      // Regular building placement (non-walls)
-      const cost = getBuildingCost(type);
-      if (getSafeScore() < cost) {
-        if (showMessage) {
-          setMessage('Nicht genug Karotten!');
-          setTimeout(() => setMessage(''), 1500);
-        }
-        return false;
-      }
+    // Shows what the partner next to the player passes on to its offspring
+    function updateNearbyPartner() {
+      const nearest = gameState.phase === 'day' && sim.player.visible ? sim.findNearestPartner() : null;
+      const type = nearest?.partner && nearest.dist < BREED_DISTANCE ? nearest.partner.userData.type : null;
+      if (type === nearbyPartnerType) return;
+      nearbyPartnerType = type;
+      setPartnerPanel(type ? getPartnerProfile(type) : null);
+    }
 
-      // Check if spot is free
-      for (const b of buildingObjects) {
-        const dx = b.position.x - x;
-        const dz = b.position.z - z;
-        if (Math.sqrt(dx * dx + dz * dz) < 2.5) {
-          if (showMessage) {
-            setMessage('Platz belegt!');
-            setTimeout(() => setMessage(''), 1500);
+    // ============== TOWER UPGRADES ==============
+    const TOWER_UPGRADE_DISTANCE = 4;
+    const TOWER_TOP_HEIGHT = 7.5; // Below the HP bar of the GLB tower
+    let nearbyTower = null;
+    let nearbyTowerKey = null;
+
+    const getTowerSkillEffects = () => sim.getTowerSkillEffects();
+
+    // Shows the upgrade panel while the player stands next to a tower during the day
+    function updateNearbyTower() {
+      let nearest = null;
+      let minDist = TOWER_UPGRADE_DISTANCE;
+      if (gameState.phase === 'day' && sim.player.visible) {
+        buildingObjects.forEach(building => {
+          if (building.userData.type !== 'tower' || building.userData.health <= 0) return;
+          const d = sim.player.position.distanceTo(building.position);
+          if (d < minDist) {
+            minDist = d;
+            nearest = building;
           }
-          return false;
-        }
+        });
       }
 
-      addScore(-cost);
+      const key = nearest ? `${nearest.uuid}:${nearest.userData.tier || 1}` : null;
+      if (key === nearbyTowerKey) return;
+      nearbyTower = nearest;
+      nearbyTowerKey = key;
+      setTowerPanel(nearest ? {
+        tier: nearest.userData.tier || 1,
+        branch: nearest.userData.branch || null,
+        options: getTowerUpgrades(nearest, getTowerSkillEffects()),
+      } : null);
+    }
 
-      const building = createGuineaPigHouse(type);
-      building.position.set(x, 0, z);
-      building.rotation.y = rotation * Math.PI / 180;
-      building.userData.rotation = rotation;
-      scene.add(building);
-      buildingObjects.push(building);
-      soundSystem.build();
-      if (wallGrid && !isWallLikeType(type)) {
-        const grid = wallGrid.worldToGrid(x, z);
-        wallGrid.setBlocked(grid.gx, grid.gz, true);
-        building.userData.blockedCell = { gx: grid.gx, gz: grid.gz };
-        pathfinding.clearCache();
-      }
-      setBuildings([...buildingObjects.map(b => ({ type: b.userData.type, x: b.position.x, z: b.position.z, rotation: b.userData.rotation || 0 }))]);
-
-      if (showMessage) {
-        const buildingNames = {
-          collectorHut: 'Sammler-Hütte',
-          heroHut: 'Helden-Hütte',
-          beaverHut: 'Biber-Hütte',
-          tower: 'Wachturm',
-          wall: 'Mauer',
-          gate: 'Tor'
-        };
-        setMessage(`${buildingNames[type] || type} gebaut!`);
+    function upgradeNearbyTower(branch) {
+      const tower = nearbyTower;
+      if (!tower || gameState.phase !== 'day' || gameState.gameOver || gameState.victory) return commandFailed('Kein Turm in der Nähe');
+      const option = getTowerUpgrades(tower).find(o => o.branch === branch);
+      if (!option) return commandFailed('Ausbau nicht verfügbar');
+
+      if (!canAffordUpgrade(option.cost, { carrots: getSafeScore(), wood: gameState.wood || 0 })) {
+        setMessage('Nicht genug Karotten oder Holz!');
         setTimeout(() => setMessage(''), 1500);
+        return commandFailed('Nicht genug Karotten oder Holz!');
       }
 
-      // Spawn initial units
-      if (type === 'collectorHut') {
-        spawnCollector(x, z, building);
-      }
-      if (type === 'beaverHut') {
-        spawnBeaver(x, z, building);
+      addScore(-option.cost.carrots);
+      sim.addWood(-option.cost.wood);
+
+      upgradeTower(tower, branch);
+      applyTowerUpgradeVisual(meshOf(tower), { height: TOWER_TOP_HEIGHT });
+      effects.push(...createExplosion(tower.position.clone().setY(TOWER_TOP_HEIGHT), TOWER_BRANCHES[branch].color));
+      soundSystem.build();
+
+      setMessage(`${option.icon} ${option.label} Stufe ${option.tier}!`);
+      setTimeout(() => setMessage(''), 1500);
+      nearbyTowerKey = null; // Refresh the panel with the next tier
+      commands.emit(GAME_EVENTS.TOWER_UPGRADED, { x: tower.position.x, z: tower.position.z, branch, tier: option.tier });
+      return commandOk({ tier: option.tier });
+    }
+
+    // ============== BUILDING SELECTION ==============
+    const SELECT_RADIUS = { wall: 1.2, gate: 1.2, default: 2 };
+    const SELECTION_REFRESH = 0.25; // Seconds between panel updates
+    const FOREST_STOCK_RADIUS = 18; // Trees counted as "nearby" in the beaver hut panel
+    let selectedBuilding = null;
+    let selectionTimer = 0;
+
+    const selectionRing = new THREE.Mesh(
+      new THREE.RingGeometry(1.6, 1.9, 32),
+      new THREE.MeshBasicMaterial({ color: 0xFFD700, transparent: true, opacity: 0.8 })
+    );
+    selectionRing.rotation.x = -Math.PI / 2;
+    selectionRing.position.y = 0.06;
+    selectionRing.visible = false;
+    scene.add(selectionRing);
+
+    function getGroundPoint(clientX, clientY) {
+      const rect = containerRef.current.getBoundingClientRect();
+      pointer.x = ((clientX - rect.left) / rect.width) * 2 - 1;
+      pointer.y = -((clientY - rect.top) / rect.height) * 2 + 1;
+      raycaster.setFromCamera(pointer, camera);
+      const intersects = raycaster.intersectObject(ground);
+      return intersects.length > 0 ? intersects[0].point : null;
+    }
+
+    function findBuildingAt(x, z) {
+      let nearest = null;
+      let minDist = Infinity;
+      buildingObjects.forEach(building => {
+        const dx = building.position.x - x;
+        const dz = building.position.z - z;
+        const d = Math.sqrt(dx * dx + dz * dz);
+        const radius = SELECT_RADIUS[building.userData.type] || SELECT_RADIUS.default;
+        if (d < radius && d < minDist) {
+          minDist = d;
+          nearest = building;
+        }
+      });
+      return nearest;
+    }
+
+    function getOwnedUnits(building) {
+      return {
+        collectors: collectors.filter(c => c.userData.homeBuilding === building),
+        beavers: beavers.filter(b => b.userData.homeBuilding === building),
+        heroes: defenders.filter(d => d.userData.homeBuilding === building),
+      };
+    }
+
+    function getSelectionInfo(building) {
+      const data = building.userData;
+      const type = data.type;
+      const header = type === 'gate' ? { icon: '🚪', label: 'Tor' } : BUILDING_TYPES[type];
+      const units = getOwnedUnits(building);
+      const stats = [];
+
+      if (type === 'tower') {
+        const towerStats = getTowerStats(building, getTowerSkillEffects());
+        const branch = TOWER_BRANCHES[data.branch];
+        stats.push(`${branch ? `${branch.icon} ${branch.label}` : 'Wachturm'} · Stufe ${data.tier || 1}/${TOWER_MAX_TIER}`);
+        stats.push(`${Math.round(towerStats.damage)} DMG | ${Math.round(towerStats.range)}m | ${towerStats.cooldown}s`);
+      } else if (type === 'collectorHut') {
+        const carrying = units.collectors.reduce((sum, c) => sum + (c.userData.carryingCount || 0), 0);
+        stats.push(`🧺 Sammler: ${units.collectors.length}/${BUILDING_TYPES.collectorHut.maxCollectors} · ${carrying} 🥕 unterwegs`);
+        stats.push(data.gatherZone ? `🗺️ Sammelzone: ${Math.round(data.gatherZone.radius)}m` : '🗺️ Keine Sammelzone, sammelt überall');
+      } else if (type === 'carrotField') {
+        const config = BUILDING_TYPES.carrotField;
+        const grown = getFieldCarrots(building, carrots).length;
+        stats.push(`🌱 Karotten: ${grown}/${config.maxCarrots}`);
+        if (grown < config.maxCarrots) {
+          stats.push(gameState.phase === 'day'
+            ? `Nächste in ${Math.max(0, Math.ceil(config.growInterval - (data.growTimer || 0)))}s`
+            : 'Wächst nur tagsüber');
+        }
+      } else if (type === 'beaverHut') {
+        const forest = getForestStock(landscapeSystem.getAllTrees(), building.position, FOREST_STOCK_RADIUS);
+        stats.push(`🦫 Biber: ${units.beavers.length}/${BUILDING_TYPES.beaverHut.maxBeavers}`);
+        stats.push(`🌲 Holz in der Nähe: ${forest.wood}/${forest.maxWood}${forest.stumps > 0 ? ` · ${forest.stumps} Stümpfe` : ''}`);
+      } else if (type === 'lumberYard') {
+        const config = BUILDING_TYPES.lumberYard;
+        stats.push(`🪚 ${config.woodPerBatch}🪵 → ${config.carrotsPerBatch}🥕 alle ${config.convertInterval}s`);
+        stats.push(`Behält ${config.woodReserve}🪵 für Reparaturen`);
+      } else if (isWallLikeType(type)) {
+        const tier = data.tier || 1;
+        stats.push(`${WALL_UPGRADES[tier - 2]?.label || header.label} · Stufe ${tier}/${WALL_MAX_TIER}`);
+      } else if (type === 'heroHut') {
+        const heroSpawnTime = 20 - getSkillEffect('heroSpawnRate');
+        stats.push(`🦸 Helden: ${units.heroes.length}`);
+        stats.push(`Nächster Held in ${Math.max(0, Math.ceil(heroSpawnTime - (data.spawnTimer || 0)))}s`);
       }
 
-      return true;
+      return {
+        type,
+        icon: header.icon,
+        label: header.label,
+        health: Math.max(0, Math.ceil(data.health)),
+        maxHealth: data.maxHealth,
+        stats,
+        refund: getSellRefund(building),
+        repair: getRepairCost(building),
+        moving: gameRef.current.movingBuilding === building,
+        targeting: hasTargeting(building) ? getTargetingMode(data) : null,
+        wallUpgrade: getWallUpgrade(building),
+        gatherZone: type === 'collectorHut' ? { radius: data.gatherZone?.radius || 0 } : null,
+      };
     }
 
-    // Legacy function for compatibility
-    function placeBuilding(x, z) {
-      return placeBuildingWithRotation(x, z, gameRef.current.buildRotation || 0);
+    function selectBuilding(building) {
+      selectedBuilding = building;
+      selectionTimer = SELECTION_REFRESH; // Refresh on the next frame
+      if (!building) setSelectedInfo(null);
     }
 
-    function spawnCollector(x, z, homeBuilding = null) {
-      const collector = createGuineaPig('collector', false, 0.9);
-      collector.position.set(x + 2, 0, z);
-      collector.userData.homePos = new THREE.Vector3(x, 0, z);
-      collector.userData.state = 'seeking';
-      collector.userData.homeBuilding = homeBuilding || findHomeBuilding('collectorHut', collector.userData.homePos);
-      scene.add(collector);
-      collectors.push(collector);
+    function clearBuildingSelection() {
+      cancelBuildingMove();
+      cancelGatherZone();
+      selectBuilding(null);
+      selectionRing.visible = false;
     }
 
-    function spawnHero(x, z) {
-      const heroType = heroTypes[Math.floor(Math.random() * heroTypes.length)];
+    // Keeps the ring on the selection and the panel's HP and unit counts current
+    function updateBuildingSelection(dt) {
+      if (!selectedBuilding) return;
+      selectionRing.position.set(selectedBuilding.position.x, 0.06, selectedBuilding.position.z);
+      selectionRing.scale.setScalar(isWallLikeType(selectedBuilding.userData.type) ? 0.6 : 1);
+      selectionRing.visible = true;
+
+      selectionTimer += dt;
+      if (selectionTimer < SELECTION_REFRESH) return;
+      selectionTimer = 0;
+      setSelectedInfo(getSelectionInfo(selectedBuilding));
+    }
 
-      // Spezieller Fall für GLB-Modelle
-      let hero;
-      if (heroType === 'healer') {
-        hero = createHealerTank(1.1);
-      } else if (heroType === 'bomber') {
-        hero = createBomberHero(1.1);
+    function handleSelectionClick(clientX, clientY) {
+      const point = getGroundPoint(clientX, clientY);
+      if (heroOrderMode) {
+        if (point) handleOrderClick(point);
+        return;
+      }
+      if (point) {
+        commands.dispatch(GAME_COMMANDS.SELECT_AT, { x: point.x, z: point.z });
       } else {
-        hero = createGuineaPig(heroType, false, 1.1);
+        commands.dispatch(GAME_COMMANDS.DESELECT_HERO);
+        commands.dispatch(GAME_COMMANDS.DESELECT_BUILDING);
       }
+    }
 
-      hero.position.set(x + 2, 0, z);
-      hero.userData.placed = true;
-      scene.add(hero);
-      defenders.push(hero);
-      setMessage(`🦸 ${GUINEA_PIG_TYPES[heroType].name} erschienen!`);
-      setTimeout(() => setMessage(''), 2000);
+    // Hero first, then the building on the ground; nothing there clears the selection
+    function selectAt({ x, z }) {
+      const hero = findHeroAt(x, z);
+      if (hero) {
+        selectHero(hero);
+        return commandOk();
+      }
+      selectHero(null);
+      const building = findBuildingAt(x, z);
+      if (building) selectBuilding(building);
+      else clearBuildingSelection();
+      return commandOk();
     }
 
-    function spawnBeaver(x, z, homeBuilding = null) {
-      const beaver = createGuineaPig('collector', false, 0.85); // Use collector model for now
-      beaver.position.set(x + 2, 0, z);
-      beaver.userData.type = 'beaver';
-      beaver.userData.state = 'collecting';
-      beaver.userData.speed = 0.045;
-      beaver.userData.homePos = new THREE.Vector3(x, 0, z);
-      beaver.userData.homeBuilding = homeBuilding || findHomeBuilding('beaverHut', beaver.userData.homePos);
-      beaver.userData.carryingWood = 0;
-      beaver.userData.maxCarry = 2;
-      beaver.userData.targetTree = null;
-      beaver.userData.targetBuilding = null;
-      // Make beaver slightly brown-tinted
-      beaver.traverse((child) => {
-        if (child.isMesh && child.material) {
-          child.material = safeCloneMaterial(child.material);
-          child.material.color.setHex(0x8B4513);
-        }
-      });
-      scene.add(beaver);
-      beavers.push(beaver);
+    // Relocation keeps the cell rules of placement: ring distance and free cell for houses,
+    // a free wall cell for walls and gates
+    function checkMoveValid(building, x, z) {
+      const type = building.userData.type;
+      const wallGrid = sim.wallGrid;
+      const grid = wallGrid.worldToGrid(x, z);
+      const others = buildingObjects.filter(b => b !== building);
+
+      if (isWallLikeType(type)) {
+        const sameCell = wallGrid.getWall(grid.gx, grid.gz)?.building === building;
+        if (!sameCell && (wallGrid.hasWall(grid.gx, grid.gz) || wallGrid.isBlockedCell(grid.gx, grid.gz))) return false;
+        return others.every(b => isWallLikeType(b.userData.type) || b.position.distanceTo(new THREE.Vector3(x, 0, z)) >= 1.5);
+      }
+
+      if (isPlacementRestrictedToRing(type)) {
+        const dist = Math.sqrt(x * x + z * z);
+        if (dist < 6 || dist > 14) return false;
+      }
+      const ownCell = building.userData.blockedCell;
+      const isOwnCell = ownCell && ownCell.gx === grid.gx && ownCell.gz === grid.gz;
+      if (!isOwnCell && wallGrid.isBlockedCell(grid.gx, grid.gz)) return false;
+      return others.every(b => b.position.distanceTo(new THREE.Vector3(x, 0, z)) >= 2.5);
     }
 
-    // Expose to React
-    window.gameBuild = (type) => {
-      gameRef.current.buildMode = type;
-      gameRef.current.buildRotation = 0; // Reset rotation when selecting new building
-      setBuildMode(type);
-      setBuildRotation(0);
-      createPreviewGhost(type);
-    };
-    window.gameCancelBuild = () => {
-      gameRef.current.buildMode = null;
-      setBuildMode(null);
+    function cancelBuildingMove() {
+      if (!gameRef.current.movingBuilding) return;
+      gameRef.current.movingBuilding = null;
       hidePreview();
       if (previewGhost) {
         scene.remove(previewGhost);
         previewGhost = null;
         currentPreviewType = null;
       }
-      wallDragStartPos = null;
-      hideWallPreviewGhosts();
-    };
-    window.gameRotateBuilding = () => {
-      if (gameRef.current.buildMode) {
-        const currentRotation = gameRef.current.buildRotation || 0;
-        const step = gameRef.current.buildMode === 'gate' ? 90 : 45;
-        const newRotation = (currentRotation + step) % 360;
-        gameRef.current.buildRotation = newRotation;
-        setBuildRotation(newRotation);
-        if (previewGhost) {
-          previewGhost.rotation.y = newRotation * Math.PI / 180;
-        }
+      selectionTimer = SELECTION_REFRESH;
+    }
+
+    function finishBuildingMove(x, z) {
+      const building = gameRef.current.movingBuilding;
+      if (!building || gameState.phase !== 'day') return false;
+      const wallGrid = sim.wallGrid;
+      const type = building.userData.type;
+
+      if (isWallLikeType(type)) {
+        const grid = wallGrid.worldToGrid(x, z);
+        const snapped = wallGrid.gridToWorld(grid.gx, grid.gz);
+        x = snapped.x;
+        z = snapped.z;
       }
-    };
-    window.gameBreed = () => {
-      if (getSafeScore() >= 15) {
-        const nearest = findNearestPartner();
-        if (nearest && nearest.dist < 3.5) {
-          addScore(-15);
-
-          const heroType = heroTypes[Math.floor(Math.random() * heroTypes.length)];
-          let hero;
-          if (heroType === 'healer') {
-            hero = createHealerTank(1.1);
-          } else if (heroType === 'bomber') {
-            hero = createBomberHero(1.1);
-          } else {
-            hero = createGuineaPig(heroType, false, 1.1);
-          }
-          hero.position.set(player.position.x + 2, 0, player.position.z);
-          hero.userData.placed = true;
-          scene.add(hero);
-          defenders.push(hero);
-
-          effects.push(...createHearts(player.position));
-          setMessage(`💕 ${GUINEA_PIG_TYPES[heroType].name} geboren!`);
-          setTimeout(() => setMessage(''), 2000);
-        }
+      if (!checkMoveValid(building, x, z)) {
+        setMessage('Platz belegt!');
+        setTimeout(() => setMessage(''), 1500);
+        return false;
       }
-    };
 
-    function findNearestPartner() {
-      let nearest = null;
-      let minDist = Infinity;
-      for (const p of partners) {
-        if (!p.visible) continue;
-        const dx = player.position.x - p.position.x;
-        const dz = player.position.z - p.position.z;
-        const d = Math.sqrt(dx*dx + dz*dz);
-        if (d < minDist) {
-          minDist = d;
-          nearest = p;
-        }
+      const from = { x: building.position.x, z: building.position.z };
+      sim.moveBuilding(building, x, z);
+
+      soundSystem.build();
+      syncBuildingList();
+      cancelBuildingMove();
+      commands.emit(GAME_EVENTS.BUILDING_MOVED, { buildingType: type, x: from.x, z: from.z, toX: x, toZ: z });
+      return true;
+    }
+
+    function startBuildingMove() {
+      if (!selectedBuilding) return commandFailed('Kein Gebäude ausgewählt');
+      if (gameState.phase !== 'day') return commandFailed('Nur tagsüber!');
+      cancelBuildMode();
+      gameRef.current.movingBuilding = selectedBuilding;
+      createPreviewGhost(selectedBuilding.userData.type);
+      selectionTimer = SELECTION_REFRESH;
+      setMessage('👆 Neuen Platz wählen | Esc = Abbrechen');
+      setTimeout(() => setMessage(''), 1500);
+      return commandOk();
+    }
+
+    function sellSelectedBuilding() {
+      const building = selectedBuilding;
+      if (!building || gameState.gameOver || gameState.victory) return commandFailed('Kein Gebäude ausgewählt');
+      const refund = getSellRefund(building);
+
+      // Units of the hut leave with it
+      const { collectors: ownCollectors, beavers: ownBeavers } = getOwnedUnits(building);
+      ownCollectors.forEach(c => sim.removeEntity(collectors, c, 'removed'));
+      ownBeavers.forEach(b => sim.removeEntity(beavers, b, 'removed'));
+
+      // Enemies and beavers drop it as target
+      building.userData.health = 0;
+      effects.push(...createExplosion(building.position, 0xFFD700));
+      sim.removeBuilding(building, 'sold');
+
+      addScore(refund.carrots);
+      if (refund.wood > 0) sim.addWood(refund.wood);
+      setMessage(`💰 Verkauft: +${refund.carrots}🥕${refund.wood > 0 ? ` +${refund.wood}🪵` : ''}`);
+      setTimeout(() => setMessage(''), 1500);
+      commands.emit(GAME_EVENTS.BUILDING_SOLD, { buildingType: building.userData.type, x: building.position.x, z: building.position.z, refund });
+      return commandOk({ refund });
+    }
+
+    function repairSelectedBuilding() {
+      const building = selectedBuilding;
+      if (!building || gameState.gameOver || gameState.victory) return commandFailed('Kein Gebäude ausgewählt');
+      const { wood: woodCost, hp } = getRepairCost(building);
+      if (hp <= 0) return commandFailed('Gebäude ist unbeschädigt');
+      if ((gameState.wood || 0) < woodCost) {
+        setMessage('Nicht genug Holz!');
+        setTimeout(() => setMessage(''), 1500);
+        return commandFailed('Nicht genug Holz!');
       }
-      return { partner: nearest, dist: minDist };
+
+      sim.addWood(-woodCost);
+      building.userData.health = building.userData.maxHealth;
+      removeStatus(building.userData, 'poison');
+      effects.push(...createHealEffect(building.position));
+      soundSystem.build();
+      selectionTimer = SELECTION_REFRESH;
+      setMessage(`🔧 Repariert: +${hp} HP`);
+      setTimeout(() => setMessage(''), 1500);
+      commands.emit(GAME_EVENTS.BUILDING_REPAIRED, { buildingType: building.userData.type, x: building.position.x, z: building.position.z, wood: woodCost, hp });
+      return commandOk({ wood: woodCost, hp });
     }
 
-    // ============== PHASE TRANSITIONS ==============
-    function transitionToNight() {
-      gameState.phase = 'night';
-      gameState.nightActive = true;
-      setPhase('night');
+    function upgradeSelectedWall() {
+      const building = selectedBuilding;
+      if (!building || gameState.gameOver || gameState.victory) return commandFailed('Kein Gebäude ausgewählt');
+      if (gameState.phase !== 'day') return commandFailed('Nur tagsüber!');
+      const option = getWallUpgrade(building);
+      if (!option) return commandFailed('Ausbau nicht verfügbar');
 
-      // Cancel build mode and hide previews
-      gameRef.current.buildMode = null;
-      setBuildMode(null);
-      hidePreview();
-      if (previewGhost) {
-        scene.remove(previewGhost);
-        previewGhost = null;
-        currentPreviewType = null;
+      if (!canAffordUpgrade(option.cost, { carrots: getSafeScore(), wood: gameState.wood || 0 })) {
+        setMessage('Nicht genug Karotten oder Holz!');
+        setTimeout(() => setMessage(''), 1500);
+        return commandFailed('Nicht genug Karotten oder Holz!');
       }
-      wallDragStartPos = null;
-      hideWallPreviewGhosts();
 
-      // Night mode graphics
-      scene.background = new THREE.Color(0x1a1a3a);
-      scene.fog.color.setHex(0x1a1a3a);
-      lights.setNightMode();
-      clouds.setVisible(false);
+      addScore(-option.cost.carrots);
+      sim.addWood(-option.cost.wood);
+
+      upgradeWall(building, getSkillEffect('wallHealth'));
+      const wallGrid = sim.wallGrid;
+      const grid = wallGrid.worldToGrid(building.position.x, building.position.z);
+      const cell = wallGrid.getWall(grid.gx, grid.gz);
+      updateWallSegmentGeometry(meshOf(building), cell?.segmentType || building.userData.segmentType, cell?.rotation ?? building.userData.rotation);
+      effects.push(...createExplosion(building.position.clone().setY(1.5), 0x8B4513));
+      soundSystem.build();
+
+      selectionTimer = SELECTION_REFRESH;
+      setMessage(`${option.icon} ${option.label}!`);
+      setTimeout(() => setMessage(''), 1500);
+      commands.emit(GAME_EVENTS.WALL_UPGRADED, { buildingType: building.userData.type, x: building.position.x, z: building.position.z, tier: option.tier });
+      return commandOk({ tier: option.tier });
+    }
+
+    // ============== GATHER ZONES ==============
+    let gatherZoneHut = null; // Collector hut waiting for its zone to be painted
+    let gatherZoneStart = null; // Zone center while the radius is dragged
+    let logisticsVisible = false;
+
+    const gatherZonePreview = createZoneRing(0xFFFF66);
+    gatherZonePreview.visible = false;
+    scene.add(gatherZonePreview);
+
+    const logisticsOverlay = createLogisticsOverlay();
+    logisticsOverlay.visible = false;
+    scene.add(logisticsOverlay);
+
+    // Press sets the center, dragging sets the radius, a plain click uses the default radius
+    function startGatherZone() {
+      if (selectedBuilding?.userData.type !== 'collectorHut') return commandFailed('Keine Sammler-Hütte ausgewählt');
+      cancelHeroOrderMode();
+      gatherZoneHut = selectedBuilding;
+      gatherZoneStart = null;
+      setZonePainting(true);
+      return commandOk();
+    }
+
+    function cancelGatherZone() {
+      gatherZoneHut = null;
+      gatherZoneStart = null;
+      gatherZonePreview.visible = false;
+      setZonePainting(false);
+    }
 
-      player.userData.lastDayPos = player.position.clone();
-      player.userData.inCastle = false;
-      player.visible = true;
+    function getPaintedRadius(point) {
+      if (!gatherZoneStart) return BUILDING_TYPES.collectorHut.gatherZone.defaultRadius;
+      const drag = Math.hypot(point.x - gatherZoneStart.x, point.z - gatherZoneStart.z);
+      return clampGatherRadius(drag < 1 ? BUILDING_TYPES.collectorHut.gatherZone.defaultRadius : drag);
+    }
+
+    function updateGatherZonePreview(clientX, clientY) {
+      const point = getGroundPoint(clientX, clientY);
+      if (!point) return;
+      const center = gatherZoneStart || point;
+      gatherZonePreview.position.set(center.x, gatherZonePreview.position.y, center.z);
+      gatherZonePreview.scale.setScalar(getPaintedRadius(point));
+      gatherZonePreview.visible = true;
+    }
 
-      partners.forEach(p => {
-        p.userData.lastDayPos = p.position.clone();
-        p.userData.inCastle = false;
-        p.visible = true;
+    function finishGatherZone(clientX, clientY) {
+      const point = getGroundPoint(clientX, clientY);
+      if (!point || !gatherZoneStart) return;
+      const result = commands.dispatch(GAME_COMMANDS.SET_GATHER_ZONE, {
+        x: gatherZoneStart.x,
+        z: gatherZoneStart.z,
+        radius: getPaintedRadius(point),
       });
+      if (!result.ok) {
+        setMessage(result.error);
+        setTimeout(() => setMessage(''), 1500);
+      }
+    }
 
-      collectors.forEach(collector => {
-        collector.userData.targetCarrot = null;
-        collector.userData.noPathTimer = 0;
-        if (collector.userData.unreachableTargets) {
-          collector.userData.unreachableTargets.clear();
-        }
+    // Radius 0 clears the zone, the collectors gather everywhere again
+    function setSelectedGatherZone({ x, z, radius }) {
+      const hut = gatherZoneHut || selectedBuilding;
+      if (hut?.userData.type !== 'collectorHut' || !buildingObjects.includes(hut)) return commandFailed('Keine Sammler-Hütte ausgewählt');
+      if (!Number.isFinite(radius) || (radius > 0 && (!Number.isFinite(x) || !Number.isFinite(z)))) return commandFailed('Keine Zone gewählt');
+      cancelGatherZone();
+
+      const zone = setGatherZone(hut, radius > 0 ? { x, z, radius } : null);
+      // Collectors pick their next carrot by the new zone
+      getOwnedUnits(hut).collectors.forEach(collector => {
+        if (collector.userData.state === 'seeking') collector.userData.targetCarrot = null;
       });
 
-      changeWeather();
-      startWave(gameState.wave);
+      selectionTimer = SELECTION_REFRESH;
+      setMessage(zone ? `🗺️ Sammelzone: ${Math.round(zone.radius)}m` : '🗺️ Sammelzone entfernt');
+      setTimeout(() => setMessage(''), 1500);
+      commands.emit(GAME_EVENTS.GATHER_ZONE_CHANGED, { x: hut.position.x, z: hut.position.z, zone });
+      return commandOk({ zone });
     }
 
-    function transitionToDay() {
-      gameState.phase = 'day';
-      gameState.nightActive = false;
-      gameState.bossWave = false;
-      setBossActive(false);
-      gameState.wave++;
-      gameState.dayTimer = 0;
-      setWave(gameState.wave);
-      setPhase('day');
-      setDayTimeLeft(gameState.dayDuration);
+    function toggleLogisticsOverlay() {
+      logisticsVisible = !logisticsVisible;
+      setShowLogistics(logisticsVisible);
+      return commandOk({ visible: logisticsVisible });
+    }
 
-      // Day mode graphics
-      scene.background = new THREE.Color(0x87CEEB);
-      scene.fog.color.setHex(0x87CEEB);
-      lights.setDayMode();
-      clouds.setVisible(true);
+    // Shown while toggled on or while a collector hut is selected
+    function updateLogistics() {
+      logisticsOverlay.visible = logisticsVisible || selectedBuilding?.userData.type === 'collectorHut';
+      if (!logisticsOverlay.visible) return;
+      updateLogisticsOverlay(
+        logisticsOverlay,
+        buildingObjects.filter(b => b.userData.type === 'collectorHut'),
+        collectors
+      );
+    }
 
-      player.visible = true;
-      if (player.userData.inCastle && player.userData.lastDayPos) {
-        player.position.copy(player.userData.lastDayPos);
+    // ============== HERO SELECTION ==============
+    const HERO_SELECT_RADIUS = 1.2;
+    const BOX_SELECT_MIN = 8; // Pixels a drag needs before it becomes a selection box
+    let selectedHeroes = [];
+    let heroCardTimer = 0;
+    let boxSelectStart = null;
+    const heroRings = [];
+
+    function getHeroRing(index) {
+      if (!heroRings[index]) {
+        const ring = new THREE.Mesh(
+          new THREE.RingGeometry(0.9, 1.1, 24),
+          new THREE.MeshBasicMaterial({ color: 0x7CFC00, transparent: true, opacity: 0.8 })
+        );
+        ring.rotation.x = -Math.PI / 2;
+        ring.visible = false;
+        scene.add(ring);
+        heroRings[index] = ring;
       }
-      player.userData.inCastle = false;
+      return heroRings[index];
+    }
 
-      partners.forEach(p => {
-        p.visible = true;
-        if (p.userData.inCastle && p.userData.lastDayPos) {
-          p.position.copy(p.userData.lastDayPos);
-        }
-        p.userData.inCastle = false;
-        if (p.userData.targetPos) {
-          p.userData.targetPos.copy(p.position);
+    function findHeroAt(x, z) {
+      let nearest = null;
+      let minDist = HERO_SELECT_RADIUS;
+      defenders.forEach(hero => {
+        const dx = hero.position.x - x;
+        const dz = hero.position.z - z;
+        const d = Math.sqrt(dx * dx + dz * dz);
+        if (d < minDist) {
+          minDist = d;
+          nearest = hero;
         }
       });
+      return nearest;
+    }
 
-      collectors.forEach(collector => {
-        collector.visible = true;
-        collector.userData.inHut = false;
-        collector.userData.state = 'seeking';
-        collector.userData.targetCarrot = null;
-        collector.userData.noPathTimer = 0;
-        if (collector.userData.unreachableTargets) {
-          collector.userData.unreachableTargets.clear();
-        }
-        if (!collector.userData.homeBuilding) {
-          collector.userData.homeBuilding = findHomeBuilding('collectorHut', collector.userData.homePos);
-        }
+    // Heroes whose screen position lies inside a dragged box (client coordinates)
+    function findHeroesInBox(x1, y1, x2, y2) {
+      const rect = containerRef.current.getBoundingClientRect();
+      const projected = new THREE.Vector3();
+      return defenders.filter(hero => {
+        projected.copy(hero.position).project(camera);
+        const sx = rect.left + (projected.x + 1) / 2 * rect.width;
+        const sy = rect.top + (1 - projected.y) / 2 * rect.height;
+        return sx >= Math.min(x1, x2) && sx <= Math.max(x1, x2) && sy >= Math.min(y1, y2) && sy <= Math.max(y1, y2);
       });
+    }
 
-      beavers.forEach(beaver => {
-        beaver.visible = true;
-        beaver.userData.inHut = false;
-        beaver.userData.state = 'collecting';
-        beaver.userData.targetBuilding = null;
-        beaver.userData.targetTree = null;
-        if (!beaver.userData.homeBuilding) {
-          beaver.userData.homeBuilding = findHomeBuilding('beaverHut', beaver.userData.homePos);
-        }
+    function updateSelectionBox(x, y) {
+      if (!boxSelectStart) return;
+      const dragged = Math.abs(x - boxSelectStart.x) > BOX_SELECT_MIN || Math.abs(y - boxSelectStart.y) > BOX_SELECT_MIN;
+      if (!dragged && !boxSelectStart.dragging) return;
+      boxSelectStart.dragging = true;
+      const rect = containerRef.current.getBoundingClientRect();
+      setSelectionBox({
+        left: Math.min(x, boxSelectStart.x) - rect.left,
+        top: Math.min(y, boxSelectStart.y) - rect.top,
+        width: Math.abs(x - boxSelectStart.x),
+        height: Math.abs(y - boxSelectStart.y),
       });
+    }
 
-      // Regenerate if fortress skill
-      if (getSkillEffect('fortress')) {
-        gameState.baseHealth = Math.min(gameState.maxBaseHealth, gameState.baseHealth + 10);
-        setBaseHealth(gameState.baseHealth);
-      }
+    // Returns true if the mouse up finished a box selection
+    function finishSelectionBox(x, y) {
+      const start = boxSelectStart;
+      boxSelectStart = null;
+      if (!start?.dragging) return false;
+      setSelectionBox(null);
+      const heroIds = findHeroesInBox(start.x, start.y, x, y).map(hero => hero.userData.heroId);
+      commands.dispatch(GAME_COMMANDS.SELECT_HEROES, { heroIds });
+      return true;
+    }
 
-      // Spawn more carrots
-      for (let i = 0; i < 12; i++) spawnCarrot();
-
-      if (gameState.wave >= WAVES.length && !gameState.victory) {
-        gameState.victory = true;
-        setVictory(true);
-        // Award skill points
-        const safeScore = getSafeScore();
-        const earnedPoints = Math.floor(safeScore / 5) + gameState.wave * 10;
-        setMeta(prev => ({
-          ...prev,
-          skillPoints: prev.skillPoints + earnedPoints,
-          bestWave: Math.max(prev.bestWave, gameState.wave),
-          totalGames: prev.totalGames + 1,
-          totalCarrots: prev.totalCarrots + safeScore,
-        }));
-        setMessage(`🏆 SIEG! +${earnedPoints} Skillpunkte!`);
-      } else {
-        changeWeather();
-        setMessage(`☀️ Tag ${gameState.wave + 1}`);
-        setTimeout(() => setMessage(''), 2500);
+    function getHeroCard(hero) {
+      const data = hero.userData;
+      return {
+        id: hero.userData.heroId,
+        name: getHeroName(hero),
+        typeName: GUINEA_PIG_TYPES[data.type]?.name || data.type,
+        ...getLevelProgress(data),
+        maxLevel: HERO_LEVELS.maxLevel,
+        health: Math.max(0, Math.ceil(data.health)),
+        maxHealth: data.maxHealth,
+        damage: data.attackDamage,
+        speed: Math.round(data.speed / 0.025 * 100),
+        cooldown: getAbilityCooldown(hero),
+        kills: data.kills || 0,
+        traits: data.genes?.traits || [],
+        perks: data.perks || [],
+        perkOptions: getPerkOptions(hero),
+        order: data.order?.type || null,
+        canTarget: hasTargeting(hero),
+        targeting: getTargetingMode(data),
+      };
+    }
+
+    function getHeroGroupCard(heroes) {
+      const orders = new Set(heroes.map(hero => hero.userData.order?.type || null));
+      const modes = new Set(heroes.filter(hasTargeting).map(hero => getTargetingMode(hero.userData)));
+      return {
+        group: true,
+        heroes: heroes.map(hero => ({ id: hero.userData.heroId, name: getHeroName(hero), level: hero.userData.level || 1 })),
+        order: orders.size === 1 ? [...orders][0] : null,
+        canTarget: modes.size > 0,
+        targeting: modes.size === 1 ? [...modes][0] : null,
+      };
+    }
+
+    function selectHeroes(heroes) {
+      if (heroes.length > 0) clearBuildingSelection();
+      selectedHeroes = heroes;
+      heroCardTimer = SELECTION_REFRESH; // Refresh on the next frame
+      if (heroes.length === 0) {
+        cancelHeroOrderMode();
+        heroRings.forEach(ring => { ring.visible = false; });
+        setHeroCard(null);
       }
     }
 
-    // ============== MAIN LOOP ==============
-    let time = 0;
-    let lastTime = performance.now();
+    const selectHero = (hero) => selectHeroes(hero ? [hero] : []);
+
+    // Target priority of the selected tower or the selected ranged heroes
+    function setSelectedTargeting({ mode }) {
+      const shooters = (selectedBuilding ? [selectedBuilding] : selectedHeroes).filter(hasTargeting);
+      if (shooters.length === 0) return commandFailed('Nur Türme und Fernkämpfer haben Zielmodi');
+      shooters.forEach(unit => { unit.userData.targeting = mode; });
+      selectionTimer = SELECTION_REFRESH; // Refresh the panels on the next frame
+      heroCardTimer = SELECTION_REFRESH;
+      commands.emit(GAME_EVENTS.TARGETING_CHANGED, { mode, count: shooters.length });
+      return commandOk({ mode, count: shooters.length });
+    }
 
-    function animate() {
-      requestAnimationFrame(animate);
-      const now = performance.now();
-      const dt = Math.min((now - lastTime) / 1000, 0.05);
-      lastTime = now;
-      time += dt;
+    // Combat log of the targeting modes, refreshed like the selection panels
+    let targetingLogTimer = 0;
+    function updateTargetingStats(dt) {
+      if (gameState.phase !== 'night') return;
+      targetingLogTimer += dt;
+      if (targetingLogTimer < SELECTION_REFRESH) return;
+      targetingLogTimer = 0;
+      const entries = getTargetingSummary(sim.targetingLog);
+      setTargetingStats(entries.length > 0 ? { wave: gameState.wave, entries } : null);
+    }
 
-      if (gameState.gameOver || gameState.victory) {
-        try {
-          renderer.render(scene, camera);
-        } catch (e) {
-          console.error('[Render] Error in gameOver/victory render:', e.message);
-        }
-        return;
-      }
+    function selectHeroById({ heroId }) {
+      const hero = defenders.find(d => d.userData.heroId === heroId);
+      if (!hero) return commandFailed('Held nicht gefunden');
+      selectHero(hero);
+      return commandOk();
+    }
 
-      // Update enhanced graphics
-      clouds.update(time);
-      dustParticles.update();
+    function selectHeroesById({ heroIds }) {
+      selectHeroes(defenders.filter(d => heroIds.includes(d.userData.heroId)));
+      return commandOk();
+    }
 
-      // Weather effects
-      if (gameState.weather === 'rainy') {
-        const positions = rain.geometry.attributes.position.array;
-        for (let i = 0; i < positions.length; i += 3) {
-          positions[i + 1] -= 0.5;
-          if (positions[i + 1] < 0) positions[i + 1] = 30;
-        }
-        rain.geometry.attributes.position.needsUpdate = true;
+    // Follows the selected heroes with rings and keeps the card current
+    function updateHeroSelection(dt) {
+      if (selectedHeroes.length === 0) return;
+      const alive = selectedHeroes.filter(hero => defenders.includes(hero));
+      if (alive.length !== selectedHeroes.length) {
+        selectHeroes(alive);
+        if (alive.length === 0) return;
       }
+      alive.forEach((hero, i) => getHeroRing(i));
+      heroRings.forEach((ring, i) => {
+        const hero = alive[i];
+        ring.visible = !!hero;
+        if (hero) ring.position.set(hero.position.x, 0.06, hero.position.z);
+      });
 
-      // Combo timer
-      if (gameState.comboTimer > 0) {
-        gameState.comboTimer -= dt;
-        setComboTimer(gameState.comboTimer);
-        if (gameState.comboTimer <= 0) {
-          gameState.combo = 0;
-          setCombo(0);
-        }
-      }
+      heroCardTimer += dt;
+      if (heroCardTimer < SELECTION_REFRESH) return;
+      heroCardTimer = 0;
+      setHeroCard(alive.length === 1 ? getHeroCard(alive[0]) : getHeroGroupCard(alive));
+    }
 
-      // Speed boost timer
-      if (gameState.speedBoostTimer > 0) {
-        gameState.speedBoostTimer -= dt;
+    // The simulation levelled a hero up: insignia, roster and card follow
+    function showHeroLevelUp({ heroId, level }) {
+      const hero = defenders.find(d => d.userData.heroId === heroId);
+      if (hero) applyRankInsignia(meshOf(hero));
+      const entry = heroRoster.find(e => e.id === heroId);
+      if (entry) {
+        entry.level = level;
+        syncRoster();
       }
+      if (selectedHeroes.includes(hero)) heroCardTimer = SELECTION_REFRESH;
+    }
 
-      // Rage mode check
-      const wasRage = gameState.rageActive;
-      gameState.rageActive = gameState.baseHealth < gameState.maxBaseHealth * 0.25;
-      if (gameState.rageActive !== wasRage) {
-        setRageMode(gameState.rageActive);
-        if (gameState.rageActive) {
-          setMessage('🔥 RAGE MODE!');
-          setTimeout(() => setMessage(''), 2000);
-        }
-      }
+    function chooseSelectedHeroPerk({ perk }) {
+      const hero = selectedHeroes.length === 1 ? selectedHeroes[0] : null;
+      if (!hero) return commandFailed('Kein Held ausgewählt');
+      const chosen = chooseHeroPerk(hero, perk);
+      if (!chosen) return commandFailed('Perk nicht verfügbar');
+      heroCardTimer = SELECTION_REFRESH;
+      effects.push(...createExplosion(hero.position, 0xFFD700));
+      setMessage(`${chosen.icon} ${getHeroName(hero)}: ${chosen.label}`);
+      setTimeout(() => setMessage(''), 1500);
+      commands.emit(GAME_EVENTS.HERO_PERK_CHOSEN, { heroType: hero.userData.type, name: getHeroName(hero), perk });
+      return commandOk({ perk });
+    }
 
-      // Fortress regeneration
-      if (getSkillEffect('fortress') && gameState.baseHealth < gameState.maxBaseHealth) {
-        gameState.baseHealth = Math.min(gameState.maxBaseHealth, gameState.baseHealth + dt);
-        setBaseHealth(Math.floor(gameState.baseHealth));
-      }
+    // ============== HERO ORDERS ==============
+    let heroOrderMode = null; // Order waiting for its target click(s)
+    let patrolStart = null;
 
-      // ===== POISON DAMAGE OVER TIME =====
-      // Base poison tick
-      if (gameState.basePoisoned && gameState.basePoisonDuration > 0) {
-        gameState.basePoisonTickTimer += dt;
-        gameState.basePoisonDuration -= dt;
-
-        // Tick damage every 1 second
-        if (gameState.basePoisonTickTimer >= 1) {
-          gameState.basePoisonTickTimer = 0;
-          gameState.baseHealth -= gameState.basePoisonDamage;
-          setBaseHealth(Math.max(0, Math.floor(gameState.baseHealth)));
-
-          // Green poison particles on base
-          const poisonEffect = createExplosion(new THREE.Vector3(0, 0.5, 0), 0x00FF00);
-          poisonEffect.forEach(p => scene.add(p));
-          effects.push(...poisonEffect);
-
-          if (gameState.baseHealth <= 0 && !gameState.gameOver && !gameState.victory) {
-            gameState.gameOver = true;
-            const safeScore = getSafeScore();
-            const earnedPoints = Math.floor(safeScore / 10) + gameState.wave * 5;
-            setMeta(prev => ({
-              ...prev,
-              skillPoints: prev.skillPoints + earnedPoints,
-              bestWave: Math.max(prev.bestWave, gameState.wave),
-              totalGames: prev.totalGames + 1,
-            }));
-            setGameOver(true);
-            setMessage(`💀 GAME OVER (Gift) - +${earnedPoints} SP`);
-          }
-        }
+    function createOrderMarker(order) {
+      const material = new THREE.MeshBasicMaterial({ color: HERO_ORDER_STYLES[order.type].color, transparent: true, opacity: 0.75 });
+      const group = new THREE.Group();
+      const addWaypoint = ({ x, z }) => {
+        const post = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 1.4, 6), material);
+        post.position.set(x, 0.7, z);
+        const flag = new THREE.Mesh(new THREE.ConeGeometry(0.25, 0.4, 4), material);
+        flag.position.set(x, 1.5, z);
+        flag.rotation.x = Math.PI;
+        const ring = new THREE.Mesh(new THREE.RingGeometry(0.35, 0.5, 16), material);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.set(x, 0.05, z);
+        group.add(post, flag, ring);
+      };
 
-        // Clear poison when duration ends
-        if (gameState.basePoisonDuration <= 0) {
-          gameState.basePoisoned = false;
-          setMessage(''); // Clear poison message
-        }
+      if (order.type === HERO_ORDERS.GUARD) {
+        // Ring around the building, moved along in updateHeroOrders
+        const ring = new THREE.Mesh(new THREE.RingGeometry(2.4, 2.6, 32), material);
+        ring.rotation.x = -Math.PI / 2;
+        ring.position.y = 0.05;
+        group.add(ring);
+      } else if (order.type === HERO_ORDERS.PATROL) {
+        order.points.forEach(addWaypoint);
+        const line = new THREE.Line(
+          new THREE.BufferGeometry().setFromPoints(order.points.map(p => new THREE.Vector3(p.x, 0.1, p.z))),
+          new THREE.LineDashedMaterial({ color: HERO_ORDER_STYLES[order.type].color, dashSize: 0.5, gapSize: 0.3 })
+        );
+        line.computeLineDistances();
+        group.add(line);
+      } else {
+        addWaypoint(order.target);
       }
 
-      // Building poison tick
-      buildingObjects.forEach(building => {
-        if (building.userData.poisoned && building.userData.poisonDuration > 0) {
-          building.userData.poisonTickTimer += dt;
-          building.userData.poisonDuration -= dt;
-
-          if (building.userData.poisonTickTimer >= 1) {
-            building.userData.poisonTickTimer = 0;
-            building.userData.health -= building.userData.poisonDamage;
-
-            // Green poison effect
-            const poisonEffect = createExplosion(building.position, 0x00FF00);
-            poisonEffect.forEach(p => scene.add(p));
-            effects.push(...poisonEffect);
-          }
-
-          if (building.userData.poisonDuration <= 0) {
-            building.userData.poisoned = false;
-          }
-        }
-      });
-
-      // Defender poison tick
-      defenders.forEach(defender => {
-        if (defender.userData.poisoned && defender.userData.poisonDuration > 0) {
-          defender.userData.poisonTickTimer += dt;
-          defender.userData.poisonDuration -= dt;
-
-          if (defender.userData.poisonTickTimer >= 1) {
-            defender.userData.poisonTickTimer = 0;
-            defender.userData.health -= defender.userData.poisonDamage;
-
-            // Green poison effect
-            const poisonEffect = createExplosion(defender.position, 0x00FF00);
-            poisonEffect.forEach(p => scene.add(p));
-            effects.push(...poisonEffect);
-          }
-
-          if (defender.userData.poisonDuration <= 0) {
-            defender.userData.poisoned = false;
-          }
-        }
-      });
-
-      // ===== DAY PHASE =====
-      if (gameState.phase === 'day') {
-        gameState.dayTimer += dt;
-        setDayTimeLeft(Math.max(0, Math.ceil(gameState.dayDuration - gameState.dayTimer)));
-
-        // Weather changes
-        gameState.weatherTimer += dt;
-        if (gameState.weatherTimer > 30) {
-          gameState.weatherTimer = 0;
-          if (Math.random() < 0.3) changeWeather();
-        }
-
-        // Player movement with smooth velocity
-        let maxSpeed = 0.08;
-        const acceleration = 0.008;
-        const friction = 0.88;
-        if (gameState.speedBoostTimer > 0) maxSpeed *= 1.5;
-        // Weather Master enhances windy speed bonus
-        if (gameState.weather === 'windy') {
-          const weatherBonus = getSkillEffect('weatherMaster');
-          maxSpeed *= weatherBonus >= 1 ? 1.35 : 1.2; // 35% with Weather Master, 20% without
-        }
-
-        let inputX = joystick.moveX;
-        let inputZ = joystick.moveZ;
-        if (keys.w) inputZ -= 1;
-        if (keys.s) inputZ += 1;
-        if (keys.a) inputX -= 1;
-        if (keys.d) inputX += 1;
-
-        const hasInput = Math.abs(inputX) > 0.1 || Math.abs(inputZ) > 0.1;
-
-        if (hasInput) {
-          const len = Math.sqrt(inputX * inputX + inputZ * inputZ);
-          if (len > 0) { inputX /= len; inputZ /= len; }
-
-          // Accelerate towards input direction
-          player.userData.velocityX += inputX * acceleration;
-          player.userData.velocityZ += inputZ * acceleration;
-
-          // Clamp to max speed
-          const currentSpeed = Math.sqrt(player.userData.velocityX ** 2 + player.userData.velocityZ ** 2);
-          if (currentSpeed > maxSpeed) {
-            player.userData.velocityX = (player.userData.velocityX / currentSpeed) * maxSpeed;
-            player.userData.velocityZ = (player.userData.velocityZ / currentSpeed) * maxSpeed;
-          }
-
-          player.userData.targetRotation = Math.atan2(-inputZ, inputX);
-        } else {
-          // Apply friction when no input
-          player.userData.velocityX *= friction;
-          player.userData.velocityZ *= friction;
-        }
-
-        // Apply velocity to position
-        const newX = player.position.x + player.userData.velocityX;
-        const newZ = player.position.z + player.userData.velocityZ;
-
-        // Simple bounds
-        const dist = Math.sqrt(newX*newX + newZ*newZ);
-        if (dist < 35) {
-          player.position.x = newX;
-          player.position.z = newZ;
-        } else {
-          // Bounce off bounds slightly
-          player.userData.velocityX *= -0.3;
-          player.userData.velocityZ *= -0.3;
-        }
-
-        // Animation based on actual movement speed
-        const movementSpeed = Math.sqrt(player.userData.velocityX ** 2 + player.userData.velocityZ ** 2);
-        const isMoving = movementSpeed > 0.005;
-
-        if (isMoving) {
-          const animIntensity = Math.min(movementSpeed / maxSpeed, 1);
-          player.rotation.z = Math.sin(time * 10) * 0.1 * animIntensity;
-          player.position.y = Math.abs(Math.sin(time * 10)) * 0.05 * animIntensity;
-        } else {
-          player.rotation.z *= 0.9;
-          player.position.y *= 0.9;
-        }
-
-        let rotDiff = player.userData.targetRotation - player.rotation.y;
-        while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-        while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
-        player.rotation.y += rotDiff * 0.15;
-
-        resolveUnitBuildingCollisions(player, {
-          unitRadius: UNIT_COLLISION_RADIUS.player,
-          allowBuilding: (building) => building.userData.type === 'gate',
-          ignoreCastle: false,
-        });
-
-        // Partner movement
-        partners.forEach((p, i) => {
-          if (!p.visible) return;
-          const data = p.userData;
-          
-          if (data.waitTime > 0) {
-            data.waitTime -= dt;
-          } else {
-            const d = moveUnitWithPathfinding(p, data.targetPos, 0.02, {
-              allowGate: true,
-              stopDistance: 0.5,
-            });
+      scene.add(group);
+      return group;
+    }
 
-            if (d < 0.5) {
-              const angle = Math.random() * Math.PI * 2;
-              const radius = 8 + Math.random() * 15;
-              data.targetPos.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
-              data.waitTime = 2 + Math.random() * 4;
-            }
-          }
-          
-          // Heart indicator
-          const pdist = Math.sqrt(
-            Math.pow(player.position.x - p.position.x, 2) + 
-            Math.pow(player.position.z - p.position.z, 2)
-          );
-          if (data.heartIndicator) {
-            data.heartIndicator.visible = getSafeScore() >= 15 && pdist < 4;
-            if (data.heartIndicator.visible) {
-              data.heartIndicator.position.y = 1.2 + Math.sin(time * 3) * 0.1;
-            }
-          }
+    const orderMarkers = new Map(); // Hero -> marker of its current order
 
-          resolveUnitBuildingCollisions(p, {
-            unitRadius: UNIT_COLLISION_RADIUS.partner,
-            allowBuilding: (building) => building.userData.type === 'gate',
-            ignoreCastle: false,
-          });
+    function showOrderMarker(hero) {
+      const marker = orderMarkers.get(hero);
+      if (marker) {
+        scene.remove(marker);
+        marker.traverse(child => {
+          if (child.geometry) child.geometry.dispose();
         });
+        orderMarkers.delete(hero);
+      }
+      const { order } = hero.userData;
+      if (order && defenders.includes(hero)) orderMarkers.set(hero, createOrderMarker(order));
+    }
 
-        // Carrot collection - with magnet if skill unlocked
-        const magnetRange = getSkillEffect('autoCollect') ? 8 : 1.5;
-        
-        carrots.forEach((carrot, i) => {
-          if (carrot.userData.collected) return;
-          
-          if (carrot.userData.ring) {
-            carrot.userData.ring.rotation.z = time * 2;
-          }
-          carrot.position.y = Math.sin(time * 2 + i) * 0.03;
-
-          const dx = player.position.x - carrot.position.x;
-          const dz = player.position.z - carrot.position.z;
-          const d = Math.sqrt(dx * dx + dz * dz);
-
-          // Magnet pull
-          if (getSkillEffect('autoCollect') && d < magnetRange && d > 1.5) {
-            carrot.position.x += dx / d * 0.1;
-            carrot.position.z += dz / d * 0.1;
-          }
-
-          if (d < 1.5) {
-            carrot.userData.collected = true;
-            
-            // Combo system
-            gameState.combo++;
-            gameState.comboTimer = 2;
-            setCombo(gameState.combo);
-            setComboTimer(2);
-            
-            const comboMultiplier = 1 + Math.min(gameState.combo, 10) * 0.1;
-            const diffMod = DIFFICULTY_MODS[difficulty] || DIFFICULTY_MODS.normal;
-            const value = Math.floor(carrot.userData.value * comboMultiplier * diffMod.carrotValue);
-            addScore(value);
-            soundSystem.collect();
-
-            // Special effects
-            if (carrot.userData.type === 'blue') {
-              gameState.speedBoostTimer = 5;
-              setMessage('⚡ Speed Boost!');
-              setTimeout(() => setMessage(''), 1500);
-            }
+    function setHeroOrderMode(mode) {
+      heroOrderMode = mode;
+      patrolStart = null;
+      setOrderTargeting(mode);
+    }
 
-            if (gameState.combo >= 5) {
-              effects.push(...createComboText(carrot.position, gameState.combo));
-              soundSystem.combo(gameState.combo);
-            }
-            
-            // Animate removal
-            const anim = () => {
-              carrot.scale.multiplyScalar(0.85);
-              carrot.position.y += 0.12;
-              if (carrot.scale.x > 0.05) {
-                requestAnimationFrame(anim);
-              } else {
-                scene.remove(carrot);
-                const idx = carrots.indexOf(carrot);
-                if (idx > -1) carrots.splice(idx, 1);
-                setTimeout(spawnCarrot, 2000 + Math.random() * 3000);
-              }
-            };
-            anim();
-          }
-        });
+    function cancelHeroOrderMode() {
+      if (heroOrderMode) setHeroOrderMode(null);
+    }
 
-        // Collector AI
-        collectors.forEach(collector => {
-          const data = collector.userData;
-          if (!collector.visible) return;
-
-          if (!data.unreachableTargets) data.unreachableTargets = new Map();
-          const isTargetBlocked = (target) => {
-            if (!target?.uuid) return false;
-            const until = data.unreachableTargets.get(target.uuid);
-            if (until && until > time) return true;
-            if (until) data.unreachableTargets.delete(target.uuid);
-            return false;
-          };
-          const markTargetBlocked = (target, seconds = 4) => {
-            if (!target?.uuid) return;
-            data.unreachableTargets.set(target.uuid, time + seconds);
-          };
-
-          if (data.state === 'seeking') {
-            if (data.targetCarrot && (data.targetCarrot.userData.collected || isTargetBlocked(data.targetCarrot))) {
-              data.targetCarrot = null;
-            }
+    function issueHeroOrder({ order, x, z, x2, z2 }) {
+      const heroes = selectedHeroes.filter(hero => defenders.includes(hero));
+      if (heroes.length === 0) return commandFailed('Keine Helden ausgewählt');
+      const needsTarget = order !== 'none' && order !== HERO_ORDERS.HOLD;
+      if (needsTarget && (!Number.isFinite(x) || !Number.isFinite(z))) return commandFailed('Kein Ziel gewählt');
+      if (order === HERO_ORDERS.PATROL && (!Number.isFinite(x2) || !Number.isFinite(z2))) return commandFailed('Zweiter Wegpunkt fehlt');
+      const building = order === HERO_ORDERS.GUARD ? findBuildingAt(x, z) : null;
+      if (order === HERO_ORDERS.GUARD && !building) return commandFailed('Kein Gebäude am Ziel');
+      cancelHeroOrderMode();
+
+      const offsets = getFormationOffsets(heroes.length);
+      heroes.forEach((hero, i) => {
+        const offset = offsets[i];
+        // Hold without a target keeps every hero where it stands
+        const target = Number.isFinite(x) ? { x: x + offset.x, z: z + offset.z } : hero.position;
+        sim.setHeroOrder(hero, order === 'none' ? null : createHeroOrder(order, {
+          target,
+          building,
+          from: target,
+          to: order === HERO_ORDERS.PATROL ? { x: x2 + offset.x, z: z2 + offset.z } : null,
+        }));
+      });
 
-            if (!data.targetCarrot) {
-              let nearestCarrot = null;
-              let nearestDist = Infinity;
-              carrots.forEach(c => {
-                if (c.userData.collected || isTargetBlocked(c)) return;
-                const dx = collector.position.x - c.position.x;
-                const dz = collector.position.z - c.position.z;
-                const d = Math.sqrt(dx * dx + dz * dz);
-                if (d < nearestDist) {
-                  if (!isPathReachable(collector.position, c.position, { allowGate: true })) {
-                    markTargetBlocked(c);
-                    return;
-                  }
-                  nearestDist = d;
-                  nearestCarrot = c;
-                }
-              });
-              data.targetCarrot = nearestCarrot;
-            }
+      heroCardTimer = SELECTION_REFRESH;
+      commands.emit(GAME_EVENTS.HEROES_ORDERED, { order, count: heroes.length });
+      return commandOk({ count: heroes.length });
+    }
 
-            if (data.targetCarrot) {
-              const target = data.targetCarrot;
-              const d = collector.position.distanceTo(target.position);
-              if (d > 1) {
-                moveUnitWithPathfinding(collector, target.position, data.speed, {
-                  allowGate: true,
-                  stopDistance: 1,
-                  allowFallback: false,
-                });
-                if (data.navNoPath) {
-                  markTargetBlocked(target);
-                  data.targetCarrot = null;
-                }
-              } else {
-                // Collect
-                target.userData.collected = true;
-                data.carryingCarrots += target.userData.value;
-                data.carryingCount = (data.carryingCount || 0) + 1;
-                scene.remove(target);
-                const idx = carrots.indexOf(target);
-                if (idx > -1) carrots.splice(idx, 1);
-                setTimeout(spawnCarrot, 3000);
-                data.targetCarrot = null;
-
-                if (data.carryingCount >= data.maxCarry) {
-                  data.state = 'returning';
-                }
-              }
-            } else if (data.carryingCount > 0) {
-              data.state = 'returning';
-            } else {
-              const homeDist = collector.position.distanceTo(data.homePos);
-              if (homeDist > 4) {
-                moveUnitWithPathfinding(collector, data.homePos, data.speed * 0.7, {
-                  allowGate: true,
-                  stopDistance: 2.2,
-                  allowFallback: false,
-                });
-              }
-            }
-          } else if (data.state === 'returning') {
-            data.noPathTimer = data.noPathTimer || 0;
-            const depositDist = getBuildingApproachDistance(
-              data.homeBuilding,
-              UNIT_COLLISION_RADIUS.collector,
-              0.2
-            );
-            moveUnitWithPathfinding(collector, data.homePos, data.speed, {
-              allowGate: true,
-              stopDistance: depositDist,
-              allowFallback: false,
-            });
+    // Hold and "none" apply at once, the others wait for target clicks
+    function startHeroOrder({ order }) {
+      if (selectedHeroes.length === 0) return commandFailed('Keine Helden ausgewählt');
+      if (order === HERO_ORDERS.HOLD || order === 'none') return issueHeroOrder({ order });
+      setHeroOrderMode(order);
+      return commandOk();
+    }
 
-            if (data.navNoPath) {
-              data.noPathTimer += dt;
-              if (data.noPathTimer > 2.5) {
-                addScore(data.carryingCarrots);
-                data.carryingCarrots = 0;
-                data.carryingCount = 0;
-                data.state = 'seeking';
-                data.targetCarrot = null;
-                data.noPathTimer = 0;
-              }
-            } else {
-              data.noPathTimer = 0;
-            }
+    function handleOrderClick(point) {
+      if (heroOrderMode === HERO_ORDERS.PATROL && !patrolStart) {
+        patrolStart = { x: point.x, z: point.z };
+        setOrderTargeting('patrol2');
+        return;
+      }
+      const payload = heroOrderMode === HERO_ORDERS.PATROL
+        ? { order: heroOrderMode, x: patrolStart.x, z: patrolStart.z, x2: point.x, z2: point.z }
+        : { order: heroOrderMode, x: point.x, z: point.z };
+      const result = commands.dispatch(GAME_COMMANDS.ORDER_HEROES, payload);
+      if (!result.ok) {
+        setMessage(result.error);
+        setTimeout(() => setMessage(''), 1500);
+      }
+    }
 
-            const d = collector.position.distanceTo(data.homePos);
-            if (d <= depositDist) {
-              // Deposit
-              addScore(data.carryingCarrots);
-              data.carryingCarrots = 0;
-              data.carryingCount = 0;
-              data.state = 'seeking';
-              data.targetCarrot = null;
-              data.noPathTimer = 0;
-            }
-          }
-          
-          collector.rotation.z = Math.sin(time * 6) * 0.05;
+    // Right click: guard the building under the cursor, otherwise move there
+    function handleContextMenu(e) {
+      e.preventDefault();
+      if (selectedHeroes.length === 0) return;
+      const point = getGroundPoint(e.clientX, e.clientY);
+      if (!point) return;
+      const order = findBuildingAt(point.x, point.z) ? HERO_ORDERS.GUARD : HERO_ORDERS.MOVE;
+      commands.dispatch(GAME_COMMANDS.ORDER_HEROES, { order, x: point.x, z: point.z });
+    }
+    containerRef.current.addEventListener('contextmenu', handleContextMenu);
 
-          resolveUnitBuildingCollisions(collector, {
-            unitRadius: UNIT_COLLISION_RADIUS.collector,
-            allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
-            ignoreCastle: false,
-          });
-        });
+    // Guard markers follow relocated buildings
+    function updateHeroOrders() {
+      orderMarkers.forEach((marker, hero) => {
+        const { order } = hero.userData;
+        if (order?.type === HERO_ORDERS.GUARD) marker.position.set(order.target.x, 0, order.target.z);
+      });
+    }
 
-        // Beaver AI
-        beavers.forEach(beaver => {
-          const data = beaver.userData;
-          if (!beaver.visible) return;
-
-          // Find damaged buildings (sorted by lowest HP%)
-          const damagedBuildings = buildingObjects
-            .filter(b => b.userData.health < b.userData.maxHealth && b.userData.health > 0)
-            .sort((a, b) => {
-              const aPercent = a.userData.health / a.userData.maxHealth;
-              const bPercent = b.userData.health / b.userData.maxHealth;
-              return aPercent - bPercent;
-            });
+    // ============== COMMANDS ==============
+    const unregisterCommands = [
+      commands.handle(GAME_COMMANDS.BUILD, ({ buildingType }) => startBuildMode(buildingType)),
+      commands.handle(GAME_COMMANDS.PLACE_BUILDING, placeBuilding),
+      commands.handle(GAME_COMMANDS.CANCEL_BUILD, cancelBuildMode),
+      commands.handle(GAME_COMMANDS.ROTATE_BUILDING, rotateBuildMode),
+      commands.handle(GAME_COMMANDS.BREED, () => sim.breed()),
+      commands.handle(GAME_COMMANDS.SKIP_DAY, () => sim.skipDay()),
+      commands.handle(GAME_COMMANDS.UPGRADE_TOWER, ({ branch }) => upgradeNearbyTower(branch)),
+      commands.handle(GAME_COMMANDS.SELL_BUILDING, sellSelectedBuilding),
+      commands.handle(GAME_COMMANDS.REPAIR_BUILDING, repairSelectedBuilding),
+      commands.handle(GAME_COMMANDS.UPGRADE_WALL, upgradeSelectedWall),
+      commands.handle(GAME_COMMANDS.START_MOVE_BUILDING, startBuildingMove),
+      commands.handle(GAME_COMMANDS.MOVE_BUILDING, ({ x, z }) => (finishBuildingMove(x, z) ? commandOk() : commandFailed('Platz belegt!'))),
+      commands.handle(GAME_COMMANDS.CANCEL_MOVE_BUILDING, cancelBuildingMove),
+      commands.handle(GAME_COMMANDS.DESELECT_BUILDING, clearBuildingSelection),
+      commands.handle(GAME_COMMANDS.SELECT_AT, selectAt),
+      commands.handle(GAME_COMMANDS.SELECT_HERO, selectHeroById),
+      commands.handle(GAME_COMMANDS.SELECT_HEROES, selectHeroesById),
+      commands.handle(GAME_COMMANDS.DESELECT_HERO, () => selectHero(null)),
+      commands.handle(GAME_COMMANDS.CHOOSE_HERO_PERK, chooseSelectedHeroPerk),
+      commands.handle(GAME_COMMANDS.START_HERO_ORDER, startHeroOrder),
+      commands.handle(GAME_COMMANDS.CANCEL_HERO_ORDER, cancelHeroOrderMode),
+      commands.handle(GAME_COMMANDS.ORDER_HEROES, issueHeroOrder),
+      commands.handle(GAME_COMMANDS.SET_TARGETING, setSelectedTargeting),
+      commands.handle(GAME_COMMANDS.START_GATHER_ZONE, startGatherZone),
+      commands.handle(GAME_COMMANDS.CANCEL_GATHER_ZONE, cancelGatherZone),
+      commands.handle(GAME_COMMANDS.SET_GATHER_ZONE, setSelectedGatherZone),
+      commands.handle(GAME_COMMANDS.TOGGLE_LOGISTICS_OVERLAY, toggleLogisticsOverlay),
+    ];
 
-          // State transitions
-          if (damagedBuildings.length > 0 && data.carryingWood > 0) {
-            data.state = 'repairing';
-            data.targetBuilding = damagedBuildings[0];
-          } else if (damagedBuildings.length === 0 && data.state === 'repairing') {
-            data.state = 'collecting';
-            data.targetBuilding = null;
-          }
+    // ============== PHASE TRANSITIONS ==============
+    // The simulation switches the phase; scene, panels and the build mode follow
+    function showNight() {
+      setPhase('night');
+      updateNearbyTower();
+      updateNearbyPartner();
+      cancelBuildingMove();
 
-          if (data.state === 'collecting') {
-            // Check if full
-            if (data.carryingWood >= data.maxCarry) {
-              if (damagedBuildings.length > 0) {
-                data.state = 'repairing';
-                data.targetBuilding = damagedBuildings[0];
-              } else {
-                data.state = 'returning';
-              }
-            } else {
-              // Find nearest tree with wood
-              const trees = landscapeSystem.getAllResourceTrees();
-              let nearestTree = null;
-              let nearestDist = Infinity;
-              trees.forEach(tree => {
-                const dx = beaver.position.x - tree.position.x;
-                const dz = beaver.position.z - tree.position.z;
-                const d = Math.sqrt(dx * dx + dz * dz);
-                if (d < nearestDist) {
-                  nearestDist = d;
-                  nearestTree = tree;
-                }
-              });
-
-              if (nearestTree) {
-                if (nearestDist > 2) {
-                  // Move toward tree
-                  moveUnitWithPathfinding(beaver, nearestTree.position, data.speed, {
-                    allowGate: true,
-                    stopDistance: 2,
-                  });
-                } else {
-                  // Harvest wood
-                  if (nearestTree.userData.woodAmount > 0) {
-                    nearestTree.userData.woodAmount -= 1;
-                    data.carryingWood += 1;
-                    nearestTree.scale.multiplyScalar(0.92); // Visual shrink
-                  }
-                }
-              } else if (data.carryingWood > 0) {
-                // No trees, return home if carrying
-                data.state = 'returning';
-              }
-            }
-          } else if (data.state === 'repairing') {
-            const target = data.targetBuilding;
-
-            if (!target || target.userData.health >= target.userData.maxHealth || target.userData.health <= 0) {
-              data.state = 'collecting';
-              data.targetBuilding = null;
-            } else {
-              const dx = target.position.x - beaver.position.x;
-              const dz = target.position.z - beaver.position.z;
-              const d = Math.sqrt(dx * dx + dz * dz);
-
-              const repairDist = getBuildingApproachDistance(
-                target,
-                UNIT_COLLISION_RADIUS.beaver,
-                0.4
-              );
-              if (d > repairDist) {
-                moveUnitWithPathfinding(beaver, target.position, data.speed, {
-                  allowGate: true,
-                  stopDistance: repairDist,
-                });
-              } else if (data.carryingWood > 0) {
-                // Repair: 25 HP per wood
-                const repairAmount = 25;
-                target.userData.health = Math.min(target.userData.maxHealth, target.userData.health + repairAmount);
-                data.carryingWood -= 1;
-
-                // Visual feedback - brown particles
-                for (let i = 0; i < 3; i++) {
-                  const spark = new THREE.Mesh(
-                    new THREE.SphereGeometry(0.1),
-                    new THREE.MeshBasicMaterial({ color: 0x8B4513 })
-                  );
-                  spark.position.copy(target.position);
-                  spark.position.y += 1;
-                  spark.userData = { type: 'effect', life: 0.5, velocity: new THREE.Vector3((Math.random() - 0.5) * 2, 2, (Math.random() - 0.5) * 2) };
-                  scene.add(spark);
-                  effects.push(spark);
-                }
-
-                if (data.carryingWood <= 0) {
-                  data.state = 'collecting';
-                  data.targetBuilding = null;
-                }
-              }
-            }
-          } else if (data.state === 'returning') {
-            const dx = data.homePos.x - beaver.position.x;
-            const dz = data.homePos.z - beaver.position.z;
-            const d = Math.sqrt(dx * dx + dz * dz);
-
-            const depositDist = getBuildingApproachDistance(
-              data.homeBuilding,
-              UNIT_COLLISION_RADIUS.beaver,
-              0.2
-            );
-            if (d > depositDist) {
-              moveUnitWithPathfinding(beaver, data.homePos, data.speed, {
-                allowGate: true,
-                stopDistance: depositDist,
-              });
-            } else {
-              // Deposit wood
-              gameState.wood = (gameState.wood || 0) + data.carryingWood;
-              setWood(gameState.wood);
-              data.carryingWood = 0;
-              data.state = 'collecting';
-            }
-          }
+      // Cancel build mode and hide previews
+      gameRef.current.buildMode = null;
+      setBuildMode(null);
+      hidePreview();
+      if (previewGhost) {
+        scene.remove(previewGhost);
+        previewGhost = null;
+        currentPreviewType = null;
+      }
+      wallDragStartPos = null;
+      hideWallPreviewGhosts();
 
-          // Animation wobble
-          beaver.rotation.z = Math.sin(time * 5) * 0.04;
-
-          resolveUnitBuildingCollisions(beaver, {
-            unitRadius: UNIT_COLLISION_RADIUS.beaver,
-            allowBuilding: (building) => (
-              building.userData.type === 'gate' ||
-              building === data.homeBuilding ||
-              building === data.targetBuilding
-            ),
-            ignoreCastle: false,
-          });
-        });
+      // Night mode graphics
+      scene.background = new THREE.Color(0x1a1a3a);
+      scene.fog.color.setHex(0x1a1a3a);
+      lights.setNightMode();
+      clouds.setVisible(false);
+    }
 
-        // Building spawns
-        buildingObjects.forEach(building => {
-          const data = building.userData;
-          data.spawnTimer += dt;
-          
-          const heroSpawnTime = 20 - getSkillEffect('heroSpawnRate');
-          
-          if (data.type === 'collectorHut' && data.spawnTimer >= 30 && gameState.phase === 'day') {
-            data.spawnTimer = 0;
-            if (collectors.filter(c => c.userData.homePos.equals(new THREE.Vector3(building.position.x, 0, building.position.z))).length < 3) {
-              spawnCollector(building.position.x, building.position.z, building);
-            }
-          }
-          
-          if (data.type === 'heroHut' && data.spawnTimer >= heroSpawnTime) {
-            data.spawnTimer = 0;
-            spawnHero(building.position.x, building.position.z);
-          }
+    function showDay() {
+      setBossActive(false);
+      setWave(gameState.wave);
+      setPhase('day');
+      setDayTimeLeft(gameState.dayDuration);
 
-          if (data.type === 'beaverHut' && data.spawnTimer >= 25 && gameState.phase === 'day') {
-            data.spawnTimer = 0;
-            const homeBeavers = beavers.filter(b =>
-              b.userData.homePos && b.userData.homePos.distanceTo(building.position) < 1
-            );
-            if (homeBeavers.length < 2) {
-              spawnBeaver(building.position.x, building.position.z, building);
-            }
-          }
-        });
+      // Day mode graphics
+      scene.background = new THREE.Color(0x87CEEB);
+      scene.fog.color.setHex(0x87CEEB);
+      lights.setDayMode();
+      clouds.setVisible(true);
+    }
 
-        // Tree wood regeneration
-        landscapeSystem.getAllTrees().forEach(tree => {
-          if (tree.userData.woodAmount < tree.userData.maxWood) {
-            tree.userData.regenTimer = (tree.userData.regenTimer || 0) + dt;
-            if (tree.userData.regenTimer >= 20) { // 20 seconds to regen 1 wood
-              tree.userData.woodAmount += 1;
-              tree.userData.regenTimer = 0;
-              // Visual feedback - tree grows back slightly
-              tree.scale.multiplyScalar(1.03);
-            }
+    // ============== RUN EVENTS ==============
+    // Render events become meshes, particles, sounds and messages; game events
+    // update the UI and go out on the command bus
+    function handleRenderEvent(event) {
+      switch (event.type) {
+        case 'entityAdded':
+          addEntityMesh(event.entity, event.target);
+          if (event.entity.kind === 'building') syncBuildingList();
+          if (event.entity.kind === 'hero') addToRoster(event.entity);
+          break;
+        case 'entityRemoved':
+          removeEntityMesh(event.entity, event.reason);
+          if (event.entity.kind === 'building') {
+            if (event.entity === selectedBuilding) clearBuildingSelection();
+            syncBuildingList();
           }
-        });
-
-        // Day end
-        if (gameState.dayTimer >= gameState.dayDuration) {
-          transitionToNight();
+          if (event.reason === 'fallen') markHeroFallen(event.entity);
+          break;
+        case 'wallSegmentChanged': {
+          const mesh = meshOf(event.entity);
+          if (mesh) updateWallSegmentGeometry(mesh, event.segmentType, event.rotation);
+          break;
         }
-      }
-
-      // ===== NIGHT PHASE =====
-      if (gameState.phase === 'night') {
-        const castlePos = mainBurrow.position;
-
-        if (!player.userData.inCastle) {
-          player.visible = true;
-          moveUnitWithPathfinding(player, castlePos, 0.08, {
-            allowGate: true,
-            stopDistance: 1.2,
-          });
-          resolveUnitBuildingCollisions(player, {
-            unitRadius: UNIT_COLLISION_RADIUS.player,
-            allowBuilding: (building) => building.userData.type === 'gate',
-            ignoreCastle: true,
-          });
-          const enterDist = getBuildingApproachDistance(
-            mainBurrow,
-            UNIT_COLLISION_RADIUS.player,
-            0.6
-          );
-          const d = player.position.distanceTo(castlePos);
-          if (d <= enterDist) {
-            player.visible = false;
-            player.userData.inCastle = true;
-            player.userData.velocityX = 0;
-            player.userData.velocityZ = 0;
-          }
+        case 'treeChanged': {
+          const tree = landscapeSystem.getAllTrees().find(t => t.uuid === event.entity.uuid);
+          if (tree) landscapeSystem.updateTreeVisual(tree);
+          break;
         }
-
-        partners.forEach(p => {
-          if (p.userData.inCastle) return;
-          p.visible = true;
-          moveUnitWithPathfinding(p, castlePos, 0.06, {
-            allowGate: true,
-            stopDistance: 1.2,
-          });
-          resolveUnitBuildingCollisions(p, {
-            unitRadius: UNIT_COLLISION_RADIUS.partner,
-            allowBuilding: (building) => building.userData.type === 'gate',
-            ignoreCastle: true,
-          });
-          const enterDist = getBuildingApproachDistance(
-            mainBurrow,
-            UNIT_COLLISION_RADIUS.partner,
-            0.6
-          );
-          const d = p.position.distanceTo(castlePos);
-          if (d <= enterDist) {
-            p.visible = false;
-            p.userData.inCastle = true;
-          }
-        });
-
-        collectors.forEach(collector => {
-          const data = collector.userData;
-          if (data.inHut) {
-            collector.visible = false;
-            return;
-          }
-          data.targetCarrot = null;
-          data.noPathTimer = data.noPathTimer || 0;
-          collector.visible = true;
-          const hutDist = getBuildingApproachDistance(
-            data.homeBuilding,
-            UNIT_COLLISION_RADIUS.collector,
-            0.3
-          );
-          moveUnitWithPathfinding(collector, data.homePos, data.speed, {
-            allowGate: true,
-            stopDistance: hutDist,
-            allowFallback: false,
-          });
-          if (data.navNoPath) {
-            data.noPathTimer += dt;
-            if (data.noPathTimer > 2.5) {
-              addScore(data.carryingCarrots);
-              data.carryingCarrots = 0;
-              data.carryingCount = 0;
-              data.state = 'seeking';
-              data.inHut = true;
-              collector.visible = false;
-              data.noPathTimer = 0;
-              return;
-            }
-          } else {
-            data.noPathTimer = 0;
-          }
-          resolveUnitBuildingCollisions(collector, {
-            unitRadius: UNIT_COLLISION_RADIUS.collector,
-            allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
-            ignoreCastle: false,
-          });
-          const d = collector.position.distanceTo(data.homePos);
-          if (d <= hutDist) {
-            addScore(data.carryingCarrots);
-            data.carryingCarrots = 0;
-            data.carryingCount = 0;
-            data.state = 'seeking';
-            data.inHut = true;
-            collector.visible = false;
-            data.noPathTimer = 0;
-          }
-        });
-
-        beavers.forEach(beaver => {
-          const data = beaver.userData;
-          if (data.inHut) {
-            beaver.visible = false;
-            return;
-          }
-          beaver.visible = true;
-          const hutDist = getBuildingApproachDistance(
-            data.homeBuilding,
-            UNIT_COLLISION_RADIUS.beaver,
-            0.3
-          );
-          moveUnitWithPathfinding(beaver, data.homePos, data.speed, {
-            allowGate: true,
-            stopDistance: hutDist,
-          });
-          resolveUnitBuildingCollisions(beaver, {
-            unitRadius: UNIT_COLLISION_RADIUS.beaver,
-            allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
-            ignoreCastle: false,
-          });
-          const d = beaver.position.distanceTo(data.homePos);
-          if (d <= hutDist) {
-            gameState.wood = (gameState.wood || 0) + (data.carryingWood || 0);
-            setWood(gameState.wood);
-            data.carryingWood = 0;
-            data.state = 'collecting';
-            data.inHut = true;
-            beaver.visible = false;
-          }
-        });
-
-        const waveConfig = WAVES[Math.min(gameState.wave, WAVES.length - 1)];
-        const diffMod = DIFFICULTY_MODS[difficulty] || DIFFICULTY_MODS.normal;
-        const adjustedDelay = waveConfig.delay * diffMod.spawnRate; // Faster spawns on hard
-        spawnTimer += dt;
-        if (spawnTimer >= adjustedDelay && enemiesToSpawn.length > 0) {
-          spawnTimer = 0;
-          spawnEnemy();
+        case 'effect':
+          showEffect(event);
+          break;
+        case 'message':
+          setMessage(event.text);
+          if (event.duration !== null) setTimeout(() => setMessage(''), event.duration);
+          break;
+        case 'sound':
+          soundSystem[event.name]?.(...event.args);
+          break;
+        case 'bossTelegraph': {
+          const decal = createTelegraphDecal(event.telegraph);
+          scene.add(decal);
+          telegraphDecals.push(decal);
+          break;
         }
+        case 'heroOrderChanged':
+          showOrderMarker(event.entity);
+          break;
+        default:
+          break;
+      }
+    }
 
-        // Enemy AI
-        enemies.forEach(enemy => {
-          const data = enemy.userData;
-
-          // Handle status effects
-          if (data.confused) {
-            data.confuseTime -= dt;
-            if (data.confuseTime <= 0) data.confused = false;
-          }
-          if (data.slowed) {
-            data.slowTime -= dt;
-            if (data.slowTime <= 0) data.slowed = false;
-          }
-
-          // Decay threat over time
-          decayThreat(enemy, dt);
-
-          // Find target using the new Threat/Aggro system
-          let targetX = 0, targetZ = 0;
-
-          if (data.confused) {
-            // When confused, clear threat and use cached random position
-            clearThreat(enemy);
-            if (!data.confusedTarget) {
-              data.confusedTarget = {
-                x: (Math.random() - 0.5) * 30,
-                z: (Math.random() - 0.5) * 30
-              };
-            }
-            targetX = data.confusedTarget.x;
-            targetZ = data.confusedTarget.z;
-          } else {
-            // Initialize buildingTargeter once per enemy
-            if (data.buildingTargeter === undefined) {
-              data.buildingTargeter = data.type === 'snake' || Math.random() < 0.3;
-            }
-
-            // Use threat-based target selection
-            const result = selectTarget(enemy, defenders, buildingObjects);
-
-            // Check if target changed
-            if (result.target !== data.currentTarget) {
-              // Switching to defender = retaliation
-              if (result.type === 'defender' && data.targetType !== 'defender') {
-                data.originalTarget = data.targetBuilding;
-                data.isRetaliating = true;
-              }
-              // Returning from retaliation
-              if (result.type !== 'defender' && data.isRetaliating) {
-                data.isRetaliating = false;
-              }
-
-              data.currentTarget = result.target;
-              data.targetType = result.type;
-              data.targetBuilding = result.type === 'building' ? result.target : null;
-              data.path = null;
-              data.pathInvalid = true;
-              data.confusedTarget = null;
-            }
-
-            // Set target position based on target type
-            if (data.targetType === 'defender' && data.currentTarget?.userData?.health > 0) {
-              targetX = data.currentTarget.position.x;
-              targetZ = data.currentTarget.position.z;
-            } else if (data.targetBuilding?.userData?.health > 0) {
-              targetX = data.targetBuilding.position.x;
-              targetZ = data.targetBuilding.position.z;
-            }
-            // else targetX/Z stay at 0,0 (base)
-          }
-
-          const dx = targetX - enemy.position.x;
-          const dz = targetZ - enemy.position.z;
-          const dist = Math.sqrt(dx * dx + dz * dz);
-
-          let speed = data.speed;
-          if (data.slowed) speed *= 0.35;
-          // Weather Master enhances rainy slow effect
-          if (gameState.weather === 'rainy') {
-            const weatherBonus = getSkillEffect('weatherMaster');
-            speed *= weatherBonus >= 1 ? 0.65 : 0.8; // 35% slow with Weather Master, 20% without
-          }
-
-          // Attack distance depends on target type
-          const baseAttackDist = mainBurrow?.userData?.collisionRadius
-            ? mainBurrow.userData.collisionRadius + UNIT_COLLISION_RADIUS.enemy + 0.4
-            : 5;
-          const attackDist = data.targetType === 'defender'
-            ? 1.8
-            : (data.targetBuilding ? 2.5 : Math.max(5, baseAttackDist));
-          
-          if (dist > attackDist) {
-            // A* Pathfinding for intelligent wall navigation
-            const pathfinding = pathfindingRef.current;
-            const wallGrid = wallGridRef.current;
-
-            // Check if direct path is clear using line of sight
-            const hasDirectPath = pathfinding.hasLineOfSight(
-              enemy.position.x, enemy.position.z, targetX, targetZ
-            );
-
-            let moveX = 0, moveZ = 0;
-
-            if (hasDirectPath) {
-              // Direct movement - no walls in the way
-              moveX = (dx / dist) * speed;
-              moveZ = (dz / dist) * speed;
-              data.path = null; // Clear any existing path
-            } else {
-              // Need pathfinding - calculate or use cached path
-              if (!data.path || data.pathAge > 60 || data.pathInvalid) {
-                data.path = pathfinding.findSmoothPath(
-                  enemy.position.x, enemy.position.z, targetX, targetZ
-                );
-                data.pathIndex = 0;
-                data.pathAge = 0;
-                data.pathInvalid = false;
-              }
-              data.pathAge = (data.pathAge || 0) + 1;
-
-              if (data.path && data.path.length > 0) {
-                // Follow the path
-                let waypoint = data.path[data.pathIndex];
-
-                // Skip waypoints that are behind us
-                while (data.pathIndex < data.path.length - 1) {
-                  const wpDx = waypoint.x - enemy.position.x;
-                  const wpDz = waypoint.z - enemy.position.z;
-                  const wpDist = Math.sqrt(wpDx * wpDx + wpDz * wpDz);
-
-                  if (wpDist < 1.0) {
-                    // Reached waypoint, move to next
-                    data.pathIndex++;
-                    waypoint = data.path[data.pathIndex];
-                  } else {
-                    break;
-                  }
-                }
-
-                // Move towards current waypoint
-                const wpDx = waypoint.x - enemy.position.x;
-                const wpDz = waypoint.z - enemy.position.z;
-                const wpDist = Math.sqrt(wpDx * wpDx + wpDz * wpDz);
-
-                if (wpDist > 0.1) {
-                  moveX = (wpDx / wpDist) * speed;
-                  moveZ = (wpDz / wpDist) * speed;
-                }
-
-                // Check if we've reached end of path
-                if (data.pathIndex >= data.path.length - 1 && wpDist < 1.0) {
-                  data.path = null;
-                }
-              } else {
-                // No path found - find nearest wall to attack
-                let nearestWall = null;
-                let nearestWallDist = Infinity;
-                buildingObjects.forEach(b => {
-                  if (!isWallLikeType(b.userData.type) || b.userData.health <= 0) return;
-                  const wdx = enemy.position.x - b.position.x;
-                  const wdz = enemy.position.z - b.position.z;
-                  const wDist = Math.sqrt(wdx * wdx + wdz * wdz);
-                  if (wDist < nearestWallDist) {
-                    nearestWallDist = wDist;
-                    nearestWall = b;
-                  }
-                });
-
-                if (nearestWall && nearestWallDist < 3) {
-                  // Attack the blocking wall
-                  data.targetBuilding = nearestWall;
-                } else if (nearestWall) {
-                  // Move towards nearest wall
-                  const wdx = nearestWall.position.x - enemy.position.x;
-                  const wdz = nearestWall.position.z - enemy.position.z;
-                  moveX = (wdx / nearestWallDist) * speed;
-                  moveZ = (wdz / nearestWallDist) * speed;
-                }
-              }
-            }
-
-            // Apply movement
-            if (moveX !== 0 || moveZ !== 0) {
-              enemy.position.x += moveX;
-              enemy.position.z += moveZ;
-            }
-
-            resolveUnitBuildingCollisions(enemy, {
-              unitRadius: UNIT_COLLISION_RADIUS.enemy,
-              ignoreCastle: false,
-            });
-
-            // Smooth rotation interpolation to prevent jittering
-            const targetRot = Math.atan2(-(moveZ || dz), (moveX || dx));
-            let rotDiff = targetRot - enemy.rotation.y;
-            while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-            while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
-            enemy.rotation.y += rotDiff * 0.15;
-
-            // Animations
-            if (data.type === 'fox' || data.type === 'boss_fox') {
-              enemy.rotation.z = Math.sin(time * 6) * 0.04;
-            } else if (data.type === 'raven' || data.type === 'boss_raven') {
-              enemy.position.y = 1.8 + Math.sin(time * 4) * 0.25;
-              if (data.wingL) data.wingL.rotation.x = -0.3 + Math.sin(time * 10) * 0.35;
-              if (data.wingR) data.wingR.rotation.x = 0.3 - Math.sin(time * 10) * 0.35;
-            } else if (data.type === 'snake') {
-              enemy.rotation.z = Math.sin(time * 8) * 0.1;
-              if (data.tongue) data.tongue.scale.x = 1 + Math.sin(time * 15) * 0.3;
-            }
-          } else {
-            // Attack
-            data.attackCooldown -= dt;
-            if (data.attackCooldown <= 0) {
-              data.attackCooldown = data.isBoss ? 1 : 1.5;
-
-              // NEW: Attack defender if targeting one
-              if (data.targetType === 'defender' && data.currentTarget?.userData?.health > 0) {
-                data.currentTarget.userData.health -= data.damage;
-                effects.push(...createExplosion(data.currentTarget.position, 0xFF4444));
-
-                // Snake poison - apply DoT to defender
-                if (data.canPoison && data.currentTarget.userData.health > 0) {
-                  data.currentTarget.userData.poisoned = true;
-                  data.currentTarget.userData.poisonDamage = 3; // 3 damage per tick
-                  data.currentTarget.userData.poisonDuration = 5; // 5 seconds
-                  data.currentTarget.userData.poisonTickTimer = 0;
-                  effects.push(...createExplosion(data.currentTarget.position, 0x00FF00)); // Green poison effect
-                }
-
-                if (data.currentTarget.userData.health <= 0) {
-                  // Defender defeated - return to original objective
-                  effects.push(...createExplosion(data.currentTarget.position, 0x8B0000));
-                  scene.remove(data.currentTarget);
-                  const defIdx = defenders.indexOf(data.currentTarget);
-                  if (defIdx > -1) defenders.splice(defIdx, 1);
-
-                  // Return to original target
-                  data.currentTarget = null;
-                  data.targetType = data.originalTarget ? 'building' : 'base';
-                  data.targetBuilding = data.originalTarget;
-                  data.isRetaliating = false;
-                  data.path = null;
-                  data.pathInvalid = true;
-                }
-              } else if (data.targetBuilding && data.targetBuilding.userData.health > 0) {
-                data.targetBuilding.userData.health -= data.damage;
-
-                // Snake poison - apply DoT to building
-                if (data.canPoison && data.targetBuilding.userData.health > 0) {
-                  data.targetBuilding.userData.poisoned = true;
-                  data.targetBuilding.userData.poisonDamage = 5; // 5 damage per tick to buildings
-                  data.targetBuilding.userData.poisonDuration = 4; // 4 seconds
-                  data.targetBuilding.userData.poisonTickTimer = 0;
-                }
-
-                if (data.targetBuilding.userData.health <= 0) {
-                  effects.push(...createExplosion(data.targetBuilding.position, 0x8B4513));
-
-                  // If it's a wall, update the grid system
-                  if (isWallLikeType(data.targetBuilding.userData.type) && wallGridRef.current) {
-                    const pos = data.targetBuilding.position;
-                    const grid = wallGridRef.current.worldToGrid(pos.x, pos.z);
-                    const removedCell = wallGridRef.current.removeWall(grid.gx, grid.gz);
-
-                    // Update neighbor geometries after removal
-                    if (removedCell) {
-                      const directions = ['north', 'south', 'east', 'west'];
-                      directions.forEach(dir => {
-                        const neighbor = removedCell.neighbors[dir];
-                        if (neighbor && neighbor.building) {
-                          updateWallSegmentGeometry(
-                            neighbor.building,
-                            neighbor.segmentType,
-                            neighbor.rotation
-                          );
-                        }
-                      });
-                    }
-
-                    // Clear pathfinding cache since walls changed
-                    if (pathfindingRef.current) {
-                      pathfindingRef.current.clearCache();
-                    }
-                  }
-
-                  if (!isWallLikeType(data.targetBuilding.userData.type) && wallGridRef.current) {
-                    const blockedCell = data.targetBuilding.userData.blockedCell;
-                    if (blockedCell) {
-                      wallGridRef.current.setBlocked(blockedCell.gx, blockedCell.gz, false);
-                    } else {
-                      const pos = data.targetBuilding.position;
-                      const grid = wallGridRef.current.worldToGrid(pos.x, pos.z);
-                      wallGridRef.current.setBlocked(grid.gx, grid.gz, false);
-                    }
-                    if (pathfindingRef.current) {
-                      pathfindingRef.current.clearCache();
-                    }
-                  }
-
-                  scene.remove(data.targetBuilding);
-                  const idx = buildingObjects.indexOf(data.targetBuilding);
-                  if (idx > -1) buildingObjects.splice(idx, 1);
-                  data.targetBuilding = null;
-                  data.currentTarget = null;
-                  data.targetType = 'base';
-                }
-              } else {
-                gameState.baseHealth -= data.damage;
-                setBaseHealth(Math.max(0, Math.floor(gameState.baseHealth)));
-                soundSystem.baseDamage();
-
-                // Snake poison - apply DoT to base
-                if (data.canPoison && gameState.baseHealth > 0) {
-                  gameState.basePoisoned = true;
-                  gameState.basePoisonDamage = 2; // 2 damage per tick to base
-                  gameState.basePoisonDuration = 6; // 6 seconds
-                  gameState.basePoisonTickTimer = 0;
-                  setMessage('🐍 Basis vergiftet!');
-                }
-
-                if (gameState.baseHealth <= 0 && !gameState.gameOver && !gameState.victory) {
-                  gameState.gameOver = true;
-                  // Game over - award partial points
-                  const safeScore = getSafeScore();
-                  const earnedPoints = Math.floor(safeScore / 10) + gameState.wave * 5;
-                  setMeta(prev => ({
-                    ...prev,
-                    skillPoints: prev.skillPoints + earnedPoints,
-                    bestWave: Math.max(prev.bestWave, gameState.wave),
-                    totalGames: prev.totalGames + 1,
-                  }));
-                  setGameOver(true);
-                  setMessage(`💀 GAME OVER - +${earnedPoints} SP`);
-                }
-              }
-            }
-          }
-
-          // HP bar
-          if (data.hpBar) {
-            const hp = data.health / data.maxHealth;
-            data.hpBar.scale.x = Math.max(0.01, hp);
-          }
-        });
-
-        // Defender AI
-        const rageBonus = gameState.rageActive ? (1 + getSkillEffect('rageBonus') / 100) : 1;
-        const critChance = getSkillEffect('critChance') / 100;
-        const isNight = gameState.phase === 'night';
-        const patrolRadius = isNight ? 12 : 9; // Patrol within defense circle
-        const patrolMinRadius = isNight ? 6 : 4;
-
-        defenders.forEach(defender => {
-          if (!defender.userData.placed) return;
-          const data = defender.userData;
-          data.attackCooldown -= dt;
-          data.abilityCooldown -= dt;
-
-          // Decay Tank taunt duration
-          if (data.isTaunting && data.tauntDuration !== undefined) {
-            data.tauntDuration -= dt;
-            if (data.tauntDuration <= 0) {
-              data.isTaunting = false;
-            }
-          }
-
-          if (!data.patrolTarget) data.patrolTarget = new THREE.Vector3();
-          if (data.patrolWait === undefined) data.patrolWait = 0;
-
-          let attackRange = data.attackRange;
-          const sightRange = attackRange * (isNight ? 2.8 : 2.2); // Can see enemies further than attack range
-
-          if (!data.unreachableTargets) data.unreachableTargets = new Map();
-          const isEnemyBlocked = (enemy) => {
-            if (!enemy?.uuid) return false;
-            const until = data.unreachableTargets.get(enemy.uuid);
-            if (until && until > time) return true;
-            if (until) data.unreachableTargets.delete(enemy.uuid);
-            return false;
-          };
-
-          const candidates = [];
-          enemies.forEach(enemy => {
-            const dx = defender.position.x - enemy.position.x;
-            const dz = defender.position.z - enemy.position.z;
-            const d = Math.sqrt(dx * dx + dz * dz);
-            if (d < sightRange && !isEnemyBlocked(enemy)) {
-              candidates.push({ enemy, dist: d });
-            }
-          });
-
-          candidates.sort((a, b) => a.dist - b.dist);
-
-          let nearestEnemy = null;
-          let nearestDist = Infinity;
-          for (const candidate of candidates) {
-            if (isPathReachable(defender.position, candidate.enemy.position, { allowGate: true })) {
-              nearestEnemy = candidate.enemy;
-              nearestDist = candidate.dist;
-              break;
-            }
-            data.unreachableTargets.set(candidate.enemy.uuid, time + 2.5);
-          }
-          data.navNoPath = false;
-
-          if (nearestEnemy) {
-            const dx = nearestEnemy.position.x - defender.position.x;
-            const dz = nearestEnemy.position.z - defender.position.z;
-            defender.userData.targetRotation = Math.atan2(-dz, dx);
-
-            // Turret zur Feind-Ausrichtung (für GLB Healer)
-            if (data.isGLBModel && data.turret) {
-              const targetPos = nearestEnemy.position.clone();
-              targetPos.y = data.turret.position.y + defender.position.y;
-              data.turret.lookAt(targetPos);
-            }
-
-            // Move towards enemy if not in attack range
-            if (nearestDist > attackRange * 0.8) {
-              const moveSpeed = data.speed * (isNight ? 1.5 : 1.2);
-              moveUnitWithPathfinding(defender, nearestEnemy.position, moveSpeed, {
-                allowGate: true,
-                stopDistance: attackRange * 0.8,
-                setRotation: false,
-                allowFallback: false,
-              });
-              if (data.navNoPath) {
-                data.unreachableTargets.set(nearestEnemy.uuid, time + 2.5);
-              }
-            }
-
-            // Attack if in range
-            if (!data.navNoPath && nearestDist < attackRange && data.attackCooldown <= 0) {
-              data.attackCooldown = data.type === 'bomber' ? 2.5 : (data.type === 'assassin' ? 0.8 : 1.2);
-
-              let damage = data.attackDamage * rageBonus;
-              const wasCrit = Math.random() < critChance;
-              if (wasCrit) {
-                damage *= 2;
-                effects.push(...createExplosion(nearestEnemy.position, 0xFFFF00));
-              }
-              damage = Math.round(damage);
-
-              if (data.type === 'bomber') {
-                // Bomber wirft Bombe auf Feinde
-                const bomb = createThrownBomb(
-                  defender.position.clone().add(new THREE.Vector3(0, 1.2, 0)),
-                  nearestEnemy.position.clone(),
-                  damage,
-                  data.splashRadius || 3,
-                  false
-                );
-                bomb.userData.targetEnemies = true;
-                bomb.userData.source = defender;
-                scene.add(bomb);
-                thrownBombs.push(bomb);
-
-                // Animation: Bombe kurz ausblenden und wieder einblenden
-                if (data.bombInHand) {
-                  data.bombInHand.visible = false;
-                  setTimeout(() => {
-                    if (data.bombInHand) data.bombInHand.visible = true;
-                  }, 500);
-                }
-                effects.push(...createExplosion(defender.position, 0xFF6B35));
-              } else {
-                nearestEnemy.userData.health -= damage;
-                effects.push(...createDamageNumber(nearestEnemy.position, damage, wasCrit));
-                addThreat(nearestEnemy, defender, damage * THREAT_CONFIG.baseDamageThreat);
-              }
-            }
-
-            // Abilities
-            if (!data.navNoPath && data.abilityCooldown <= 0) {
-              data.abilityCooldown = 6;
-
-              if (data.type === 'tunneler') {
-                enemies.forEach(e => {
-                  const edx = defender.position.x - e.position.x;
-                  const edz = defender.position.z - e.position.z;
-                  if (Math.sqrt(edx*edx + edz*edz) < 5) {
-                    e.userData.slowed = true;
-                    e.userData.slowTime = 4;
-                  }
-                });
-                effects.push(...createExplosion(defender.position, 0x8B4513));
-              } else if (data.type === 'shadow') {
-                nearestEnemy.userData.confused = true;
-                nearestEnemy.userData.confuseTime = 5;
-                effects.push(...createExplosion(nearestEnemy.position, 0x4B0082));
-              } else if (data.type === 'tank') {
-                // Taunt - all nearby enemies target this defender
-                data.isTaunting = true;
-                data.tauntDuration = 4;
-                enemies.forEach(e => {
-                  const edx = defender.position.x - e.position.x;
-                  const edz = defender.position.z - e.position.z;
-                  if (Math.sqrt(edx*edx + edz*edz) < 8) {
-                    e.userData.targetBuilding = null;
-                    addThreat(e, defender, THREAT_CONFIG.tauntThreat);
-                  }
-                });
-              } else if (data.type === 'assassin') {
-                // Teleport to weakest enemy
-                let weakest = null;
-                let minHp = Infinity;
-                enemies.forEach(e => {
-                  if (e.userData.health < minHp) {
-                    minHp = e.userData.health;
-                    weakest = e;
-                  }
-                });
-                if (weakest) {
-                  defender.position.x = weakest.position.x + 1;
-                  defender.position.z = weakest.position.z;
-                  effects.push(...createExplosion(defender.position, 0x800080));
-                }
-              } else if (data.type === 'healer') {
-                defenders.forEach(other => {
-                  if (other === defender) return;
-                  const hdx = defender.position.x - other.position.x;
-                  const hdz = defender.position.z - other.position.z;
-                  if (Math.sqrt(hdx*hdx + hdz*hdz) < 6) {
-                    other.userData.health = Math.min(other.userData.maxHealth, other.userData.health + 20);
-                  }
-                });
-
-                // Effekt-Position anpassen fグr GLB-Modell (hБher fグr Tank)
-                const effectPos = defender.position.clone();
-                if (data.isGLBModel) {
-                  effectPos.y += 2;
-                }
-                effects.push(...createHealEffect(effectPos));
-              }
-            }
-
-          } else {
-            // No enemy in sight - patrol within the defense circle
-            data.patrolWait -= dt;
-
-            // GLB Healer: Umschau-Animation wenn keine Feinde
-            if (data.isGLBModel && data.healerBody) {
-              data.healerBody.rotation.y = Math.sin(time * 1.2) * 0.4;
-            }
-            // Turret macht langsame Patrol-Rotation
-            if (data.isGLBModel && data.turret) {
-              data.turret.rotation.y = Math.sin(time * 0.5) * 0.3;
-            }
-
-            // Check if reached patrol target or need new one
-            const toTargetX = data.patrolTarget.x - defender.position.x;
-            const toTargetZ = data.patrolTarget.z - defender.position.z;
-            const toTargetDist = Math.sqrt(toTargetX * toTargetX + toTargetZ * toTargetZ);
-
-            if (toTargetDist < 0.5 || data.patrolWait <= 0 || data.patrolTarget.x === 0 && data.patrolTarget.z === 0) {
-              // Pick new random patrol point within defense circle
-              const angle = Math.random() * Math.PI * 2;
-              const radius = patrolMinRadius + Math.random() * (patrolRadius - patrolMinRadius);
-              data.patrolTarget.x = Math.cos(angle) * radius;
-              data.patrolTarget.z = Math.sin(angle) * radius;
-              data.patrolWait = 3 + Math.random() * 2; // Wait 3-5 seconds before new target
-            }
-
-            // Move towards patrol target
-            if (toTargetDist > 0.5) {
-              const moveSpeed = data.speed * 0.8;
-              moveUnitWithPathfinding(defender, data.patrolTarget, moveSpeed, {
-                allowGate: true,
-                stopDistance: 0.5,
-                setRotation: false,
-                allowFallback: false,
-              });
-              if (data.navNoPath) {
-                data.patrolWait = 0;
-              }
-              defender.userData.targetRotation = Math.atan2(-toTargetZ, toTargetX);
-            }
-          }
-
-          let rotDiff = data.targetRotation - defender.rotation.y;
-          while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
-          while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
-          defender.rotation.y += rotDiff * 0.1;
-
-          if (data.hpBar) {
-            data.hpBar.scale.x = Math.max(0.01, data.health / data.maxHealth);
-          }
-
-          resolveUnitBuildingCollisions(defender, {
-            unitRadius: UNIT_COLLISION_RADIUS.defender,
-            allowBuilding: (building) => building.userData.type === 'gate',
-            ignoreCastle: false,
-          });
-        });
-
-        // Tower AI
-        buildingObjects.forEach(building => {
-          if (building.userData.type !== 'tower') return;
-          
-          building.userData.attackCooldown = (building.userData.attackCooldown || 0) - dt;
-          
-          const range = 12 * (1 + getSkillEffect('towerRange') / 100);
-          let nearestEnemy = null;
-          let nearestDist = Infinity;
-          
-          enemies.forEach(enemy => {
-            const dx = building.position.x - enemy.position.x;
-            const dz = building.position.z - enemy.position.z;
-            const d = Math.sqrt(dx*dx + dz*dz);
-            if (d < nearestDist && d < range) {
-              nearestDist = d;
-              nearestEnemy = enemy;
-            }
-          });
-
-          if (nearestEnemy && building.userData.attackCooldown <= 0) {
-            building.userData.attackCooldown = 1.5;
-            const proj = createProjectile(
-              new THREE.Vector3(building.position.x, 3, building.position.z),
-              nearestEnemy.position,
-              'tower'
-            );
-            proj.userData.source = building;
-            scene.add(proj);
-            projectiles.push(proj);
-            soundSystem.projectile();
-            
-            if (building.userData.crossbow) {
-              building.userData.crossbow.lookAt(nearestEnemy.position);
-            }
-          }
-
-          // Update HP bar
-          if (building.userData.hpBar) {
-            building.userData.hpBar.scale.x = Math.max(0.01, building.userData.health / building.userData.maxHealth);
+    const unsubscribeRun = sim.subscribe((event) => {
+      if (RENDER_EVENTS.has(event.type)) {
+        handleRenderEvent(event);
+        return;
+      }
+      commands.emit(event.type, event);
+      switch (event.type) {
+        case GAME_EVENTS.PHASE_CHANGED:
+          if (event.phase === 'night') showNight();
+          else showDay();
+          break;
+        case GAME_EVENTS.WAVE_STARTED:
+          setTargetingStats(null);
+          if (event.boss) setBossActive(true);
+          break;
+        case GAME_EVENTS.HERO_LEVEL_UP:
+          showHeroLevelUp(event);
+          break;
+        case GAME_EVENTS.ENEMY_KILLED:
+          if (event.boss) updateMeta(prev => ({ ...prev, bossesKilled: prev.bossesKilled + 1 }));
+          break;
+        case 'scoreChanged':
+          setScore(event.score);
+          break;
+        case 'woodChanged':
+          setWood(event.wood);
+          break;
+        case 'weatherChanged':
+          showWeather(event.weather);
+          break;
+        case 'comboChanged':
+          setCombo(event.combo);
+          break;
+        case 'rageChanged':
+          setRageMode(event.active);
+          if (event.active) {
+            setMessage('🔥 RAGE MODE!');
+            setTimeout(() => setMessage(''), 2000);
           }
-        });
-
-        // Projectiles
-        for (let i = projectiles.length - 1; i >= 0; i--) {
-          const proj = projectiles[i];
-          proj.position.add(proj.userData.velocity);
-          proj.rotation.x += 0.15;
-
-          let hit = false;
-          enemies.forEach(enemy => {
-            const dx = proj.position.x - enemy.position.x;
-            const dz = proj.position.z - enemy.position.z;
-            const dy = proj.position.y - (enemy.userData.flying ? 1.8 : 0.5);
-            if (Math.sqrt(dx*dx + dy*dy + dz*dz) < 1.5) {
-              hit = true;
-              const source = proj.userData.source;
-              if (proj.userData.splash) {
-                enemies.forEach(e => {
-                  const ddx = proj.position.x - e.position.x;
-                  const ddz = proj.position.z - e.position.z;
-                  if (Math.sqrt(ddx*ddx + ddz*ddz) < proj.userData.splashRadius) {
-                    e.userData.health -= proj.userData.damage;
-                    effects.push(...createDamageNumber(e.position, Math.round(proj.userData.damage)));
-                    if (source) {
-                      addThreat(e, source, proj.userData.damage * THREAT_CONFIG.baseDamageThreat);
-                    }
-                  }
-                });
-                effects.push(...createExplosion(proj.position));
-              } else {
-                enemy.userData.health -= proj.userData.damage;
-                effects.push(...createDamageNumber(enemy.position, Math.round(proj.userData.damage)));
-                if (source) {
-                  addThreat(enemy, source, proj.userData.damage * THREAT_CONFIG.baseDamageThreat);
-                }
+          break;
+        case 'baseHealthChanged':
+          setBaseHealth(Math.max(0, Math.floor(event.health)));
+          break;
+        case 'baseStatusApplied':
+          setMessage(event.id === 'poison' ? '🐍 Basis vergiftet!' : `Basis: ${event.label}`);
+          break;
+        case 'baseStatusTick':
+          // Particles in the effect's color on the base
+          effects.push(...createExplosion(new THREE.Vector3(0, 0.5, 0), event.color));
+          break;
+        case 'baseStatusCleared':
+          setMessage(''); // Clear status message
+          break;
+        case 'playerStatusTick':
+          // Rotten carrot poison eats carrots
+          effects.push(...createExplosion(sim.player.position.clone().setY(0.5), event.color));
+          break;
+        case 'dayStarted':
+          autosaveTimer = 0;
+          saveRunProgress();
+          break;
+        case 'victory':
+          setVictory(true);
+          // Award skill points
+          updateMeta(prev => ({
+            ...prev,
+            skillPoints: prev.skillPoints + event.earnedPoints,
+            bestWave: Math.max(prev.bestWave, event.wave),
+            totalGames: prev.totalGames + 1,
+            totalCarrots: prev.totalCarrots + event.score,
+          }));
+          setMessage(`🏆 SIEG! +${event.earnedPoints} Skillpunkte!`);
+          finishReplay(true);
+          discardSavedRun();
+          break;
+        case 'gameOver':
+          updateMeta(prev => ({
+            ...prev,
+            skillPoints: prev.skillPoints + event.earnedPoints,
+            totalGames: prev.totalGames + 1,
+            // Endless runs only count towards their own records
+            ...(event.mode === 'endless'
+              ? {
+                endlessBestWave: Math.max(prev.endlessBestWave, event.wave),
+                endlessBestScore: Math.max(prev.endlessBestScore, Math.floor(event.score)),
               }
-            }
-          });
+              : { bestWave: Math.max(prev.bestWave, event.wave) }),
+          }));
+          setGameOver(true);
+          setMessage(`💀 GAME OVER${event.cause === 'poison' ? ' (Gift)' : ''} - +${event.earnedPoints} SP`);
+          finishReplay(false);
+          discardSavedRun();
+          break;
+        default:
+          break;
+      }
+    });
 
-          if (proj.position.length() > 50) hit = true;
+    // ============== SAVE / RESUME ==============
+    const AUTOSAVE_INTERVAL = 10; // Seconds between saves during the day
+    let autosaveTimer = 0;
 
-          if (hit) {
-            scene.remove(proj);
-            projectiles.splice(i, 1);
-          }
-        }
-
-        // Thrown bombs update (Held-Bomber wirft Bomben auf Feinde)
-        for (let i = thrownBombs.length - 1; i >= 0; i--) {
-          const bomb = thrownBombs[i];
-          const data = bomb.userData;
+    function saveRunProgress() {
+      if (replay || gameState.gameOver || gameState.victory) return;
+      saveRun(sim.snapshot()).catch(e => console.warn('Failed to save run:', e));
+    }
 
-          // Bewegung mit Parabel
-          bomb.position.x += data.velocity.x;
-          bomb.position.z += data.velocity.z;
-          data.verticalVelocity -= data.gravity;
-          bomb.position.y += data.verticalVelocity;
+    // A replay leaves the saved run of the player alone
+    function discardSavedRun() {
+      if (replay) return;
+      setSavedRun(null);
+      clearRun().catch(e => console.warn('Failed to clear saved run:', e));
+    }
 
-          // Rotation für visuellen Effekt
-          bomb.rotation.x += 0.1;
-          bomb.rotation.z += 0.05;
+    // Everything on the field comes in through entityAdded
+    sim.start(resume);
+    if (resume) {
+      setWave(gameState.wave);
+      setBaseHealth(Math.max(0, Math.floor(gameState.baseHealth)));
+      setMaxBaseHealth(gameState.maxBaseHealth);
+      showWeather(gameState.weather);
+      setDayTimeLeft(Math.max(0, Math.ceil(gameState.dayDuration - gameState.dayTimer)));
+      setScore(getSafeScore());
+      setWood(gameState.wood || 0);
+      if (gameState.phase === 'night') {
+        showNight();
+        setBossActive(gameState.bossWave);
+      }
+      // The recorder is off for resumed runs, say so instead of dropping the replay silently
+      setMessage(`▶️ Weiter in ${gameState.phase === 'night' ? 'Welle' : 'Tag'} ${gameState.wave + 1} · 🎬 ohne Replay`);
+      setTimeout(() => setMessage(''), 2500);
+    }
 
-          // Zündschnur-Funken
-          if (data.fuse) {
-            data.fuse.material.color.setHSL(0.05 + Math.sin(time * 20) * 0.05, 1, 0.5);
-            data.fuse.scale.setScalar(0.8 + Math.sin(time * 15) * 0.3);
-          }
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') saveRunProgress();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
 
-          // Prüfe ob Bombe am Boden angekommen ist
-          if (bomb.position.y <= 0.1) {
-            // EXPLOSION!
-            effects.push(...createExplosion(bomb.position, 0xFF4500));
-            effects.push(...createExplosion(bomb.position, 0xFFAA00));
-
-            // Held-Bomber: Schaden an Feinden
-            if (data.targetEnemies) {
-              enemies.forEach(enemy => {
-                const dx = bomb.position.x - enemy.position.x;
-                const dz = bomb.position.z - enemy.position.z;
-                const dist = Math.sqrt(dx * dx + dz * dz);
-                if (dist < data.splashRadius) {
-                  const damageFactor = 1 - (dist / data.splashRadius);
-                  const damage = Math.floor(data.damage * damageFactor);
-                  enemy.userData.health -= damage;
-                  if (damage > 0) effects.push(...createDamageNumber(enemy.position, damage));
-                  if (damage > 0 && data.source) {
-                    addThreat(enemy, data.source, damage * THREAT_CONFIG.baseDamageThreat);
-                  }
-                }
-              });
-            }
+    // ============== MAIN LOOP ==============
+    // Gameplay advances in fixed ticks of GAME_TICK, so a run plays out the same
+    // on every frame rate; rendering happens once per animation frame
+    const MAX_TICKS_PER_FRAME = 10; // Avoids a spiral of death after long frames
+    let lastTime = performance.now();
+    let tickBudget = 0;
+    let frameId = null;
+
+    function tick(dt) {
+      if (gameState.gameOver || gameState.victory) return;
+      const nextTick = sim.tick + 1;
+      // A replay dispatches the commands recorded for this tick
+      if (replayPlayer) {
+        replayPlayer.takeCommands(nextTick).forEach(input => commands.dispatch(input.command, input.payload));
+      }
 
-            // Bombe entfernen
-            scene.remove(bomb);
-            thrownBombs.splice(i, 1);
-          }
+      let move = null;
+      if (gameState.phase === 'day') {
+        let inputX = joystick.moveX;
+        let inputZ = joystick.moveZ;
+        if (keys.w) inputZ -= 1;
+        if (keys.s) inputZ += 1;
+        if (keys.a) inputX -= 1;
+        if (keys.d) inputX += 1;
+        // Played back exactly as recorded (rounded), a replay moves the way the run did
+        move = replayPlayer ? replayPlayer.move : recorder.recordMovement(nextTick, inputX, inputZ);
 
-          // Bombe zu weit weg? Entfernen
-          if (bomb.position.length() > 60 || bomb.position.y < -5) {
-            scene.remove(bomb);
-            thrownBombs.splice(i, 1);
-          }
+        autosaveTimer += dt;
+        if (autosaveTimer >= AUTOSAVE_INTERVAL) {
+          autosaveTimer = 0;
+          saveRunProgress();
         }
+      }
 
-        // Remove dead enemies
-        for (let i = enemies.length - 1; i >= 0; i--) {
-          if (enemies[i].userData.health <= 0) {
-            const enemy = enemies[i];
-            const wasBoss = enemy.userData.isBoss;
-            const killPosition = enemy.position.clone();
-
-            effects.push(...createExplosion(killPosition, wasBoss ? 0xFFD700 : 0xFF6B35));
-            wasBoss ? soundSystem.bossDeath() : soundSystem.enemyDeath();
-
-            // Kill combo system
-            gameState.combo++;
-            gameState.comboTimer = 2;
-            setCombo(gameState.combo);
-            setComboTimer(2);
-
-            const comboMultiplier = 1 + Math.min(gameState.combo, 10) * 0.1;
-            const baseReward = wasBoss ? 50 : 5;
-            const reward = Math.floor(baseReward * comboMultiplier);
-
-            scene.remove(enemy);
-            enemies.splice(i, 1);
-            addScore(reward);
-
-            // Combo visual at kill location
-            if (gameState.combo >= 3) {
-              effects.push(...createComboText(killPosition, gameState.combo));
-            }
-
-            if (wasBoss) {
-              setMeta(prev => ({ ...prev, bossesKilled: prev.bossesKilled + 1 }));
-              setMessage('👑 BOSS BESIEGT!');
-              setTimeout(() => setMessage(''), 2000);
-            }
-          }
-        }
+      sim.step(dt, { move });
 
-        // Check wave complete
-        if (enemies.length === 0 && enemiesToSpawn.length === 0 && gameState.nightActive) {
-          gameState.nightActive = false;
-          setTimeout(() => transitionToDay(), 2000);
-          setMessage('☀️ Welle überstanden!');
-        }
+      if (gameState.phase === 'day') {
+        setDayTimeLeft(Math.max(0, Math.ceil(gameState.dayDuration - gameState.dayTimer)));
+        updateNearbyTower();
+        updateNearbyPartner();
       }
+      if (gameState.comboTimer > 0) setComboTimer(gameState.comboTimer);
 
       // Effects update
       for (let i = effects.length - 1; i >= 0; i--) {
@@ -5156,35 +4152,70 @@ healerEditor.config            - Aktuelle Werte zeigen
         }
       }
 
-      // Building HP bars
-      buildingObjects.forEach(b => {
-        if (b.userData.hpBar) {
-          const hp = b.userData.health / b.userData.maxHealth;
-          b.userData.hpBar.scale.x = Math.max(0.01, hp);
-          b.userData.hpBar.material.color.setHex(hp > 0.5 ? 0x00FF00 : (hp > 0.25 ? 0xFFFF00 : 0xFF0000));
-        }
-      });
+      updateBuildingSelection(dt);
+      updateHeroSelection(dt);
+      updateTargetingStats(dt);
+      updateHeroOrders();
+      updateLogistics();
+    }
 
-      // Main burrow HP bar
-      if (mainBurrow.userData.hpBar) {
-        const hp = gameState.baseHealth / gameState.maxBaseHealth;
-        mainBurrow.userData.hpBar.scale.x = Math.max(0.01, hp);
-        mainBurrow.userData.hpBar.material.color.setHex(hp > 0.5 ? 0x00FF00 : (hp > 0.25 ? 0xFFFF00 : 0xFF0000));
+    function animate() {
+      frameId = requestAnimationFrame(animate);
+      const now = performance.now();
+      // Replays run at the chosen speed and may be paused
+      const { speed, paused } = replayPlayer ? replayControlsRef.current : { speed: 1, paused: false };
+      if (landscapeReady && !paused) tickBudget += Math.min((now - lastTime) / 1000, 0.25) / GAME_TICK * speed;
+      lastTime = now;
+
+      const maxTicks = MAX_TICKS_PER_FRAME * speed;
+      let ticks = 0;
+      while (tickBudget >= 1 && ticks < maxTicks) {
+        tick(GAME_TICK);
+        tickBudget -= 1;
+        ticks++;
       }
-      if (mainBurrow.userData.flag) {
-        mainBurrow.userData.flag.rotation.z = Math.sin(time * 3) * 0.1;
+      if (ticks === maxTicks) tickBudget = 0;
+      // HUD warnings follow the last tick of the frame
+      if (ticks > 0) {
+        setHasAntiAir(hasAntiAirCoverage(buildingObjects, defenders));
+        const nextBossStatus = getBossStatus(enemies);
+        setBossStatus(prev => (JSON.stringify(prev) === JSON.stringify(nextBossStatus) ? prev : nextBossStatus));
+      }
+      if (replayPlayer && ticks > 0) {
+        const seconds = Math.floor(sim.tick * GAME_TICK);
+        setReplayStatus(prev => (prev && prev.seconds !== seconds ? { ...prev, seconds } : prev));
+      }
+
+      // Meshes follow the entities of the last tick
+      syncEntityMeshes();
+
+      if (gameState.gameOver || gameState.victory) {
+        try {
+          renderer.render(scene, camera);
+        } catch (e) {
+          console.error('[Render] Error in gameOver/victory render:', e.message);
+        }
+        return;
       }
 
-      // Player breathing
-      player.scale.y = 1.3 * (1 + Math.sin(time * 2.5) * 0.02);
-      if (player.userData.crown) {
-        player.userData.crown.rotation.y = time * 1.5;
+      // Update enhanced graphics
+      clouds.update(sim.time);
+      dustParticles.update();
+
+      // Weather effects
+      if (gameState.weather === 'rainy') {
+        const positions = rain.geometry.attributes.position.array;
+        for (let i = 0; i < positions.length; i += 3) {
+          positions[i + 1] -= 0.5;
+          if (positions[i + 1] < 0) positions[i + 1] = 30;
+        }
+        rain.geometry.attributes.position.needsUpdate = true;
       }
 
       // Camera with zoom
       const camTarget = gameState.phase === 'night'
         ? new THREE.Vector3(0, 0, 0)
-        : player.position.clone();
+        : sim.player.position.clone();
 
       const baseY = 28 / zoomLevel;
       const baseZ = 28 / zoomLevel;
@@ -5219,6 +4250,7 @@ healerEditor.config            - Aktuelle Werte zeigen
     window.addEventListener('resize', handleResize);
 
     return () => {
+      cancelAnimationFrame(frameId);
       window.removeEventListener('resize', handleResize);
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
@@ -5226,6 +4258,7 @@ healerEditor.config            - Aktuelle Werte zeigen
         containerRef.current.removeEventListener('mousemove', handleMouseMove);
         containerRef.current.removeEventListener('mousedown', handleMouseDown);
         containerRef.current.removeEventListener('mouseup', handleMouseUp);
+        containerRef.current.removeEventListener('contextmenu', handleContextMenu);
         containerRef.current.removeEventListener('touchstart', handleTouchStart);
         containerRef.current.removeEventListener('touchmove', handleTouchMove);
         containerRef.current.removeEventListener('touchend', handleTouchEnd);
@@ -5234,11 +4267,22 @@ healerEditor.config            - Aktuelle Werte zeigen
       // Clean up wall preview ghosts
       wallPreviewGhosts.forEach(ghost => scene.remove(ghost));
       wallPreviewGhosts = [];
+      // Clean up gather zone preview and logistics overlay
+      disposeLogisticsOverlay(logisticsOverlay);
+      scene.remove(logisticsOverlay);
+      gatherZonePreview.geometry.dispose();
+      gatherZonePreview.material.dispose();
+      scene.remove(gatherZonePreview);
       // Clean up landscape
       if (landscapeSystem) landscapeSystem.dispose();
+      unsubscribeRun();
+      unregisterCommands.forEach(unregister => unregister());
+      unobserveCommands();
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
       renderer.dispose();
     };
-  }, [getSkillEffect, getBuildingCost]);
+  }, [skills, difficulty, gameMode]);
+  initGameRef.current = initGame;
 
   // Save on unmount or game end
   useEffect(() => {
@@ -5247,6 +4291,12 @@ healerEditor.config            - Aktuelle Werte zeigen
     }
   }, [gameOver, victory, saveProgress]);
 
+  // Enemy preview of the coming wave; endless waves are generated, so only on wave changes
+  const nextWave = useMemo(() => {
+    if (wave < WAVES_CONFIG.length) return getWaveSummary(WAVES_CONFIG[wave]);
+    return gameMode === 'endless' ? getWaveSummary(getEndlessWave(runSeed, wave, WAVES_CONFIG.length)) : null;
+  }, [runSeed, wave, gameMode]);
+
   // ============== SKILL TREE UI ==============
   const SkillTreePanel = () => {
     const tiers = SKILL_TIERS;
@@ -5364,6 +4414,33 @@ healerEditor.config            - Aktuelle Werte zeigen
         <div className="bg-black/30 rounded-xl p-4 mb-6 text-center">
           <div className="text-yellow-400 text-xl font-bold">⭐ {meta.skillPoints} SP</div>
           <div className="text-gray-400 text-sm">Beste Welle: {meta.bestWave}</div>
+          {meta.endlessBestWave > 0 && (
+            <div className="text-gray-400 text-sm">♾️ Endlos: Welle {meta.endlessBestWave + 1} | 🥕 {meta.endlessBestScore}</div>
+          )}
+        </div>
+
+        {/* Game Mode */}
+        <div className="bg-black/30 rounded-xl p-3 mb-4 w-full max-w-xs">
+          <div className="text-gray-400 text-sm mb-2 text-center">Modus:</div>
+          <div className="flex gap-2 justify-center">
+            {Object.entries(GAME_MODES).map(([key, mode]) => (
+              <button
+                key={key}
+                className={`px-3 py-2 rounded-lg text-sm font-bold transition-all ${
+                  gameMode === key
+                    ? 'bg-green-500 text-white scale-105'
+                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+                onClick={() => setGameMode(key)}
+              >
+                {mode.icon} {mode.label}
+              </button>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500 mt-2 text-center">
+            {gameMode === 'classic' && `🏆 ${WAVES_CONFIG.length} Wellen bis zum Sieg`}
+            {gameMode === 'endless' && `♾️ Immer stärkere Wellen nach Welle ${WAVES_CONFIG.length}`}
+          </div>
         </div>
 
         {/* Difficulty Selector */}
@@ -5391,6 +4468,49 @@ healerEditor.config            - Aktuelle Werte zeigen
           </div>
         </div>
 
+        {/* Run Seed */}
+        <div className="bg-black/30 rounded-xl p-3 mb-4 w-full max-w-xs">
+          <div className="text-gray-400 text-sm mb-2 text-center">Seed:</div>
+          <div className="flex gap-2">
+            <input
+              className="flex-1 min-w-0 bg-gray-800 text-white font-mono text-center tracking-widest rounded-lg px-2 py-1"
+              value={runSeed}
+              maxLength={16}
+              onChange={(e) => setRunSeed(normalizeSeed(e.target.value).replace(/[^0-9A-Z]/g, ''))}
+            />
+            <button
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded-lg"
+              title="Zufälliger Seed"
+              onClick={() => setRunSeed(generateSeed())}
+            >
+              🎲
+            </button>
+            <button
+              className="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded-lg"
+              title="Tages-Seed"
+              onClick={() => setRunSeed(getDailySeed())}
+            >
+              📅
+            </button>
+          </div>
+          {runSeed === getDailySeed() && (
+            <div className="text-xs text-yellow-400 mt-2 text-center">📅 Tages-Seed - gleiche Welt für alle!</div>
+          )}
+        </div>
+
+        {savedRun && (
+          <button
+            className="bg-yellow-500 hover:bg-yellow-600 text-white text-xl font-bold px-12 py-4 rounded-2xl mb-4 w-full max-w-xs"
+            onClick={resumeGame}
+          >
+            ⏯️ Weiterspielen (Welle {savedRun.state.wave + 1})
+            <div className="text-xs font-normal">
+              🌱 {savedRun.seed} | {savedRun.difficulty}{savedRun.mode === 'endless' ? ' | ♾️' : ''}
+            </div>
+            <div className="text-xs font-normal opacity-80">Fortgesetzte Runs werden nicht als Replay aufgenommen</div>
+          </button>
+        )}
+
         <button
           className="bg-green-500 hover:bg-green-600 text-white text-xl font-bold px-12 py-4 rounded-2xl mb-4 w-full max-w-xs"
           onClick={startGame}
@@ -5405,7 +4525,15 @@ healerEditor.config            - Aktuelle Werte zeigen
           🌳 Skill Tree
         </button>
 
+        <button
+          className="bg-gray-700 hover:bg-gray-600 text-white font-bold px-8 py-2 rounded-xl w-full max-w-xs mt-3"
+          onClick={() => setShowReplays(true)}
+        >
+          🎬 Replays
+        </button>
+
         {showSkillTree && <SkillTreePanel />}
+        {showReplays && <ReplayViewer onPlay={playReplay} onClose={() => setShowReplays(false)} />}
       </div>
     );
   }
@@ -5415,10 +4543,17 @@ healerEditor.config            - Aktuelle Werte zeigen
     collectorHut: getBuildingCost('collectorHut'),
     heroHut: getBuildingCost('heroHut'),
     beaverHut: getBuildingCost('beaverHut'),
+    lumberYard: getBuildingCost('lumberYard'),
+    carrotField: getBuildingCost('carrotField'),
     gate: getBuildingCost('gate'),
     tower: getBuildingCost('tower'),
     wall: getBuildingCost('wall'),
   };
+  // Stats of a fresh tier 1 tower with the skill bonuses
+  const newTowerStats = getTowerStats({ userData: { type: 'tower' } }, {
+    towerDamage: getSkillEffect('towerDamage'),
+    towerRange: getSkillEffect('towerRange'),
+  });
 
   return (
     <div className="w-full h-screen bg-gray-900 relative overflow-hidden touch-none select-none">
@@ -5431,6 +4566,17 @@ healerEditor.config            - Aktuelle Werte zeigen
         </div>
       )}
       
+      {/* Box selection for heroes */}
+      {selectionBox && (
+        <div
+          className="absolute border border-green-400 bg-green-400/10 pointer-events-none"
+          style={selectionBox}
+        />
+      )}
+
+      {/* Boss HP bar */}
+      {phase === 'night' && <BossBar status={bossStatus} />}
+
       {/* HUD */}
       <div className="absolute top-0 left-0 right-0 p-3 flex justify-between items-start pointer-events-none">
         {/* Left: Phase & Weather */}
@@ -5440,9 +4586,20 @@ healerEditor.config            - Aktuelle Werte zeigen
               phase === 'day' ? 'text-yellow-400' : 'text-indigo-400'
             }`}>
               {phase === 'day' ? `☀️ TAG ${wave + 1}` : `🌙 WELLE ${wave + 1}`}
+              {gameMode === 'endless' && ' ♾️'}
               {bossActive && ' 👑'}
             </div>
-            {phase === 'day' && <div className="text-white text-xs">⏱️ {dayTimeLeft}s</div>}
+            {phase === 'day' && (
+              <div className="flex items-center gap-2">
+                <span className="text-white text-xs">⏱️ {dayTimeLeft}s</span>
+                <button
+                  className="pointer-events-auto bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-bold px-2 py-0.5 rounded"
+                  onClick={() => commands.dispatch(GAME_COMMANDS.SKIP_DAY)}
+                >
+                  🌙 Nacht starten
+                </button>
+              </div>
+            )}
           </div>
           
           <div className="bg-black/60 rounded-lg px-2 py-1 text-xs text-white">
@@ -5452,26 +4609,33 @@ healerEditor.config            - Aktuelle Werte zeigen
           </div>
 
           {/* Wave Preview - shows upcoming enemies */}
-          {phase === 'day' && wave < WAVES_CONFIG.length && (
+          {phase === 'day' && nextWave && (
             <div className="bg-black/70 rounded-lg px-2 py-1 text-xs">
-              <div className="text-gray-400 mb-1">Nächste Welle:</div>
+              <div className="text-gray-400 mb-1">Nächste Welle: {nextWave.name}</div>
               <div className="flex gap-2 text-white">
-                {WAVES_CONFIG[wave].foxes > 0 && (
-                  <span title="Füchse">🦊 {WAVES_CONFIG[wave].foxes}</span>
-                )}
-                {WAVES_CONFIG[wave].ravens > 0 && (
-                  <span title="Raben">🐦‍⬛ {WAVES_CONFIG[wave].ravens}</span>
-                )}
-                {WAVES_CONFIG[wave].snakes > 0 && (
-                  <span title="Schlangen">🐍 {WAVES_CONFIG[wave].snakes}</span>
-                )}
-                {WAVES_CONFIG[wave].boss && (
+                {WAVE_PREVIEW_ENEMIES.map(({ type, icon, title }) => nextWave.enemies[type] > 0 && (
+                  <span key={type} title={title}>{icon} {nextWave.enemies[type]}</span>
+                ))}
+                {nextWave.boss && (
                   <span className="text-yellow-400" title="Boss">👑</span>
                 )}
+                {nextWave.reinforcements > 0 && (
+                  <span className="text-red-400" title="Verstärkung möglich">+❓</span>
+                )}
               </div>
             </div>
           )}
 
+          {/* Flyers ahead (or attacking) and nothing can shoot them down */}
+          {(phase === 'day' || phase === 'night') && nextWave?.flyers && !hasAntiAir && (
+            <div className="bg-red-600/80 rounded-lg px-2 py-1 text-xs text-white font-bold animate-pulse">
+              ⚠️ Flieger im Anmarsch - keine Luftabwehr!
+              <div className="font-normal">Wachturm, Frost, Scharfschütze oder Bomber</div>
+            </div>
+          )}
+
+          <TargetingLog entries={targetingStats?.entries} wave={targetingStats?.wave} />
+
           {combo > 2 && (
             <div className="bg-orange-500 rounded-lg px-3 py-1 animate-bounce">
               <span className="text-white font-bold">🔥 x{combo} COMBO!</span>
@@ -5481,6 +4645,20 @@ healerEditor.config            - Aktuelle Werte zeigen
 
         {/* Right: Resources */}
         <div className="flex gap-2 items-start">
+          <button
+            className={`rounded-xl px-2 py-2 text-xl pointer-events-auto ${showLogistics ? 'bg-green-700' : 'bg-black/70'}`}
+            onClick={() => commands.dispatch(GAME_COMMANDS.TOGGLE_LOGISTICS_OVERLAY)}
+            title="Sammler-Routen und Sammelzonen"
+          >
+            🧺
+          </button>
+          <button
+            className={`rounded-xl px-2 py-2 text-xl pointer-events-auto ${showRoster ? 'bg-pink-700' : 'bg-black/70'}`}
+            onClick={() => setShowRoster(show => !show)}
+            title="Helden-Stammbaum"
+          >
+            📜
+          </button>
           <button
             className="bg-black/70 rounded-xl px-2 py-2 text-xl pointer-events-auto"
             onClick={() => {
@@ -5509,6 +4687,342 @@ healerEditor.config            - Aktuelle Werte zeigen
         </div>
       </div>
 
+      {/* Hero Roster - bred heroes and their traits */}
+      {showRoster && (
+        <div className="absolute top-24 left-3 w-60 max-h-[50vh] overflow-y-auto pointer-events-auto">
+          <div className="bg-black/85 rounded-2xl p-3">
+            <div className="flex items-center justify-between mb-2">
+              <span className="text-pink-400 text-sm font-bold">📜 Helden ({roster.filter(h => h.alive).length})</span>
+              <button className="text-gray-400 text-sm px-1" onClick={() => setShowRoster(false)}>✕</button>
+            </div>
+            {roster.length === 0 ? (
+              <div className="text-gray-400 text-xs">Noch keine Helden gezüchtet. Stell dich neben einen Partner und züchte!</div>
+            ) : roster.map(hero => (
+              <div
+                key={hero.id}
+                className={`border-t border-white/10 py-1 ${hero.alive ? 'cursor-pointer' : 'opacity-40'}`}
+                onClick={() => hero.alive && commands.dispatch(GAME_COMMANDS.SELECT_HERO, { heroId: hero.id })}
+              >
+                <div className="text-white text-xs font-bold">
+                  {hero.alive ? '' : '✝ '}{hero.name} <span className="text-yellow-400">★{hero.level}</span> <span className="text-gray-400 font-normal">· {hero.heroType} · von {hero.parent}</span>
+                </div>
+                <div className="flex flex-wrap gap-1 mt-0.5">
+                  {hero.traits.length === 0 && <span className="text-gray-500 text-[10px]">Durchschnittlich</span>}
+                  {hero.traits.map(trait => (
+                    <span key={trait.stat} className={`text-[10px] px-1 rounded ${trait.good ? 'bg-green-800 text-green-200' : 'bg-red-900 text-red-200'}`}>
+                      {trait.icon} {trait.label}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Hero Card - selected hero */}
+      {heroCard && (
+        <div className="absolute top-24 right-3 w-56 pointer-events-auto">
+          <div className="bg-black/85 rounded-2xl p-3">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-yellow-400 text-sm font-bold">
+                {heroCard.group ? `🦸 ${heroCard.heroes.length} Helden` : heroCard.name}
+                {!heroCard.group && <span className="text-gray-400 font-normal text-xs"> {heroCard.typeName}</span>}
+              </span>
+              <button
+                className="text-gray-400 text-sm px-1"
+                onClick={() => commands.dispatch(GAME_COMMANDS.DESELECT_HERO)}
+              >
+                ✕
+              </button>
+            </div>
+            {heroCard.group ? (
+              <div className="flex flex-wrap gap-1">
+                {heroCard.heroes.map(hero => (
+                  <button
+                    key={hero.id}
+                    className="text-[10px] px-1 rounded bg-gray-700 text-white"
+                    onClick={() => commands.dispatch(GAME_COMMANDS.SELECT_HERO, { heroId: hero.id })}
+                  >
+                    {hero.name} ★{hero.level}
+                  </button>
+                ))}
+              </div>
+            ) : (
+              <>
+                <div className="text-white text-xs">
+                  ★ Stufe {heroCard.level}/{heroCard.maxLevel} · {heroCard.next ? `${heroCard.xp}/${heroCard.next} XP` : 'Max'}
+                </div>
+                <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden mt-0.5">
+                  <div className="h-full bg-yellow-400" style={{ width: `${Math.round(heroCard.progress * 100)}%` }} />
+                </div>
+                <div className="text-white text-xs mt-1">❤️ {heroCard.health}/{heroCard.maxHealth} HP</div>
+                <div className="text-green-400 text-[10px]">
+                  {heroCard.damage} DMG | {heroCard.speed}% Tempo{heroCard.cooldown !== null && ` | ${Math.round(heroCard.cooldown * 10) / 10}s Fähigkeit`}
+                </div>
+                <div className="text-green-400 text-[10px]">💀 {heroCard.kills} Besiegte</div>
+                {(heroCard.traits.length > 0 || heroCard.perks.length > 0) && (
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {heroCard.traits.map(trait => (
+                      <span key={trait.stat} className={`text-[10px] px-1 rounded ${trait.good ? 'bg-green-800 text-green-200' : 'bg-red-900 text-red-200'}`}>
+                        {trait.icon} {trait.label}
+                      </span>
+                    ))}
+                    {heroCard.perks.map(perk => (
+                      <span key={perk} className="text-[10px] px-1 rounded bg-yellow-700 text-yellow-100">
+                        {HERO_PERKS[perk].icon} {HERO_PERKS[perk].label}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {heroCard.perkOptions.length > 0 && (
+                  <div className="mt-2">
+                    <div className="text-yellow-400 text-[10px] font-bold mb-1">⭐ Perk wählen</div>
+                    <div className="grid grid-cols-1 gap-1">
+                      {heroCard.perkOptions.map(({ id, label, icon, description }) => (
+                        <button
+                          key={id}
+                          className="rounded-lg py-1 px-2 bg-gray-700 active:bg-gray-600 text-left text-[10px] text-white"
+                          onClick={() => commands.dispatch(GAME_COMMANDS.CHOOSE_HERO_PERK, { perk: id })}
+                        >
+                          {icon} <span className="font-bold">{label}</span> <span className="text-gray-300">{description}</span>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </>
+            )}
+
+            {heroCard.canTarget && (
+              <TargetingModeSelect
+                active={heroCard.targeting}
+                onSelect={mode => commands.dispatch(GAME_COMMANDS.SET_TARGETING, { mode })}
+              />
+            )}
+
+            {/* Orders */}
+            <div className="grid grid-cols-5 gap-1 mt-2">
+              {Object.entries(HERO_ORDER_STYLES).map(([order, { label, icon }]) => (
+                <button
+                  key={order}
+                  className={`rounded-lg py-1 flex flex-col items-center ${
+                    orderTargeting?.startsWith(order) ? 'bg-green-600 ring-1 ring-white' :
+                    heroCard.order === order ? 'bg-gray-600' : 'bg-gray-700 active:bg-gray-600'
+                  }`}
+                  title={label}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.START_HERO_ORDER, { order })}
+                >
+                  <span className="text-sm">{icon}</span>
+                  <span className="text-white text-[8px]">{label}</span>
+                </button>
+              ))}
+              <button
+                className="rounded-lg py-1 flex flex-col items-center bg-gray-700 active:bg-gray-600"
+                title="Befehl aufheben"
+                onClick={() => commands.dispatch(GAME_COMMANDS.START_HERO_ORDER, { order: 'none' })}
+              >
+                <span className="text-sm">✖️</span>
+                <span className="text-white text-[8px]">Frei</span>
+              </button>
+            </div>
+            {orderTargeting && (
+              <div className="text-green-400 text-[10px] text-center mt-1">
+                🎯 {ORDER_TARGET_HINTS[orderTargeting]} · Esc bricht ab
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Selected Building */}
+      {selectedInfo && (
+        <div className="absolute top-24 right-3 w-56 pointer-events-auto">
+          <div className="bg-black/85 rounded-2xl p-3">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-yellow-400 text-sm font-bold">{selectedInfo.icon} {selectedInfo.label}</span>
+              <button
+                className="text-gray-400 text-sm px-1"
+                onClick={() => commands.dispatch(GAME_COMMANDS.DESELECT_BUILDING)}
+              >
+                ✕
+              </button>
+            </div>
+            <div className="w-full h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${selectedInfo.health > selectedInfo.maxHealth * 0.5 ? 'bg-green-500' :
+                  selectedInfo.health > selectedInfo.maxHealth * 0.25 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                style={{ width: `${Math.min(100, selectedInfo.health / selectedInfo.maxHealth * 100)}%` }}
+              />
+            </div>
+            <div className="text-white text-xs mt-1">❤️ {selectedInfo.health}/{selectedInfo.maxHealth} HP</div>
+            {selectedInfo.stats.map(line => (
+              <div key={line} className="text-green-400 text-[10px]">{line}</div>
+            ))}
+            {selectedInfo.targeting && (
+              <TargetingModeSelect
+                active={selectedInfo.targeting}
+                onSelect={mode => commands.dispatch(GAME_COMMANDS.SET_TARGETING, { mode })}
+              />
+            )}
+            {selectedInfo.wallUpgrade && !selectedInfo.moving && (() => {
+              const { icon, label, description, cost, health } = selectedInfo.wallUpgrade;
+              const affordable = phase === 'day' && score >= cost.carrots && wood >= cost.wood;
+              return (
+                <button
+                  className={`w-full mt-2 rounded-lg py-1.5 px-2 flex items-center justify-between text-xs ${
+                    affordable ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                  }`}
+                  disabled={!affordable}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.UPGRADE_WALL)}
+                  title={phase === 'day' ? `${description} (${health} HP)` : 'Nur tagsüber'}
+                >
+                  <span className="text-white">{icon} {label}</span>
+                  <span className="text-white">{cost.carrots}🥕 {cost.wood}🪵</span>
+                </button>
+              );
+            })()}
+            {selectedInfo.gatherZone && !selectedInfo.moving && (
+              <>
+                <div className="grid grid-cols-2 gap-1 mt-2">
+                  <button
+                    className={`rounded-lg py-1.5 flex flex-col items-center ${zonePainting ? 'bg-green-600 ring-1 ring-white' : 'bg-gray-700 active:bg-gray-600'}`}
+                    onClick={() => commands.dispatch(zonePainting ? GAME_COMMANDS.CANCEL_GATHER_ZONE : GAME_COMMANDS.START_GATHER_ZONE)}
+                    title="Sammelzone malen: Mitte anklicken und Radius ziehen"
+                  >
+                    <span className="text-sm">🗺️</span>
+                    <span className="text-white text-[10px]">Zone malen</span>
+                  </button>
+                  <button
+                    className={`rounded-lg py-1.5 flex flex-col items-center ${
+                      selectedInfo.gatherZone.radius > 0 ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                    }`}
+                    disabled={!(selectedInfo.gatherZone.radius > 0)}
+                    onClick={() => commands.dispatch(GAME_COMMANDS.SET_GATHER_ZONE, { radius: 0 })}
+                    title="Sammler sammeln wieder überall"
+                  >
+                    <span className="text-sm">✖️</span>
+                    <span className="text-white text-[10px]">Zone löschen</span>
+                  </button>
+                </div>
+                {zonePainting && (
+                  <div className="text-green-400 text-[10px] text-center mt-1">
+                    🗺️ Mitte klicken, Radius ziehen · Esc bricht ab
+                  </div>
+                )}
+              </>
+            )}
+
+            {selectedInfo.moving ? (
+              <button
+                className="w-full mt-2 bg-red-600 text-white py-1.5 rounded-xl text-xs"
+                onClick={() => commands.dispatch(GAME_COMMANDS.CANCEL_MOVE_BUILDING)}
+              >
+                ✕ Versetzen abbrechen
+              </button>
+            ) : (
+              <div className="grid grid-cols-3 gap-1 mt-2">
+                <button
+                  className={`rounded-lg py-1.5 flex flex-col items-center ${
+                    selectedInfo.repair.hp > 0 && wood >= selectedInfo.repair.wood ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                  }`}
+                  disabled={selectedInfo.repair.hp <= 0 || wood < selectedInfo.repair.wood}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.REPAIR_BUILDING)}
+                  title="Sofort voll reparieren"
+                >
+                  <span className="text-sm">🔧</span>
+                  <span className="text-white text-[10px]">{selectedInfo.repair.hp > 0 ? `${selectedInfo.repair.wood}🪵` : 'Heil'}</span>
+                </button>
+                <button
+                  className={`rounded-lg py-1.5 flex flex-col items-center ${
+                    phase === 'day' ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                  }`}
+                  disabled={phase !== 'day'}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.START_MOVE_BUILDING)}
+                  title={phase === 'day' ? 'Gebäude versetzen' : 'Nur tagsüber'}
+                >
+                  <span className="text-sm">↔️</span>
+                  <span className="text-white text-[10px]">Versetzen</span>
+                </button>
+                <button
+                  className="rounded-lg py-1.5 flex flex-col items-center bg-gray-700 active:bg-gray-600"
+                  onClick={() => commands.dispatch(GAME_COMMANDS.SELL_BUILDING)}
+                  title={`Verkaufen (${Math.round(BUILDING_ACTIONS.sellRefund * 100)}% Erstattung)`}
+                >
+                  <span className="text-sm">💰</span>
+                  <span className="text-white text-[10px]">
+                    +{selectedInfo.refund.carrots}🥕{selectedInfo.refund.wood > 0 && ` +${selectedInfo.refund.wood}🪵`}
+                  </span>
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Tower Upgrades - standing next to a tower */}
+      {phase === 'day' && towerPanel && !buildMode && (
+        <div className="absolute bottom-52 left-1/2 -translate-x-1/2 w-80 max-w-[90vw] pointer-events-auto">
+          <div className="bg-black/85 rounded-2xl p-3">
+            <div className="text-yellow-400 text-xs font-bold text-center mb-2">
+              {towerPanel.branch ? `${TOWER_BRANCHES[towerPanel.branch].icon} ${TOWER_BRANCHES[towerPanel.branch].label}` : '🗼 Wachturm'} · Stufe {towerPanel.tier}/{TOWER_MAX_TIER}
+            </div>
+            {towerPanel.options.length === 0 ? (
+              <div className="text-gray-400 text-xs text-center">Max. Stufe erreicht</div>
+            ) : (
+              <div className={`grid gap-2 ${towerPanel.options.length > 1 ? 'grid-cols-3' : 'grid-cols-1'}`}>
+                {towerPanel.options.map(({ branch, tier, cost, label, icon, description, stats }) => {
+                  const affordable = score >= cost.carrots && wood >= cost.wood;
+                  return (
+                    <button
+                      key={branch}
+                      className={`rounded-xl p-2 flex flex-col items-center ${
+                        affordable ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                      }`}
+                      disabled={!affordable}
+                      title={description}
+                      onClick={() => commands.dispatch(GAME_COMMANDS.UPGRADE_TOWER, { branch })}
+                    >
+                      <span className="text-xl">{icon}</span>
+                      <span className="text-white text-xs font-bold">{label} {tier}</span>
+                      <span className="text-green-400 text-[10px]">
+                        {Math.round(stats.damage)} DMG | {Math.round(stats.range)}m
+                        {stats.splashRadius > 0 && ' | Fläche'}
+                        {stats.slowDuration > 0 && ' | Frost'}
+                        {stats.pierce > 1 && ` | ${stats.pierce}x`}
+                        {!stats.antiAir && ' | nur Boden'}
+                      </span>
+                      <span className="text-white text-xs">{cost.carrots}🥕 {cost.wood}🪵</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Breeding Preview - standing next to a partner */}
+      {phase === 'day' && partnerPanel && !towerPanel && !buildMode && (
+        <div className="absolute bottom-52 left-1/2 -translate-x-1/2 w-72 max-w-[90vw] pointer-events-none">
+          <div className="bg-black/85 rounded-2xl p-3 text-center">
+            <div className="text-pink-400 text-xs font-bold mb-1">💕 {partnerPanel.name} · {partnerPanel.trait}</div>
+            <div className="flex flex-wrap justify-center gap-2 text-white text-[10px]">
+              {partnerPanel.chances.slice(0, 3).map(({ heroType, chance }) => (
+                <span key={heroType}>{heroType} {Math.round(chance * 100)}%</span>
+              ))}
+            </div>
+            <div className="flex flex-wrap justify-center gap-1 mt-1">
+              {partnerPanel.traits.map(trait => (
+                <span key={trait.stat} className={`text-[10px] px-1 rounded ${trait.good ? 'bg-green-800 text-green-200' : 'bg-red-900 text-red-200'}`}>
+                  {trait.icon} {trait.label}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Build Menu - Day Phase */}
       {phase === 'day' && (
         <div className="absolute bottom-4 left-0 right-0 px-3 pointer-events-auto">
@@ -5518,7 +5032,7 @@ healerEditor.config            - Aktuelle Werte zeigen
                buildMode === 'gate' ? '👆 Klicken für Tor | R = Drehen' :
                buildMode ? '👆 Klicken zum Platzieren | R = Drehen' : '🏗️ Bauen'}
             </div>
-            <div className="grid grid-cols-6 gap-2">
+            <div className="grid grid-cols-9 gap-2">
               {[
                 { type: 'collectorHut', icon: '🧺', label: 'Sammler', cost: buildingCosts.collectorHut,
                   desc: 'Spawnt Sammler die Karotten einsammeln', stats: '200 HP | Max 3 Sammler' },
@@ -5526,34 +5040,41 @@ healerEditor.config            - Aktuelle Werte zeigen
                   desc: 'Spawnt zufällige Helden zur Verteidigung', stats: `200 HP | Spawn: ${Math.max(10, 20 - getSkillEffect('heroSpawnRate'))}s` },
                 { type: 'beaverHut', icon: '🦫', label: 'Biber', cost: buildingCosts.beaverHut,
                   desc: 'Spawnt Biber die Holz sammeln und reparieren', stats: '180 HP | Max 2 Biber' },
+                { type: 'lumberYard', icon: '🪚', label: 'Sägewerk', cost: buildingCosts.lumberYard,
+                  desc: 'Verkauft überschüssiges Holz gegen Karotten',
+                  stats: `${BUILDING_TYPES.lumberYard.woodPerBatch}🪵 → ${BUILDING_TYPES.lumberYard.carrotsPerBatch}🥕 alle ${BUILDING_TYPES.lumberYard.convertInterval}s` },
+                { type: 'carrotField', icon: '🌱', label: 'Beet', cost: buildingCosts.carrotField,
+                  desc: 'Lässt tagsüber Karotten für die Sammler wachsen, auch auf der Wiese',
+                  stats: `Max ${BUILDING_TYPES.carrotField.maxCarrots} 🥕 | 1 alle ${BUILDING_TYPES.carrotField.growInterval}s` },
                 { type: 'tower', icon: '🗼', label: 'Turm', cost: buildingCosts.tower,
-                  desc: 'Automatischer Fernkampf-Turm', stats: `200 HP | ${Math.round(25 * (1 + getSkillEffect('towerDamage') / 100))} DMG | ${Math.round(12 * (1 + getSkillEffect('towerRange') / 100))}m` },
+                  desc: 'Automatischer Fernkampf-Turm, ausbaubar zu Mörser, Frost oder Scharfschütze', stats: `${BUILDING_TYPES.tower.health} HP | ${Math.round(newTowerStats.damage)} DMG | ${Math.round(newTowerStats.range)}m` },
                 { type: 'gate', icon: '🚪', label: 'Tor', cost: buildingCosts.gate,
                   desc: 'Blockiert Feinde, Verbündete passieren', stats: `${100 + getSkillEffect('wallHealth')} HP | Gerade Ausrichtung` },
                 { type: 'wall', icon: '🧱', label: 'Mauer', cost: buildingCosts.wall,
                   desc: 'Blockiert Feinde', stats: `${100 + getSkillEffect('wallHealth')} HP | Ziehen für Linie` },
-                { type: 'breed', icon: '💕', label: 'Züchten', cost: 15,
-                  desc: 'Neuen Guinea Pig züchten', stats: 'Zufälliger Held' },
+                { type: 'breed', icon: '💕', label: 'Züchten', cost: { carrots: 15, wood: 0 },
+                  desc: 'Mit dem Partner neben dir züchten', stats: 'Typ & Eigenschaften vom Partner' },
               ].map(({ type, icon, label, cost, desc, stats }) => (
                 <div key={type} className="relative group">
                   <button
                     className={`w-full rounded-xl p-2 flex flex-col items-center transition-all ${
                       buildMode === type ? 'bg-green-600 ring-2 ring-white' :
-                      score >= cost ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
+                      score >= cost.carrots && wood >= cost.wood ? 'bg-gray-700 active:bg-gray-600' : 'bg-gray-800 opacity-50'
                     }`}
-                    disabled={score < cost}
+                    disabled={score < cost.carrots || wood < cost.wood}
                     onClick={() => {
                       if (type === 'breed') {
-                        window.gameBreed && window.gameBreed();
+                        commands.dispatch(GAME_COMMANDS.BREED);
                       } else if (buildMode === type) {
-                        window.gameCancelBuild && window.gameCancelBuild();
+                        commands.dispatch(GAME_COMMANDS.CANCEL_BUILD);
                       } else {
-                        window.gameBuild && window.gameBuild(type);
+                        commands.dispatch(GAME_COMMANDS.BUILD, { buildingType: type });
                       }
                     }}
                   >
                     <span className="text-xl">{icon}</span>
-                    <span className="text-white text-xs">{cost}🥕</span>
+                    <span className="text-white text-xs">{cost.carrots}🥕</span>
+                    {cost.wood > 0 && <span className="text-white text-[10px]">{cost.wood}🪵</span>}
                   </button>
                   {/* Tooltip */}
                   <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 w-40 bg-black/95 rounded-lg p-2 text-xs opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-50">
@@ -5569,13 +5090,13 @@ healerEditor.config            - Aktuelle Werte zeigen
               <div className="mt-2 flex gap-2">
                 <button
                   className="flex-1 bg-blue-600 text-white py-2 rounded-xl text-sm flex items-center justify-center gap-1"
-                  onClick={() => window.gameRotateBuilding && window.gameRotateBuilding()}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.ROTATE_BUILDING)}
                 >
                   🔄 Drehen ({buildRotation}°)
                 </button>
                 <button
                   className="flex-1 bg-red-600 text-white py-2 rounded-xl text-sm"
-                  onClick={() => window.gameCancelBuild && window.gameCancelBuild()}
+                  onClick={() => commands.dispatch(GAME_COMMANDS.CANCEL_BUILD)}
                 >
                   ✕ Abbrechen
                 </button>
@@ -5604,12 +5125,18 @@ healerEditor.config            - Aktuelle Werte zeigen
       )}
 
       {/* Game Over */}
-      {gameOver && (
+      {gameOver && !replayStatus && (
         <div className="absolute inset-0 bg-black/90 flex items-center justify-center p-6 pointer-events-auto">
           <div className="bg-gradient-to-b from-red-900 to-red-950 rounded-3xl p-6 text-center max-w-sm w-full">
             <div className="text-5xl mb-3">💀</div>
             <div className="text-white text-2xl font-bold mb-2">GAME OVER</div>
-            <div className="text-red-300 mb-4">Welle {wave + 1} erreicht</div>
+            <div className="text-red-300 mb-1">Welle {wave + 1} erreicht</div>
+            {gameMode === 'endless' && (
+              <div className="text-yellow-300 text-sm mb-1">
+                ♾️ Endlos-Rekord: Welle {meta.endlessBestWave + 1} | 🥕 {meta.endlessBestScore}
+              </div>
+            )}
+            <div className="text-gray-400 text-xs font-mono mb-4">🌱 Seed: {runSeed}</div>
             <div className="bg-black/30 rounded-xl p-3 mb-4">
               <div className="text-yellow-400">Verdiente Skillpunkte</div>
               <div className="text-white text-2xl font-bold">
@@ -5628,17 +5155,26 @@ healerEditor.config            - Aktuelle Werte zeigen
             >
               🌳 Skill Tree
             </button>
+            {lastReplay && (
+              <button
+                className="bg-black/40 text-white px-8 py-2 rounded-xl font-bold w-full mt-2"
+                onClick={downloadReplay}
+              >
+                💾 Replay speichern
+              </button>
+            )}
           </div>
         </div>
       )}
 
       {/* Victory */}
-      {victory && (
+      {victory && !replayStatus && (
         <div className="absolute inset-0 bg-black/90 flex items-center justify-center p-6 pointer-events-auto">
           <div className="bg-gradient-to-b from-yellow-600 to-amber-800 rounded-3xl p-6 text-center max-w-sm w-full">
             <div className="text-5xl mb-3">🏆</div>
             <div className="text-white text-2xl font-bold mb-2">SIEG!</div>
-            <div className="text-yellow-100 mb-4">Alle {WAVES.length} Wellen überstanden!</div>
+            <div className="text-yellow-100 mb-1">Alle {WAVES_CONFIG.length} Wellen überstanden!</div>
+            <div className="text-yellow-200/70 text-xs font-mono mb-4">🌱 Seed: {runSeed}</div>
             <div className="bg-black/30 rounded-xl p-3 mb-4">
               <div className="text-yellow-300">Verdiente Skillpunkte</div>
               <div className="text-white text-2xl font-bold">
@@ -5657,6 +5193,43 @@ healerEditor.config            - Aktuelle Werte zeigen
             >
               🌳 Skill Tree
             </button>
+            {lastReplay && (
+              <button
+                className="bg-black/40 text-white px-8 py-2 rounded-xl font-bold w-full mt-2"
+                onClick={downloadReplay}
+              >
+                💾 Replay speichern
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Replay playback - covers the game so only the recorded commands reach it */}
+      {replayStatus && (
+        <div className="absolute inset-0 z-40 pointer-events-auto">
+          <div className="absolute bottom-4 left-1/2 -translate-x-1/2 bg-black/85 rounded-2xl px-4 py-2 flex items-center gap-2 text-white">
+            <span className="font-bold">🎬 Replay</span>
+            <span className="font-mono text-sm">
+              {formatReplayTime(replayStatus.seconds)} / {formatReplayTime(replayStatus.duration)}
+            </span>
+            {replayStatus.finished ? (
+              <span className="text-yellow-300 text-sm font-bold">{victory ? '🏆 Sieg' : '💀 Ende'}</span>
+            ) : (
+              <button className="bg-gray-700 rounded-lg px-2 py-1" onClick={toggleReplayPause}>
+                {replayStatus.paused ? '▶️' : '⏸️'}
+              </button>
+            )}
+            {REPLAY_SPEEDS.map(speed => (
+              <button
+                key={speed}
+                className={`rounded-lg px-2 py-1 text-sm font-bold ${speed === replayStatus.speed ? 'bg-yellow-500 text-black' : 'bg-gray-700'}`}
+                onClick={() => setReplaySpeed(speed)}
+              >
+                {speed}x
+              </button>
+            ))}
+            <button className="bg-red-600 rounded-lg px-3 py-1 font-bold" onClick={exitReplay}>✕</button>
           </div>
         </div>
       )}
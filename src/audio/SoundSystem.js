@@ -169,6 +169,13 @@ class SoundSystem {
     setTimeout(() => this.playTone(300, 0.4, 'sine', 0.3), 350);
   }
 
+  // Boss enters a new phase or enrages (roar)
+  bossPhase() {
+    if (!this.enabled || !this.ctx) return;
+    this.playTone(90, 0.5, 'sawtooth', 0.5);
+    setTimeout(() => this.playTone(70, 0.6, 'sawtooth', 0.4), 150);
+  }
+
   // Base takes damage
   baseDamage() {
     if (!this.enabled || !this.ctx) return;
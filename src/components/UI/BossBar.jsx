@@ -0,0 +1,38 @@
+import React from 'react'
+
+// Boss HP bar with phase markers, status from getBossStatus (game/systems/bosses)
+export default function BossBar({ status }) {
+  if (!status) return null
+  const hp = Math.max(0, status.health / status.maxHealth)
+
+  return (
+    <div className="absolute top-16 left-1/2 -translate-x-1/2 w-96 max-w-[80vw] pointer-events-none">
+      <div className={`bg-black/80 rounded-xl px-3 py-2 ${status.enraged ? 'border-2 border-red-500 animate-pulse' : ''}`}>
+        <div className="flex justify-between items-center text-xs mb-1">
+          <span className="text-yellow-400 font-bold">{status.icon} {status.name}</span>
+          <span className="text-gray-300">
+            Phase {status.phase}/{status.phaseCount}
+            {status.enraged && <span className="text-red-400 font-bold"> 😡 WÜTEND</span>}
+            {status.enrageIn !== null && status.enrageIn <= 30 && (
+              <span className="text-orange-400"> ⏱️ {status.enrageIn}s</span>
+            )}
+          </span>
+        </div>
+        <div className="relative h-3 bg-gray-800 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all ${status.enraged ? 'bg-red-600' : 'bg-gradient-to-r from-red-700 to-orange-500'}`}
+            style={{ width: `${hp * 100}%` }}
+          />
+          {status.thresholds.map(threshold => (
+            <div
+              key={threshold}
+              className="absolute top-0 bottom-0 w-0.5 bg-white/70"
+              style={{ left: `${threshold * 100}%` }}
+            />
+          ))}
+        </div>
+        <div className="text-right text-[10px] text-gray-400 mt-0.5">{status.health} / {status.maxHealth}</div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react'
+import { loadReplays, parseReplay, formatReplayTime } from '../../game/systems/replay'
+import { GAME_TICK } from '../../game/simulation'
+
+export default function ReplayViewer({ onPlay, onClose }) {
+  const [replays, setReplays] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadReplays().then(setReplays)
+  }, [])
+
+  // Imported files are listed on top of the stored recordings
+  const handleImport = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    file.text().then(text => {
+      try {
+        const replay = parseReplay(text)
+        setReplays(prev => [replay, ...prev])
+        setError(null)
+      } catch (err) {
+        setError(`Replay-Datei ungültig: ${err.message}`)
+      }
+    })
+    e.target.value = ''
+  }
+
+  return (
+    <div className="absolute inset-0 bg-black/95 z-50 overflow-y-auto p-4">
+      <div className="max-w-lg mx-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-2xl font-bold text-white">🎬 Replays</h2>
+          <button className="bg-red-600 text-white px-4 py-2 rounded-lg" onClick={onClose}>✕</button>
+        </div>
+
+        {error && (
+          <div className="bg-red-900/60 text-red-200 text-sm rounded-lg p-2 mb-3">{error}</div>
+        )}
+
+        <label className="block bg-gray-700 hover:bg-gray-600 text-white text-center font-bold px-4 py-2 rounded-xl mb-4 cursor-pointer">
+          📂 Replay-Datei öffnen
+          <input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+        </label>
+
+        {replays.length === 0 && (
+          <div className="text-gray-400 text-center text-sm">Noch keine Replays aufgenommen.</div>
+        )}
+        {replays.map((replay) => (
+          <button
+            key={`${replay.seed}-${replay.createdAt}`}
+            className="w-full bg-gray-800 hover:bg-gray-700 rounded-xl p-3 mb-2 text-left"
+            onClick={() => onPlay(replay)}
+          >
+            <div className="flex justify-between text-white font-bold">
+              <span>{replay.result?.victory ? '🏆' : '💀'} Welle {(replay.result?.wave || 0) + 1}</span>
+              <span className="font-mono text-sm text-gray-300">🌱 {replay.seed}</span>
+            </div>
+            <div className="text-gray-400 text-xs">
+              {new Date(replay.createdAt).toLocaleString()} | {formatReplayTime(replay.ticks * GAME_TICK)} | {replay.difficulty}
+              {replay.mode === 'endless' && ' | ♾️'}
+            </div>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+import React from 'react'
+
+// Combat log of the targeting modes, entries from getTargetingSummary (game/systems/targeting)
+export default function TargetingLog({ entries, wave }) {
+  if (!entries || entries.length === 0) return null
+
+  return (
+    <div className="bg-black/70 rounded-lg px-2 py-1 text-xs">
+      <div className="text-gray-400 mb-1">📊 Zielmodi · Welle {wave + 1}</div>
+      {entries.map(({ mode, label, icon, shots, damage, kills }) => (
+        <div key={mode} className="flex justify-between gap-2 text-white">
+          <span>{icon} {label}</span>
+          <span className="text-gray-300">
+            {shots} 🎯 · <span className="text-orange-300">{damage}</span> DMG · {kills} 💀
+          </span>
+        </div>
+      ))}
+    </div>
+  )
+}
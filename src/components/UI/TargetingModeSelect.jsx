@@ -0,0 +1,23 @@
+import React from 'react'
+import { TARGETING_MODES } from '../../constants/targeting'
+
+// Target priority buttons for the selected tower or ranged heroes
+export default function TargetingModeSelect({ active, onSelect }) {
+  return (
+    <div className="mt-2">
+      <div className="text-gray-400 text-[10px] mb-1">🎯 Ziel: {TARGETING_MODES[active]?.label || 'Gemischt'}</div>
+      <div className="grid grid-cols-7 gap-0.5">
+        {Object.entries(TARGETING_MODES).map(([mode, { label, icon, description }]) => (
+          <button
+            key={mode}
+            className={`rounded py-1 text-sm ${active === mode ? 'bg-green-600 ring-1 ring-white' : 'bg-gray-700 active:bg-gray-600'}`}
+            title={`${label}: ${description}`}
+            onClick={() => onSelect(mode)}
+          >
+            {icon}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
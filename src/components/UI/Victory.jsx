@@ -1,5 +1,5 @@
 import React from 'react'
-import { TOTAL_WAVES } from '../../constants'
+import { TOTAL_WAVES } from '../../game/systems/waveScript'
 
 export default function Victory({
   score,
@@ -7,3 +7,7 @@ export { default as GameOver } from './GameOver'
 export { default as Victory } from './Victory'
 export { default as Message } from './Message'
 export { default as LoadingScreen } from './LoadingScreen'
+export { default as ReplayViewer } from './ReplayViewer'
+export { default as BossBar } from './BossBar'
+export { default as TargetingLog } from './TargetingLog'
+export { default as TargetingModeSelect } from './TargetingModeSelect'
@@ -0,0 +1,77 @@
+// Scripted boss encounters (game/systems/bosses.js)
+// phases: entered top to bottom once health drops to `threshold` (share of maxHealth)
+//   speed/damage: multipliers on the spawn stats, summon: adds spawned around the boss
+//   attacks: keys of BOSS_ATTACKS used in this phase
+// enrage: after `time` seconds the multipliers stack on top for the rest of the fight
+
+// Telegraphed area attacks: a ground decal shows the area for `windup` seconds, then
+// every hero and building inside `radius` takes the damage
+// target: 'self' (around the boss), 'defender' or 'building' (nearest within range)
+export const BOSS_ATTACKS = {
+  tailSlam: {
+    name: 'Schwanzhieb',
+    target: 'self',
+    radius: 4,
+    damage: 30,
+    damageType: 'physical',
+    windup: 1.5,
+    cooldown: 7,
+    color: 0xFF4400,
+  },
+  pounce: {
+    name: 'Sprungangriff',
+    target: 'defender',
+    range: 12,
+    radius: 2.5,
+    damage: 45,
+    damageType: 'physical',
+    windup: 1.2,
+    cooldown: 9,
+    color: 0xFF0000,
+  },
+  diveBomb: {
+    name: 'Sturzflug',
+    target: 'defender',
+    range: 15,
+    radius: 3,
+    damage: 35,
+    damageType: 'piercing',
+    windup: 1.5,
+    cooldown: 8,
+    color: 0x9B30FF,
+  },
+  featherStorm: {
+    name: 'Federsturm',
+    target: 'building',
+    range: 14,
+    radius: 5,
+    damage: 25,
+    damageType: 'piercing',
+    windup: 2,
+    cooldown: 12,
+    color: 0x4B0082,
+  },
+}
+
+export const BOSS_SCRIPTS = {
+  boss_fox: {
+    name: 'Rotpelz der Fuchskönig',
+    icon: '🦊',
+    enrage: { time: 90, speed: 1.5, damage: 1.5 },
+    phases: [
+      { threshold: 1, attacks: ['tailSlam'] },
+      { threshold: 0.66, speed: 1.2, summon: { enemy: 'fox', count: 3 }, attacks: ['tailSlam', 'pounce'] },
+      { threshold: 0.33, speed: 1.4, damage: 1.3, summon: { enemy: 'fox', count: 5 }, attacks: ['tailSlam', 'pounce'] },
+    ],
+  },
+  boss_raven: {
+    name: 'Nachtschwinge',
+    icon: '🐦‍⬛',
+    enrage: { time: 75, speed: 1.4, damage: 1.6 },
+    phases: [
+      { threshold: 1, attacks: ['diveBomb'] },
+      { threshold: 0.6, speed: 1.2, summon: { enemy: 'raven', count: 4 }, attacks: ['diveBomb', 'featherStorm'] },
+      { threshold: 0.25, speed: 1.3, damage: 1.4, summon: { enemy: 'hawk', count: 2 }, attacks: ['diveBomb', 'featherStorm'] },
+    ],
+  },
+}
@@ -1,10 +1,12 @@
-// Building configurations
+// Building configurations: baseCost is paid in carrots, woodCost on top in wood
 export const BUILDING_TYPES = {
   collectorHut: {
     baseCost: 15,
     health: 200,
     spawnInterval: 30,
     maxCollectors: 3,
+    // Painted gather zone the collectors work first (world units)
+    gatherZone: { defaultRadius: 6, minRadius: 3, maxRadius: 14 },
     color: { wood: 0xDEB887, roof: 0x8FBC8F, accent: 0xF4A460 },
     icon: '🧺',
     label: 'Sammler-Hütte',
@@ -12,6 +14,7 @@ export const BUILDING_TYPES = {
   },
   heroHut: {
     baseCost: 35,
+    woodCost: 3,
     health: 200,
     baseSpawnTime: 20,
     color: { wood: 0xCD853F, roof: 0x4169E1, accent: 0xFFD700 },
@@ -21,9 +24,12 @@ export const BUILDING_TYPES = {
   },
   tower: {
     baseCost: 25,
+    woodCost: 3,
     health: 200,
     baseRange: 12,
     baseDamage: 25,
+    damageType: 'piercing',
+    antiAir: true,
     attackCooldown: 1.5,
     color: { wood: 0xA0522D, roof: 0x8B0000, accent: 0x2F4F4F },
     icon: '🗼',
@@ -48,6 +54,107 @@ export const BUILDING_TYPES = {
     label: 'Biber-Hütte',
     description: 'Spawnt Biber die Holz sammeln und reparieren',
   },
+  lumberYard: {
+    baseCost: 20,
+    woodCost: 4,
+    health: 180,
+    convertInterval: 10,
+    woodPerBatch: 2,
+    carrotsPerBatch: 5,
+    woodReserve: 5, // Wood left in stock for repairs and upgrades
+    color: { wood: 0xA0522D, roof: 0xCD853F, accent: 0xFFA500 },
+    icon: '🪚',
+    label: 'Sägewerk',
+    description: 'Verkauft überschüssiges Holz gegen Karotten',
+  },
+  carrotField: {
+    baseCost: 12,
+    woodCost: 2,
+    health: 120,
+    growInterval: 8, // Seconds per carrot, only during the day
+    maxCarrots: 4,
+    plotRadius: 1.8, // Carrots grow on this ring around the plot
+    color: { wood: 0x6B4226, roof: 0x228B22, accent: 0xFF6B35 },
+    icon: '🌱',
+    label: 'Karottenbeet',
+    description: 'Lässt tagsüber Karotten für die Sammler wachsen',
+  },
+}
+
+// Tower upgrades: tier 1 is the plain tower, tier 2 picks a branch, tier 3 improves it.
+// Stats replace the base tower stats; costs are paid in carrots and wood.
+export const TOWER_MAX_TIER = 3
+
+export const TOWER_BRANCHES = {
+  mortar: {
+    icon: '💣',
+    label: 'Mörser',
+    description: 'Langsame Granaten mit Flächenschaden, trifft keine Flieger',
+    projectile: 'mortar',
+    damageType: 'explosive',
+    antiAir: false,
+    color: 0x3A3A3A,
+    tiers: [
+      { cost: { carrots: 40, wood: 4 }, damage: 35, range: 11, cooldown: 2.8, splashRadius: 3 },
+      { cost: { carrots: 80, wood: 8 }, damage: 55, range: 12, cooldown: 2.4, splashRadius: 3.8 },
+    ],
+  },
+  frost: {
+    icon: '❄️',
+    label: 'Frostturm',
+    description: 'Schnelle Eissplitter, die Feinde verlangsamen',
+    projectile: 'frost',
+    damageType: 'physical',
+    antiAir: true,
+    color: 0x7FDBFF,
+    tiers: [
+      { cost: { carrots: 35, wood: 4 }, damage: 12, range: 11, cooldown: 1.0, slowDuration: 2.5 },
+      { cost: { carrots: 70, wood: 8 }, damage: 18, range: 12, cooldown: 0.8, slowDuration: 3.5, splashRadius: 2 },
+    ],
+  },
+  sniper: {
+    icon: '🎯',
+    label: 'Scharfschütze',
+    description: 'Enorme Reichweite, Geschosse durchschlagen Feinde',
+    projectile: 'sniper',
+    damageType: 'piercing',
+    antiAir: true,
+    color: 0xFFD700,
+    tiers: [
+      { cost: { carrots: 45, wood: 5 }, damage: 70, range: 20, cooldown: 2.6, pierce: 2 },
+      { cost: { carrots: 90, wood: 10 }, damage: 120, range: 24, cooldown: 2.2, pierce: 3 },
+    ],
+  },
+}
+
+// Wall upgrades: tier 1 is the plain wall (or gate), every further tier raises its
+// health and is paid mostly in wood. Health replaces the base wall health.
+export const WALL_UPGRADES = [
+  {
+    icon: '🪵',
+    label: 'Verstärkte Mauer',
+    description: 'Mit Holzbalken verstärkt',
+    cost: { carrots: 4, wood: 3 },
+    health: 180,
+    colors: { main: 0x7A6A58, accent: 0x8B7355, top: 0x5C4033, wood: 0x8B4513 },
+  },
+  {
+    icon: '🏰',
+    label: 'Festungsmauer',
+    description: 'Massiver Stein mit Eisenbeschlägen',
+    cost: { carrots: 8, wood: 6 },
+    health: 300,
+    colors: { main: 0xA9A9A9, accent: 0xC0C0C0, top: 0x5A5A6A, wood: 0x2F4F4F },
+  },
+]
+
+export const WALL_MAX_TIER = WALL_UPGRADES.length + 1
+
+// Selection panel actions: selling refunds part of the carrots and wood spent
+// (base cost plus tower and wall upgrades), repairs cost wood per missing HP.
+export const BUILDING_ACTIONS = {
+  sellRefund: 0.5,
+  repairHpPerWood: 25,
 }
 
 export const BUILDING_ICONS = {
@@ -55,13 +162,11 @@ export const BUILDING_ICONS = {
   heroHut: { color: 0x9932CC, size: 0.2 },
   tower: { color: 0xFF4500, size: 0.2 },
   beaverHut: { color: 0x8B4513, size: 0.2 },
+  lumberYard: { color: 0xCD853F, size: 0.2 },
+  carrotField: { color: 0x6B8E23, size: 0.2 },
 }
 
 // Quick access to building costs
-export const BUILDING_COSTS = {
-  collectorHut: BUILDING_TYPES.collectorHut.baseCost,
-  heroHut: BUILDING_TYPES.heroHut.baseCost,
-  tower: BUILDING_TYPES.tower.baseCost,
-  wall: BUILDING_TYPES.wall.baseCost,
-  beaverHut: BUILDING_TYPES.beaverHut.baseCost,
-}
+export const BUILDING_COSTS = Object.fromEntries(
+  Object.entries(BUILDING_TYPES).map(([type, { baseCost, woodCost = 0 }]) => [type, { carrots: baseCost, wood: woodCost }])
+)
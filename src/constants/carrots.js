@@ -0,0 +1,97 @@
+// Carrot catalogue (handled by game/systems/carrots.js). A new carrot only needs an entry:
+//   value      - carrots it is worth (before combo and difficulty)
+//   color      - tint of the model and the glow ring
+//   priority   - collector priority, the walking distance is divided by it (0: collectors leave it)
+//   weight     - base spawn chance, normal carrots take what is left
+//   weather    - weight multiplier per weather
+//   difficulty - weight multiplier per difficulty
+//   goldenAge  - weight multiplier with the goldenAge skill
+//   weatherMaster - extra weight per weather with the weatherMaster skill
+//   magnetic   - false: magnets (autoCollect, silver carrots) don't pull it
+//   effect     - what happens when the player picks it up:
+//                speed { duration }, heal { amount } (burrow), summon { duration } (temporary hero),
+//                magnet { duration, range, pull }, poison { status, duration, damage } (eats carrots)
+//   message    - German pickup message
+export const CARROT_TYPES = {
+  normal: {
+    label: 'Karotte',
+    icon: '🥕',
+    color: 0xFF6B35,
+    value: 1,
+    priority: 1,
+  },
+  golden: {
+    label: 'Goldkarotte',
+    icon: '✨',
+    color: 0xFFD700,
+    value: 5,
+    priority: 3,
+    weight: 0.02,
+    goldenAge: 1.5,
+    weatherMaster: { sunny: 0.03 },
+    effect: { type: 'bonus' },
+  },
+  blue: {
+    label: 'Blitzkarotte',
+    icon: '⚡',
+    color: 0x4169E1,
+    value: 3,
+    priority: 2,
+    weight: 0.06,
+    effect: { type: 'speed', duration: 5 },
+    message: 'Speed Boost!',
+  },
+  red: {
+    label: 'Herzkarotte',
+    icon: '❤️',
+    color: 0xDC143C,
+    value: 2,
+    priority: 2,
+    weight: 0.025,
+    weather: { rainy: 1.5 },
+    difficulty: { easy: 1.2, hard: 0.8 },
+    effect: { type: 'heal', amount: 10 },
+    message: 'Bau geheilt!',
+  },
+  purple: {
+    label: 'Heldenkarotte',
+    icon: '🦸',
+    color: 0x8A2BE2,
+    value: 1,
+    priority: 2,
+    weight: 0.01,
+    weather: { sunny: 1.5 },
+    difficulty: { easy: 1.5, hard: 0.6 },
+    goldenAge: 1.5,
+    effect: { type: 'summon', duration: 30 },
+    message: 'Ein Held hilft für 30s!',
+  },
+  silver: {
+    label: 'Magnetkarotte',
+    icon: '🧲',
+    color: 0xC0C0C0,
+    value: 2,
+    priority: 2,
+    weight: 0.02,
+    weather: { windy: 2 },
+    effect: { type: 'magnet', duration: 8, range: 14, pull: 0.25 },
+    message: 'Karotten-Magnet!',
+  },
+  rotten: {
+    label: 'Faule Karotte',
+    icon: '🤢',
+    color: 0x556B2F,
+    value: 0,
+    priority: 0,
+    magnetic: false,
+    weight: 0.03,
+    weather: { rainy: 2, sunny: 0.5 },
+    difficulty: { easy: 0.3, hard: 2 },
+    goldenAge: 0.5,
+    effect: { type: 'poison', status: 'poison', duration: 5, damage: 1 },
+    message: 'Vergiftet! Du verlierst Karotten',
+  },
+}
+
+// Pull of the autoCollect skill, silver carrots bring their own
+export const AUTO_COLLECT_MAGNET = { range: 8, pull: 0.1 }
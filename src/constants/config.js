@@ -4,6 +4,7 @@ export const GAME_CONFIG = {
   BASE_HEALTH: 100,
   BASE_DAY_DURATION: 90,
   BASE_PLAYER_SPEED: 0.06,
+  STARTING_WOOD: 6,
 
   // Camera settings
   CAMERA_FOV: 50,
@@ -92,3 +93,37 @@ export const STORAGE_KEYS = {
   SKILLS: 'guineaPigTD_skills',
   META: 'guineaPigTD_meta',
 }
+
+// Difficulty modifiers applied to enemy stats, carrot value and spawn rate
+export const DIFFICULTY_MODS = {
+  easy: { enemyHealth: 0.7, enemyDamage: 0.7, enemySpeed: 0.85, carrotValue: 1.3, spawnRate: 1.3, label: 'Leicht', icon: '🌱' },
+  normal: { enemyHealth: 1.0, enemyDamage: 1.0, enemySpeed: 1.0, carrotValue: 1.0, spawnRate: 1.0, label: 'Normal', icon: '⚔️' },
+  hard: { enemyHealth: 1.5, enemyDamage: 1.4, enemySpeed: 1.15, carrotValue: 0.8, spawnRate: 0.7, label: 'Schwer', icon: '💀' },
+}
+
+// Run modes selectable in the menu
+export const GAME_MODES = {
+  classic: { label: 'Klassisch', icon: '🏆' },
+  endless: { label: 'Endlos', icon: '♾️' },
+}
+
+// Endless mode: procedurally generated waves after the last scripted one
+export const ENDLESS_CONFIG = {
+  BASE_BUDGET: 75,          // Threat points of the first generated wave
+  BUDGET_GROWTH: 1.15,      // Budget multiplier per generated wave
+  MAX_BUDGET: 250,          // Budget cap, growth beyond it goes into the stat modifiers
+  MAX_ENEMIES_PER_WAVE: 150, // Hard cap on spawned enemies incl. reinforcements, bosses excluded
+  OVERFLOW_DAMAGE: 0.5,     // Share of the budget overflow applied to damage
+  OVERFLOW_ARMOR: 4,        // Extra armor per doubling of the budget overflow
+  ENEMY_COSTS: { fox: 1, raven: 1, snake: 1.5, mole: 1.5, weasel: 1.2, hawk: 2, badger: 4 },
+  BOSS_EVERY: 3,            // Every n-th generated wave has bosses
+  BOSS_ROTATION: [['boss_fox'], ['boss_raven'], ['boss_fox', 'boss_raven']],
+  HEALTH_PER_WAVE: 0.08,    // Enemy stat modifiers grow per generated wave
+  DAMAGE_PER_WAVE: 0.05,
+  SPEED_PER_WAVE: 0.02,
+  MAX_SPEED_MODIFIER: 1.4,
+  ARMOR_PER_WAVE: 2,        // Flat armor bonus, towers and assassins pierce it
+  BASE_INTERVAL: 1,         // Seconds between spawns inside a group
+  MIN_INTERVAL: 0.3,
+  REINFORCEMENTS_FROM: 2,   // First generated wave (0-based) with reinforcements
+}
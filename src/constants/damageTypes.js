@@ -0,0 +1,14 @@
+// Damage types of hits on enemies (see game/systems/damage.js)
+// armorPenetration: share of the target's armor that is ignored
+// color: damage number color
+export const DAMAGE_TYPES = {
+  physical: { label: 'Physisch', icon: '⚔️', armorPenetration: 0, color: '#FF4444' },
+  explosive: { label: 'Explosiv', icon: '💥', armorPenetration: 0.5, color: '#FF8C00' },
+  piercing: { label: 'Durchschlagend', icon: '🏹', armorPenetration: 1, color: '#87CEFA' },
+  poison: { label: 'Gift', icon: '☠️', armorPenetration: 1, color: '#9ACD32' },
+}
+
+export const DAMAGE_CONFIG = {
+  // Armor reduction = armor / (armor + armorScale): 25 armor blocks 20%
+  armorScale: 100,
+}
@@ -1,4 +1,6 @@
 // Enemy configurations
+// armor: reduces physical (and half of explosive) damage, see DAMAGE_CONFIG
+// resistances: damage taken per type is scaled by (1 - value), negative = weakness
 export const ENEMY_TYPES = {
   fox: {
     health: 50,
@@ -8,7 +10,10 @@ export const ENEMY_TYPES = {
     color: 0xD2691E,
     attackCooldown: 1.5,
     scoreValue: 5,
+    armor: 15,
+    resistances: {},
   },
+  // Phases, adds and area attacks of the bosses: BOSS_SCRIPTS (constants/bosses.js)
   boss_fox: {
     health: 500,
     speed: 0.025,
@@ -18,6 +23,9 @@ export const ENEMY_TYPES = {
     attackCooldown: 1,
     scoreValue: 50,
     scale: 2.5,
+    armor: 40,
+    resistances: { explosive: 0.25 },
+    immunities: ['stun', 'freeze'],
   },
   raven: {
     health: 30,
@@ -28,6 +36,8 @@ export const ENEMY_TYPES = {
     attackCooldown: 1.5,
     flying: true,
     scoreValue: 5,
+    armor: 0,
+    resistances: { explosive: 0.5, piercing: -0.25 }, // Hard to blast, easy to shoot
   },
   boss_raven: {
     health: 350,
@@ -39,6 +49,9 @@ export const ENEMY_TYPES = {
     flying: true,
     scoreValue: 50,
     scale: 2,
+    armor: 10,
+    resistances: { explosive: 0.5, piercing: -0.25 },
+    immunities: ['stun', 'freeze'],
   },
   snake: {
     health: 70,
@@ -49,22 +62,68 @@ export const ENEMY_TYPES = {
     attackCooldown: 1.5,
     canPoison: true,
     scoreValue: 5,
+    armor: 5,
+    resistances: { poison: 1, explosive: -0.25 }, // Venomous, but low to the ground
+    immunities: ['poison'],
+  },
+  // Special families (game/systems/enemyMechanics.js)
+  mole: {
+    health: 60,
+    speed: 0.045,
+    damage: 14,
+    radius: 0.8,
+    color: 0x4A3728,
+    attackCooldown: 1.5,
+    burrows: true,             // Tunnels under walls, can't be hit until it surfaces
+    surfaceRadius: 9,          // Surfaces this close to the burrow (inside the wall ring)
+    scoreValue: 6,
+    armor: 10,
+    resistances: { explosive: -0.5 }, // Soft digger, blasts hurt once it is up
+  },
+  weasel: {
+    health: 35,
+    speed: 0.08,
+    damage: 6,
+    radius: 0.6,
+    color: 0xC19A6B,
+    attackCooldown: 1.2,
+    stealsCarrots: true,       // Robs collectors of their load, then runs for the map edge
+    scoreValue: 6,
+    armor: 0,
+    resistances: { poison: -0.25 },
+  },
+  hawk: {
+    health: 45,
+    speed: 0.07,
+    damage: 8,
+    radius: 1,
+    color: 0x8B5A2B,
+    attackCooldown: 1.5,
+    flying: true,
+    snatchesHeroes: true,      // Carries a hero off and drops it outside the walls
+    snatchDuration: 4,         // Seconds a hero is carried
+    dropDamage: 25,            // Fall damage when the hero is dropped
+    scoreValue: 8,
+    armor: 5,
+    resistances: { piercing: -0.25 },
+    immunities: ['confuse'],
+  },
+  badger: {
+    health: 220,
+    speed: 0.022,
+    damage: 20,
+    radius: 1.4,
+    color: 0x3C3C3C,
+    attackCooldown: 2,
+    buildingDamageMultiplier: 3, // Siege unit: walls and towers crumble fast
+    scoreValue: 10,
+    scale: 1.3,
+    armor: 35,
+    resistances: { physical: 0.2, piercing: -0.25 },
+    immunities: ['slow'],
   },
 }
 
-export const WAVE_CONFIGS = [
-  { foxes: 5, ravens: 0, snakes: 0, delay: 1.8 },
-  { foxes: 7, ravens: 3, snakes: 0, delay: 1.5 },
-  { foxes: 8, ravens: 5, snakes: 2, delay: 1.3, boss: 'fox' },
-  { foxes: 12, ravens: 7, snakes: 4, delay: 1.1 },
-  { foxes: 15, ravens: 10, snakes: 5, delay: 0.9 },
-  { foxes: 18, ravens: 12, snakes: 8, delay: 0.8, boss: 'raven' },
-  { foxes: 22, ravens: 15, snakes: 10, delay: 0.7 },
-  { foxes: 30, ravens: 20, snakes: 15, delay: 0.5, boss: 'both' },
-]
-
-export const TOTAL_WAVES = WAVE_CONFIGS.length
-
 // Enemy AI Behavior profiles for the Threat/Aggro system
 export const ENEMY_BEHAVIOR = {
   fox: {
@@ -73,6 +132,7 @@ export const ENEMY_BEHAVIOR = {
     retaliationChance: 0.8,   // 80% Chance zurückzuschlagen
     aggroRange: 10,           // Sieht Angreifer in 10 Einheiten
     leashRange: 12,           // Kehrt nach 12 Einheiten um
+    breachFocus: 1.0,         // Sucht gezielt beschädigte Mauern
   },
   boss_fox: {
     defenderFocus: 0.4,       // Fokussiert mehr auf Ziel
@@ -80,6 +140,7 @@ export const ENEMY_BEHAVIOR = {
     retaliationChance: 0.5,
     aggroRange: 12,
     leashRange: 15,
+    breachFocus: 0.5,
   },
   raven: {
     defenderFocus: 0.7,       // Hasst Ranged-Einheiten
@@ -88,6 +149,7 @@ export const ENEMY_BEHAVIOR = {
     aggroRange: 14,           // Fliegt = sieht weiter
     leashRange: 20,
     priorityTargets: ['bomber', 'tower'], // Zielt auf Ranged
+    breachFocus: 0,
   },
   boss_raven: {
     defenderFocus: 0.5,
@@ -96,6 +158,7 @@ export const ENEMY_BEHAVIOR = {
     aggroRange: 16,
     leashRange: 25,
     priorityTargets: ['bomber', 'tower'],
+    breachFocus: 0,
   },
   snake: {
     defenderFocus: 0.2,       // Bleibt bei Buildings
@@ -103,5 +166,44 @@ export const ENEMY_BEHAVIOR = {
     retaliationChance: 0.3,   // Nur 30% Retaliation
     aggroRange: 6,
     leashRange: 8,
+    breachFocus: 0.3,
+    buildingTargeter: true,   // Geht immer auf Gebäude
+  },
+  mole: {
+    defenderFocus: 0.4,       // Nach dem Auftauchen: was gerade in der Nähe ist
+    threatMultiplier: 0.8,
+    retaliationChance: 0.5,
+    aggroRange: 8,
+    leashRange: 10,
+    priorityTargets: ['collectorHut', 'heroHut', 'beaverHut'], // Gräbt sich zu Hütten
+    breachFocus: 0,
+  },
+  weasel: {
+    defenderFocus: 0.2,       // Meidet Kämpfe
+    threatMultiplier: 0.3,
+    retaliationChance: 0.1,
+    aggroRange: 18,           // Wittert Karotten von weitem
+    leashRange: 10,
+    priorityTargets: ['collectorHut'],
+    breachFocus: 0.5,
+  },
+  hawk: {
+    defenderFocus: 0.9,       // Jagt Helden
+    threatMultiplier: 0.6,
+    retaliationChance: 0.4,
+    aggroRange: 20,           // Kreist hoch oben
+    leashRange: 30,
+    priorityTargets: ['healer', 'bomber', 'assassin'], // Leichte Beute
+    breachFocus: 0,
+  },
+  badger: {
+    defenderFocus: 0.1,       // Belagerung, Helden sind Nebensache
+    threatMultiplier: 0.4,
+    retaliationChance: 0.2,
+    aggroRange: 6,
+    leashRange: 6,
+    priorityTargets: ['wall', 'gate', 'tower'],
+    breachFocus: 1.0,
+    buildingTargeter: true,
   },
 }
@@ -11,18 +11,36 @@ export const GUINEA_PIG_TYPES = {
     c2: 0xF5F5DC,
     name: 'Brownie',
     isPartner: true,
+    // Calm and sturdy: defensive offspring with more HP
+    genetics: {
+      trait: 'Gemütlich',
+      affinity: { tank: 3, healer: 2, tunneler: 1.5 },
+      modifiers: { health: 0.15, speed: -0.05 },
+    },
   },
   partner2: {
     c1: 0x2F2F2F,
     c2: 0xFFFFFF,
     name: 'Oreo',
     isPartner: true,
+    // Sneaky: fast and hard hitting, but fragile
+    genetics: {
+      trait: 'Listig',
+      affinity: { shadow: 3, assassin: 2.5 },
+      modifiers: { damage: 0.1, speed: 0.1, health: -0.1 },
+    },
   },
   partner3: {
     c1: 0x8B4513,
     c2: 0xFFA500,
     name: 'Caramel',
     isPartner: true,
+    // Fiery: explosive offspring that use their abilities more often
+    genetics: {
+      trait: 'Feurig',
+      affinity: { bomber: 3, tunneler: 1.5, healer: 1.5 },
+      modifiers: { abilityCooldown: -0.15, damage: 0.05 },
+    },
   },
   collector: {
     c1: 0xFFA500,
@@ -37,7 +55,12 @@ export const GUINEA_PIG_TYPES = {
     name: 'Tunneler',
     attackRange: 5,
     baseDamage: 18,
+    damageType: 'physical',
+    antiAir: false,
+    attackCooldown: 1.2,
     ability: 'slow',
+    abilityCooldown: 6,
+    abilityTarget: 'enemiesInRange',
     abilityRange: 5,
     abilityDuration: 4,
   },
@@ -47,25 +70,43 @@ export const GUINEA_PIG_TYPES = {
     name: 'Shadow',
     attackRange: 5,
     baseDamage: 18,
+    damageType: 'physical',
+    antiAir: false,
+    attackCooldown: 1.2,
     ability: 'confuse',
+    abilityCooldown: 6,
+    abilityTarget: 'nearestEnemy',
+    abilityRange: 5,
     abilityDuration: 5,
   },
   bomber: {
     c1: 0xFF6B35,
     c2: 0xFFD700,
     name: 'Bomber',
-    attackRange: 7,
-    baseDamage: 30,
+    health: 60,
+    speed: 0.018,
+    attackRange: 10,
+    baseDamage: 35,
+    damageType: 'explosive',
+    antiAir: true,
     useProjectiles: true,
-    attackCooldown: 2,
+    attackCooldown: 2.5,
+    splashRadius: 3,
   },
   healer: {
     c1: 0xFFFFFF,
     c2: 0xFFB6C1,
     name: 'Healer',
-    attackRange: 5,
-    baseDamage: 18,
+    health: 70,
+    speed: 0.02,
+    attackRange: 8,
+    baseDamage: 15,
+    damageType: 'physical',
+    antiAir: false,
+    attackCooldown: 1.2,
     ability: 'heal',
+    abilityCooldown: 6,
+    abilityTarget: 'injuredAllies',
     abilityRange: 6,
     healAmount: 20,
   },
@@ -75,8 +116,14 @@ export const GUINEA_PIG_TYPES = {
     name: 'Tank',
     attackRange: 5,
     baseDamage: 18,
+    damageType: 'physical',
+    antiAir: false,
+    attackCooldown: 1.2,
     ability: 'taunt',
+    abilityCooldown: 6,
+    abilityTarget: 'enemiesInRange',
     abilityRange: 8,
+    abilityDuration: 4,
   },
   assassin: {
     c1: 0x800080,
@@ -84,12 +131,74 @@ export const GUINEA_PIG_TYPES = {
     name: 'Assassin',
     attackRange: 3,
     baseDamage: 45,
+    damageType: 'piercing',
+    antiAir: false,
     attackCooldown: 0.8,
     ability: 'teleport',
+    abilityCooldown: 6,
+    abilityTarget: 'weakestEnemy',
+    abilityRange: 20,
   },
 }
 
+// Who a hero ability picks (abilityTarget); an ability without targets
+// stays ready instead of going on cooldown
+export const ABILITY_TARGETS = {
+  enemiesInRange: 'Alle Feinde in abilityRange',
+  nearestEnemy: 'Nächster Feind in abilityRange',
+  weakestEnemy: 'Feind mit den wenigsten HP in abilityRange',
+  injuredAllies: 'Verletzte Verbündete in abilityRange',
+}
+
 export const HERO_TYPES = ['tunneler', 'shadow', 'bomber', 'healer', 'tank', 'assassin']
 
+// Defaults for hero types without their own health / speed
 export const BASE_HERO_HEALTH = 50
 export const BASE_HERO_SPEED = 0.025
+
+// ============== BREEDING GENETICS ==============
+// Offspring inherit the partner's modifiers plus a random spread per stat.
+// Modifiers are fractions (0.1 = +10%); abilityCooldown below 0 is good.
+export const GENETICS = {
+  spread: 0.1,      // Random roll per stat: +-10%
+  minModifier: -0.3,
+  maxModifier: 0.4,
+  traitThreshold: 0.1, // |modifier| from which a stat shows up as trait
+}
+
+export const GENE_STATS = ['health', 'damage', 'speed', 'abilityCooldown']
+
+// Trait labels per stat; "good" is the label of the favourable direction
+export const GENE_TRAITS = {
+  health: { good: { label: 'Robust', icon: '❤️' }, bad: { label: 'Zart', icon: '🩹' } },
+  damage: { good: { label: 'Kräftig', icon: '💪' }, bad: { label: 'Sanft', icon: '🌸' } },
+  speed: { good: { label: 'Flink', icon: '💨' }, bad: { label: 'Träge', icon: '🐌' } },
+  abilityCooldown: { good: { label: 'Begabt', icon: '✨' }, bad: { label: 'Verträumt', icon: '💤' } },
+}
+
+export const HERO_NAMES = [
+  'Krümel', 'Flocke', 'Muffin', 'Nugget', 'Wuschel', 'Bohne', 'Keks', 'Schnuffel',
+  'Pepper', 'Mocca', 'Zimt', 'Pünktchen', 'Rübe', 'Fussel', 'Erbse', 'Hazel',
+]
+
+// ============== HERO VETERANCY ==============
+// Heroes gain XP from kills and ability use. Every level-up grows HP and
+// damage; at the perk levels the player picks one of HERO_PERKS.
+export const HERO_LEVELS = {
+  maxLevel: 5,
+  xpThresholds: [0, 40, 100, 180, 300], // Total XP for level 1..5
+  killXp: 10,
+  bossKillXp: 60,
+  abilityXp: 4,
+  growth: { health: 0.12, damage: 0.1 }, // Per level-up
+  perkLevels: [3, 5],
+}
+
+// Perk modifiers: fractions like the genetics, critChance in percent points
+export const HERO_PERKS = {
+  tough: { label: 'Zäh', icon: '🛡️', description: '+30% Max-HP', modifiers: { health: 0.3 } },
+  brutal: { label: 'Wuchtig', icon: '💥', description: '+25% Schaden', modifiers: { damage: 0.25 } },
+  swift: { label: 'Sprinter', icon: '👟', description: '+25% Tempo', modifiers: { speed: 0.25 } },
+  focused: { label: 'Fokus', icon: '🎯', description: '-25% Abklingzeit', modifiers: { abilityCooldown: -0.25 } },
+  deadly: { label: 'Tödlich', icon: '🗡️', description: '+15% Krit-Chance', modifiers: { critChance: 15 } },
+}
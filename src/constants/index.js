@@ -3,5 +3,10 @@ export * from './config'
 export * from './skills'
 export * from './enemies'
 export * from './buildings'
+export * from './carrots'
 export * from './guineaPigs'
 export * from './weather'
+export * from './statusEffects'
+export * from './damageTypes'
+export * from './bosses'
+export * from './targeting'
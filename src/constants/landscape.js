@@ -258,6 +258,20 @@ export const LANDSCAPE_ASSETS = {
   ],
 }
 
+// Wood stock of the resource trees: beavers chop it one wood at a time and it
+// only grows back at dawn, so the forest next to a beaver hut runs dry.
+// Trees chopped to the ground stay stumps (stump_a prop) for a few days.
+export const RESOURCE_TREE_CONFIG = {
+  maxWood: 8,
+  regrowPerDay: 2,
+  thinnedBelow: 0.5,    // Stock ratio at which a tree shows as thinned
+  thinnedScale: 0.75,   // Model scale of a thinned tree
+  stumpRegrowDays: 4,   // Days until a stump sprouts again on its own
+  plantedRegrowDays: 1, // Days until a stump replanted by a beaver sprouts
+  replantTime: 2,       // Seconds a beaver needs to plant a sapling
+  stumpAsset: 'stump_a',
+}
+
 // Fallback procedural landscape (if no GLB assets loaded)
 export const PROCEDURAL_LANDSCAPE = {
   enabled: true, // Use procedural if GLB loading fails
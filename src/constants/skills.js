@@ -208,4 +208,7 @@ export const DEFAULT_META = {
   totalCarrots: 0,
   skillPoints: 0,
   bossesKilled: 0,
+  // Endless mode has its own records
+  endlessBestWave: 0,
+  endlessBestScore: 0,
 }
@@ -0,0 +1,86 @@
+// Status effect definitions for enemies, heroes, buildings and the base
+// (handled by game/systems/statusEffects.js). A new effect only needs an entry:
+//   duration  - seconds, can be overridden when applying
+//   stacking  - 'refresh': the longer duration wins
+//               'extend':  durations add up to maxDuration
+//               'stack':   up to maxStacks, every stack ticks, duration refreshes
+//               'ignore':  no re-apply while active
+//   tick      - { interval, damage, type } damage per stack every interval (negative
+//               heals), type is a DAMAGE_TYPES key (default poison)
+//   modifiers - multipliers while active: speed, damageTaken, damageDealt
+//   flags     - stopsMovement, stopsAttack, stopsAbility, wanders, taunts
+export const STATUS_EFFECTS = {
+  slow: {
+    label: 'Verlangsamt',
+    icon: '🐌',
+    color: 0x7FDBFF,
+    duration: 4,
+    stacking: 'refresh',
+    modifiers: { speed: 0.35 },
+  },
+  freeze: {
+    label: 'Eingefroren',
+    icon: '🧊',
+    color: 0xADD8E6,
+    duration: 2,
+    stacking: 'refresh',
+    flags: ['stopsMovement', 'stopsAttack'],
+  },
+  stun: {
+    label: 'Betäubt',
+    icon: '💫',
+    color: 0xFFFF66,
+    duration: 1.5,
+    stacking: 'ignore',
+    flags: ['stopsMovement', 'stopsAttack', 'stopsAbility'],
+  },
+  confuse: {
+    label: 'Verwirrt',
+    icon: '❓',
+    color: 0x4B0082,
+    duration: 5,
+    stacking: 'refresh',
+    flags: ['wanders'],
+  },
+  taunt: {
+    label: 'Provoziert',
+    icon: '📢',
+    color: 0x4682B4,
+    duration: 4,
+    stacking: 'refresh',
+    flags: ['taunts'],
+  },
+  poison: {
+    label: 'Vergiftet',
+    icon: '☠️',
+    color: 0x00FF00,
+    duration: 5,
+    stacking: 'refresh',
+    tick: { interval: 1, damage: 3, type: 'poison' },
+  },
+  burn: {
+    label: 'Brennt',
+    icon: '🔥',
+    color: 0xFF4500,
+    duration: 3,
+    stacking: 'stack',
+    maxStacks: 3,
+    tick: { interval: 0.5, damage: 2, type: 'explosive' },
+  },
+  armorBreak: {
+    label: 'Rüstungsbruch',
+    icon: '💔',
+    color: 0xB22222,
+    duration: 6,
+    stacking: 'extend',
+    maxDuration: 12,
+    modifiers: { damageTaken: 1.3 },
+  },
+}
+
+// Poison strength of snake bites per target kind (damage per tick)
+export const SNAKE_POISON = {
+  defender: { damage: 3, duration: 5 },
+  building: { damage: 5, duration: 4 },
+  base: { damage: 2, duration: 6 },
+}
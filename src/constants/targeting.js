@@ -0,0 +1,13 @@
+// Target priority of towers and ranged heroes (see game/systems/targeting.js)
+// Ties and units without a match in 'boss'/'flying' fall back to the nearest enemy
+export const TARGETING_MODES = {
+  nearest: { label: 'Nächster', icon: '📍', description: 'Feind am nächsten zum Schützen' },
+  closest: { label: 'Am Bau', icon: '🏠', description: 'Feind am nächsten zum Bau (Luftlinie)' },
+  first: { label: 'Vorderster', icon: '🏃', description: 'Feind mit dem kürzesten Weg zum Bau' },
+  strongest: { label: 'Stärkster', icon: '💪', description: 'Feind mit den meisten HP' },
+  weakest: { label: 'Schwächster', icon: '🩸', description: 'Feind mit den wenigsten HP' },
+  boss: { label: 'Bosse', icon: '👑', description: 'Bosse zuerst' },
+  flying: { label: 'Flieger', icon: '🪶', description: 'Flieger zuerst' },
+}
+
+export const DEFAULT_TARGETING_MODE = 'nearest'
@@ -0,0 +1,107 @@
+// Built-in night waves in the wave script format (game/systems/waveScript.js)
+// Loaded through the same validator as any other script
+export const WAVE_SCRIPTS = {
+  version: 1,
+  waves: [
+    {
+      name: 'Erste Spuren',
+      groups: [
+        { at: 0, enemy: 'fox', count: 5, interval: 1.8, lane: 'random' },
+      ],
+    },
+    {
+      name: 'Von Osten',
+      groups: [
+        { at: 0, enemy: 'fox', count: 7, interval: 1.6, lane: 'east' },
+        { at: 5, enemy: 'raven', count: 3, interval: 2.5, lane: 'north' },
+      ],
+    },
+    {
+      name: 'Der Fuchsbau',
+      groups: [
+        { at: 0, enemy: 'fox', count: 4, interval: 1.4, lane: 'west' },
+        { at: 3, enemy: 'raven', count: 5, interval: 1.8, lane: 'random' },
+        { at: 8, enemy: 'snake', count: 2, interval: 3, lane: 'south' },
+        { at: 10, enemy: 'fox', count: 4, interval: 1.4, lane: 'east' },
+        { at: 16, enemy: 'boss_fox', lane: 'north' },
+      ],
+      reinforcements: [
+        { when: { baseHealthBelow: 0.5 }, groups: [{ enemy: 'fox', count: 3, interval: 1, lane: 'random' }] },
+      ],
+    },
+    {
+      name: 'Zangengriff',
+      groups: [
+        { at: 0, enemy: 'fox', count: 6, interval: 1.2, lane: 'north' },
+        { at: 4, enemy: 'fox', count: 6, interval: 1.2, lane: 'south' },
+        { at: 8, enemy: 'raven', count: 7, interval: 1.5, lane: 'random' },
+        { at: 12, enemy: 'snake', count: 4, interval: 2, lane: 'west' },
+        { at: 14, enemy: 'weasel', count: 3, interval: 1.5, lane: 'east' },
+      ],
+      reinforcements: [
+        { when: { enemiesBelow: 3 }, groups: [{ enemy: 'raven', count: 3, interval: 1, lane: 'east' }] },
+      ],
+    },
+    {
+      name: 'Schlangengrube',
+      groups: [
+        { at: 0, enemy: 'fox', count: 8, interval: 1, lane: 'east' },
+        { at: 5, enemy: 'fox', count: 7, interval: 1, lane: 'west' },
+        { at: 8, enemy: 'raven', count: 10, interval: 1.2, lane: 'random' },
+        { at: 14, enemy: 'snake', count: 5, interval: 1.5, lane: 'north', modifiers: { speed: 1.1 }},
+        { at: 18, enemy: 'mole', count: 4, interval: 2, lane: 'south' },
+      ],
+      reinforcements: [
+        { when: { baseHealthBelow: 0.4 }, groups: [{ enemy: 'fox', count: 4, interval: 0.8, lane: 'random', modifiers: { health: 0.8 }}] },
+      ],
+    },
+    {
+      name: 'Schwarze Schwingen',
+      groups: [
+        { at: 0, enemy: 'fox', count: 9, interval: 0.9, lane: 'north' },
+        { at: 0, enemy: 'fox', count: 9, interval: 0.9, lane: 'south' },
+        { at: 6, enemy: 'raven', count: 12, interval: 1, lane: 'random' },
+        { at: 12, enemy: 'boss_raven', lane: 'east' },
+        { at: 15, enemy: 'snake', count: 8, interval: 1.2, lane: 'west' },
+        { at: 18, enemy: 'hawk', count: 3, interval: 2, lane: 'random' },
+      ],
+      reinforcements: [
+        { when: { bossDefeated: true }, groups: [{ enemy: 'raven', count: 5, interval: 0.6, lane: 'east' }] },
+      ],
+    },
+    {
+      name: 'Sturmnacht',
+      groups: [
+        { at: 0, enemy: 'fox', count: 11, interval: 0.8, lane: 'north' },
+        { at: 4, enemy: 'fox', count: 11, interval: 0.8, lane: 'east' },
+        { at: 6, enemy: 'raven', count: 15, interval: 0.7, lane: 'random' },
+        { at: 10, enemy: 'snake', count: 10, interval: 1, lane: 'south', modifiers: { health: 1.2 }},
+        { at: 12, enemy: 'badger', count: 3, interval: 3, lane: 'west' },
+        { at: 16, enemy: 'weasel', count: 4, interval: 1, lane: 'random' },
+        { at: 20, enemy: 'hawk', count: 3, interval: 1.5, lane: 'north' },
+      ],
+      reinforcements: [
+        { when: { baseHealthBelow: 0.5 }, groups: [{ enemy: 'fox', count: 6, interval: 0.8, lane: 'west' }] },
+        { when: { afterTime: 30, enemiesBelow: 5 }, groups: [{ enemy: 'raven', count: 5, interval: 0.8, lane: 'random' }] },
+      ],
+    },
+    {
+      name: 'Die letzte Nacht',
+      groups: [
+        { at: 0, enemy: 'fox', count: 15, interval: 0.6, lane: 'north' },
+        { at: 3, enemy: 'fox', count: 15, interval: 0.6, lane: 'south' },
+        { at: 4, enemy: 'raven', count: 20, interval: 0.5, lane: 'random' },
+        { at: 10, enemy: 'snake', count: 15, interval: 0.8, lane: 'west' },
+        { at: 12, enemy: 'boss_fox', lane: 'east' },
+        { at: 14, enemy: 'badger', count: 5, interval: 2.5, lane: 'north' },
+        { at: 16, enemy: 'mole', count: 6, interval: 1.5, lane: 'random' },
+        { at: 18, enemy: 'hawk', count: 5, interval: 1.5, lane: 'random' },
+        { at: 22, enemy: 'boss_raven', lane: 'west' },
+      ],
+      reinforcements: [
+        { when: { bossDefeated: true }, groups: [{ enemy: 'fox', count: 6, interval: 0.6, lane: 'random', modifiers: { health: 1.2, speed: 1.1 }}] },
+        { when: { baseHealthBelow: 0.3 }, groups: [{ enemy: 'snake', count: 5, interval: 0.8, lane: 'random' }] },
+      ],
+    },
+  ],
+}
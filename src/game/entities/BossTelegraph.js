@@ -0,0 +1,51 @@
+import * as THREE from 'three'
+
+/**
+ * Ground decal of a telegraphed boss attack: a ring marks the area and a
+ * disc fills it while the attack winds up
+ * @param {Object} telegraph - Entry of userData.boss.telegraphs ({ x, z, radius, color, windup, remaining })
+ */
+export function createTelegraphDecal(telegraph) {
+  const group = new THREE.Group()
+  group.position.set(telegraph.x, 0.06, telegraph.z)
+
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(telegraph.radius * 0.92, telegraph.radius, 48),
+    new THREE.MeshBasicMaterial({ color: telegraph.color, transparent: true, opacity: 0.8, side: THREE.DoubleSide, depthWrite: false })
+  )
+  ring.rotation.x = -Math.PI / 2
+  group.add(ring)
+
+  const fill = new THREE.Mesh(
+    new THREE.CircleGeometry(telegraph.radius, 48),
+    new THREE.MeshBasicMaterial({ color: telegraph.color, transparent: true, opacity: 0.35, side: THREE.DoubleSide, depthWrite: false })
+  )
+  fill.rotation.x = -Math.PI / 2
+  fill.position.y = 0.01
+  fill.scale.setScalar(0.01)
+  group.add(fill)
+
+  group.userData = { telegraph, ring, fill }
+  return group
+}
+
+/**
+ * Grow the fill with the windup and pulse the ring
+ * @returns {boolean} false once the attack has landed
+ */
+export function updateTelegraphDecal(decal, time) {
+  const { telegraph, ring, fill } = decal.userData
+  const progress = 1 - Math.max(0, telegraph.remaining) / telegraph.windup
+  fill.scale.setScalar(Math.max(0.01, progress))
+  ring.material.opacity = 0.5 + Math.sin(time * 12) * 0.3
+  return telegraph.remaining > 0
+}
+
+export function disposeTelegraphDecal(decal) {
+  decal.traverse(child => {
+    if (child.isMesh) {
+      child.geometry.dispose()
+      child.material.dispose()
+    }
+  })
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three'
-import { BUILDING_TYPES, BUILDING_ICONS } from '../../constants'
+import { BUILDING_TYPES, BUILDING_ICONS, TOWER_BRANCHES } from '../../constants'
 import { createMaterial } from '../utils/three-helpers'
+import { getWallColors } from '../systems/wallUpgrades'
 
 export function createBuilding(type, skillEffects = {}) {
   const group = new THREE.Group()
@@ -186,6 +187,94 @@ export function updateBuildingHPBar(building) {
   }
 }
 
+// ============================================================================
+// TOWER UPGRADES - Branch decoration on top of the tower
+// ============================================================================
+
+function createMortarTop(group, color) {
+  const mat = createMaterial(color, { roughness: 0.5, metalness: 0.4 })
+  const mount = new THREE.Mesh(new THREE.CylinderGeometry(0.6, 0.7, 0.3, 10), mat)
+  mount.castShadow = true
+  group.add(mount)
+
+  const barrel = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.4, 1.1, 10), mat)
+  barrel.position.set(0.2, 0.55, 0)
+  barrel.rotation.z = -0.6
+  barrel.castShadow = true
+  group.add(barrel)
+}
+
+function createFrostTop(group, color) {
+  const mat = createMaterial(color, {
+    emissive: color,
+    emissiveIntensity: 0.5,
+    transparent: true,
+    opacity: 0.85,
+  })
+  ;[[0, 0.7, 0, 0.45], [0.45, 0.35, 0.2, 0.28], [-0.4, 0.3, -0.25, 0.3]].forEach(([x, y, z, size]) => {
+    const crystal = new THREE.Mesh(new THREE.OctahedronGeometry(size), mat)
+    crystal.position.set(x, y, z)
+    crystal.scale.y = 1.8
+    group.add(crystal)
+  })
+}
+
+function createSniperTop(group, color) {
+  const spire = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.12, 1.8, 6), createMaterial(0x4a3000))
+  spire.position.y = 0.9
+  spire.castShadow = true
+  group.add(spire)
+
+  const scope = new THREE.Mesh(
+    new THREE.SphereGeometry(0.22, 10, 10),
+    createMaterial(color, { emissive: color, emissiveIntensity: 0.4, metalness: 0.6 })
+  )
+  scope.position.y = 1.9
+  group.add(scope)
+}
+
+/**
+ * Show a tower's tier and branch on its model (replaces the previous decoration)
+ * @param {THREE.Group} building - Tower with userData { tier, branch }
+ * @param {Object} options - { height } top of the tower model
+ */
+export function applyTowerUpgradeVisual(building, { height = 3.3 } = {}) {
+  const data = building.userData
+  if (data.upgradeVisual) {
+    data.upgradeVisual.traverse(child => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) child.material.dispose()
+    })
+    building.remove(data.upgradeVisual)
+    data.upgradeVisual = null
+  }
+
+  const branch = TOWER_BRANCHES[data.branch]
+  if (!branch) return building
+
+  const group = new THREE.Group()
+  group.position.y = height
+  if (data.branch === 'mortar') createMortarTop(group, branch.color)
+  else if (data.branch === 'frost') createFrostTop(group, branch.color)
+  else createSniperTop(group, branch.color)
+
+  // Tier 3: golden band and a bigger top
+  if ((data.tier || 1) >= 3) {
+    const band = new THREE.Mesh(
+      new THREE.TorusGeometry(0.8, 0.08, 8, 24),
+      createMaterial(0xFFD700, { metalness: 0.7, roughness: 0.3 })
+    )
+    band.rotation.x = Math.PI / 2
+    group.add(band)
+    group.scale.setScalar(1.3)
+  }
+
+  building.add(group)
+  data.upgradeVisual = group
+  if (data.flag) data.flag.material.color.setHex(branch.color)
+  return building
+}
+
 // ============================================================================
 // WALL SEGMENT SYSTEM - Creates different wall geometries based on neighbors
 // ============================================================================
@@ -536,9 +625,6 @@ function createCrossSegment(group, colors) {
 
 // Update wall geometry in place (replaces children with new segment type)
 export function updateWallSegmentGeometry(building, segmentType, rotation = 0) {
-  // Store userData before clearing
-  const userData = { ...building.userData }
-
   // Remove all children except HP bar references
   const hpBar = building.userData.hpBar
   const hpBarParent = hpBar?.parent
@@ -557,8 +643,8 @@ export function updateWallSegmentGeometry(building, segmentType, rotation = 0) {
     building.remove(child)
   }
 
-  // Create new segment geometry
-  const newSegment = createWallSegment(segmentType)
+  // Create new segment geometry (upgraded walls have their own colors)
+  const newSegment = createWallSegment(segmentType, getWallColors(building) || WALL_COLORS)
 
   // Copy children from new segment to building
   while (newSegment.children.length > 0) {
@@ -583,12 +669,11 @@ export function updateWallSegmentGeometry(building, segmentType, rotation = 0) {
   newHpBar.rotation.x = -0.3
   building.add(newHpBar)
 
-  // Restore userData with new HP bar reference
-  building.userData = {
-    ...userData,
+  // Keep the userData object (it is shared with the simulation entity), only swap the HP bar
+  Object.assign(building.userData, {
     hpBar: newHpBar,
     segmentType: segmentType
-  }
+  })
 
   // Update HP bar display
   updateBuildingHPBar(building)
@@ -1,18 +1,7 @@
 import * as THREE from 'three'
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js'
 import { createMaterial } from '../utils/three-helpers'
-
-const CARROT_COLORS = {
-  normal: 0xFF6B35,
-  golden: 0xFFD700,
-  blue: 0x4169E1,
-}
-
-const CARROT_VALUES = {
-  normal: 1,
-  golden: 5,
-  blue: 3,
-}
+import { getCarrotDef, rollCarrotType } from '../systems/carrots'
 
 // Cached carrot model
 let cachedCarrotModel = null
@@ -86,11 +75,11 @@ export function createCarrot(x, z, type = 'normal') {
   group.userData = {
     collected: false,
     type,
-    value: CARROT_VALUES[type],
-    effect: type === 'golden' ? 'bonus' : (type === 'blue' ? 'speed' : null),
+    value: getCarrotDef(type).value,
+    effect: getCarrotDef(type).effect?.type || null,
   }
 
-  const color = CARROT_COLORS[type]
+  const color = getCarrotDef(type).color
 
   // Use GLB model if loaded, otherwise use fallback
   if (cachedCarrotModel) {
@@ -134,14 +123,14 @@ export function createCarrot(x, z, type = 'normal') {
   return group
 }
 
-// Determine carrot type based on skill effects
-export function getCarrotType(skillEffects = {}) {
-  const roll = Math.random()
-  const goldenBonus = skillEffects.goldenAge ? 0.5 : 0
-
-  if (roll < 0.02 + goldenBonus * 0.02) return 'golden'
-  if (roll < 0.08) return 'blue'
-  return 'normal'
+// Determine carrot type based on skill effects, weather and difficulty (see CARROT_TYPES)
+export function getCarrotType(skillEffects = {}, random = Math.random, { weather, difficulty } = {}) {
+  return rollCarrotType(random, {
+    weather,
+    difficulty,
+    goldenAge: skillEffects.goldenAge || 0,
+    weatherMaster: skillEffects.weatherMaster || 0,
+  })
 }
 
 // Animate carrot
@@ -0,0 +1,146 @@
+import * as THREE from 'three'
+import { getCollectorRoute } from '../systems/collectorLogistics'
+
+// Route line and badge color per collector state
+const ROUTE_COLORS = { seeking: 0x7CFC00, returning: 0xFFA500, idle: 0x999999 }
+const ZONE_COLOR = 0x32CD32
+const BADGE_SIZE = 64
+const badgeCache = new Map()
+
+// "2/3" badge of the carried carrots, one texture per text and state
+function getBadgeTexture(text, color) {
+  const key = `${text}:${color}`
+  if (!badgeCache.has(key)) {
+    const canvas = document.createElement('canvas')
+    canvas.width = BADGE_SIZE * 2
+    canvas.height = BADGE_SIZE
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.font = `bold ${BADGE_SIZE * 0.6}px sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    ctx.fillStyle = `#${color.toString(16).padStart(6, '0')}`
+    ctx.fillText(text, BADGE_SIZE, BADGE_SIZE / 2)
+    badgeCache.set(key, new THREE.CanvasTexture(canvas))
+  }
+  return badgeCache.get(key)
+}
+
+/**
+ * Flat ring of radius 1, scale it to the zone radius
+ * (gather zone decals and the preview while painting)
+ */
+export function createZoneRing(color = ZONE_COLOR) {
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(0.95, 1, 48),
+    new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.7, side: THREE.DoubleSide, depthWrite: false })
+  )
+  ring.rotation.x = -Math.PI / 2
+  ring.position.y = 0.07
+  return ring
+}
+
+function createRoute() {
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+    new THREE.LineDashedMaterial({ color: ROUTE_COLORS.seeking, dashSize: 0.4, gapSize: 0.25 })
+  )
+  line.frustumCulled = false
+  const badge = new THREE.Sprite(new THREE.SpriteMaterial({ transparent: true, depthTest: false }))
+  badge.scale.set(0.8, 0.4, 1)
+  return { line, badge, key: '' }
+}
+
+function disposeObject(object) {
+  object.geometry?.dispose()
+  object.material.dispose()
+}
+
+/**
+ * Logistics overlay: gather zone of every collector hut, route of every
+ * collector to its carrot (or home while returning) and a carry badge
+ */
+export function createLogisticsOverlay() {
+  const group = new THREE.Group()
+  group.userData = { zones: new Map(), routes: new Map() }
+  return group
+}
+
+/**
+ * Sync the overlay with the huts and collectors, cheap enough for every frame
+ * @param {Array} huts - Collector huts (userData.gatherZone)
+ * @param {Array} collectors - Collector units (hidden ones are in their hut)
+ */
+export function updateLogisticsOverlay(overlay, huts, collectors) {
+  const { zones, routes } = overlay.userData
+
+  const zoned = new Set(huts.filter(hut => hut.userData.gatherZone))
+  zones.forEach((ring, hut) => {
+    if (zoned.has(hut)) return
+    overlay.remove(ring)
+    disposeObject(ring)
+    zones.delete(hut)
+  })
+  zoned.forEach(hut => {
+    if (!zones.has(hut)) {
+      const ring = createZoneRing()
+      overlay.add(ring)
+      zones.set(hut, ring)
+    }
+    const { x, z, radius } = hut.userData.gatherZone
+    const ring = zones.get(hut)
+    ring.position.set(x, ring.position.y, z)
+    ring.scale.setScalar(radius)
+  })
+
+  const active = new Set(collectors.filter(collector => collector.visible))
+  routes.forEach((route, collector) => {
+    if (active.has(collector)) return
+    overlay.remove(route.line, route.badge)
+    disposeObject(route.line)
+    route.badge.material.dispose()
+    routes.delete(collector)
+  })
+  active.forEach(collector => {
+    if (!routes.has(collector)) {
+      const route = createRoute()
+      overlay.add(route.line, route.badge)
+      routes.set(collector, route)
+    }
+    const route = routes.get(collector)
+    const { from, to, state, carrying, maxCarry } = getCollectorRoute(collector)
+    const color = to ? (ROUTE_COLORS[state] || ROUTE_COLORS.idle) : ROUTE_COLORS.idle
+
+    route.line.visible = !!to
+    if (to) {
+      const positions = route.line.geometry.attributes.position
+      positions.setXYZ(0, from.x, 0.12, from.z)
+      positions.setXYZ(1, to.x, 0.12, to.z)
+      positions.needsUpdate = true
+      route.line.geometry.computeBoundingSphere()
+      route.line.computeLineDistances()
+      route.line.material.color.setHex(color)
+    }
+
+    const text = `${carrying}/${maxCarry}`
+    const key = `${text}:${color}`
+    if (route.key !== key) {
+      route.key = key
+      route.badge.material.map = getBadgeTexture(text, color)
+      route.badge.material.needsUpdate = true
+    }
+    route.badge.position.set(from.x, 1.6, from.z)
+  })
+}
+
+export function disposeLogisticsOverlay(overlay) {
+  overlay.userData.zones.forEach(disposeObject)
+  overlay.userData.routes.forEach(({ line, badge }) => {
+    disposeObject(line)
+    badge.material.dispose()
+  })
+  overlay.userData.zones.clear()
+  overlay.userData.routes.clear()
+  overlay.clear()
+}
@@ -1,6 +1,6 @@
 import * as THREE from 'three'
 import { ENEMY_TYPES, ENEMY_BEHAVIOR } from '../../constants'
-import { createMaterial } from '../utils/three-helpers'
+import { createMaterial, createHPBar } from '../utils/three-helpers'
 
 export function createFox(isBoss = false) {
   const group = new THREE.Group()
@@ -15,10 +15,10 @@ export function createFox(isBoss = false) {
     speed: config.speed,
     damage: config.damage,
     attackCooldown: 0,
-    confused: false,
-    confuseTime: 0,
-    slowed: false,
-    slowTime: 0,
+    statusEffects: {},
+    immunities: config.immunities || [],
+    armor: config.armor || 0,
+    resistances: { ...(config.resistances || {}) },
     radius: config.radius,
     isBoss,
     targetBuilding: null,
@@ -134,10 +134,10 @@ export function createRaven(isBoss = false) {
     damage: config.damage,
     attackCooldown: 0,
     flying: true,
-    confused: false,
-    confuseTime: 0,
-    slowed: false,
-    slowTime: 0,
+    statusEffects: {},
+    immunities: config.immunities || [],
+    armor: config.armor || 0,
+    resistances: { ...(config.resistances || {}) },
     radius: config.radius,
     isBoss,
     targetBuilding: null,
@@ -248,10 +248,10 @@ export function createSnake() {
     speed: config.speed,
     damage: config.damage,
     attackCooldown: 0,
-    confused: false,
-    confuseTime: 0,
-    slowed: false,
-    slowTime: 0,
+    statusEffects: {},
+    immunities: config.immunities || [],
+    armor: config.armor || 0,
+    resistances: { ...(config.resistances || {}) },
     radius: config.radius,
     targetBuilding: null,
     canPoison: true,
@@ -325,6 +325,197 @@ export function createSnake() {
   return group
 }
 
+function addEnemyHPBar(group, width, y) {
+  const bar = createHPBar(width, 0.12, y)
+  bar.userData.hpBar.material.color.setHex(0xFF0000)
+  group.add(bar)
+  group.userData.hpBar = bar.userData.hpBar
+}
+
+// Mole: a dirt mound while tunneling, the mole itself once it surfaced
+export function createMole() {
+  const group = new THREE.Group()
+  // Gameplay data (stats, threat, mechanics) comes from the simulation
+  group.userData = {}
+  const config = ENEMY_TYPES.mole
+
+  const body = new THREE.Group()
+  const furMat = createMaterial(config.color, { roughness: 0.9 })
+  const bodyGeo = new THREE.SphereGeometry(0.45, 14, 10)
+  bodyGeo.scale(1.4, 0.8, 1)
+  const torso = new THREE.Mesh(bodyGeo, furMat)
+  torso.position.y = 0.35
+  torso.castShadow = true
+  body.add(torso)
+
+  const snout = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.35, 8), createMaterial(0xFFB6C1))
+  snout.position.set(0.7, 0.35, 0)
+  snout.rotation.z = -Math.PI / 2
+  body.add(snout)
+
+  // Digging claws
+  const clawMat = createMaterial(0xF5DEB3)
+  ;[-0.35, 0.35].forEach(z => {
+    const claw = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.05, 0.2), clawMat)
+    claw.position.set(0.45, 0.12, z)
+    body.add(claw)
+  })
+  body.visible = false
+  group.add(body)
+  group.userData.body = body
+
+  const moundGeo = new THREE.SphereGeometry(0.6, 10, 6, 0, Math.PI * 2, 0, Math.PI / 2)
+  moundGeo.scale(1.3, 0.5, 1)
+  const mound = new THREE.Mesh(moundGeo, createMaterial(0x5C4033, { roughness: 1 }))
+  group.add(mound)
+  group.userData.mound = mound
+
+  addEnemyHPBar(group, 0.9, 1.1)
+  group.userData.hpBar.parent.visible = false
+  return group
+}
+
+// Swap mound and mole when it surfaces
+export function updateBurrowVisual(enemy) {
+  const data = enemy.userData
+  if (!data.mound) return
+  data.mound.visible = data.burrowed
+  data.body.visible = !data.burrowed
+  data.hpBar.parent.visible = !data.burrowed
+}
+
+export function createWeasel() {
+  const group = new THREE.Group()
+  group.userData = {}
+  const config = ENEMY_TYPES.weasel
+  const furMat = createMaterial(config.color, { roughness: 0.7 })
+
+  // Long, low body
+  const bodyGeo = new THREE.CapsuleGeometry(0.2, 0.9, 6, 10)
+  const body = new THREE.Mesh(bodyGeo, furMat)
+  body.rotation.z = Math.PI / 2
+  body.position.y = 0.3
+  body.castShadow = true
+  group.add(body)
+
+  const belly = new THREE.Mesh(new THREE.SphereGeometry(0.18, 10, 8), createMaterial(0xFFF8DC))
+  belly.scale.set(2.2, 0.6, 0.9)
+  belly.position.set(0.1, 0.2, 0)
+  group.add(belly)
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.2, 12, 10), furMat)
+  head.position.set(0.7, 0.38, 0)
+  group.add(head)
+
+  const eyeMat = createMaterial(0x111111, { emissive: 0xFF4500, emissiveIntensity: 0.3 })
+  ;[-0.08, 0.08].forEach(z => {
+    const eye = new THREE.Mesh(new THREE.SphereGeometry(0.035, 6, 6), eyeMat)
+    eye.position.set(0.86, 0.45, z)
+    group.add(eye)
+  })
+
+  const tail = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.1, 0.5, 6), createMaterial(0x2F1B0C))
+  tail.position.set(-0.75, 0.35, 0)
+  tail.rotation.z = Math.PI / 3
+  group.add(tail)
+
+  // Loot sack, shown once it robbed a collector
+  const sack = new THREE.Mesh(new THREE.SphereGeometry(0.18, 8, 8), createMaterial(0xFF8C00))
+  sack.position.set(-0.1, 0.6, 0)
+  sack.visible = false
+  group.add(sack)
+  group.userData.sack = sack
+
+  addEnemyHPBar(group, 0.7, 1)
+  return group
+}
+
+export function createHawk() {
+  const group = new THREE.Group()
+  group.userData = {}
+  const config = ENEMY_TYPES.hawk
+  const featherMat = createMaterial(config.color, { roughness: 0.6 })
+
+  const bodyGeo = new THREE.SphereGeometry(0.35, 12, 10)
+  bodyGeo.scale(1.5, 0.9, 1)
+  const body = new THREE.Mesh(bodyGeo, featherMat)
+  body.position.y = 1.8
+  body.castShadow = true
+  group.add(body)
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.22, 12, 10), createMaterial(0xF5F5DC))
+  head.position.set(0.45, 1.95, 0)
+  group.add(head)
+
+  const beak = new THREE.Mesh(new THREE.ConeGeometry(0.07, 0.22, 4), createMaterial(0xFFD700))
+  beak.position.set(0.68, 1.9, 0)
+  beak.rotation.z = -Math.PI / 2
+  group.add(beak)
+
+  // Talons
+  const talonMat = createMaterial(0xDAA520)
+  ;[-0.1, 0.1].forEach(z => {
+    const talon = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.25, 4), talonMat)
+    talon.position.set(0.05, 1.45, z)
+    talon.rotation.z = Math.PI
+    group.add(talon)
+  })
+
+  // Wide wings
+  const wingGeo = new THREE.PlaneGeometry(0.9, 0.55)
+  const wingMat = createMaterial(config.color, { side: THREE.DoubleSide })
+  const wingL = new THREE.Mesh(wingGeo, wingMat)
+  wingL.position.set(-0.05, 1.85, -0.55)
+  wingL.rotation.x = -Math.PI / 2 - 0.2
+  group.add(wingL)
+  group.userData.wingL = wingL
+
+  const wingR = new THREE.Mesh(wingGeo, wingMat)
+  wingR.position.set(-0.05, 1.85, 0.55)
+  wingR.rotation.x = -Math.PI / 2 + 0.2
+  group.add(wingR)
+  group.userData.wingR = wingR
+
+  addEnemyHPBar(group, 0.8, 2.5)
+  return group
+}
+
+export function createBadger() {
+  const group = new THREE.Group()
+  group.userData = {}
+  const config = ENEMY_TYPES.badger
+  const furMat = createMaterial(config.color, { roughness: 0.85 })
+
+  const bodyGeo = new THREE.SphereGeometry(0.55, 16, 12)
+  bodyGeo.scale(1.5, 0.85, 1.1)
+  const body = new THREE.Mesh(bodyGeo, furMat)
+  body.position.y = 0.5
+  body.castShadow = true
+  group.add(body)
+
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.32, 14, 10), createMaterial(0xF8F8FF))
+  head.scale.set(1.3, 0.9, 1)
+  head.position.set(0.8, 0.55, 0)
+  group.add(head)
+
+  // Black face stripes
+  const stripeMat = createMaterial(0x111111)
+  ;[-0.14, 0.14].forEach(z => {
+    const stripe = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.1, 0.08), stripeMat)
+    stripe.position.set(0.85, 0.68, z)
+    group.add(stripe)
+  })
+
+  // Battering helmet of bark and stone
+  const helmet = new THREE.Mesh(new THREE.CylinderGeometry(0.28, 0.35, 0.2, 8), createMaterial(0x808080, { metalness: 0.3 }))
+  helmet.position.set(0.75, 0.85, 0)
+  group.add(helmet)
+
+  addEnemyHPBar(group, 1.2, 1.4)
+  group.scale.setScalar(config.scale || 1)
+  return group
+}
+
 // Update enemy HP bar
 export function updateEnemyHPBar(enemy) {
   if (enemy.userData.hpBar) {
@@ -346,5 +537,18 @@ export function updateEnemyAnimation(enemy, time) {
   } else if (type === 'snake') {
     enemy.rotation.z = Math.sin(time * 8) * 0.1
     if (enemy.userData.tongue) enemy.userData.tongue.scale.x = 1 + Math.sin(time * 15) * 0.3
+  } else if (type === 'mole') {
+    updateBurrowVisual(enemy)
+    if (enemy.userData.burrowed) enemy.userData.mound.scale.y = 1 + Math.sin(time * 12) * 0.15
+    else enemy.rotation.z = Math.sin(time * 7) * 0.06
+  } else if (type === 'weasel') {
+    enemy.position.y = Math.abs(Math.sin(time * 14)) * 0.12
+    if (enemy.userData.sack) enemy.userData.sack.visible = enemy.userData.stolenCarrots > 0
+  } else if (type === 'hawk') {
+    enemy.position.y = 2.2 + Math.sin(time * 2) * 0.4
+    if (enemy.userData.wingL) enemy.userData.wingL.rotation.x = -Math.PI / 2 - 0.2 + Math.sin(time * 5) * 0.4
+    if (enemy.userData.wingR) enemy.userData.wingR.rotation.x = -Math.PI / 2 + 0.2 - Math.sin(time * 5) * 0.4
+  } else if (type === 'badger') {
+    enemy.rotation.z = Math.sin(time * 3) * 0.05
   }
 }
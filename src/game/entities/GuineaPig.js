@@ -16,8 +16,8 @@ export function createGuineaPig(type, isPlayer = false, scale = 1, skillEffects
     isPlayer,
     isPartner: type.startsWith('partner'),
     isCollector: type === 'collector',
-    health: isPlayer ? 100 : Math.floor(BASE_HERO_HEALTH * heroBonus),
-    maxHealth: isPlayer ? 100 : Math.floor(BASE_HERO_HEALTH * heroBonus),
+    health: isPlayer ? 100 : Math.floor((config.health || BASE_HERO_HEALTH) * heroBonus),
+    maxHealth: isPlayer ? 100 : Math.floor((config.health || BASE_HERO_HEALTH) * heroBonus),
     attackCooldown: 0,
     abilityCooldown: 0,
     targetRotation: 0,
@@ -28,7 +28,7 @@ export function createGuineaPig(type, isPlayer = false, scale = 1, skillEffects
     maxCarry: 2 + collectorCapacityBonus,
     speed: type === 'collector'
       ? (0.04 * collectorSpeedBonus)
-      : BASE_HERO_SPEED,
+      : (config.speed || BASE_HERO_SPEED),
     attackRange: config.attackRange || 5,
     attackDamage: Math.floor((config.baseDamage || 18) * heroBonus),
   }
@@ -189,3 +189,49 @@ export function updateGuineaPigAnimation(guineaPig, time, isMoving = false) {
     guineaPig.userData.crown.rotation.y = time * 1.5
   }
 }
+
+const RANK_COLORS = [0xCD7F32, 0xC0C0C0, 0xC0C0C0, 0xFFD700] // Level 2..5
+
+/**
+ * Show a hero's rank above its HP bar (replaces the previous insignia)
+ * Level 2-4: one to three chevrons, level 5: a golden star.
+ * @param {THREE.Group} hero - Hero with userData { level, hpBar }
+ */
+export function applyRankInsignia(hero) {
+  const data = hero.userData
+  if (data.rankInsignia) {
+    data.rankInsignia.traverse(child => {
+      if (child.geometry) child.geometry.dispose()
+      if (child.material) child.material.dispose()
+    })
+    hero.remove(data.rankInsignia)
+    data.rankInsignia = null
+  }
+
+  const level = data.level || 1
+  if (level < 2) return hero
+
+  const group = new THREE.Group()
+  group.position.y = (data.hpBar ? data.hpBar.position.y : 1.1) + 0.25
+  group.rotation.x = -0.5
+  const material = () => new THREE.MeshBasicMaterial({ color: RANK_COLORS[level - 2], side: THREE.DoubleSide })
+
+  if (level >= 5) {
+    const star = new THREE.Mesh(new THREE.CircleGeometry(0.16, 5), material())
+    star.rotation.z = Math.PI / 2
+    group.add(star)
+  } else {
+    for (let i = 0; i < level - 1; i++) {
+      ;[-1, 1].forEach(side => {
+        const arm = new THREE.Mesh(new THREE.PlaneGeometry(0.16, 0.04), material())
+        arm.position.set(side * 0.06, i * 0.08, 0)
+        arm.rotation.z = side * 0.6
+        group.add(arm)
+      })
+    }
+  }
+
+  hero.add(group)
+  data.rankInsignia = group
+  return hero
+}
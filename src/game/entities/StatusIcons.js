@@ -0,0 +1,55 @@
+import * as THREE from 'three'
+import { getActiveStatuses } from '../systems/statusEffects'
+
+const ICON_SIZE = 64
+const textureCache = new Map()
+
+// One texture per icon combination, shared by all units showing it
+function getIconTexture(icons) {
+  const key = icons.join('')
+  if (!textureCache.has(key)) {
+    const canvas = document.createElement('canvas')
+    canvas.width = ICON_SIZE * icons.length
+    canvas.height = ICON_SIZE
+    const ctx = canvas.getContext('2d')
+    ctx.font = `${ICON_SIZE * 0.75}px sans-serif`
+    ctx.textAlign = 'center'
+    ctx.textBaseline = 'middle'
+    icons.forEach((icon, i) => ctx.fillText(icon, ICON_SIZE * (i + 0.5), ICON_SIZE / 2))
+    textureCache.set(key, new THREE.CanvasTexture(canvas))
+  }
+  return textureCache.get(key)
+}
+
+/**
+ * Show the icons of active status effects above the HP bar
+ * Cheap to call every frame, the sprite only changes with the set of effects.
+ * @param {THREE.Object3D} unit - Unit with userData { statusEffects, hpBar }
+ */
+export function updateStatusIcons(unit) {
+  const data = unit.userData
+  const icons = getActiveStatuses(data).map(status => status.icon)
+  const key = icons.join('')
+  if (key === (data.statusIconKey || '')) return unit
+  data.statusIconKey = key
+
+  if (data.statusIcons) {
+    data.statusIcons.material.dispose()
+    unit.remove(data.statusIcons)
+    data.statusIcons = null
+  }
+  if (icons.length === 0) return unit
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: getIconTexture(icons),
+    transparent: true,
+    depthTest: false,
+  }))
+  const barY = data.hpBar ? data.hpBar.position.y : 1.1
+  // Stay clear of the rank insignia of veteran heroes
+  sprite.position.set(0, barY + (data.rankInsignia ? 0.55 : 0.3), 0)
+  sprite.scale.set(0.3 * icons.length, 0.3, 1)
+  unit.add(sprite)
+  data.statusIcons = sprite
+  return unit
+}
@@ -5,3 +5,6 @@ export * from './Building'
 export * from './Carrot'
 export * from './Projectile'
 export * from './MainBurrow'
+export * from './StatusIcons'
+export * from './BossTelegraph'
+export * from './CollectorOverlay'
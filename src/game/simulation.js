@@ -0,0 +1,2500 @@
+/**
+ * Game Simulation - Headless, fixed-timestep gameplay core
+ *
+ * Owns everything one run plays out with: gameState, the seeded RNG, wave
+ * scripts, the wall grid with its pathfinding and all entities (player,
+ * partners, heroes, enemies, buildings, carrots, collectors, beavers, tower
+ * shots and bombs). Entities are plain records ({ uuid, kind, position,
+ * rotation, visible, userData }); step() advances the run by one tick and
+ * publishes what happened as events. RENDER_EVENTS tell a renderer which
+ * meshes, particles and sounds to show, all other events are game events
+ * (GAME_EVENTS, score, timers, base damage). Without a renderer whole nights
+ * run in Node:
+ *
+ *   const sim = new GameSimulation({ skills, difficulty: 'hard', seed: 'K3F9QZ' })
+ *   sim.subscribe(event => { if (event.type === 'gameOver') ... })
+ *   sim.start()
+ *   sim.placeBuilding('tower', 8, 0)
+ *   sim.skipDay()
+ *   while (!sim.state.gameOver && sim.state.wave === 0) sim.step(GAME_TICK)
+ */
+
+import * as THREE from 'three'
+import { DEFAULT_SKILLS } from '../constants/skills.js'
+import { GAME_CONFIG, DIFFICULTY_MODS } from '../constants/config.js'
+import { STATUS_EFFECTS, SNAKE_POISON } from '../constants/statusEffects.js'
+import { ENEMY_TYPES, ENEMY_BEHAVIOR } from '../constants/enemies.js'
+import { GUINEA_PIG_TYPES, BASE_HERO_HEALTH, BASE_HERO_SPEED, HERO_LEVELS } from '../constants/guineaPigs.js'
+import { CARROT_TYPES } from '../constants/carrots.js'
+import { RESOURCE_TREE_CONFIG } from '../constants/landscape.js'
+import { WallGrid } from './systems/wallGrid.js'
+import { PathfindingSystem } from './systems/pathfinding.js'
+import { FlowField } from './systems/flowField.js'
+import { WaveRun, DEFAULT_WAVES, applyEnemyModifiers } from './systems/waveScript.js'
+import { getEndlessWave } from './systems/endless.js'
+import {
+  updateCarrotMagnet, rollCarrotType, getCarrotDef, applyCarrotPickup, getCarrotMagnet, isMagnetic,
+} from './systems/carrots.js'
+import {
+  applyStatus, hasStatus, hasStatusFlag, getStatusMultiplier, updateStatuses,
+} from './systems/statusEffects.js'
+import { addThreat, decayThreat, clearThreat, selectTarget, THREAT_CONFIG } from './systems/threat.js'
+import { processDefenderAbility } from './systems/combat.js'
+import { dealDamage, getHeroDamageType } from './systems/damage.js'
+import { canHitEnemy, heroHasAntiAir } from './systems/airDefense.js'
+import {
+  initEnemyMechanics, updateBurrow, getFleePoint, hasEscaped, stealCarrots, snatchHero, releaseHero, updateSnatch,
+  getBuildingDamage,
+} from './systems/enemyMechanics.js'
+import {
+  initBoss, restoreBoss, updateBoss, getBossScript, getImpactTargets, getSummonPositions, clearBossTelegraphs,
+} from './systems/bosses.js'
+import {
+  pickTarget, getTargetScore, getTargetingMode, hasTargeting, createTargetingLog, recordTargetingShot, recordTargetingHit,
+} from './systems/targeting.js'
+import { getTowerStats, canAffordUpgrade } from './systems/towers.js'
+import { getBuildCost } from './systems/buildingActions.js'
+import { getWallMaxHealth } from './systems/wallUpgrades.js'
+import {
+  harvestTree, regrowTrees, replantTree, isStump, findNearestTree, updateLumberYard, serializeTree, restoreTree,
+} from './systems/woodEconomy.js'
+import {
+  getGatherZone, setGatherZone, rankCollectorTargets, getFieldCarrots, updateCarrotField,
+} from './systems/collectorLogistics.js'
+import { GAME_EVENTS, commandOk, commandFailed } from './systems/commands.js'
+import { rollOffspring, applyGenes } from './systems/genetics.js'
+import { awardHeroXp, restoreHeroProgress } from './systems/heroProgression.js'
+import {
+  HERO_ORDERS, createHeroOrder, getOrderDestination, getOrderStopDistance, advanceHeroOrder, canEngageEnemy,
+  canChaseEnemy, restoreHeroOrder,
+} from './systems/heroOrders.js'
+import {
+  UNIT_COLLISION_RADIUS, findHomeBuilding, resolveUnitBuildingCollisions, getBuildingApproachDistance,
+  moveUnitWithPathfinding, isPathReachable,
+} from './systems/movement.js'
+import { createTowerShot, updateProjectile, getHitHeight } from './systems/projectiles.js'
+import { createRunSnapshot } from './systems/runSave.js'
+import { createRandom, generateSeed } from './utils/random.js'
+
+// One game tick (seconds). Enemy/unit speeds are per tick, like the 60fps render loop.
+export const GAME_TICK = 1 / 60
+
+// Events only a renderer needs (meshes, particles, sounds, messages); all
+// others are game events the UI and the command bus listen to
+export const RENDER_EVENTS = new Set([
+  'entityAdded', 'entityRemoved', 'wallSegmentChanged', 'treeChanged', 'effect', 'message', 'sound',
+  'bossTelegraph', 'heroOrderChanged',
+])
+
+export const HERO_TYPES = ['tunneler', 'shadow', 'bomber', 'healer', 'tank', 'assassin']
+export const BREED_COST = 15
+export const BREED_DISTANCE = 3.5
+
+const WEATHERS = ['sunny', 'rainy', 'windy']
+
+// Castle radius of the fallback mound; the renderer refits it to the castle model
+const CASTLE_RADIUS = 3.15
+
+const BUILDING_COLLISION_RADII = {
+  collectorHut: 1.4,
+  heroHut: 1.7,
+  tower: 1.4,
+  beaverHut: 1.5,
+  lumberYard: 1.5,
+  carrotField: 1.2,
+  wall: 1.0,
+  gate: 1.0,
+}
+
+export const isWallLikeType = (type) => type === 'wall' || type === 'gate'
+// Huts and the lumber yard belong inside the wall ring
+export const isPlacementRestrictedToRing = (type) => !(
+  type === 'wall' || type === 'gate' || type === 'tower' || type === 'carrotField'
+)
+
+export const getHeroName = (hero) => hero.userData.genes?.name || GUINEA_PIG_TYPES[hero.userData.type]?.name || 'Held'
+
+// Towers and bombers aim at the height their shots hit (flyers are up in the air)
+const getAimPoint = (enemy) => new THREE.Vector3(enemy.position.x, getHitHeight(enemy), enemy.position.z)
+
+const getRotationDiff = (target, current) => {
+  let diff = target - current
+  while (diff > Math.PI) diff -= Math.PI * 2
+  while (diff < -Math.PI) diff += Math.PI * 2
+  return diff
+}
+
+// Create the initial gameState (same shape the renderer has always used)
+export function createGameState({ baseHealth, dayDuration, score = 0 }) {
+  return {
+    phase: 'day',
+    wave: 0,
+    baseHealth,
+    maxBaseHealth: baseHealth,
+    gameOver: false,
+    victory: false,
+    score,
+    time: 0,
+    dayDuration,
+    nightActive: false,
+    countdownTime: 0,
+    dayTimer: 0,
+    combo: 0,
+    comboTimer: 0,
+    weather: 'sunny',
+    weatherTimer: 0,
+    rageActive: false,
+    bossWave: false,
+    speedBoostTimer: 0,
+    // Silver carrot pull ({ remaining, range, pull }), see systems/carrots.js
+    carrotMagnet: null,
+    // Status effects on the base (snake poison), see systems/statusEffects.js
+    baseStatus: { statusEffects: {} },
+    // Status effects on the player (rotten carrots)
+    playerStatus: { statusEffects: {} },
+    wood: GAME_CONFIG.STARTING_WOOD,
+  }
+}
+
+export class GameSimulation {
+  constructor(options = {}) {
+    this.skills = options.skills || DEFAULT_SKILLS
+    this.difficulty = options.difficulty || 'normal'
+    this.waves = DEFAULT_WAVES
+    // 'endless' generates waves past the last scripted one instead of ending in victory
+    this.mode = options.mode || 'classic'
+    this.endlessWaves = new Map()
+    // All gameplay randomness comes from the run seed
+    this.rng = createRandom(options.seed || generateSeed())
+    this.seed = this.rng.seed
+    this.random = this.rng.next
+
+    this.state = createGameState({
+      baseHealth: GAME_CONFIG.BASE_HEALTH + this.getSkillEffect('baseHealth'),
+      dayDuration: GAME_CONFIG.BASE_DAY_DURATION + this.getSkillEffect('dayLength'),
+      score: this.getSkillEffect('startCarrots'),
+    })
+
+    // Fixed ticks played so far and the game time they add up to
+    this.tick = 0
+    this.time = 0
+    this.listeners = new Set()
+    // Delayed gameplay (carrot regrowth, the next morning) runs on game time
+    this.scheduled = []
+
+    // Walls, gates and building cells; enemies and units path around them
+    this.wallGrid = new WallGrid(2)
+    this.pathfinding = new PathfindingSystem(this.wallGrid)
+    this.flowField = new FlowField(this.wallGrid)
+    this.castleBlockedCells = new Set()
+    this.castle = { position: new THREE.Vector3(0, 0, 0), userData: { isCastle: true, collisionRadius: CASTLE_RADIUS } }
+    this.setCastleRadius(CASTLE_RADIUS)
+
+    // Entities; the arrays are never replaced, so views on them stay valid
+    this.nextEntityId = 1
+    this.nextHeroId = 1
+    this.player = null
+    this.partners = []
+    this.defenders = []
+    this.enemies = []
+    this.buildings = []
+    this.carrots = []
+    this.collectors = []
+    this.beavers = []
+    this.projectiles = []
+    this.bombs = []
+    this.trees = []
+    this.pendingForest = null // Saved tree state that arrived before the forest
+
+    this.waveRun = null // Script playback of the current night
+    this.targetingLog = createTargetingLog() // Shots, damage and kills per targeting mode this night
+  }
+
+  // ============== EVENTS ==============
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(type, payload = {}) {
+    const event = { type, tick: this.tick, ...payload }
+    this.listeners.forEach(listener => listener(event))
+  }
+
+  emitEffect(name, position, options = {}) {
+    this.emit('effect', { name, position: new THREE.Vector3(position.x, position.y || 0, position.z), ...options })
+  }
+
+  emitMessage(text, duration = null) {
+    this.emit('message', { text, duration })
+  }
+
+  emitSound(name, ...args) {
+    this.emit('sound', { name, args })
+  }
+
+  // ============== HELPERS ==============
+  getSkillEffect(skillId) {
+    const skill = this.skills[skillId]
+    if (!skill || skill.level === 0) return 0
+    const value = skill.effect?.[skill.level - 1]
+    return Number.isFinite(value) ? value : 0
+  }
+
+  getDifficultyMod() {
+    return DIFFICULTY_MODS[this.difficulty] || DIFFICULTY_MODS.normal
+  }
+
+  getWave(waveNum = this.state.wave) {
+    if (this.mode === 'endless' && waveNum >= this.waves.length) {
+      if (!this.endlessWaves.has(waveNum)) {
+        this.endlessWaves.set(waveNum, getEndlessWave(this.seed, waveNum, this.waves.length))
+      }
+      return this.endlessWaves.get(waveNum)
+    }
+    return this.waves[Math.min(waveNum, this.waves.length - 1)]
+  }
+
+  getBuildingCost(type) {
+    return getBuildCost(type, this.getSkillEffect('cheapBuildings'))
+  }
+
+  getTowerSkillEffects() {
+    return {
+      towerDamage: this.getSkillEffect('towerDamage'),
+      towerRange: this.getSkillEffect('towerRange'),
+    }
+  }
+
+  getSafeScore() {
+    return Number.isFinite(this.state.score) ? this.state.score : 0
+  }
+
+  addScore(delta) {
+    const next = this.getSafeScore() + delta
+    this.state.score = next
+    this.emit('scoreChanged', { score: next })
+  }
+
+  addWood(delta) {
+    this.state.wood = (this.state.wood || 0) + delta
+    this.emit('woodChanged', { wood: this.state.wood })
+  }
+
+  schedule(seconds, action) {
+    this.scheduled.push({ at: this.time + seconds, action })
+  }
+
+  runScheduled() {
+    const due = this.scheduled.filter(entry => entry.at <= this.time)
+    if (due.length === 0) return
+    this.scheduled = this.scheduled.filter(entry => entry.at > this.time)
+    due.forEach(entry => entry.action())
+  }
+
+  // ============== ENTITIES ==============
+  createEntity(kind, userData, x = 0, z = 0, { scale = 1 } = {}) {
+    return {
+      uuid: `${kind}-${this.nextEntityId++}`,
+      kind,
+      scale,
+      position: new THREE.Vector3(x, 0, z),
+      rotation: { y: 0 },
+      visible: true,
+      userData,
+    }
+  }
+
+  addEntity(list, entity, extra = {}) {
+    list.push(entity)
+    this.emit('entityAdded', { entity, ...extra })
+    return entity
+  }
+
+  removeEntity(list, entity, reason = 'removed') {
+    const idx = list.indexOf(entity)
+    if (idx > -1) list.splice(idx, 1)
+    this.emit('entityRemoved', { entity, reason })
+  }
+
+  // Stats of a guinea pig (player, partners, collectors, heroes) like createGuineaPig always gave them
+  createUnitData(type, scale = 1) {
+    const config = GUINEA_PIG_TYPES[type] || GUINEA_PIG_TYPES.player
+    const isPlayer = type === 'player'
+    const heroBonus = 1 + this.getSkillEffect('heroStats') / 100
+    const health = isPlayer ? 100 : Math.floor((config.health || BASE_HERO_HEALTH) * heroBonus)
+    return {
+      type,
+      isPlayer,
+      isPartner: type.startsWith('partner'),
+      isCollector: type === 'collector',
+      health,
+      maxHealth: health,
+      attackCooldown: 0,
+      abilityCooldown: 0,
+      targetRotation: 0,
+      radius: 0.8 * scale,
+      targetPos: new THREE.Vector3(),
+      waitTime: 0,
+      carryingCarrots: 0,
+      carryingCount: 0,
+      maxCarry: 2 + this.getSkillEffect('collectorCapacity'),
+      speed: type === 'collector' ? (config.baseSpeed * (1 + this.getSkillEffect('collectorSpeed') / 100)) : (config.speed || BASE_HERO_SPEED),
+      attackRange: config.attackRange,
+      attackDamage: Math.floor((config.baseDamage || 0) * heroBonus),
+    }
+  }
+
+  // Healer (tank) and bomber are bigger and carry their own model state
+  createHeroData(type, scale) {
+    if (type !== 'healer' && type !== 'bomber') return this.createUnitData(type, scale)
+    const config = GUINEA_PIG_TYPES[type]
+    const heroBonus = 1 + this.getSkillEffect('heroStats') / 100
+    const health = Math.floor(config.health * heroBonus)
+    return {
+      type,
+      isPlayer: false,
+      health,
+      maxHealth: health,
+      attackCooldown: 0,
+      abilityCooldown: 0,
+      targetRotation: 0,
+      radius: (type === 'healer' ? 1.2 : 1.0) * scale,
+      speed: config.speed,
+      attackRange: config.attackRange,
+      attackDamage: Math.floor(config.baseDamage * heroBonus),
+      isGLBModel: true,
+      ...(type === 'bomber' ? { splashRadius: config.splashRadius } : {}),
+      patrolTarget: new THREE.Vector3(),
+      patrolWait: 0,
+      placed: false,
+    }
+  }
+
+  // Heroes are numbered per run, so commands (and replays) can name them
+  createHero(type, scale, x, z) {
+    const data = this.createHeroData(type, scale)
+    data.heroId = this.nextHeroId++
+    return this.createEntity('hero', data, x, z, { scale })
+  }
+
+  addHero(hero) {
+    hero.userData.placed = true
+    return this.addEntity(this.defenders, hero)
+  }
+
+  // Config stats, threat fields and mechanics of an enemy, scaled by the difficulty
+  createEnemyData(type) {
+    const config = ENEMY_TYPES[type]
+    const behavior = ENEMY_BEHAVIOR[type] || {}
+    const diffMod = this.getDifficultyMod()
+    return initEnemyMechanics({
+      type,
+      health: Math.floor(config.health * diffMod.enemyHealth),
+      maxHealth: Math.floor(config.health * diffMod.enemyHealth),
+      speed: config.speed * diffMod.enemySpeed,
+      damage: Math.floor(config.damage * diffMod.enemyDamage),
+      attackCooldown: 0,
+      flying: !!config.flying,
+      canPoison: !!config.canPoison,
+      statusEffects: {},
+      immunities: config.immunities || [],
+      armor: config.armor || 0,
+      resistances: { ...(config.resistances || {}) },
+      radius: config.radius,
+      isBoss: type.startsWith('boss_'),
+      targetBuilding: null,
+      // Threat System fields
+      threatTable: new Map(),
+      currentTarget: null,
+      targetType: 'base',
+      isRetaliating: false,
+      originalTarget: null,
+      lastDamageSource: null,
+      lastDamageTime: 0,
+      // Behavior from ENEMY_BEHAVIOR
+      aggroRange: behavior.aggroRange,
+      leashRange: behavior.leashRange,
+      defenderFocus: behavior.defenderFocus,
+      threatMultiplier: behavior.threatMultiplier,
+      retaliationChance: behavior.retaliationChance,
+      priorityTargets: behavior.priorityTargets || [],
+      breachFocus: behavior.breachFocus || 0,
+    })
+  }
+
+  createBuildingData(type) {
+    const maxHealth = isWallLikeType(type) ? getWallMaxHealth(1, this.getSkillEffect('wallHealth')) : 200
+    return {
+      type,
+      spawnTimer: 0,
+      health: maxHealth,
+      maxHealth,
+      collisionRadius: BUILDING_COLLISION_RADII[type] || 1.4,
+    }
+  }
+
+  // ============== SETUP ==============
+  // Player and partners; a new run adds the start hero and carrots, a saved one its own state
+  start(save = null) {
+    const player = this.createEntity('player', {
+      ...this.createUnitData('player', 1.3),
+      speed: 0.025,
+      attackRange: 5,
+      attackDamage: 18,
+      velocityX: 0,
+      velocityZ: 0,
+    }, 0, 10, { scale: 1.3 })
+    this.player = player
+    this.emit('entityAdded', { entity: player })
+
+    ;[['partner1', -10, 6], ['partner2', 12, -5], ['partner3', -6, -12]].forEach(([type, x, z]) => {
+      const partner = this.createEntity('partner', this.createUnitData(type, 1.2), x, z, { scale: 1.2 })
+      partner.userData.targetPos.copy(partner.position)
+      this.addEntity(this.partners, partner)
+    })
+
+    if (save) {
+      this.restore(save)
+      return
+    }
+
+    if (this.getSkillEffect('startHero')) {
+      const type = HERO_TYPES[Math.floor(this.random() * HERO_TYPES.length)]
+      this.addHero(this.createHero(type, 1.2, 5, 5))
+    }
+    for (let i = 0; i < 30; i++) this.spawnCarrot()
+  }
+
+  // Resource trees ({ position, userData }, the renderer's tree meshes); saved stock is applied on arrival
+  setForest(trees) {
+    trees.forEach(tree => {
+      const record = this.createEntity('tree', tree.userData, tree.position.x, tree.position.z)
+      if (tree.uuid) record.uuid = tree.uuid
+      this.addEntity(this.trees, record)
+    })
+    if (this.pendingForest) {
+      const saved = this.pendingForest
+      this.pendingForest = null
+      this.restoreForest(saved)
+    }
+  }
+
+  getResourceTrees() {
+    return this.trees.filter(t => t.userData.woodAmount > 0)
+  }
+
+  // Restore saved trees by position; kept until setForest() if the forest is not there yet
+  restoreForest(saved) {
+    if (!Array.isArray(saved)) return
+    if (this.trees.length === 0) {
+      this.pendingForest = saved
+      return
+    }
+    saved.forEach(entry => {
+      const tree = this.trees.find(t =>
+        Math.abs(t.position.x - entry.x) < 0.5 && Math.abs(t.position.z - entry.z) < 0.5)
+      if (!tree) return
+      restoreTree(tree, entry)
+      this.emit('treeChanged', { entity: tree })
+    })
+  }
+
+  // Block the grid cells under the castle (radius follows the castle model)
+  setCastleRadius(radius) {
+    if (!Number.isFinite(radius)) return
+    const wallGrid = this.wallGrid
+    this.castle.userData.collisionRadius = radius
+
+    // Clear previous castle blocks
+    for (const key of this.castleBlockedCells) {
+      const { gx, gz } = wallGrid.parseKey(key)
+      wallGrid.setBlocked(gx, gz, false)
+    }
+    this.castleBlockedCells.clear()
+
+    const cellSize = wallGrid.cellSize || 2
+    const maxOffset = Math.ceil(radius / cellSize)
+    for (let gx = -maxOffset; gx <= maxOffset; gx++) {
+      for (let gz = -maxOffset; gz <= maxOffset; gz++) {
+        const world = wallGrid.gridToWorld(gx, gz)
+        const dist = Math.sqrt(world.x * world.x + world.z * world.z)
+        if (dist <= radius) {
+          wallGrid.setBlocked(gx, gz, true)
+          this.castleBlockedCells.add(wallGrid.getKey(gx, gz))
+        }
+      }
+    }
+
+    this.pathfinding.clearCache()
+  }
+
+  // ============== CARROTS ==============
+  createCarrot(x, z, type = 'normal') {
+    const def = getCarrotDef(type)
+    return this.createEntity('carrot', {
+      collected: false,
+      type,
+      value: def.value,
+      effect: def.effect?.type || null,
+    }, x, z)
+  }
+
+  spawnCarrot() {
+    let x, z
+    let attempts = 0
+    do {
+      const angle = this.random() * Math.PI * 2
+      const radius = 8 + this.random() * 25
+      x = Math.cos(angle) * radius
+      z = Math.sin(angle) * radius
+      attempts++
+    } while (attempts < 20 && Math.sqrt(x * x + z * z) < 6)
+
+    // Carrot type from the catalogue weights (weather, skills, difficulty)
+    const type = rollCarrotType(this.random, {
+      weather: this.state.weather,
+      difficulty: this.difficulty,
+      goldenAge: this.getSkillEffect('goldenAge'),
+      weatherMaster: this.getSkillEffect('weatherMaster'),
+    })
+    return this.addEntity(this.carrots, this.createCarrot(x, z, type))
+  }
+
+  // Carrot fields only grow normal carrots
+  spawnFieldCarrot(field, { x, z, slot }) {
+    const carrot = this.createCarrot(x, z, 'normal')
+    carrot.userData.field = field
+    carrot.userData.fieldSlot = slot
+    return this.addEntity(this.carrots, carrot)
+  }
+
+  // Pickup effect of a carrot the player collected (collectors only bank the value)
+  applyCarrotEffect(carrot) {
+    const effect = applyCarrotPickup(this.state, carrot)
+    if (!effect) return
+    const def = getCarrotDef(carrot.userData.type)
+    if (effect.type === 'heal') {
+      this.emit('baseHealthChanged', { health: this.state.baseHealth })
+      this.emitEffect('heal', { x: this.castle.position.x, y: 1, z: this.castle.position.z })
+    } else if (effect.type === 'summon') {
+      const hero = this.spawnHero(carrot.position.x - 2, carrot.position.z) // spawnHero steps 2 to the side
+      hero.userData.expiresIn = effect.duration
+    } else if (effect.type === 'magnet' || effect.type === 'poison') {
+      this.emitEffect('explosion', { x: this.player.position.x, y: 0.5, z: this.player.position.z }, { color: def.color })
+    }
+    if (def.message) this.emitMessage(`${def.icon} ${def.message}`, 1500)
+  }
+
+  // ============== BUILDINGS ==============
+  getGateRotation(gx, gz, fallbackRotation = 0) {
+    const wallGrid = this.wallGrid
+    const north = wallGrid.getWall(gx, gz + 1)
+    const south = wallGrid.getWall(gx, gz - 1)
+    const east = wallGrid.getWall(gx + 1, gz)
+    const west = wallGrid.getWall(gx - 1, gz)
+
+    const hasNS = (!!north && north.segmentType !== 'diagonal') || (!!south && south.segmentType !== 'diagonal')
+    const hasEW = (!!east && east.segmentType !== 'diagonal') || (!!west && west.segmentType !== 'diagonal')
+
+    if (hasEW && !hasNS) return 90
+    if (hasNS && !hasEW) return 0
+
+    const snapped = Math.round(fallbackRotation / 90) * 90
+    return ((snapped % 360) + 360) % 360
+  }
+
+  emitWallSegment(building, segmentType, rotation) {
+    building.rotation.y = rotation * Math.PI / 180
+    this.emit('wallSegmentChanged', { entity: building, segmentType, rotation })
+  }
+
+  // Walls and gates join the WallGrid and re-shape their neighbours, other buildings block their cell
+  attachBuildingToGrid(building) {
+    const wallGrid = this.wallGrid
+    const data = building.userData
+    const grid = wallGrid.worldToGrid(building.position.x, building.position.z)
+
+    if (isWallLikeType(data.type)) {
+      const isGate = data.type === 'gate'
+      const wallRotation = data.rotation || 0
+      const isDiagonal = data.wallOrientation === 'diagonal'
+      const wallOptions = isDiagonal
+        ? { connect: false, segmentType: 'diagonal', rotation: wallRotation }
+        : (isGate ? { segmentType: 'gate', rotation: wallRotation, lockSegmentType: true, lockRotation: true } : undefined)
+      const cell = wallGrid.addWall(grid.gx, grid.gz, building, wallOptions)
+
+      // Update geometry based on neighbor connections
+      if (cell) {
+        if (isDiagonal) {
+          this.emitWallSegment(building, 'diagonal', wallRotation)
+        } else {
+          const segmentType = isGate ? 'gate' : cell.segmentType
+          const segmentRotation = isGate ? wallRotation : cell.rotation
+          this.emitWallSegment(building, segmentType, segmentRotation)
+
+          // Update all affected neighbor geometries
+          Object.values(cell.neighbors).forEach(neighbor => {
+            if (neighbor && neighbor.building) {
+              const { type: segType, rotation: segRot } = wallGrid.updateSegmentType(neighbor)
+              this.emitWallSegment(neighbor.building, segType, segRot)
+            }
+          })
+        }
+      }
+    } else {
+      wallGrid.setBlocked(grid.gx, grid.gz, true)
+      data.blockedCell = { gx: grid.gx, gz: grid.gz }
+    }
+
+    // Clear pathfinding cache since walls changed
+    this.pathfinding.clearCache()
+  }
+
+  detachBuildingFromGrid(building) {
+    const wallGrid = this.wallGrid
+    const pos = building.position
+
+    if (isWallLikeType(building.userData.type)) {
+      const grid = wallGrid.worldToGrid(pos.x, pos.z)
+      const removedCell = wallGrid.removeWall(grid.gx, grid.gz)
+
+      // Update neighbor geometries after removal
+      if (removedCell) {
+        ['north', 'south', 'east', 'west'].forEach(dir => {
+          const neighbor = removedCell.neighbors[dir]
+          if (neighbor && neighbor.building) {
+            this.emitWallSegment(neighbor.building, neighbor.segmentType, neighbor.rotation)
+          }
+        })
+      }
+    } else {
+      const blockedCell = building.userData.blockedCell || wallGrid.worldToGrid(pos.x, pos.z)
+      wallGrid.setBlocked(blockedCell.gx, blockedCell.gz, false)
+      building.userData.blockedCell = null
+    }
+
+    this.pathfinding.clearCache()
+  }
+
+  /**
+   * Build on the ground (walls and gates snap to the grid and connect)
+   * @returns {Object} commandOk({ building }) or commandFailed(message)
+   */
+  placeBuilding(type, x, z, rotation = 0) {
+    const cost = this.getBuildingCost(type)
+    const cantAfford = () => commandFailed(this.getSafeScore() < cost.carrots ? 'Nicht genug Karotten!' : 'Nicht genug Holz!')
+    let wallRotation = Number.isFinite(rotation) ? rotation : 0
+    let isDiagonal = false
+
+    if (isWallLikeType(type)) {
+      const grid = this.wallGrid.worldToGrid(x, z)
+      const snapped = this.wallGrid.gridToWorld(grid.gx, grid.gz)
+      x = snapped.x
+      z = snapped.z
+      if (type === 'gate') wallRotation = this.getGateRotation(grid.gx, grid.gz, wallRotation)
+      isDiagonal = type !== 'gate' && Math.abs(wallRotation % 90) === 45
+
+      if (this.wallGrid.hasWall(grid.gx, grid.gz)) return commandFailed('Platz belegt!')
+      if (!canAffordUpgrade(cost, { carrots: this.getSafeScore(), wood: this.state.wood || 0 })) return cantAfford()
+    } else {
+      if (!canAffordUpgrade(cost, { carrots: this.getSafeScore(), wood: this.state.wood || 0 })) return cantAfford()
+      // Check if spot is free
+      const occupied = this.buildings.some(b => Math.hypot(b.position.x - x, b.position.z - z) < 2.5)
+      if (occupied) return commandFailed('Platz belegt!')
+    }
+
+    this.addScore(-cost.carrots)
+    if (cost.wood > 0) this.addWood(-cost.wood)
+
+    const building = this.createEntity('building', this.createBuildingData(type), x, z)
+    building.userData.rotation = wallRotation
+    if (isWallLikeType(type)) {
+      building.userData.wallOrientation = isDiagonal ? 'diagonal' : 'orth'
+    } else {
+      building.rotation.y = wallRotation * Math.PI / 180
+    }
+    this.addEntity(this.buildings, building)
+    this.emitSound('build')
+    this.attachBuildingToGrid(building)
+    this.emit(GAME_EVENTS.BUILDING_PLACED, { buildingType: type, x, z })
+
+    // Spawn initial units
+    if (type === 'collectorHut') this.spawnCollector(x, z, building)
+    if (type === 'beaverHut') this.spawnBeaver(x, z, building)
+
+    return commandOk({ building })
+  }
+
+  // Destroyed or sold buildings leave the world and the grid
+  removeBuilding(building, reason = 'destroyed') {
+    this.detachBuildingFromGrid(building)
+    this.removeEntity(this.buildings, building, reason)
+    // Grown carrots stay on the ground as plain carrots
+    getFieldCarrots(building, this.carrots).forEach(carrot => { carrot.userData.field = null })
+  }
+
+  // A building destroyed in combat (enemies, boss attacks)
+  destroyBuilding(building) {
+    this.emitEffect('explosion', building.position, { color: 0x8B4513 })
+    this.removeBuilding(building)
+    this.emit(GAME_EVENTS.BUILDING_DESTROYED, {
+      buildingType: building.userData.type,
+      x: building.position.x,
+      z: building.position.z,
+    })
+  }
+
+  // Relocate a building (the caller checked the spot); its units get the new home
+  moveBuilding(building, x, z) {
+    const data = building.userData
+    this.detachBuildingFromGrid(building)
+    building.position.set(x, 0, z)
+    if (data.type === 'gate') {
+      const grid = this.wallGrid.worldToGrid(x, z)
+      data.rotation = this.getGateRotation(grid.gx, grid.gz, data.rotation || 0)
+    }
+    this.attachBuildingToGrid(building)
+    ;[...this.collectors, ...this.beavers].forEach(unit => {
+      if (unit.userData.homeBuilding === building) unit.userData.homePos.set(x, 0, z)
+    })
+  }
+
+  // ============== UNITS ==============
+  spawnCollector(x, z, homeBuilding = null) {
+    const data = this.createUnitData('collector', 0.9)
+    data.homePos = new THREE.Vector3(x, 0, z)
+    data.state = 'seeking'
+    const collector = this.createEntity('collector', data, x + 2, z, { scale: 0.9 })
+    data.homeBuilding = homeBuilding || findHomeBuilding(this, 'collectorHut', data.homePos)
+    return this.addEntity(this.collectors, collector)
+  }
+
+  spawnHero(x, z, homeBuilding = null) {
+    const type = HERO_TYPES[Math.floor(this.random() * HERO_TYPES.length)]
+    const hero = this.createHero(type, 1.1, x + 2, z)
+    hero.userData.homeBuilding = homeBuilding
+    this.addHero(hero)
+    this.emitMessage(`🦸 ${GUINEA_PIG_TYPES[type].name} erschienen!`, 2000)
+    return hero
+  }
+
+  // Beavers use the collector model (tinted brown by the renderer)
+  spawnBeaver(x, z, homeBuilding = null) {
+    const data = this.createUnitData('collector', 0.85)
+    Object.assign(data, {
+      type: 'beaver',
+      state: 'collecting',
+      speed: 0.045,
+      homePos: new THREE.Vector3(x, 0, z),
+      carryingWood: 0,
+      maxCarry: 2,
+      targetTree: null,
+      targetBuilding: null,
+    })
+    data.homeBuilding = homeBuilding || findHomeBuilding(this, 'beaverHut', data.homePos)
+    return this.addEntity(this.beavers, this.createEntity('beaver', data, x + 2, z, { scale: 0.85 }))
+  }
+
+  findNearestPartner() {
+    let nearest = null
+    let minDist = Infinity
+    for (const p of this.partners) {
+      if (!p.visible) continue
+      const d = Math.hypot(this.player.position.x - p.position.x, this.player.position.z - p.position.z)
+      if (d < minDist) {
+        minDist = d
+        nearest = p
+      }
+    }
+    return { partner: nearest, dist: minDist }
+  }
+
+  // A partner next to the player has offspring: a new hero with rolled genes
+  breed() {
+    if (this.getSafeScore() < BREED_COST) return commandFailed('Nicht genug Karotten!')
+    const nearest = this.findNearestPartner()
+    if (!nearest.partner || nearest.dist >= BREED_DISTANCE) return commandFailed('Kein Partner in der Nähe')
+    this.addScore(-BREED_COST)
+
+    const genes = rollOffspring(nearest.partner.userData.type, this.random)
+    const hero = this.createHero(genes.heroType, 1.1, this.player.position.x + 2, this.player.position.z)
+    applyGenes(hero.userData, genes)
+    this.addHero(hero)
+
+    this.emitEffect('hearts', this.player.position)
+    const traitText = genes.traits.map(t => t.icon).join('')
+    this.emitMessage(`💕 ${genes.name} der ${GUINEA_PIG_TYPES[genes.heroType].name} geboren! ${traitText}`, 2000)
+    this.emit(GAME_EVENTS.HERO_BORN, { heroType: genes.heroType, name: genes.name, partner: genes.parent })
+    return commandOk({ heroType: genes.heroType, genes, hero })
+  }
+
+  // ============== HEROES ==============
+  setHeroOrder(hero, order) {
+    hero.userData.order = order
+    hero.userData.path = null
+    this.emit('heroOrderChanged', { entity: hero })
+  }
+
+  removeFallenHero(hero) {
+    this.emitEffect('explosion', hero.position, { color: 0x8B0000 })
+    this.removeEntity(this.defenders, hero, 'fallen')
+    this.setHeroOrder(hero, null)
+  }
+
+  // Heroes summoned by purple carrots vanish without counting as fallen
+  dismissSummonedHero(hero) {
+    this.emitEffect('explosion', hero.position, { color: CARROT_TYPES.purple.color })
+    this.removeEntity(this.defenders, hero, 'dismissed')
+    this.setHeroOrder(hero, null)
+  }
+
+  // A hawk let go of its prey: the fall may kill it
+  handleHeroDropped(hero) {
+    this.emitEffect('explosion', hero.position, { color: 0x8B5A2B })
+    if (hero.userData.health <= 0) this.removeFallenHero(hero)
+  }
+
+  grantHeroXp(hero, amount) {
+    this.announceHeroLevelUp(hero, awardHeroXp(hero, amount))
+  }
+
+  announceHeroLevelUp(hero, result) {
+    if (!result?.levelsGained) return
+    this.emitEffect('heal', hero.position)
+    const name = getHeroName(hero)
+    this.emitMessage(result.perkUnlocked ? `⭐ ${name} Stufe ${result.level} - Perk wählen!` : `⭐ ${name} Stufe ${result.level}!`, 1500)
+    this.emit(GAME_EVENTS.HERO_LEVEL_UP, {
+      heroId: hero.userData.heroId,
+      heroType: hero.userData.type,
+      name,
+      level: result.level,
+      perkUnlocked: result.perkUnlocked,
+    })
+  }
+
+  // Walks an ordered hero while no enemy is engaged
+  followHeroOrder(defender) {
+    const data = defender.userData
+    const order = data.order
+    if (order.type === HERO_ORDERS.GUARD && (!this.buildings.includes(order.building) || order.building.userData.health <= 0)) {
+      this.setHeroOrder(defender, null)
+      return
+    }
+
+    const destination = getOrderDestination(order)
+    const stopDistance = getOrderStopDistance(order)
+    const dist = moveUnitWithPathfinding(this, defender, destination, data.speed * (order.type === HERO_ORDERS.MOVE ? 1.2 : 0.9), {
+      allowGate: true,
+      stopDistance,
+      setRotation: false,
+      allowFallback: false,
+    })
+    if (dist > stopDistance && !data.navNoPath) {
+      data.targetRotation = Math.atan2(-(destination.z - defender.position.z), destination.x - defender.position.x)
+      return
+    }
+
+    // Arrived (or unreachable): move turns into hold, patrol turns around
+    const next = data.navNoPath && order.type === HERO_ORDERS.MOVE
+      ? createHeroOrder(HERO_ORDERS.HOLD, { target: defender.position })
+      : advanceHeroOrder(order)
+    if (next.type !== order.type) this.setHeroOrder(defender, next)
+    else data.order = next
+  }
+
+  // ============== WAVES ==============
+  createWaveRun(waveNum) {
+    return new WaveRun(this.getWave(waveNum), {
+      random: this.random,
+      spawnRadius: GAME_CONFIG.ENEMY_SPAWN_RADIUS,
+    })
+  }
+
+  // Continue a wave from WaveRun.serialize() data (saved runs)
+  restoreWaveRun(waveNum, saved) {
+    return WaveRun.restore(this.getWave(waveNum), saved, {
+      random: this.random,
+      spawnRadius: GAME_CONFIG.ENEMY_SPAWN_RADIUS,
+    })
+  }
+
+  getWaveContext() {
+    return {
+      baseHealthRatio: this.state.baseHealth / this.state.maxBaseHealth,
+      enemiesAlive: this.enemies.length,
+      bossesAlive: this.enemies.filter(e => e.userData.isBoss).length,
+    }
+  }
+
+  startWave(waveNum) {
+    this.waveRun = this.createWaveRun(waveNum)
+    this.targetingLog = createTargetingLog()
+    if (this.waveRun.hasBoss) this.state.bossWave = true
+
+    this.emitMessage(`🌙 Welle ${waveNum + 1}: ${this.waveRun.wave.name}${this.waveRun.hasBoss ? ' - BOSS!' : ''}`, 2500)
+    this.emitSound('waveStart')
+    this.emit(GAME_EVENTS.WAVE_STARTED, { wave: waveNum, name: this.waveRun.wave.name, boss: this.waveRun.hasBoss })
+  }
+
+  createEnemy(type, x, z) {
+    return this.createEntity('enemy', this.createEnemyData(type), x, z)
+  }
+
+  // Spawn from a wave script entry: { enemy, x, z, modifiers }
+  spawnEnemy(spawn) {
+    const enemy = this.createEnemy(spawn.enemy, spawn.x, spawn.z)
+    applyEnemyModifiers(enemy.userData, spawn.modifiers)
+    initBoss(enemy.userData)
+    return this.addEntity(this.enemies, enemy)
+  }
+
+  // Phase changes, adds and telegraphed area attacks of a scripted boss
+  handleBossUpdate(enemy, result) {
+    const script = getBossScript(enemy.userData)
+    if (result.phase) {
+      this.emitEffect('explosion', enemy.position, { color: 0xFFD700 })
+      this.emitSound('bossPhase')
+      this.emitMessage(`👑 ${script.name}: Phase ${result.phase.index + 1}!`, 2000)
+    }
+    if (result.enraged) {
+      this.emitEffect('explosion', enemy.position, { color: 0xFF0000 })
+      this.emitSound('bossPhase')
+      this.emitMessage(`😡 ${script.name} ist wütend!`, 2000)
+    }
+    result.summons.forEach(summon => {
+      getSummonPositions(summon).forEach(({ x, z }) => this.spawnEnemy({ enemy: summon.enemy, x, z, modifiers: null }))
+    })
+    result.telegraphs.forEach(telegraph => this.emit('bossTelegraph', { telegraph }))
+    result.impacts.forEach(impact => {
+      this.emitEffect('explosion', { x: impact.x, y: 0.5, z: impact.z }, { color: impact.color })
+      this.emitSound('explosion')
+      getImpactTargets(impact, this.defenders.filter(d => d.userData.placed)).forEach(hero => {
+        dealDamage(hero.userData, impact.damage, impact.damageType)
+        if (hero.userData.health <= 0) this.removeFallenHero(hero)
+      })
+      getImpactTargets(impact, this.buildings).forEach(building => {
+        dealDamage(building.userData, impact.damage, impact.damageType)
+        if (building.userData.health <= 0) this.destroyBuilding(building)
+      })
+    })
+  }
+
+  // ============== WEATHER ==============
+  changeWeather() {
+    let weather
+    if (this.getSkillEffect('weatherMaster') >= 2) {
+      // Player can influence weather - bias towards beneficial
+      weather = this.random() < 0.6 ? 'sunny' : WEATHERS[Math.floor(this.random() * WEATHERS.length)]
+    } else {
+      weather = WEATHERS[Math.floor(this.random() * WEATHERS.length)]
+    }
+    this.state.weather = weather
+    this.emit('weatherChanged', { weather })
+  }
+
+  // ============== PHASES ==============
+  skipDay() {
+    const state = this.state
+    if (state.phase !== 'day' || state.gameOver || state.victory) return commandFailed('Nur tagsüber!')
+    // The day ends in the next tick
+    state.dayTimer = state.dayDuration
+    return commandOk()
+  }
+
+  transitionToNight() {
+    const state = this.state
+    state.phase = 'night'
+    state.nightActive = true
+    this.emit(GAME_EVENTS.PHASE_CHANGED, { phase: 'night' })
+
+    ;[this.player, ...this.partners].forEach(unit => {
+      unit.userData.lastDayPos = unit.position.clone()
+      unit.userData.inCastle = false
+      unit.visible = true
+    })
+
+    this.collectors.forEach(collector => {
+      collector.userData.targetCarrot = null
+      collector.userData.noPathTimer = 0
+      if (collector.userData.unreachableTargets) {
+        collector.userData.unreachableTargets.clear()
+      }
+    })
+
+    this.changeWeather()
+    this.startWave(state.wave)
+  }
+
+  transitionToDay() {
+    const state = this.state
+    state.phase = 'day'
+    state.nightActive = false
+    state.bossWave = false
+    state.wave++
+    state.dayTimer = 0
+    this.emit(GAME_EVENTS.PHASE_CHANGED, { phase: 'day' })
+
+    ;[this.player, ...this.partners].forEach(unit => {
+      unit.visible = true
+      if (unit.userData.inCastle && unit.userData.lastDayPos) {
+        unit.position.copy(unit.userData.lastDayPos)
+      }
+      unit.userData.inCastle = false
+    })
+    this.partners.forEach(p => p.userData.targetPos.copy(p.position))
+
+    this.collectors.forEach(collector => {
+      const data = collector.userData
+      collector.visible = true
+      data.inHut = false
+      data.state = 'seeking'
+      data.targetCarrot = null
+      data.noPathTimer = 0
+      if (data.unreachableTargets) data.unreachableTargets.clear()
+      if (!data.homeBuilding) data.homeBuilding = findHomeBuilding(this, 'collectorHut', data.homePos)
+    })
+
+    this.beavers.forEach(beaver => {
+      const data = beaver.userData
+      beaver.visible = true
+      data.inHut = false
+      data.state = 'collecting'
+      data.targetBuilding = null
+      data.targetTree = null
+      if (!data.homeBuilding) data.homeBuilding = findHomeBuilding(this, 'beaverHut', data.homePos)
+    })
+
+    // Chopped trees grow back a little every morning, stumps sprout after a few days
+    regrowTrees(this.trees).forEach(tree => this.emit('treeChanged', { entity: tree }))
+
+    // Regenerate if fortress skill
+    if (this.getSkillEffect('fortress')) {
+      state.baseHealth = Math.min(state.maxBaseHealth, state.baseHealth + 10)
+      this.emit('baseHealthChanged', { health: state.baseHealth })
+    }
+
+    // Spawn more carrots
+    for (let i = 0; i < 12; i++) this.spawnCarrot()
+
+    if (this.mode !== 'endless' && state.wave >= this.waves.length && !state.victory) {
+      state.victory = true
+      const score = this.getSafeScore()
+      this.emit('victory', { earnedPoints: Math.floor(score / 5) + state.wave * 10, wave: state.wave, score })
+    } else {
+      this.changeWeather()
+      this.emitMessage(`☀️ Tag ${state.wave + 1}`, 2500)
+      this.emit('dayStarted', { wave: state.wave })
+    }
+  }
+
+  // ============== TIMERS ==============
+  // Combo, speed boost, carrot magnet, rage, fortress regeneration, base and player poison
+  updateTimers(dt) {
+    const state = this.state
+
+    if (state.comboTimer > 0) {
+      state.comboTimer -= dt
+      if (state.comboTimer <= 0) {
+        state.combo = 0
+        this.emit('comboChanged', { combo: 0 })
+      }
+    }
+
+    if (state.speedBoostTimer > 0) {
+      state.speedBoostTimer -= dt
+    }
+    updateCarrotMagnet(state, dt)
+
+    const wasRage = state.rageActive
+    state.rageActive = state.baseHealth < state.maxBaseHealth * GAME_CONFIG.RAGE_THRESHOLD
+    if (state.rageActive !== wasRage) {
+      this.emit('rageChanged', { active: state.rageActive })
+    }
+
+    if (this.getSkillEffect('fortress') && state.baseHealth < state.maxBaseHealth) {
+      state.baseHealth = Math.min(state.maxBaseHealth, state.baseHealth + dt)
+      this.emit('baseHealthChanged', { health: state.baseHealth })
+    }
+
+    const { ticks, expired } = updateStatuses(state.baseStatus, dt)
+    ticks.forEach(({ id, damage, color }) => {
+      this.emit('baseStatusTick', { id, damage, color })
+      this.damageBase(damage, { cause: id })
+    })
+    expired.forEach(id => this.emit('baseStatusCleared', { id }))
+
+    // The player has no health, poison eats carrots instead
+    const player = updateStatuses(state.playerStatus, dt)
+    player.ticks.forEach(({ id, damage, color }) => {
+      const lost = Math.min(damage, Math.max(0, state.score))
+      if (lost > 0) this.addScore(-lost)
+      this.emit('playerStatusTick', { id, damage: lost, color })
+    })
+    player.expired.forEach(id => this.emit('playerStatusCleared', { id }))
+  }
+
+  // Kills and pickups raise the combo
+  raiseCombo() {
+    this.state.combo++
+    this.state.comboTimer = 2
+    this.emit('comboChanged', { combo: this.state.combo })
+    return 1 + Math.min(this.state.combo, 10) * 0.1
+  }
+
+  // ============== BASE ==============
+  damageBase(amount, { cause = 'attack', poison = false } = {}) {
+    const state = this.state
+    state.baseHealth -= amount
+    this.emit('baseHealthChanged', { health: state.baseHealth, damage: amount, cause })
+
+    // Snake poison - apply DoT to base
+    if (poison && state.baseHealth > 0) {
+      const fresh = !hasStatus(state.baseStatus, 'poison')
+      applyStatus(state.baseStatus, 'poison', SNAKE_POISON.base)
+      if (fresh) this.emit('baseStatusApplied', { id: 'poison', label: STATUS_EFFECTS.poison.label })
+    }
+
+    if (state.baseHealth <= 0 && !state.gameOver && !state.victory) {
+      state.gameOver = true
+      const earnedPoints = Math.floor(state.score / 10) + state.wave * 5
+      this.emit('gameOver', { earnedPoints, wave: state.wave, score: state.score, cause, mode: this.mode })
+    }
+  }
+
+  // ============== STEP ==============
+  /**
+   * Advance the run by one tick
+   * @param {number} dt - Tick length (GAME_TICK)
+   * @param {Object} input - { move: { x, z } } stick/keys of the player (day only)
+   */
+  step(dt, { move = null } = {}) {
+    const state = this.state
+    if (state.gameOver || state.victory) return
+    this.tick++
+    this.time += dt
+    this.runScheduled()
+
+    // Combo, speed boost, carrot magnet, rage, fortress, base and player poison timers
+    this.updateTimers(dt)
+
+    // Status effects of buildings and heroes (poison, burn, taunt, ...)
+    ;[...this.buildings, ...this.defenders].forEach(unit => {
+      const { damage, ticks } = updateStatuses(unit.userData, dt)
+      unit.userData.health -= damage
+      ticks.forEach(tick => this.emitEffect('explosion', unit.position, { color: tick.color }))
+    })
+
+    // Summoned heroes leave when their time is up
+    ;[...this.defenders].forEach(hero => {
+      if (!(hero.userData.expiresIn > 0)) return
+      hero.userData.expiresIn -= dt
+      if (hero.userData.expiresIn <= 0) this.dismissSummonedHero(hero)
+    })
+
+    if (state.phase === 'day') {
+      state.dayTimer += dt
+
+      // Weather changes
+      state.weatherTimer += dt
+      if (state.weatherTimer > 30) {
+        state.weatherTimer = 0
+        if (this.random() < 0.3) this.changeWeather()
+      }
+
+      this.updatePlayer(move)
+      this.updatePartners(dt)
+      this.updateCarrots()
+      this.updateCollectors(dt)
+      this.updateBeavers(dt)
+      this.updateBuildings(dt)
+
+      if (state.dayTimer >= state.dayDuration) this.transitionToNight()
+    }
+
+    if (state.phase === 'night') {
+      this.updateNightReturn(dt)
+      if (this.waveRun) {
+        // Faster script clock on hard (spawnRate < 1)
+        this.waveRun.update(dt / this.getDifficultyMod().spawnRate, this.getWaveContext()).forEach(spawn => this.spawnEnemy(spawn))
+      }
+      this.updateEnemies(dt)
+      this.updateDefenders(dt)
+      this.updateTowers(dt)
+      this.updateProjectiles()
+      this.updateBombs()
+      this.removeDeadEnemies()
+
+      // Check wave complete
+      if (this.enemies.length === 0 && state.nightActive && (!this.waveRun || this.waveRun.isComplete(this.getWaveContext()))) {
+        state.nightActive = false
+        this.schedule(2, () => this.transitionToDay())
+        this.emitMessage('☀️ Welle überstanden!')
+        this.emit(GAME_EVENTS.WAVE_CLEARED, { wave: state.wave })
+      }
+    }
+  }
+
+  // ============== DAY ==============
+  // Player movement with smooth velocity
+  updatePlayer(move) {
+    const state = this.state
+    const player = this.player
+    const data = player.userData
+    let maxSpeed = 0.08
+    const acceleration = 0.008
+    const friction = 0.88
+    if (state.speedBoostTimer > 0) maxSpeed *= 1.5
+    // Weather Master enhances windy speed bonus
+    if (state.weather === 'windy') {
+      maxSpeed *= this.getSkillEffect('weatherMaster') >= 1 ? 1.35 : 1.2 // 35% with Weather Master, 20% without
+    }
+
+    let inputX = move?.x || 0
+    let inputZ = move?.z || 0
+    if (Math.abs(inputX) > 0.1 || Math.abs(inputZ) > 0.1) {
+      const len = Math.sqrt(inputX * inputX + inputZ * inputZ)
+      if (len > 0) { inputX /= len; inputZ /= len }
+
+      // Accelerate towards input direction
+      data.velocityX += inputX * acceleration
+      data.velocityZ += inputZ * acceleration
+
+      // Clamp to max speed
+      const currentSpeed = Math.sqrt(data.velocityX ** 2 + data.velocityZ ** 2)
+      if (currentSpeed > maxSpeed) {
+        data.velocityX = (data.velocityX / currentSpeed) * maxSpeed
+        data.velocityZ = (data.velocityZ / currentSpeed) * maxSpeed
+      }
+
+      data.targetRotation = Math.atan2(-inputZ, inputX)
+    } else {
+      // Apply friction when no input
+      data.velocityX *= friction
+      data.velocityZ *= friction
+    }
+
+    // Simple bounds, bounce off slightly
+    const newX = player.position.x + data.velocityX
+    const newZ = player.position.z + data.velocityZ
+    if (Math.sqrt(newX * newX + newZ * newZ) < 35) {
+      player.position.x = newX
+      player.position.z = newZ
+    } else {
+      data.velocityX *= -0.3
+      data.velocityZ *= -0.3
+    }
+
+    // Walk animation strength for the renderer
+    const movementSpeed = Math.sqrt(data.velocityX ** 2 + data.velocityZ ** 2)
+    data.moveIntensity = movementSpeed > 0.005 ? Math.min(movementSpeed / maxSpeed, 1) : 0
+
+    player.rotation.y += getRotationDiff(data.targetRotation, player.rotation.y) * 0.15
+
+    resolveUnitBuildingCollisions(this, player, {
+      unitRadius: UNIT_COLLISION_RADIUS.player,
+      allowBuilding: (building) => building.userData.type === 'gate',
+    })
+  }
+
+  updatePartners(dt) {
+    this.partners.forEach(p => {
+      if (!p.visible) return
+      const data = p.userData
+
+      if (data.waitTime > 0) {
+        data.waitTime -= dt
+      } else {
+        const d = moveUnitWithPathfinding(this, p, data.targetPos, 0.02, {
+          allowGate: true,
+          stopDistance: 0.5,
+        })
+
+        if (d < 0.5) {
+          const angle = this.random() * Math.PI * 2
+          const radius = 8 + this.random() * 15
+          data.targetPos.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius)
+          data.waitTime = 2 + this.random() * 4
+        }
+      }
+
+      resolveUnitBuildingCollisions(this, p, {
+        unitRadius: UNIT_COLLISION_RADIUS.partner,
+        allowBuilding: (building) => building.userData.type === 'gate',
+      })
+    })
+  }
+
+  // Carrot collection - with magnet from a silver carrot or the autoCollect skill
+  updateCarrots() {
+    const state = this.state
+    const player = this.player
+    const magnet = getCarrotMagnet(state, this.getSkillEffect('autoCollect'))
+
+    ;[...this.carrots].forEach(carrot => {
+      if (carrot.userData.collected) return
+
+      const dx = player.position.x - carrot.position.x
+      const dz = player.position.z - carrot.position.z
+      const d = Math.sqrt(dx * dx + dz * dz)
+
+      // Magnet pull
+      if (magnet && d < magnet.range && d > 1.5 && isMagnetic(carrot)) {
+        carrot.position.x += dx / d * magnet.pull
+        carrot.position.z += dz / d * magnet.pull
+      }
+
+      if (d >= 1.5) return
+      carrot.userData.collected = true
+      // Picked up carrots leave the game at once, the renderer only shrinks the mesh
+      this.removeEntity(this.carrots, carrot, 'collected')
+
+      const comboMultiplier = this.raiseCombo()
+      const value = Math.floor(carrot.userData.value * comboMultiplier * this.getDifficultyMod().carrotValue)
+      this.addScore(value)
+      this.emitSound('collect')
+
+      // Special effects
+      this.applyCarrotEffect(carrot)
+
+      if (state.combo >= 5) {
+        this.emitEffect('combo', carrot.position, { value: state.combo })
+        this.emitSound('combo', state.combo)
+      }
+
+      // Field carrots grow back on their field
+      if (!carrot.userData.field) this.schedule(2 + this.random() * 3, () => this.spawnCarrot())
+    })
+  }
+
+  bankCollectorLoad(collector) {
+    const data = collector.userData
+    this.addScore(data.carryingCarrots)
+    data.carryingCarrots = 0
+    data.carryingCount = 0
+    data.state = 'seeking'
+    data.targetCarrot = null
+    data.noPathTimer = 0
+  }
+
+  updateCollectors(dt) {
+    this.collectors.forEach(collector => {
+      const data = collector.userData
+      if (!collector.visible) return
+
+      if (!data.unreachableTargets) data.unreachableTargets = new Map()
+      const isTargetBlocked = (target) => {
+        if (!target?.uuid) return false
+        const until = data.unreachableTargets.get(target.uuid)
+        if (until && until > this.time) return true
+        if (until) data.unreachableTargets.delete(target.uuid)
+        return false
+      }
+      const markTargetBlocked = (target, seconds = 4) => {
+        if (!target?.uuid) return
+        data.unreachableTargets.set(target.uuid, this.time + seconds)
+      }
+
+      if (data.state === 'seeking') {
+        if (data.targetCarrot && (data.targetCarrot.userData.collected || isTargetBlocked(data.targetCarrot))) {
+          data.targetCarrot = null
+        }
+
+        if (!data.targetCarrot) {
+          // Gather zone first, golden and blue carrots are worth a longer walk
+          const ranked = rankCollectorTargets(collector.position, this.carrots, {
+            zone: getGatherZone(data.homeBuilding),
+            skip: isTargetBlocked,
+          })
+          data.targetCarrot = ranked.find(c => {
+            if (isPathReachable(this, collector.position, c.position, { allowGate: true })) return true
+            markTargetBlocked(c)
+            return false
+          }) || null
+        }
+
+        if (data.targetCarrot) {
+          const target = data.targetCarrot
+          const d = collector.position.distanceTo(target.position)
+          if (d > 1) {
+            moveUnitWithPathfinding(this, collector, target.position, data.speed, {
+              allowGate: true,
+              stopDistance: 1,
+              allowFallback: false,
+            })
+            if (data.navNoPath) {
+              markTargetBlocked(target)
+              data.targetCarrot = null
+            }
+          } else {
+            // Collect
+            target.userData.collected = true
+            data.carryingCarrots += target.userData.value
+            data.carryingCount = (data.carryingCount || 0) + 1
+            this.removeEntity(this.carrots, target, 'gathered')
+            if (!target.userData.field) this.schedule(3, () => this.spawnCarrot())
+            data.targetCarrot = null
+
+            if (data.carryingCount >= data.maxCarry) {
+              data.state = 'returning'
+            }
+          }
+        } else if (data.carryingCount > 0) {
+          data.state = 'returning'
+        } else if (collector.position.distanceTo(data.homePos) > 4) {
+          moveUnitWithPathfinding(this, collector, data.homePos, data.speed * 0.7, {
+            allowGate: true,
+            stopDistance: 2.2,
+            allowFallback: false,
+          })
+        }
+      } else if (data.state === 'returning') {
+        data.noPathTimer = data.noPathTimer || 0
+        const depositDist = getBuildingApproachDistance(data.homeBuilding, UNIT_COLLISION_RADIUS.collector, 0.2)
+        moveUnitWithPathfinding(this, collector, data.homePos, data.speed, {
+          allowGate: true,
+          stopDistance: depositDist,
+          allowFallback: false,
+        })
+
+        if (data.navNoPath) {
+          data.noPathTimer += dt
+          if (data.noPathTimer > 2.5) this.bankCollectorLoad(collector)
+        } else {
+          data.noPathTimer = 0
+        }
+
+        // Deposit
+        if (collector.position.distanceTo(data.homePos) <= depositDist) this.bankCollectorLoad(collector)
+      }
+
+      resolveUnitBuildingCollisions(this, collector, {
+        unitRadius: UNIT_COLLISION_RADIUS.collector,
+        allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
+      })
+    })
+  }
+
+  updateBeavers(dt) {
+    this.beavers.forEach(beaver => {
+      const data = beaver.userData
+      if (!beaver.visible) return
+
+      // Find damaged buildings (sorted by lowest HP%)
+      const damagedBuildings = this.buildings
+        .filter(b => b.userData.health < b.userData.maxHealth && b.userData.health > 0)
+        .sort((a, b) => a.userData.health / a.userData.maxHealth - b.userData.health / b.userData.maxHealth)
+
+      // State transitions
+      if (damagedBuildings.length > 0 && data.carryingWood > 0) {
+        data.state = 'repairing'
+        data.targetBuilding = damagedBuildings[0]
+      } else if (damagedBuildings.length === 0 && data.state === 'repairing') {
+        data.state = 'collecting'
+        data.targetBuilding = null
+      }
+
+      if (data.state === 'collecting') {
+        if (data.carryingWood >= data.maxCarry) {
+          if (damagedBuildings.length > 0) {
+            data.state = 'repairing'
+            data.targetBuilding = damagedBuildings[0]
+          } else {
+            data.state = 'returning'
+          }
+        } else {
+          // Find nearest tree with wood
+          const { tree: nearestTree, distance: nearestDist } = findNearestTree(this.getResourceTrees(), beaver.position)
+          // Nothing left to chop: replant the nearest stump instead
+          const stump = nearestTree ? null : findNearestTree(
+            this.trees,
+            beaver.position,
+            tree => isStump(tree) && !tree.userData.planted
+          ).tree
+
+          if (nearestTree) {
+            if (nearestDist > 2) {
+              moveUnitWithPathfinding(this, beaver, nearestTree.position, data.speed, {
+                allowGate: true,
+                stopDistance: 2,
+              })
+            } else {
+              // Harvest wood, a tree chopped to the ground gets replanted right away
+              data.carryingWood += harvestTree(nearestTree)
+              this.emit('treeChanged', { entity: nearestTree })
+              if (isStump(nearestTree)) {
+                data.state = 'replanting'
+                data.targetTree = nearestTree
+                data.replantTimer = 0
+              }
+            }
+          } else if (data.carryingWood > 0) {
+            // No trees, return home if carrying
+            data.state = 'returning'
+          } else if (stump) {
+            data.state = 'replanting'
+            data.targetTree = stump
+            data.replantTimer = 0
+          }
+        }
+      } else if (data.state === 'replanting') {
+        const tree = data.targetTree
+        if (!tree || !isStump(tree) || tree.userData.planted) {
+          data.state = 'collecting'
+          data.targetTree = null
+        } else if (Math.hypot(tree.position.x - beaver.position.x, tree.position.z - beaver.position.z) > 2) {
+          moveUnitWithPathfinding(this, beaver, tree.position, data.speed, {
+            allowGate: true,
+            stopDistance: 2,
+          })
+        } else {
+          data.replantTimer = (data.replantTimer || 0) + dt
+          if (data.replantTimer >= RESOURCE_TREE_CONFIG.replantTime) {
+            replantTree(tree)
+            this.emit('treeChanged', { entity: tree })
+            this.emitEffect('heal', tree.position)
+            data.state = 'collecting'
+            data.targetTree = null
+          }
+        }
+      } else if (data.state === 'repairing') {
+        const target = data.targetBuilding
+
+        if (!target || target.userData.health >= target.userData.maxHealth || target.userData.health <= 0) {
+          data.state = 'collecting'
+          data.targetBuilding = null
+        } else {
+          const d = Math.hypot(target.position.x - beaver.position.x, target.position.z - beaver.position.z)
+          const repairDist = getBuildingApproachDistance(target, UNIT_COLLISION_RADIUS.beaver, 0.4)
+          if (d > repairDist) {
+            moveUnitWithPathfinding(this, beaver, target.position, data.speed, {
+              allowGate: true,
+              stopDistance: repairDist,
+            })
+          } else if (data.carryingWood > 0) {
+            // Repair: 25 HP per wood
+            target.userData.health = Math.min(target.userData.maxHealth, target.userData.health + 25)
+            data.carryingWood -= 1
+            this.emitEffect('sparks', { x: target.position.x, y: 1, z: target.position.z }, { color: 0x8B4513 })
+
+            if (data.carryingWood <= 0) {
+              data.state = 'collecting'
+              data.targetBuilding = null
+            }
+          }
+        }
+      } else if (data.state === 'returning') {
+        const d = Math.hypot(data.homePos.x - beaver.position.x, data.homePos.z - beaver.position.z)
+        const depositDist = getBuildingApproachDistance(data.homeBuilding, UNIT_COLLISION_RADIUS.beaver, 0.2)
+        if (d > depositDist) {
+          moveUnitWithPathfinding(this, beaver, data.homePos, data.speed, {
+            allowGate: true,
+            stopDistance: depositDist,
+          })
+        } else {
+          // Deposit wood
+          this.addWood(data.carryingWood)
+          data.carryingWood = 0
+          data.state = 'collecting'
+        }
+      }
+
+      resolveUnitBuildingCollisions(this, beaver, {
+        unitRadius: UNIT_COLLISION_RADIUS.beaver,
+        allowBuilding: (building) => (
+          building.userData.type === 'gate' ||
+          building === data.homeBuilding ||
+          building === data.targetBuilding
+        ),
+      })
+    })
+  }
+
+  // Huts spawn their units, the lumber yard trades wood, carrot fields grow
+  updateBuildings(dt) {
+    const heroSpawnTime = 20 - this.getSkillEffect('heroSpawnRate')
+
+    ;[...this.buildings].forEach(building => {
+      const data = building.userData
+      const { x, z } = building.position
+      data.spawnTimer += dt
+
+      if (data.type === 'collectorHut' && data.spawnTimer >= 30) {
+        data.spawnTimer = 0
+        if (this.collectors.filter(c => c.userData.homePos.equals(new THREE.Vector3(x, 0, z))).length < 3) {
+          this.spawnCollector(x, z, building)
+        }
+      }
+
+      if (data.type === 'heroHut' && data.spawnTimer >= heroSpawnTime) {
+        data.spawnTimer = 0
+        this.spawnHero(x, z, building)
+      }
+
+      if (data.type === 'lumberYard') {
+        const trade = updateLumberYard(building, dt, this.state.wood || 0)
+        if (trade) {
+          this.addWood(-trade.wood)
+          this.addScore(trade.carrots)
+          this.emitEffect('explosion', { x, y: 2, z }, { color: 0xFFA500 })
+          this.emit(GAME_EVENTS.WOOD_SOLD, { x, z, ...trade })
+        }
+      }
+
+      if (data.type === 'carrotField') {
+        const slot = updateCarrotField(building, dt, this.carrots)
+        if (slot) {
+          const carrot = this.spawnFieldCarrot(building, slot)
+          this.emitEffect('heal', { x: carrot.position.x, y: 0.5, z: carrot.position.z })
+        }
+      }
+
+      if (data.type === 'beaverHut' && data.spawnTimer >= 25) {
+        data.spawnTimer = 0
+        const homeBeavers = this.beavers.filter(b => b.userData.homePos && b.userData.homePos.distanceTo(building.position) < 1)
+        if (homeBeavers.length < 2) this.spawnBeaver(x, z, building)
+      }
+    })
+  }
+
+  // ============== NIGHT ==============
+  // Player and partners walk into the castle, collectors and beavers into their huts
+  updateNightReturn(dt) {
+    const castlePos = this.castle.position
+
+    ;[this.player, ...this.partners].forEach(unit => {
+      const data = unit.userData
+      if (data.inCastle) return
+      const unitRadius = data.isPlayer ? UNIT_COLLISION_RADIUS.player : UNIT_COLLISION_RADIUS.partner
+      unit.visible = true
+      moveUnitWithPathfinding(this, unit, castlePos, data.isPlayer ? 0.08 : 0.06, {
+        allowGate: true,
+        stopDistance: 1.2,
+      })
+      resolveUnitBuildingCollisions(this, unit, {
+        unitRadius,
+        allowBuilding: (building) => building.userData.type === 'gate',
+        ignoreCastle: true,
+      })
+      const enterDist = getBuildingApproachDistance(this.castle, unitRadius, 0.6)
+      if (unit.position.distanceTo(castlePos) <= enterDist) {
+        unit.visible = false
+        data.inCastle = true
+        if (data.isPlayer) {
+          data.velocityX = 0
+          data.velocityZ = 0
+          data.moveIntensity = 0
+        }
+      }
+    })
+
+    this.collectors.forEach(collector => {
+      const data = collector.userData
+      if (data.inHut) {
+        collector.visible = false
+        return
+      }
+      const enterHut = () => {
+        this.bankCollectorLoad(collector)
+        data.inHut = true
+        collector.visible = false
+      }
+      data.targetCarrot = null
+      data.noPathTimer = data.noPathTimer || 0
+      collector.visible = true
+      const hutDist = getBuildingApproachDistance(data.homeBuilding, UNIT_COLLISION_RADIUS.collector, 0.3)
+      moveUnitWithPathfinding(this, collector, data.homePos, data.speed, {
+        allowGate: true,
+        stopDistance: hutDist,
+        allowFallback: false,
+      })
+      if (data.navNoPath) {
+        data.noPathTimer += dt
+        if (data.noPathTimer > 2.5) {
+          enterHut()
+          return
+        }
+      } else {
+        data.noPathTimer = 0
+      }
+      resolveUnitBuildingCollisions(this, collector, {
+        unitRadius: UNIT_COLLISION_RADIUS.collector,
+        allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
+      })
+      if (collector.position.distanceTo(data.homePos) <= hutDist) enterHut()
+    })
+
+    this.beavers.forEach(beaver => {
+      const data = beaver.userData
+      if (data.inHut) {
+        beaver.visible = false
+        return
+      }
+      beaver.visible = true
+      const hutDist = getBuildingApproachDistance(data.homeBuilding, UNIT_COLLISION_RADIUS.beaver, 0.3)
+      moveUnitWithPathfinding(this, beaver, data.homePos, data.speed, {
+        allowGate: true,
+        stopDistance: hutDist,
+      })
+      resolveUnitBuildingCollisions(this, beaver, {
+        unitRadius: UNIT_COLLISION_RADIUS.beaver,
+        allowBuilding: (building) => building.userData.type === 'gate' || building === data.homeBuilding,
+      })
+      if (beaver.position.distanceTo(data.homePos) <= hutDist) {
+        this.addWood(data.carryingWood || 0)
+        data.carryingWood = 0
+        data.state = 'collecting'
+        data.inHut = true
+        beaver.visible = false
+      }
+    })
+  }
+
+  updateEnemies(dt) {
+    const state = this.state
+    const random = this.random
+
+    ;[...this.enemies].forEach(enemy => {
+      const data = enemy.userData
+
+      // Handle status effects (dead enemies are removed below)
+      updateStatuses(data, dt).ticks.forEach(tick => {
+        dealDamage(data, tick.damage, tick.damageType)
+        this.emitEffect('explosion', getAimPoint(enemy), { color: tick.color })
+      })
+      const confused = hasStatusFlag(data, 'wanders')
+
+      if (data.boss) {
+        this.handleBossUpdate(enemy, updateBoss(enemy, dt, { defenders: this.defenders.filter(d => d.userData.placed), buildings: this.buildings }))
+      }
+
+      // Moles surface inside the ring, hawks carry heroes off, thieves run for the edge
+      if (updateBurrow(enemy)) this.emitEffect('explosion', enemy.position, { color: 0x8B4513 })
+      const droppedHero = updateSnatch(enemy, dt)
+      if (droppedHero) this.handleHeroDropped(droppedHero)
+      if (hasEscaped(enemy)) {
+        data.escaped = true
+        return
+      }
+
+      // Decay threat over time
+      decayThreat(enemy, dt)
+
+      // Find target using the Threat/Aggro system
+      let targetX = 0, targetZ = 0
+
+      if (confused) {
+        // When confused, clear threat and use cached random position
+        clearThreat(enemy)
+        if (!data.confusedTarget) {
+          data.confusedTarget = {
+            x: (random() - 0.5) * 30,
+            z: (random() - 0.5) * 30,
+          }
+        }
+        targetX = data.confusedTarget.x
+        targetZ = data.confusedTarget.z
+      } else if (data.fleeing) {
+        const fleePoint = getFleePoint(enemy)
+        targetX = fleePoint.x
+        targetZ = fleePoint.z
+      } else {
+        // Initialize buildingTargeter once per enemy
+        if (data.buildingTargeter === undefined) {
+          data.buildingTargeter = ENEMY_BEHAVIOR[data.type]?.buildingTargeter || random() < 0.3
+        }
+
+        // Use threat-based target selection
+        const result = selectTarget(enemy, this.defenders, this.buildings, this.collectors)
+
+        // Check if target changed
+        if (result.target !== data.currentTarget) {
+          // Switching to defender = retaliation
+          if (result.type === 'defender' && data.targetType !== 'defender') {
+            data.originalTarget = data.targetBuilding
+            data.isRetaliating = true
+          }
+          // Returning from retaliation
+          if (result.type !== 'defender' && data.isRetaliating) {
+            data.isRetaliating = false
+          }
+
+          data.currentTarget = result.target
+          data.targetType = result.type
+          data.targetBuilding = result.type === 'building' ? result.target : null
+          data.path = null
+          data.pathInvalid = true
+          data.confusedTarget = null
+        }
+
+        // Set target position based on target type (else the base at 0,0)
+        if (data.targetType === 'defender' && data.currentTarget?.userData?.health > 0) {
+          targetX = data.currentTarget.position.x
+          targetZ = data.currentTarget.position.z
+        } else if (data.targetType === 'collector' && data.currentTarget) {
+          targetX = data.currentTarget.position.x
+          targetZ = data.currentTarget.position.z
+        } else if (data.targetBuilding?.userData?.health > 0) {
+          targetX = data.targetBuilding.position.x
+          targetZ = data.targetBuilding.position.z
+        }
+      }
+
+      const dx = targetX - enemy.position.x
+      const dz = targetZ - enemy.position.z
+      const dist = Math.sqrt(dx * dx + dz * dz)
+
+      let speed = data.speed * getStatusMultiplier(data, 'speed')
+      // Weather Master enhances rainy slow effect
+      if (state.weather === 'rainy') {
+        speed *= this.getSkillEffect('weatherMaster') >= 1 ? 0.65 : 0.8 // 35% slow with Weather Master, 20% without
+      }
+
+      // Attack distance depends on target type
+      const baseAttackDist = this.castle.userData.collisionRadius + UNIT_COLLISION_RADIUS.enemy + 0.4
+      const attackDist = data.targetType === 'defender' || data.targetType === 'collector'
+        ? 1.8
+        : (data.targetBuilding ? 2.5 : Math.max(5, baseAttackDist))
+
+      if (dist > attackDist) {
+        this.moveEnemy(enemy, targetX, targetZ, speed)
+      } else {
+        this.enemyAttack(enemy, dt)
+      }
+    })
+  }
+
+  // A* pathfinding for intelligent wall navigation, the flow field towards the burrow
+  moveEnemy(enemy, targetX, targetZ, speed) {
+    const data = enemy.userData
+    const pathfinding = this.pathfinding
+    const dx = targetX - enemy.position.x
+    const dz = targetZ - enemy.position.z
+    const dist = Math.sqrt(dx * dx + dz * dz)
+
+    // Check if direct path is clear using line of sight (flyers and tunneling moles pass walls)
+    const hasDirectPath = data.flying || data.burrowed || pathfinding.hasLineOfSight(
+      enemy.position.x, enemy.position.z, targetX, targetZ
+    )
+    // Ground enemies heading for the burrow share one flow field
+    const flow = !hasDirectPath && this.flowField.isGoal(targetX, targetZ)
+      ? this.flowField.getDirection(enemy.position.x, enemy.position.z)
+      : null
+
+    let moveX = 0, moveZ = 0
+
+    if (hasDirectPath) {
+      // Direct movement - no walls in the way
+      moveX = (dx / dist) * speed
+      moveZ = (dz / dist) * speed
+      data.path = null
+    } else if (flow) {
+      moveX = flow.x * speed
+      moveZ = flow.z * speed
+      data.path = null
+    } else {
+      // Breach is open: plan again
+      if (data.breachWall && !(data.breachWall.userData.health > 0)) {
+        data.breachWall = null
+        data.pathInvalid = true
+      }
+
+      // Need pathfinding - calculate or use cached path
+      if (!data.path || data.pathAge > 60 || data.pathInvalid) {
+        data.path = pathfinding.findSmoothPath(enemy.position.x, enemy.position.z, targetX, targetZ)
+        if (!data.path) {
+          // Walled in: walk to the cheapest wall (by HP) and break through
+          const breach = pathfinding.findBreachPath(enemy.position.x, enemy.position.z, targetX, targetZ)
+          data.path = breach?.path || null
+          data.breachWall = breach?.wall?.building || null
+        }
+        data.pathIndex = 0
+        data.pathAge = 0
+        data.pathInvalid = false
+      }
+      data.pathAge = (data.pathAge || 0) + 1
+
+      if (data.path && data.path.length > 0) {
+        let waypoint = data.path[data.pathIndex]
+
+        // Skip waypoints that are behind us
+        while (data.pathIndex < data.path.length - 1) {
+          const wpDist = Math.hypot(waypoint.x - enemy.position.x, waypoint.z - enemy.position.z)
+          if (wpDist >= 1.0) break
+          data.pathIndex++
+          waypoint = data.path[data.pathIndex]
+        }
+
+        // Move towards current waypoint
+        const wpDx = waypoint.x - enemy.position.x
+        const wpDz = waypoint.z - enemy.position.z
+        const wpDist = Math.sqrt(wpDx * wpDx + wpDz * wpDz)
+
+        if (wpDist > 0.1) {
+          moveX = (wpDx / wpDist) * speed
+          moveZ = (wpDz / wpDist) * speed
+        }
+
+        // Check if we've reached end of path
+        if (data.pathIndex >= data.path.length - 1 && wpDist < 1.0) {
+          data.path = null
+        }
+      } else {
+        // No path found - find nearest wall to attack
+        let nearestWall = null
+        let nearestWallDist = Infinity
+        this.buildings.forEach(b => {
+          if (!isWallLikeType(b.userData.type) || b.userData.health <= 0) return
+          const wDist = Math.hypot(enemy.position.x - b.position.x, enemy.position.z - b.position.z)
+          if (wDist < nearestWallDist) {
+            nearestWallDist = wDist
+            nearestWall = b
+          }
+        })
+
+        if (nearestWall && nearestWallDist < 3) {
+          // Attack the blocking wall
+          data.targetBuilding = nearestWall
+        } else if (nearestWall) {
+          // Move towards nearest wall
+          moveX = ((nearestWall.position.x - enemy.position.x) / nearestWallDist) * speed
+          moveZ = ((nearestWall.position.z - enemy.position.z) / nearestWallDist) * speed
+        }
+      }
+    }
+
+    if (moveX !== 0 || moveZ !== 0) {
+      enemy.position.x += moveX
+      enemy.position.z += moveZ
+    }
+
+    if (!data.flying && !data.burrowed) {
+      resolveUnitBuildingCollisions(this, enemy, { unitRadius: UNIT_COLLISION_RADIUS.enemy })
+    }
+
+    // Smooth rotation interpolation to prevent jittering
+    const targetRot = Math.atan2(-(moveZ || dz), (moveX || dx))
+    enemy.rotation.y += getRotationDiff(targetRot, enemy.rotation.y) * 0.15
+  }
+
+  enemyAttack(enemy, dt) {
+    const data = enemy.userData
+    data.attackCooldown -= dt
+    if (data.attackCooldown > 0 || hasStatusFlag(data, 'stopsAttack')) return
+    data.attackCooldown = data.isBoss ? 1 : 1.5
+
+    if (data.targetType === 'collector' && data.currentTarget) {
+      // Weasel robs the collector and runs
+      const loot = stealCarrots(enemy, data.currentTarget)
+      if (loot > 0) {
+        this.emitEffect('explosion', data.currentTarget.position, { color: 0xFF8C00 })
+        this.emitMessage(`🦦 Ein Wiesel klaut ${loot} 🥕!`, 2000)
+      } else {
+        data.currentTarget = null
+        data.targetType = 'base'
+      }
+    } else if (data.targetType === 'defender' && data.currentTarget?.userData?.health > 0) {
+      const hero = data.currentTarget
+      hero.userData.health -= data.damage
+      this.emitEffect('explosion', hero.position, { color: 0xFF4444 })
+
+      // Snake poison - apply DoT to defender
+      if (data.canPoison && hero.userData.health > 0) {
+        applyStatus(hero.userData, 'poison', SNAKE_POISON.defender)
+        this.emitEffect('explosion', hero.position, { color: 0x00FF00 })
+      }
+
+      if (hero.userData.health <= 0) {
+        // Defender defeated - return to original objective
+        this.removeFallenHero(hero)
+        data.currentTarget = null
+        data.targetType = data.originalTarget ? 'building' : 'base'
+        data.targetBuilding = data.originalTarget
+        data.isRetaliating = false
+        data.path = null
+        data.pathInvalid = true
+      } else if (data.snatchesHeroes && snatchHero(enemy, hero)) {
+        this.emitMessage(`🦅 Ein Habicht packt ${getHeroName(hero)}!`, 2000)
+      }
+    } else if (data.targetBuilding && data.targetBuilding.userData.health > 0) {
+      const building = data.targetBuilding
+      // Siege units (badgers) hit buildings harder
+      building.userData.health -= getBuildingDamage(data)
+
+      // Snake poison - apply DoT to building
+      if (data.canPoison && building.userData.health > 0) {
+        applyStatus(building.userData, 'poison', SNAKE_POISON.building)
+      }
+
+      if (building.userData.health <= 0) {
+        this.destroyBuilding(building)
+        data.targetBuilding = null
+        data.currentTarget = null
+        data.targetType = 'base'
+      }
+    } else {
+      this.damageBase(data.damage, { poison: data.canPoison })
+      this.emitSound('baseDamage')
+    }
+  }
+
+  updateDefenders(dt) {
+    const state = this.state
+    const random = this.random
+    const rageBonus = state.rageActive ? (1 + this.getSkillEffect('rageBonus') / 100) : 1
+    const critChance = this.getSkillEffect('critChance') / 100
+    const isNight = state.phase === 'night'
+    const patrolRadius = isNight ? 12 : 9 // Patrol within defense circle
+    const patrolMinRadius = isNight ? 6 : 4
+
+    ;[...this.defenders].forEach(defender => {
+      const data = defender.userData
+      if (!data.placed || !this.defenders.includes(defender)) return
+      data.attackCooldown -= dt
+      data.abilityCooldown -= dt
+
+      // Frozen or stunned heroes sit the tick out
+      if (hasStatusFlag(data, 'stopsMovement') && hasStatusFlag(data, 'stopsAttack')) return
+
+      if (!data.patrolTarget) data.patrolTarget = new THREE.Vector3()
+      if (data.patrolWait === undefined) data.patrolWait = 0
+
+      const attackRange = data.attackRange
+      const sightRange = attackRange * (isNight ? 2.8 : 2.2) // Can see enemies further than attack range
+
+      if (!data.unreachableTargets) data.unreachableTargets = new Map()
+      const isEnemyBlocked = (enemy) => {
+        const until = data.unreachableTargets.get(enemy.uuid)
+        if (until && until > this.time) return true
+        if (until) data.unreachableTargets.delete(enemy.uuid)
+        return false
+      }
+
+      // Melee heroes can't reach flyers, ranged heroes rank by their targeting mode
+      const antiAir = heroHasAntiAir(data.type)
+      const targetingMode = hasTargeting(defender) ? getTargetingMode(data) : null
+      const candidates = []
+      this.enemies.forEach(enemy => {
+        if (!canHitEnemy(antiAir, enemy)) return
+        const d = Math.hypot(defender.position.x - enemy.position.x, defender.position.z - enemy.position.z)
+        if (canEngageEnemy(data.order, defender.position, enemy.position, { attackRange, sightRange }) && !isEnemyBlocked(enemy)) {
+          const score = targetingMode ? getTargetScore(enemy, targetingMode, { flowField: this.flowField }) : 0
+          candidates.push({ enemy, dist: d, score })
+        }
+      })
+
+      candidates.sort((a, b) => (a.score - b.score) || (a.dist - b.dist))
+
+      let nearestEnemy = null
+      let nearestDist = Infinity
+      for (const candidate of candidates) {
+        if (isPathReachable(this, defender.position, candidate.enemy.position, { allowGate: true })) {
+          nearestEnemy = candidate.enemy
+          nearestDist = candidate.dist
+          break
+        }
+        data.unreachableTargets.set(candidate.enemy.uuid, this.time + 2.5)
+      }
+      data.navNoPath = false
+      // The healer's turret follows the target
+      data.combatTarget = nearestEnemy
+
+      if (nearestEnemy) {
+        data.targetRotation = Math.atan2(-(nearestEnemy.position.z - defender.position.z), nearestEnemy.position.x - defender.position.x)
+
+        // Move towards enemy if not in attack range
+        if (nearestDist > attackRange * 0.8 && canChaseEnemy(data.order)) {
+          const moveSpeed = data.speed * getStatusMultiplier(data, 'speed') * (isNight ? 1.5 : 1.2)
+          moveUnitWithPathfinding(this, defender, nearestEnemy.position, moveSpeed, {
+            allowGate: true,
+            stopDistance: attackRange * 0.8,
+            setRotation: false,
+            allowFallback: false,
+          })
+          if (data.navNoPath) {
+            data.unreachableTargets.set(nearestEnemy.uuid, this.time + 2.5)
+          }
+        }
+
+        // Attack if in range
+        if (!data.navNoPath && nearestDist < attackRange && data.attackCooldown <= 0 && !hasStatusFlag(data, 'stopsAttack')) {
+          data.attackCooldown = GUINEA_PIG_TYPES[data.type].attackCooldown
+
+          let damage = data.attackDamage * rageBonus * getStatusMultiplier(data, 'damageDealt')
+          const wasCrit = random() < critChance + (data.critBonus || 0) / 100
+          if (wasCrit) {
+            damage *= 2
+            this.emitEffect('explosion', getAimPoint(nearestEnemy), { color: 0xFFFF00 })
+          }
+          damage = Math.round(damage)
+
+          if (data.type === 'bomber') {
+            this.throwBomb(defender, nearestEnemy, damage, targetingMode)
+          } else {
+            const damageType = getHeroDamageType(data.type)
+            damage = Math.round(dealDamage(nearestEnemy.userData, damage, damageType))
+            nearestEnemy.userData.lastHeroHit = defender
+            this.emitEffect('damageNumber', getAimPoint(nearestEnemy), { value: damage, crit: wasCrit, damageType })
+            addThreat(nearestEnemy, defender, damage * THREAT_CONFIG.baseDamageThreat)
+          }
+        }
+
+        // Abilities - cooldown, range and targets come from GUINEA_PIG_TYPES
+        if (!data.navNoPath) {
+          const ability = processDefenderAbility(defender, this.enemies, this.defenders, (name, position, options) => this.emitEffect(name, position, options))
+          if (ability) this.announceHeroLevelUp(defender, ability.levelUp)
+        }
+      } else if (data.order) {
+        this.followHeroOrder(defender)
+      } else {
+        // No enemy in sight - patrol within the defense circle
+        data.patrolWait -= dt
+
+        const toTargetX = data.patrolTarget.x - defender.position.x
+        const toTargetZ = data.patrolTarget.z - defender.position.z
+        const toTargetDist = Math.sqrt(toTargetX * toTargetX + toTargetZ * toTargetZ)
+
+        if (toTargetDist < 0.5 || data.patrolWait <= 0 || data.patrolTarget.x === 0 && data.patrolTarget.z === 0) {
+          // Pick new random patrol point within defense circle
+          const angle = random() * Math.PI * 2
+          const radius = patrolMinRadius + random() * (patrolRadius - patrolMinRadius)
+          data.patrolTarget.x = Math.cos(angle) * radius
+          data.patrolTarget.z = Math.sin(angle) * radius
+          data.patrolWait = 3 + random() * 2 // Wait 3-5 seconds before new target
+        }
+
+        if (toTargetDist > 0.5) {
+          moveUnitWithPathfinding(this, defender, data.patrolTarget, data.speed * 0.8, {
+            allowGate: true,
+            stopDistance: 0.5,
+            setRotation: false,
+            allowFallback: false,
+          })
+          if (data.navNoPath) {
+            data.patrolWait = 0
+          }
+          data.targetRotation = Math.atan2(-toTargetZ, toTargetX)
+        }
+      }
+
+      defender.rotation.y += getRotationDiff(data.targetRotation, defender.rotation.y) * 0.1
+
+      resolveUnitBuildingCollisions(this, defender, {
+        unitRadius: UNIT_COLLISION_RADIUS.defender,
+        allowBuilding: (building) => building.userData.type === 'gate',
+      })
+    })
+  }
+
+  // The bomber lobs a bomb that splashes where the enemy stood
+  throwBomb(defender, enemy, damage, targetingMode) {
+    const start = defender.position.clone().add(new THREE.Vector3(0, 1.2, 0))
+    const dir = new THREE.Vector3().subVectors(getAimPoint(enemy), start)
+    const bomb = this.createEntity('bomb', {
+      type: 'bomb',
+      velocity: dir.normalize().multiplyScalar(0.25),
+      verticalVelocity: 0.15, // Upwards for the arc
+      gravity: 0.008,
+      damage,
+      splashRadius: defender.userData.splashRadius || 3,
+      targetEnemies: true,
+      source: defender,
+      targeting: targetingMode,
+    }, start.x, start.z)
+    bomb.position.y = start.y
+    recordTargetingShot(this.targetingLog, targetingMode)
+    this.addEntity(this.bombs, bomb)
+    this.emitEffect('explosion', defender.position, { color: 0xFF6B35 })
+  }
+
+  // Tier and branch decide range, cooldown and projectile
+  updateTowers(dt) {
+    const towerSkillEffects = this.getTowerSkillEffects()
+    this.buildings.forEach(building => {
+      const data = building.userData
+      if (data.type !== 'tower') return
+
+      data.attackCooldown = (data.attackCooldown || 0) - dt
+
+      const stats = getTowerStats(building, towerSkillEffects)
+      // Towers without anti-air (mortar shells land on the ground) skip flyers
+      const targetingMode = getTargetingMode(data)
+      const target = pickTarget(
+        building.position,
+        this.enemies.filter(enemy => canHitEnemy(stats.antiAir, enemy)),
+        stats.range,
+        targetingMode,
+        { flowField: this.flowField }
+      )
+      if (!target || data.attackCooldown > 0) return
+
+      data.attackCooldown = stats.cooldown
+      const start = new THREE.Vector3(building.position.x, 3, building.position.z)
+      const aim = getAimPoint(target)
+      const shot = this.createEntity('projectile', createTowerShot(start, aim, stats), start.x, start.z)
+      shot.position.y = start.y
+      shot.userData.source = building
+      shot.userData.targeting = targetingMode
+      recordTargetingShot(this.targetingLog, targetingMode)
+      this.addEntity(this.projectiles, shot, { target: aim })
+      this.emitSound('projectile')
+    })
+  }
+
+  // Tower shots carry their branch behaviour: mortar, frost, sniper
+  updateProjectiles() {
+    ;[...this.projectiles].forEach(proj => {
+      const result = updateProjectile(proj, this.enemies)
+      result.hits.forEach(({ enemy, damage, damageType, kill }) => {
+        this.emitEffect('damageNumber', getAimPoint(enemy), { value: Math.round(damage), damageType })
+        recordTargetingHit(this.targetingLog, proj.userData.targeting, { damage, kill })
+        if (proj.userData.source) {
+          addThreat(enemy, proj.userData.source, damage * THREAT_CONFIG.baseDamageThreat)
+        }
+      })
+      if (result.hit && result.splash) {
+        this.emitEffect('explosion', proj.position, { color: proj.userData.type === 'frost' ? 0x7FDBFF : 0xFF6B35 })
+      }
+      if (result.shouldRemove) this.removeEntity(this.projectiles, proj)
+    })
+  }
+
+  // Thrown bombs fly an arc and splash on landing
+  updateBombs() {
+    ;[...this.bombs].forEach(bomb => {
+      const data = bomb.userData
+      bomb.position.x += data.velocity.x
+      bomb.position.z += data.velocity.z
+      data.verticalVelocity -= data.gravity
+      bomb.position.y += data.verticalVelocity
+
+      if (bomb.position.y <= 0.1) {
+        this.emitEffect('explosion', bomb.position, { color: 0xFF4500 })
+        this.emitEffect('explosion', bomb.position, { color: 0xFFAA00 })
+
+        if (data.targetEnemies) {
+          this.enemies.forEach(enemy => {
+            if (enemy.userData.burrowed) return
+            const dist = Math.hypot(bomb.position.x - enemy.position.x, bomb.position.z - enemy.position.z)
+            if (dist >= data.splashRadius) return
+            const damageFactor = 1 - (dist / data.splashRadius)
+            const wasAlive = enemy.userData.health > 0
+            const damage = Math.floor(dealDamage(enemy.userData, data.damage * damageFactor, 'explosive'))
+            if (wasAlive) recordTargetingHit(this.targetingLog, data.targeting, { damage, kill: enemy.userData.health <= 0 })
+            if (damage > 0) this.emitEffect('damageNumber', getAimPoint(enemy), { value: damage, damageType: 'explosive' })
+            if (damage > 0 && data.source) {
+              enemy.userData.lastHeroHit = data.source
+              addThreat(enemy, data.source, damage * THREAT_CONFIG.baseDamageThreat)
+            }
+          })
+        }
+        this.removeEntity(this.bombs, bomb)
+      } else if (bomb.position.length() > 60) {
+        // Thrown off the map
+        this.removeEntity(this.bombs, bomb)
+      }
+    })
+  }
+
+  removeDeadEnemies() {
+    const state = this.state
+    ;[...this.enemies].forEach(enemy => {
+      const data = enemy.userData
+
+      // Thieves that reached the map edge are gone with their loot
+      if (data.escaped) {
+        const hero = releaseHero(enemy)
+        if (hero) this.handleHeroDropped(hero)
+        if (data.stolenCarrots > 0) this.emitMessage(`🦦 Wiesel mit ${data.stolenCarrots} 🥕 entkommen!`, 2000)
+        this.removeEntity(this.enemies, enemy, 'escaped')
+        return
+      }
+      if (data.health > 0) return
+
+      const wasBoss = data.isBoss
+      const killPosition = enemy.position.clone()
+
+      // Hawks drop their prey, weasels their loot, bosses their pending attacks
+      clearBossTelegraphs(data)
+      const carriedHero = releaseHero(enemy)
+      if (carriedHero) this.handleHeroDropped(carriedHero)
+      if (data.stolenCarrots > 0) {
+        this.addScore(data.stolenCarrots)
+        this.emitMessage(`🥕 ${data.stolenCarrots} Karotten zurückerobert!`, 2000)
+      }
+
+      this.emitEffect('explosion', getAimPoint(enemy), { color: wasBoss ? 0xFFD700 : 0xFF6B35 })
+      this.emitSound(wasBoss ? 'bossDeath' : 'enemyDeath')
+
+      // Kill combo system
+      const comboMultiplier = this.raiseCombo()
+      const reward = Math.floor((wasBoss ? 50 : 5) * comboMultiplier)
+      this.removeEntity(this.enemies, enemy, 'killed')
+      this.addScore(reward)
+
+      // The last hero that hit the enemy gets the kill
+      const killer = data.lastHeroHit
+      if (killer && this.defenders.includes(killer)) {
+        killer.userData.kills = (killer.userData.kills || 0) + 1
+        this.grantHeroXp(killer, wasBoss ? HERO_LEVELS.bossKillXp : HERO_LEVELS.killXp)
+      }
+      this.emit(GAME_EVENTS.ENEMY_KILLED, { enemyType: data.type, boss: wasBoss, x: killPosition.x, z: killPosition.z })
+
+      if (state.combo >= 3) this.emitEffect('combo', killPosition, { value: state.combo })
+      if (wasBoss) this.emitMessage('👑 BOSS BESIEGT!', 2000)
+    })
+  }
+
+  // ============== SAVE / RESUME ==============
+  snapshot() {
+    return createRunSnapshot({
+      seed: this.seed,
+      rngState: this.rng.getState(),
+      difficulty: this.difficulty,
+      mode: this.mode,
+      gameState: this.state,
+      wallGrid: this.wallGrid,
+      buildings: this.buildings,
+      defenders: this.defenders,
+      collectors: this.collectors,
+      beavers: this.beavers,
+      carrots: this.carrots,
+      enemies: this.enemies,
+      waveRun: this.waveRun,
+      player: this.player,
+      forest: this.pendingForest || this.trees.map(serializeTree),
+    })
+  }
+
+  restoreBuilding(saved) {
+    const building = this.createEntity('building', this.createBuildingData(saved.type), saved.x, saved.z)
+    const data = building.userData
+    data.rotation = saved.rotation
+    data.health = saved.health
+    data.maxHealth = saved.maxHealth
+    data.spawnTimer = saved.spawnTimer
+    if (saved.tier > 1) {
+      data.tier = saved.tier
+      if (saved.type === 'tower') data.branch = saved.branch
+    }
+    if (saved.targeting) data.targeting = saved.targeting
+    if (saved.gatherZone) setGatherZone(building, saved.gatherZone)
+    this.addEntity(this.buildings, building)
+
+    if (saved.wallCell) {
+      const { gx, gz, segmentType, rotation, segmentLocked, rotationLocked } = saved.wallCell
+      data.wallOrientation = segmentType === 'diagonal' ? 'diagonal' : 'orth'
+      this.wallGrid.addWall(gx, gz, building, {
+        connect: segmentType !== 'diagonal',
+        segmentType,
+        rotation,
+        lockSegmentType: segmentLocked,
+        lockRotation: rotationLocked,
+      })
+    } else {
+      building.rotation.y = saved.rotation * Math.PI / 180
+      if (!isWallLikeType(saved.type)) {
+        const grid = this.wallGrid.worldToGrid(saved.x, saved.z)
+        this.wallGrid.setBlocked(grid.gx, grid.gz, true)
+        data.blockedCell = { gx: grid.gx, gz: grid.gz }
+      }
+    }
+    return building
+  }
+
+  // Continue a saved run (see systems/runSave.js); player and partners exist already
+  restore(save) {
+    const state = this.state
+    Object.assign(state, save.state)
+    if (save.player) this.player.position.set(save.player.x, 0, save.player.z)
+
+    this.restoreForest(save.forest)
+
+    // Buildings first, so units can find their homes by index
+    const restoredBuildings = save.buildings.map(saved => this.restoreBuilding(saved))
+    this.wallGrid.getAllCells().forEach(cell => this.emitWallSegment(cell.building, cell.segmentType, cell.rotation))
+    this.pathfinding.clearCache()
+
+    // Field carrots after the buildings, they keep their carrot field by index
+    save.carrots.forEach(c => {
+      const field = restoredBuildings[c.field]
+      if (field) this.spawnFieldCarrot(field, { x: c.x, z: c.z, slot: c.fieldSlot })
+      else this.addEntity(this.carrots, this.createCarrot(c.x, c.z, c.type))
+    })
+
+    const restoredHeroes = (save.defenders || []).map(d => {
+      const hero = this.createHero(d.type, 1.1, d.x, d.z)
+      const data = hero.userData
+      if (d.genes) applyGenes(data, d.genes)
+      restoreHeroProgress(hero, d)
+      data.kills = d.kills || 0
+      if (d.targeting) data.targeting = d.targeting
+      if (d.expiresIn) data.expiresIn = d.expiresIn
+      data.health = d.health
+      data.statusEffects = d.statusEffects || {}
+      this.addHero(hero)
+      this.setHeroOrder(hero, restoreHeroOrder(d.order, restoredBuildings))
+      return hero
+    })
+
+    ;(save.collectors || []).forEach(c => {
+      const home = restoredBuildings[c.home]
+      if (!home) return
+      const collector = this.spawnCollector(home.position.x, home.position.z, home)
+      collector.position.set(c.x, 0, c.z)
+      Object.assign(collector.userData, {
+        state: c.state,
+        inHut: c.inHut,
+        carryingCarrots: c.carryingCarrots,
+        carryingCount: c.carryingCount,
+      })
+      collector.visible = !c.inHut
+    })
+
+    ;(save.beavers || []).forEach(b => {
+      const home = restoredBuildings[b.home]
+      if (!home) return
+      const beaver = this.spawnBeaver(home.position.x, home.position.z, home)
+      beaver.position.set(b.x, 0, b.z)
+      Object.assign(beaver.userData, { state: b.state, inHut: b.inHut, carryingWood: b.carryingWood })
+      beaver.visible = !b.inHut
+    })
+
+    // Saved at night: continue the running wave
+    if (state.phase === 'night') {
+      if (save.waveRun) this.waveRun = this.restoreWaveRun(state.wave, save.waveRun)
+      ;(save.enemies || []).forEach(e => {
+        const enemy = this.createEnemy(e.type, e.x, e.z)
+        const data = enemy.userData
+        // Boss phase first: the saved speed and damage already hold its multipliers
+        if (e.boss) restoreBoss(data, e.boss)
+        // Saved stats replace the fresh ones, they carry wave modifiers and statuses
+        Object.assign(data, {
+          health: e.health,
+          maxHealth: e.maxHealth,
+          damage: e.damage,
+          speed: e.speed,
+          armor: e.armor,
+          resistances: { ...e.resistances },
+          statusEffects: e.statusEffects,
+          burrowed: e.burrowed,
+          stolenCarrots: e.stolenCarrots,
+          fleeing: e.fleeing,
+        })
+        // A hawk keeps carrying its hero (stunned through the restored statuses)
+        const carriedHero = restoredHeroes[e.carriedHero]
+        if (carriedHero) {
+          data.carriedHero = carriedHero
+          data.snatchTimer = e.snatchTimer
+          carriedHero.userData.snatchedBy = enemy
+        }
+        this.addEntity(this.enemies, enemy)
+      })
+    }
+
+    // Continue the random sequence exactly where the save left it
+    this.rng.setState(save.rngState)
+  }
+}
+
+export default GameSimulation
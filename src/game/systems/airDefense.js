@@ -0,0 +1,31 @@
+/**
+ * Air Defense - Who can hit flying enemies
+ *
+ * Flyers (ENEMY_TYPES flying: true) ignore walls and fly straight in. Only
+ * attackers flagged antiAir can hit them: heroes in GUINEA_PIG_TYPES (melee
+ * heroes never), towers via BUILDING_TYPES.tower and TOWER_BRANCHES.
+ * Burrowed moles can't be hit by anyone until they surface.
+ */
+
+import { GUINEA_PIG_TYPES } from '../../constants/guineaPigs.js'
+import { getTowerStats } from './towers.js'
+import { isBurrowed } from './enemyMechanics.js'
+
+export const isFlying = (enemy) => !!enemy?.userData?.flying
+
+export const heroHasAntiAir = (heroType) => !!GUINEA_PIG_TYPES[heroType]?.antiAir
+
+export const towerHasAntiAir = (tower) => !!getTowerStats(tower).antiAir
+
+// Whether an attacker with the given antiAir flag can hit the enemy
+export const canHitEnemy = (antiAir, enemy) => !isBurrowed(enemy) && (antiAir || !isFlying(enemy))
+
+/**
+ * Whether any living tower or hero can shoot down flyers
+ * @param {Array} buildings - Building objects
+ * @param {Array} defenders - Hero units
+ */
+export function hasAntiAirCoverage(buildings, defenders) {
+  return buildings.some(b => b.userData.type === 'tower' && b.userData.health > 0 && towerHasAntiAir(b)) ||
+    defenders.some(d => d.userData.health > 0 && heroHasAntiAir(d.userData.type))
+}
@@ -0,0 +1,226 @@
+/**
+ * Boss System - Phases, summons, telegraphed area attacks and enrage
+ *
+ * Bosses listed in BOSS_SCRIPTS carry their encounter state in
+ * userData.boss (plain values only). updateBoss advances it and reports what
+ * happened; the caller spawns the adds, shows the telegraph decals and applies
+ * the impacts.
+ *
+ *   const result = updateBoss(enemy, dt, { defenders, buildings })
+ *   result.summons.forEach(({ enemy, count }) => ...)
+ *   result.impacts.forEach(impact => getImpactTargets(impact, defenders) ...)
+ */
+
+import { BOSS_SCRIPTS, BOSS_ATTACKS } from '../../constants/bosses.js'
+import { hasStatusFlag } from './statusEffects.js'
+import { isBurrowed, isSnatched } from './enemyMechanics.js'
+
+const RETRY_DELAY = 1 // Seconds until an attack without a target looks again
+const SUMMON_DISTANCE = 3
+
+export const hasBossScript = (type) => !!BOSS_SCRIPTS[type]
+
+export const getBossScript = (data) => BOSS_SCRIPTS[data?.type] || null
+
+/**
+ * Set up the encounter state; call after spawn modifiers were applied
+ * @returns {Object} data
+ */
+export function initBoss(data, type = data.type) {
+  if (!BOSS_SCRIPTS[type]) return data
+  data.boss = {
+    phase: 0,
+    elapsed: 0,
+    enraged: false,
+    speedMultiplier: 1,
+    damageMultiplier: 1,
+    attackTimers: {},
+    telegraphs: [],
+  }
+  return data
+}
+
+// Rescale speed and damage to the current phase (and enrage)
+function applyMultipliers(data, script) {
+  const state = data.boss
+  const phase = script.phases[state.phase]
+  const enrage = state.enraged ? script.enrage : null
+  const speed = (phase.speed || 1) * (enrage?.speed || 1)
+  const damage = (phase.damage || 1) * (enrage?.damage || 1)
+  data.speed *= speed / state.speedMultiplier
+  data.damage *= damage / state.damageMultiplier
+  state.speedMultiplier = speed
+  state.damageMultiplier = damage
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.z - b.z)
+
+function findNearest(from, units, range) {
+  let nearest = null
+  let nearestDist = range
+  units.forEach(unit => {
+    if (!(unit.userData.health > 0) || isSnatched(unit)) return
+    const dist = distance(from, unit.position)
+    if (dist < nearestDist) {
+      nearestDist = dist
+      nearest = unit
+    }
+  })
+  return nearest
+}
+
+// Where an attack lands, or null if nothing is in range
+function getAttackPoint(enemy, attack, { defenders, buildings }) {
+  if (attack.target === 'self') return { x: enemy.position.x, z: enemy.position.z }
+  const units = attack.target === 'building' ? buildings : defenders
+  const target = findNearest(enemy.position, units, attack.range)
+  return target ? { x: target.position.x, z: target.position.z } : null
+}
+
+/**
+ * Advance a scripted boss
+ * @param {Object} enemy - Boss with userData.boss
+ * @param {number} dt - Seconds
+ * @param {{ defenders: Array, buildings: Array }} world
+ * @returns {{ phase: Object|null, enraged: boolean, summons: Array<{ enemy, count, x, z }>,
+ *   telegraphs: Array, impacts: Array<{ attack, x, z, radius, damage, damageType }> }}
+ */
+export function updateBoss(enemy, dt, { defenders = [], buildings = [] } = {}) {
+  const result = { phase: null, enraged: false, summons: [], telegraphs: [], impacts: [] }
+  const data = enemy.userData
+  const script = getBossScript(data)
+  const state = data.boss
+  if (!script || !state || data.health <= 0) return result
+  state.elapsed += dt
+
+  // Phase thresholds (a big hit can skip one, its adds still come)
+  const healthRatio = data.health / data.maxHealth
+  while (state.phase < script.phases.length - 1 && healthRatio <= script.phases[state.phase + 1].threshold) {
+    state.phase++
+    const phase = script.phases[state.phase]
+    result.phase = { index: state.phase, ...phase }
+    if (phase.summon) result.summons.push({ ...phase.summon, x: enemy.position.x, z: enemy.position.z })
+    applyMultipliers(data, script)
+  }
+
+  if (!state.enraged && script.enrage && state.elapsed >= script.enrage.time) {
+    state.enraged = true
+    result.enraged = true
+    applyMultipliers(data, script)
+  }
+
+  // Running telegraphs land when their windup is over
+  state.telegraphs = state.telegraphs.filter(telegraph => {
+    telegraph.remaining -= dt
+    if (telegraph.remaining > 0) return true
+    result.impacts.push(telegraph)
+    return false
+  })
+
+  if (isBurrowed(enemy) || hasStatusFlag(data, 'stopsAttack')) return result
+
+  script.phases[state.phase].attacks.forEach(id => {
+    const attack = BOSS_ATTACKS[id]
+    if (!attack) return
+    const timer = (state.attackTimers[id] ?? attack.cooldown / 2) - dt
+    state.attackTimers[id] = timer
+    if (timer > 0 || state.telegraphs.some(t => t.attack === id)) return
+
+    const point = getAttackPoint(enemy, attack, { defenders, buildings })
+    if (!point) {
+      state.attackTimers[id] = RETRY_DELAY
+      return
+    }
+    const telegraph = {
+      attack: id,
+      x: point.x,
+      z: point.z,
+      radius: attack.radius,
+      damage: attack.damage * state.damageMultiplier,
+      damageType: attack.damageType,
+      color: attack.color,
+      windup: attack.windup,
+      remaining: attack.windup,
+    }
+    state.telegraphs.push(telegraph)
+    result.telegraphs.push(telegraph)
+    state.attackTimers[id] = attack.cooldown
+  })
+  return result
+}
+
+// Cancel running telegraphs (boss died or escaped), their decals fade with them
+export function clearBossTelegraphs(data) {
+  const telegraphs = data?.boss?.telegraphs || []
+  telegraphs.forEach(telegraph => {
+    telegraph.remaining = 0
+    telegraph.cancelled = true
+  })
+  if (data?.boss) data.boss.telegraphs = []
+  return telegraphs
+}
+
+// Encounter state for run saves (running telegraphs are dropped)
+export function serializeBoss(data) {
+  const { phase, elapsed, enraged, attackTimers } = data.boss
+  return { phase, elapsed, enraged, attackTimers: { ...attackTimers } }
+}
+
+/**
+ * Continue a saved encounter without replaying its phase changes
+ * @returns {Object} data
+ */
+export function restoreBoss(data, saved) {
+  initBoss(data)
+  const script = getBossScript(data)
+  if (!data.boss || !saved) return data
+  Object.assign(data.boss, {
+    phase: Math.min(saved.phase || 0, script.phases.length - 1),
+    elapsed: saved.elapsed || 0,
+    enraged: !!saved.enraged,
+    attackTimers: { ...saved.attackTimers },
+  })
+  applyMultipliers(data, script)
+  return data
+}
+
+/**
+ * Living units inside an impact
+ * @param {{ x, z, radius }} impact
+ */
+export function getImpactTargets(impact, units) {
+  return units.filter(unit => unit.userData.health > 0 && !isSnatched(unit) && distance(impact, unit.position) <= impact.radius)
+}
+
+// Positions for summoned adds, evenly around the boss
+export function getSummonPositions({ x, z, count }) {
+  return Array.from({ length: count }, (_, i) => {
+    const angle = (i / count) * Math.PI * 2
+    return { x: x + Math.cos(angle) * SUMMON_DISTANCE, z: z + Math.sin(angle) * SUMMON_DISTANCE }
+  })
+}
+
+/**
+ * HUD info of the strongest boss on the field
+ * @returns {{ name, icon, health, maxHealth, phase, phaseCount, enraged, enrageIn }|null}
+ */
+export function getBossStatus(enemies) {
+  const boss = enemies
+    .filter(e => e.userData.isBoss && e.userData.health > 0)
+    .sort((a, b) => b.userData.maxHealth - a.userData.maxHealth)[0]
+  if (!boss) return null
+  const data = boss.userData
+  const script = getBossScript(data)
+  const state = data.boss
+  return {
+    name: script?.name || 'Boss',
+    icon: script?.icon || '👑',
+    health: Math.max(0, Math.ceil(data.health)),
+    maxHealth: data.maxHealth,
+    phase: (state?.phase || 0) + 1,
+    phaseCount: script?.phases.length || 1,
+    thresholds: script?.phases.slice(1).map(phase => phase.threshold) || [],
+    enraged: !!state?.enraged,
+    enrageIn: script?.enrage && state && !state.enraged ? Math.max(0, Math.ceil(script.enrage.time - state.elapsed)) : null,
+  }
+}
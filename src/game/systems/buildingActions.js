@@ -0,0 +1,60 @@
+/**
+ * Building Actions - Sell and repair rules for the selection panel
+ *
+ * Refunds and repair costs are whole numbers derived from the building's
+ * tier and health only, so a replayed sell or repair pays the same amount.
+ */
+
+import { BUILDING_TYPES, BUILDING_ACTIONS, TOWER_BRANCHES, WALL_UPGRADES } from '../../constants/buildings.js'
+
+/**
+ * Price of a new building, gates are paid like walls
+ * @param {number} discount - cheapBuildings skill in percent
+ * @returns {{ carrots: number, wood: number }}
+ */
+export function getBuildCost(type, discount = 0) {
+  const config = BUILDING_TYPES[type === 'gate' ? 'wall' : type]
+  const factor = 1 - discount / 100
+  return {
+    carrots: Math.floor((config?.baseCost || 0) * factor),
+    wood: Math.floor((config?.woodCost || 0) * factor),
+  }
+}
+
+/**
+ * Carrots and wood spent on a building (list price plus tower and wall upgrades)
+ * @returns {{ carrots: number, wood: number }}
+ */
+export function getBuildingInvestment(building) {
+  const data = building.userData
+  const invested = getBuildCost(data.type)
+  const branch = TOWER_BRANCHES[data.branch]
+  const upgrades = branch ? branch.tiers : (['wall', 'gate'].includes(data.type) ? WALL_UPGRADES : [])
+  upgrades.slice(0, (data.tier || 1) - 1).forEach(({ cost }) => {
+    invested.carrots += cost.carrots
+    invested.wood += cost.wood
+  })
+  return invested
+}
+
+/**
+ * Refund when selling a building
+ * @returns {{ carrots: number, wood: number }}
+ */
+export function getSellRefund(building) {
+  const { carrots, wood } = getBuildingInvestment(building)
+  return {
+    carrots: Math.floor(carrots * BUILDING_ACTIONS.sellRefund),
+    wood: Math.floor(wood * BUILDING_ACTIONS.sellRefund),
+  }
+}
+
+/**
+ * Wood needed to repair a building to full health
+ * @returns {{ wood: number, hp: number }} Zero wood if undamaged
+ */
+export function getRepairCost(building) {
+  const { health, maxHealth } = building.userData
+  const hp = Math.max(0, Math.ceil((maxHealth || 0) - (health || 0)))
+  return { wood: Math.ceil(hp / BUILDING_ACTIONS.repairHpPerWood), hp }
+}
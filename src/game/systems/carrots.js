@@ -0,0 +1,93 @@
+/**
+ * Carrots - Spawn rolls and pickup effects of the carrot catalogue
+ *
+ * Types live in CARROT_TYPES (constants/carrots.js). A spawn roll uses a
+ * single random() call, so adding a type doesn't shift the run's random
+ * sequence. Pickup effects that only touch gameState are applied here; the caller
+ * spawns summoned heroes and shows the message.
+ *
+ *   const type = rollCarrotType(random, { weather, difficulty, goldenAge, weatherMaster })
+ *   const effect = applyCarrotPickup(gameState, carrot)
+ *   if (effect?.type === 'summon') summonHero(carrot.position, effect.duration)
+ */
+
+import { CARROT_TYPES, AUTO_COLLECT_MAGNET } from '../../constants/carrots.js'
+import { applyStatus } from './statusEffects.js'
+
+export const getCarrotDef = (type) => CARROT_TYPES[type] || CARROT_TYPES.normal
+
+/**
+ * Spawn chance of every carrot type under the current conditions
+ * @param {{ weather, difficulty, goldenAge, weatherMaster }} context - Skill levels as numbers
+ * @returns {Object} Chance per type, normal takes what the others leave
+ */
+export function getCarrotSpawnWeights({ weather, difficulty = 'normal', goldenAge = 0, weatherMaster = 0 } = {}) {
+  const weights = {}
+  let special = 0
+  Object.entries(CARROT_TYPES).forEach(([type, def]) => {
+    if (!def.weight) return
+    let weight = def.weight * (def.weather?.[weather] ?? 1) * (def.difficulty?.[difficulty] ?? 1)
+    if (goldenAge && def.goldenAge) weight *= def.goldenAge
+    if (weatherMaster >= 1) weight += def.weatherMaster?.[weather] || 0
+    weights[type] = weight
+    special += weight
+  })
+  weights.normal = Math.max(0, 1 - special)
+  return weights
+}
+
+export function rollCarrotType(random, context) {
+  const roll = random()
+  let threshold = 0
+  for (const [type, weight] of Object.entries(getCarrotSpawnWeights(context))) {
+    threshold += weight
+    if (roll < threshold) return type
+  }
+  return 'normal'
+}
+
+/**
+ * Apply the pickup effect of a carrot the player collected
+ * @param {Object} state - gameState (speedBoostTimer, baseHealth, carrotMagnet, playerStatus)
+ * @returns {Object|null} The effect, or null for plain carrots
+ */
+export function applyCarrotPickup(state, carrot) {
+  const effect = getCarrotDef(carrot.userData.type).effect
+  if (!effect) return null
+
+  switch (effect.type) {
+    case 'speed':
+      state.speedBoostTimer = Math.max(state.speedBoostTimer || 0, effect.duration)
+      break
+    case 'heal':
+      state.baseHealth = Math.min(state.maxBaseHealth, state.baseHealth + effect.amount)
+      break
+    case 'magnet':
+      state.carrotMagnet = { remaining: effect.duration, range: effect.range, pull: effect.pull }
+      break
+    case 'poison':
+      if (!state.playerStatus) state.playerStatus = { statusEffects: {} }
+      applyStatus(state.playerStatus, effect.status, { duration: effect.duration, damage: effect.damage })
+      break
+    default:
+      break
+  }
+  return effect
+}
+
+/**
+ * Magnet pulling carrots to the player: a silver carrot, else the autoCollect skill
+ * @returns {{ range, pull }|null}
+ */
+export function getCarrotMagnet(state, autoCollect = false) {
+  if (state.carrotMagnet?.remaining > 0) return state.carrotMagnet
+  return autoCollect ? AUTO_COLLECT_MAGNET : null
+}
+
+export const isMagnetic = (carrot) => getCarrotDef(carrot.userData.type).magnetic !== false
+
+export function updateCarrotMagnet(state, dt) {
+  if (!state.carrotMagnet) return
+  state.carrotMagnet.remaining -= dt
+  if (state.carrotMagnet.remaining <= 0) state.carrotMagnet = null
+}
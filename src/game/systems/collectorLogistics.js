@@ -0,0 +1,121 @@
+/**
+ * Collector Logistics - Gather zones of collector huts and carrot fields
+ *
+ * A collector hut can get a painted gather zone (userData.gatherZone =
+ * { x, z, radius }). Its collectors pick the carrots inside the zone first and
+ * only walk elsewhere once it is empty; valuable carrots are worth a longer
+ * walk (the carrot priority of CARROT_TYPES divides the distance) and rotten
+ * ones are left lying. Carrot fields grow carrots on a ring of slots during
+ * the day, those carrots keep their field in userData.field and don't respawn
+ * elsewhere when picked.
+ *
+ *   const [target] = rankCollectorTargets(collector.position, carrots, { zone: getGatherZone(hut) })
+ *   const slot = updateCarrotField(field, dt, carrots)
+ *   if (slot) spawnFieldCarrot(field, slot)
+ */
+
+import { BUILDING_TYPES } from '../../constants/buildings.js'
+import { getCarrotDef } from './carrots.js'
+
+const round = (value) => Math.round(value * 100) / 100
+
+export const getGatherZone = (hut) => hut?.userData?.gatherZone || null
+
+export function clampGatherRadius(radius) {
+  const { minRadius, maxRadius } = BUILDING_TYPES.collectorHut.gatherZone
+  return Math.max(minRadius, Math.min(maxRadius, radius))
+}
+
+/**
+ * Paint or clear the gather zone of a collector hut
+ * @param {{ x, z, radius }|null} zone - Null or radius 0 clears the zone
+ * @returns {{ x, z, radius }|null} The stored zone
+ */
+export function setGatherZone(hut, zone) {
+  if (hut?.userData?.type !== 'collectorHut') return null
+  hut.userData.gatherZone = zone && zone.radius > 0
+    ? { x: round(zone.x), z: round(zone.z), radius: round(clampGatherRadius(zone.radius)) }
+    : null
+  return hut.userData.gatherZone
+}
+
+export const isInGatherZone = (zone, position) =>
+  !!zone && Math.hypot(position.x - zone.x, position.z - zone.z) <= zone.radius
+
+export const getCarrotPriority = (carrot) => getCarrotDef(carrot.userData.type).priority
+
+/**
+ * Carrots a collector could go for, best first: inside the gather zone before
+ * outside, then by distance divided by the carrot priority (rotten ones never)
+ * @param {{ x, z }} from - Collector position
+ * @param {{ zone, skip }} options - Gather zone of the hut, filter for blocked carrots
+ * @returns {Array} Carrots, best first
+ */
+export function rankCollectorTargets(from, carrots, { zone = null, skip = () => false } = {}) {
+  return carrots
+    .filter(carrot => !carrot.userData.collected && getCarrotPriority(carrot) > 0 && !skip(carrot))
+    .map(carrot => {
+      const distance = Math.hypot(carrot.position.x - from.x, carrot.position.z - from.z)
+      return {
+        carrot,
+        outside: zone && !isInGatherZone(zone, carrot.position) ? 1 : 0,
+        score: distance / getCarrotPriority(carrot),
+      }
+    })
+    .sort((a, b) => a.outside - b.outside || a.score - b.score)
+    .map(entry => entry.carrot)
+}
+
+// ============== CARROT FIELDS ==============
+export const getFieldCarrots = (field, carrots) =>
+  carrots.filter(carrot => carrot.userData.field === field && !carrot.userData.collected)
+
+// World position of a slot on the ring around the plot
+export function getFieldSlotPosition(field, slot) {
+  const { maxCarrots, plotRadius } = BUILDING_TYPES.carrotField
+  const angle = (slot / maxCarrots) * Math.PI * 2 + Math.PI / 4
+  return {
+    x: field.position.x + Math.cos(angle) * plotRadius,
+    z: field.position.z + Math.sin(angle) * plotRadius,
+  }
+}
+
+/**
+ * Advance the growth of a carrot field (daytime only, the caller checks)
+ * @returns {{ x, z, slot }|null} Where the next carrot grows, or null
+ */
+export function updateCarrotField(field, dt, carrots) {
+  const config = BUILDING_TYPES.carrotField
+  const data = field.userData
+  const grown = getFieldCarrots(field, carrots)
+  if (grown.length >= config.maxCarrots) {
+    data.growTimer = 0
+    return null
+  }
+  data.growTimer = (data.growTimer || 0) + dt
+  if (data.growTimer < config.growInterval) return null
+  data.growTimer = 0
+
+  const taken = new Set(grown.map(carrot => carrot.userData.fieldSlot))
+  for (let slot = 0; slot < config.maxCarrots; slot++) {
+    if (!taken.has(slot)) return { ...getFieldSlotPosition(field, slot), slot }
+  }
+  return null
+}
+
+/**
+ * Route of a collector for the logistics overlay
+ * @returns {{ from, to, state, carrying, maxCarry }} to is null while idle
+ */
+export function getCollectorRoute(collector) {
+  const data = collector.userData
+  const home = data.homeBuilding?.position || data.homePos || null
+  const target = data.state === 'returning' ? home : (data.targetCarrot?.position || null)
+  return {
+    from: { x: collector.position.x, z: collector.position.z },
+    to: target ? { x: target.x, z: target.z } : null,
+    state: data.state,
+    carrying: data.carryingCount || 0,
+    maxCarry: data.maxCarry || 0,
+  }
+}
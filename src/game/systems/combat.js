@@ -1,7 +1,15 @@
-import * as THREE from 'three'
-import { createProjectile } from '../entities/Projectile'
-import { createExplosionParticles, createHealParticles } from '../utils/three-helpers'
-import { addThreat, clearThreat, THREAT_CONFIG } from './threat'
+import { addThreat, clearThreat, THREAT_CONFIG } from './threat.js'
+import { awardHeroXp } from './heroProgression.js'
+import { applyStatus, hasStatusFlag } from './statusEffects.js'
+import { canHitEnemy } from './airDefense.js'
+import { isBurrowed } from './enemyMechanics.js'
+import { HERO_LEVELS, GUINEA_PIG_TYPES } from '../../constants/guineaPigs.js'
+
+const distance2D = (a, b) => {
+  const dx = a.position.x - b.position.x
+  const dz = a.position.z - b.position.z
+  return Math.sqrt(dx * dx + dz * dz)
+}
 
 // Find nearest enemy within range
 export function findNearestEnemy(position, enemies, range) {
@@ -37,217 +45,116 @@ export function findWeakestEnemy(enemies) {
   return weakest
 }
 
-// Process defender attack
-export function processDefenderAttack(defender, enemies, scene, projectiles, effects, skillEffects) {
-  const data = defender.userData
-  const rageBonus = skillEffects.rageActive ? (1 + (skillEffects.rageBonus || 0) / 100) : 1
-  const critChance = (skillEffects.critChance || 0) / 100
-  const range = skillEffects.foggy ? data.attackRange * 0.7 : data.attackRange
-
-  const { enemy: nearestEnemy, distance } = findNearestEnemy(defender.position, enemies, range)
-
-  if (!nearestEnemy) return null
-
-  // Update facing direction
-  const dx = nearestEnemy.position.x - defender.position.x
-  const dz = nearestEnemy.position.z - defender.position.z
-  data.targetRotation = Math.atan2(-dz, dx)
-
-  // Check attack cooldown
-  if (data.attackCooldown > 0) return null
-
-  // Set attack cooldown based on type
-  data.attackCooldown = data.type === 'bomber' ? 2 :
-    (data.type === 'assassin' ? 0.8 : 1.2)
-
-  // Calculate damage with crit
-  let damage = data.attackDamage * rageBonus
-  let isCrit = false
-
-  if (Math.random() < critChance) {
-    damage *= 2
-    isCrit = true
-  }
-
-  // Apply attack
-  if (data.type === 'bomber') {
-    // Bomber creates projectile - threat is added when projectile hits
-    const proj = createProjectile(defender.position, nearestEnemy.position, 'carrot', skillEffects)
-    proj.userData.source = defender  // Track source for threat
-    scene.add(proj)
-    projectiles.push(proj)
-  } else {
-    nearestEnemy.userData.health -= damage
-    // Add threat to enemy's threat table
-    addThreat(nearestEnemy, defender, damage * THREAT_CONFIG.baseDamageThreat)
-  }
-
-  // Create crit effect
-  if (isCrit) {
-    const particles = createExplosionParticles(nearestEnemy.position, 0xFFFF00)
-    particles.forEach(p => scene.add(p))
-    effects.push(...particles)
-  }
-
-  return { damage, isCrit, target: nearestEnemy }
+/**
+ * Current ability cooldown of a hero (config value scaled by genes and perks)
+ * @returns {number|null} null for heroes without an ability
+ */
+export function getAbilityCooldown(defender) {
+  const config = GUINEA_PIG_TYPES[defender.userData.type]
+  if (!config?.ability) return null
+  return config.abilityCooldown * (defender.userData.abilityCooldownMultiplier || 1)
 }
 
-// Process defender ability
-export function processDefenderAbility(defender, enemies, defenders, scene, effects, skillEffects) {
-  const data = defender.userData
-
-  if (data.abilityCooldown > 0) return null
-
-  data.abilityCooldown = 6
-
-  switch (data.type) {
-    case 'tunneler':
-      // Slow nearby enemies
-      enemies.forEach(enemy => {
-        const dx = defender.position.x - enemy.position.x
-        const dz = defender.position.z - enemy.position.z
-        if (Math.sqrt(dx * dx + dz * dz) < 5) {
-          enemy.userData.slowed = true
-          enemy.userData.slowTime = 4
-        }
-      })
-      const slowParticles = createExplosionParticles(defender.position, 0x8B4513)
-      slowParticles.forEach(p => scene.add(p))
-      effects.push(...slowParticles)
-      return { type: 'slow' }
-
-    case 'shadow':
-      // Confuse nearest enemy - clears their threat table
-      const { enemy: nearestEnemy } = findNearestEnemy(defender.position, enemies, data.attackRange)
-      if (nearestEnemy) {
-        nearestEnemy.userData.confused = true
-        nearestEnemy.userData.confuseTime = 5
-        clearThreat(nearestEnemy)  // Clear threat when confused
-        const confuseParticles = createExplosionParticles(nearestEnemy.position, 0x4B0082)
-        confuseParticles.forEach(p => scene.add(p))
-        effects.push(...confuseParticles)
-        return { type: 'confuse', target: nearestEnemy }
-      }
-      break
-
-    case 'tank':
-      // Enhanced Taunt - forces enemies to target this tank using threat system
-      defender.userData.isTaunting = true
-      defender.userData.tauntDuration = 4
-      let taunted = 0
-      enemies.forEach(enemy => {
-        const dx = defender.position.x - enemy.position.x
-        const dz = defender.position.z - enemy.position.z
-        if (Math.sqrt(dx * dx + dz * dz) < 8) {
-          // Save original target for return after retaliation
-          enemy.userData.originalTarget = enemy.userData.targetBuilding
-          enemy.userData.targetBuilding = null
-          enemy.userData.currentTarget = defender
-          enemy.userData.targetType = 'defender'
-          enemy.userData.isRetaliating = true
-          // Add maximum threat to force targeting
-          addThreat(enemy, defender, THREAT_CONFIG.tauntThreat)
-          taunted++
-        }
-      })
-      const tauntParticles = createExplosionParticles(defender.position, 0x4682B4)
-      tauntParticles.forEach(p => scene.add(p))
-      effects.push(...tauntParticles)
-      return { type: 'taunt', affected: taunted }
-
-    case 'assassin':
-      // Teleport to weakest enemy
-      const weakest = findWeakestEnemy(enemies)
-      if (weakest) {
-        defender.position.x = weakest.position.x + 1
-        defender.position.z = weakest.position.z
-        const teleportParticles = createExplosionParticles(defender.position, 0x800080)
-        teleportParticles.forEach(p => scene.add(p))
-        effects.push(...teleportParticles)
-        return { type: 'teleport', target: weakest }
-      }
-      break
-
-    case 'healer':
-      // Heal nearby allies
-      defenders.forEach(other => {
-        if (other === defender) return
-        const dx = defender.position.x - other.position.x
-        const dz = defender.position.z - other.position.z
-        if (Math.sqrt(dx * dx + dz * dz) < 6) {
-          other.userData.health = Math.min(other.userData.maxHealth, other.userData.health + 20)
-        }
-      })
-      const healParticles = createHealParticles(defender.position)
-      healParticles.forEach(p => scene.add(p))
-      effects.push(...healParticles)
-      return { type: 'heal' }
+/**
+ * Targets of a hero ability following its abilityTarget rule (see ABILITY_TARGETS)
+ * @returns {Array} Enemies or allies, empty if the ability has nothing to act on
+ */
+export function getAbilityTargets(defender, enemies, defenders, config = GUINEA_PIG_TYPES[defender.userData.type]) {
+  const range = config?.abilityRange || 0
+  const inRange = (unit) => distance2D(defender, unit) < range
+  // Single-target abilities skip flyers the hero can't hit (no teleporting under a raven)
+  const hittable = enemies.filter(e => canHitEnemy(!!config?.antiAir, e))
+
+  switch (config?.abilityTarget) {
+    case 'enemiesInRange':
+      return enemies.filter(e => !isBurrowed(e) && inRange(e))
+    case 'nearestEnemy': {
+      const { enemy } = findNearestEnemy(defender.position, hittable, range)
+      return enemy ? [enemy] : []
+    }
+    case 'weakestEnemy': {
+      const weakest = findWeakestEnemy(hittable.filter(inRange))
+      return weakest ? [weakest] : []
+    }
+    case 'injuredAllies':
+      return defenders.filter(other => other !== defender && other.userData.health < other.userData.maxHealth && inRange(other))
+    default:
+      return []
   }
-
-  return null
 }
 
-// Process tower attack
-export function processTowerAttack(building, enemies, scene, projectiles, skillEffects) {
-  if (building.userData.type !== 'tower') return null
-  if (building.userData.attackCooldown > 0) return null
-
-  const towerRangeBonus = 1 + (skillEffects.towerRange || 0) / 100
-  const range = 12 * towerRangeBonus
-
-  const { enemy: nearestEnemy } = findNearestEnemy(building.position, enemies, range)
-
-  if (!nearestEnemy) return null
-
-  building.userData.attackCooldown = 1.5
+/**
+ * Process defender ability (tuned by the hero's GUINEA_PIG_TYPES entry)
+ * @param {Function} onEffect - (effect, position, { color }) for the renderer's particles
+ */
+export function processDefenderAbility(defender, enemies, defenders, onEffect = () => {}) {
+  const data = defender.userData
+  const config = GUINEA_PIG_TYPES[data.type]
 
-  const startPos = new THREE.Vector3(building.position.x, 3, building.position.z)
-  const proj = createProjectile(startPos, nearestEnemy.position, 'tower', skillEffects)
-  scene.add(proj)
-  projectiles.push(proj)
+  if (!config?.ability || data.abilityCooldown > 0 || hasStatusFlag(data, 'stopsAbility')) return null
 
-  // Update crossbow direction
-  if (building.userData.crossbow) {
-    building.userData.crossbow.lookAt(nearestEnemy.position)
-  }
+  const targets = getAbilityTargets(defender, enemies, defenders, config)
+  if (targets.length === 0) return null
 
-  return { target: nearestEnemy }
+  data.abilityCooldown = getAbilityCooldown(defender)
+  const result = triggerDefenderAbility(defender, targets, config, onEffect)
+  result.levelUp = awardHeroXp(defender, HERO_LEVELS.abilityXp)
+  return result
 }
 
-// Process enemy attack on base or building
-export function processEnemyAttack(enemy, buildings, baseHealth, dt) {
-  const data = enemy.userData
-
-  // Handle status effects
-  if (data.confused) {
-    data.confuseTime -= dt
-    if (data.confuseTime <= 0) data.confused = false
-  }
-  if (data.slowed) {
-    data.slowTime -= dt
-    if (data.slowTime <= 0) data.slowed = false
-  }
-
-  // Check attack cooldown
-  if (data.attackCooldown > 0) return null
+function triggerDefenderAbility(defender, targets, config, onEffect) {
+  const data = defender.userData
 
-  data.attackCooldown = data.isBoss ? 1 : 1.5
+  switch (config.ability) {
+    case 'slow':
+      // Slow enemies around the hero
+      targets.forEach(enemy => applyStatus(enemy.userData, 'slow', { duration: config.abilityDuration }))
+      onEffect('explosion', defender.position, { color: 0x8B4513 })
+      return { type: 'slow', affected: targets.length }
+
+    case 'confuse': {
+      // Confuse an enemy - clears their threat table
+      const [enemy] = targets
+      if (applyStatus(enemy.userData, 'confuse', { duration: config.abilityDuration })) clearThreat(enemy)
+      onEffect('explosion', enemy.position, { color: 0x4B0082 })
+      return { type: 'confuse', target: enemy }
+    }
 
-  // Attack target building if any
-  if (data.targetBuilding && data.targetBuilding.userData.health > 0) {
-    data.targetBuilding.userData.health -= data.damage
-    return {
-      type: 'building',
-      target: data.targetBuilding,
-      damage: data.damage,
-      destroyed: data.targetBuilding.userData.health <= 0,
+    case 'taunt':
+      // Forces enemies to target this hero using the threat system
+      applyStatus(data, 'taunt', { duration: config.abilityDuration })
+      targets.forEach(enemy => {
+        // Save original target for return after retaliation
+        enemy.userData.originalTarget = enemy.userData.targetBuilding
+        enemy.userData.targetBuilding = null
+        enemy.userData.currentTarget = defender
+        enemy.userData.targetType = 'defender'
+        enemy.userData.isRetaliating = true
+        // Add maximum threat to force targeting
+        addThreat(enemy, defender, THREAT_CONFIG.tauntThreat)
+      })
+      onEffect('explosion', defender.position, { color: 0x4682B4 })
+      return { type: 'taunt', affected: targets.length }
+
+    case 'teleport': {
+      // Teleport next to an enemy
+      const [enemy] = targets
+      defender.position.x = enemy.position.x + 1
+      defender.position.z = enemy.position.z
+      onEffect('explosion', defender.position, { color: 0x800080 })
+      return { type: 'teleport', target: enemy }
     }
-  }
 
-  // Otherwise attack base
-  return {
-    type: 'base',
-    damage: data.damage,
-    newBaseHealth: baseHealth - data.damage,
+    case 'heal':
+      // Heal allies
+      targets.forEach(ally => {
+        ally.userData.health = Math.min(ally.userData.maxHealth, ally.userData.health + config.healAmount)
+      })
+      // GLB models are taller, lift the effect above them
+      onEffect('heal', { ...defender.position, y: defender.position.y + (data.isGLBModel ? 2 : 0) })
+      return { type: 'heal', affected: targets.length }
+
+    default:
+      return { type: config.ability }
   }
 }
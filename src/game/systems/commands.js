@@ -0,0 +1,185 @@
+/**
+ * Game Commands - Typed command bus between the UI and the engine
+ *
+ * The UI (and replays, tutorials or tests) dispatch commands instead of
+ * calling functions the engine put on window. While a run is active the
+ * engine registers one handler per command; every dispatch returns a
+ * CommandResult. State changes are published as events, named like the
+ * simulation events; the game also forwards the game events of its
+ * GameSimulation (comboChanged, baseHealthChanged, gameOver, ...) unchanged:
+ *
+ *   const bus = new CommandBus()
+ *   bus.subscribe(event => { if (event.type === GAME_EVENTS.WAVE_STARTED) ... })
+ *   const { ok, error } = bus.dispatch(GAME_COMMANDS.BUILD, { buildingType: 'tower' })
+ */
+
+import { TOWER_BRANCHES } from '../../constants/buildings.js'
+import { HERO_PERKS } from '../../constants/guineaPigs.js'
+import { TARGETING_MODES } from '../../constants/targeting.js'
+import { HERO_ORDERS } from './heroOrders.js'
+
+/**
+ * @typedef {Object} CommandResult
+ * @property {boolean} ok - Whether the command was executed
+ * @property {string|null} error - German reason shown to the player if not
+ * @property {Object|null} data - Handler specific result
+ */
+
+/**
+ * @typedef {Object} GameEvent
+ * @property {string} type - One of GAME_EVENTS (or a forwarded GameSimulation event)
+ */
+
+export const BUILDABLE_TYPES = ['collectorHut', 'heroHut', 'beaverHut', 'lumberYard', 'carrotField', 'tower', 'wall', 'gate']
+
+export const GAME_COMMANDS = {
+  BUILD: 'build',                           // { buildingType }
+  PLACE_BUILDING: 'placeBuilding',          // { x, z, rotation } building of the build mode
+  CANCEL_BUILD: 'cancelBuild',              // {}
+  ROTATE_BUILDING: 'rotateBuilding',        // {}
+  BREED: 'breed',                           // {}
+  SKIP_DAY: 'skipDay',                      // {}
+  UPGRADE_TOWER: 'upgradeTower',            // { branch } tower next to the player
+  SELL_BUILDING: 'sellBuilding',            // {} selected building
+  REPAIR_BUILDING: 'repairBuilding',        // {} selected building
+  UPGRADE_WALL: 'upgradeWall',              // {} selected wall or gate
+  START_MOVE_BUILDING: 'startMoveBuilding', // {} selected building
+  MOVE_BUILDING: 'moveBuilding',            // { x, z } new spot of the building being moved
+  CANCEL_MOVE_BUILDING: 'cancelMoveBuilding', // {}
+  DESELECT_BUILDING: 'deselectBuilding',    // {}
+  SELECT_AT: 'selectAt',                    // { x, z } hero or building on the ground, nothing clears
+  SELECT_HERO: 'selectHero',                // { heroId } from the roster or hero card
+  SELECT_HEROES: 'selectHeroes',            // { heroIds } selection box
+  DESELECT_HERO: 'deselectHero',            // {}
+  CHOOSE_HERO_PERK: 'chooseHeroPerk',       // { perk } for the selected hero
+  START_HERO_ORDER: 'startHeroOrder',       // { order } next click(s) pick the target
+  CANCEL_HERO_ORDER: 'cancelHeroOrder',     // {}
+  ORDER_HEROES: 'orderHeroes',              // { order, x, z, x2, z2 } for the selected heroes
+  SET_TARGETING: 'setTargeting',            // { mode } selected tower or ranged heroes
+  START_GATHER_ZONE: 'startGatherZone',     // {} selected collector hut, next drag paints the zone
+  CANCEL_GATHER_ZONE: 'cancelGatherZone',   // {}
+  SET_GATHER_ZONE: 'setGatherZone',         // { x, z, radius } selected collector hut, radius 0 clears
+  TOGGLE_LOGISTICS_OVERLAY: 'toggleLogisticsOverlay', // {} collector routes and gather zones
+}
+
+export const GAME_EVENTS = {
+  PHASE_CHANGED: 'phaseChanged',           // { phase }
+  WAVE_STARTED: 'waveStarted',             // { wave, name, boss }
+  WAVE_CLEARED: 'waveCleared',             // { wave }
+  BUILDING_PLACED: 'buildingPlaced',       // { buildingType, x, z }
+  BUILDING_DESTROYED: 'buildingDestroyed', // { buildingType, x, z }
+  BUILDING_SOLD: 'buildingSold',           // { buildingType, x, z, refund }
+  BUILDING_MOVED: 'buildingMoved',         // { buildingType, x, z, toX, toZ }
+  BUILDING_REPAIRED: 'buildingRepaired',   // { buildingType, x, z, wood, hp }
+  TOWER_UPGRADED: 'towerUpgraded',         // { x, z, branch, tier }
+  WALL_UPGRADED: 'wallUpgraded',           // { buildingType, x, z, tier }
+  WOOD_SOLD: 'woodSold',                   // { x, z, wood, carrots } lumber yard trade
+  GATHER_ZONE_CHANGED: 'gatherZoneChanged', // { x, z, zone } collector hut, zone null if cleared
+  HERO_BORN: 'heroBorn',                   // { heroType, name, partner }
+  HERO_LEVEL_UP: 'heroLevelUp',            // { heroId, heroType, name, level, perkUnlocked }
+  HERO_PERK_CHOSEN: 'heroPerkChosen',      // { heroType, name, perk }
+  HEROES_ORDERED: 'heroesOrdered',         // { order, count }
+  TARGETING_CHANGED: 'targetingChanged',   // { mode, count }
+  ENEMY_KILLED: 'enemyKilled',             // { enemyType, boss, x, z }
+  GAME_OVER: 'gameOver',                   // forwarded from the GameSimulation
+}
+
+// Allowed values (or a check) per payload field; commands without an entry take no payload
+const COMMAND_SCHEMAS = {
+  [GAME_COMMANDS.PLACE_BUILDING]: { x: Number.isFinite, z: Number.isFinite, rotation: Number.isFinite },
+  [GAME_COMMANDS.MOVE_BUILDING]: { x: Number.isFinite, z: Number.isFinite },
+  [GAME_COMMANDS.SELECT_AT]: { x: Number.isFinite, z: Number.isFinite },
+  [GAME_COMMANDS.SELECT_HEROES]: { heroIds: Array.isArray },
+  [GAME_COMMANDS.BUILD]: { buildingType: BUILDABLE_TYPES },
+  [GAME_COMMANDS.UPGRADE_TOWER]: { branch: Object.keys(TOWER_BRANCHES) },
+  [GAME_COMMANDS.CHOOSE_HERO_PERK]: { perk: Object.keys(HERO_PERKS) },
+  // 'none' clears the orders
+  [GAME_COMMANDS.START_HERO_ORDER]: { order: [...Object.values(HERO_ORDERS), 'none'] },
+  [GAME_COMMANDS.ORDER_HEROES]: { order: [...Object.values(HERO_ORDERS), 'none'] },
+  [GAME_COMMANDS.SET_TARGETING]: { mode: Object.keys(TARGETING_MODES) },
+}
+
+export const commandOk = (data = null) => ({ ok: true, error: null, data })
+export const commandFailed = (error) => ({ ok: false, error, data: null })
+
+/**
+ * Check a command and its payload
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateCommand(type, payload = {}) {
+  if (!Object.values(GAME_COMMANDS).includes(type)) return `Unbekannter Befehl: ${type}`
+  const schema = COMMAND_SCHEMAS[type] || {}
+  for (const [field, allowed] of Object.entries(schema)) {
+    const value = payload?.[field]
+    const valid = typeof allowed === 'function' ? allowed(value) : allowed.includes(value)
+    if (!valid) return `Ungültiger Wert für ${field}: ${value}`
+  }
+  return null
+}
+
+export class CommandBus {
+  constructor() {
+    this.handlers = new Map()
+    this.listeners = new Set()
+    this.observers = new Set()
+    this.depth = 0 // Dispatches currently running, > 1 inside a handler
+  }
+
+  /**
+   * Register the handler of a command (one per command)
+   * @param {string} type - One of GAME_COMMANDS
+   * @param {(payload: Object) => CommandResult|void} handler - Returning nothing counts as success
+   * @returns {Function} Unregisters the handler
+   */
+  handle(type, handler) {
+    if (!Object.values(GAME_COMMANDS).includes(type)) throw new Error(`Unknown command: ${type}`)
+    this.handlers.set(type, handler)
+    return () => {
+      if (this.handlers.get(type) === handler) this.handlers.delete(type)
+    }
+  }
+
+  /**
+   * Execute a command
+   * @returns {CommandResult}
+   */
+  dispatch(type, payload = {}) {
+    const error = validateCommand(type, payload)
+    if (error) return commandFailed(error)
+    const handler = this.handlers.get(type)
+    if (!handler) return commandFailed('Spiel läuft nicht')
+    // Commands a handler dispatches itself follow from the outer one
+    if (this.depth === 0) this.observers.forEach(observer => observer(type, payload))
+    this.depth++
+    try {
+      return handler(payload) || commandOk()
+    } finally {
+      this.depth--
+    }
+  }
+
+  /**
+   * Watch every command dispatched from outside a handler, before it runs (replay recording)
+   * @param {(type: string, payload: Object) => void} observer
+   * @returns {Function} Stops observing
+   */
+  observe(observer) {
+    this.observers.add(observer)
+    return () => this.observers.delete(observer)
+  }
+
+  /**
+   * Listen to all game events
+   * @param {(event: GameEvent) => void} listener
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(type, payload = {}) {
+    const event = { ...payload, type }
+    this.listeners.forEach(listener => listener(event))
+  }
+}
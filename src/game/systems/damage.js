@@ -0,0 +1,41 @@
+/**
+ * Damage System - Damage types, armor and resistances
+ *
+ * Every hit on an enemy goes through dealDamage. Armor (minus the damage
+ * type's armorPenetration) and the per-type resistances stored in the
+ * enemy's userData (from ENEMY_TYPES, wave modifiers can add armor) scale
+ * the raw damage, then status modifiers like armorBreak apply.
+ */
+
+import { DAMAGE_TYPES, DAMAGE_CONFIG } from '../../constants/damageTypes.js'
+import { GUINEA_PIG_TYPES } from '../../constants/guineaPigs.js'
+import { getStatusMultiplier } from './statusEffects.js'
+
+export const getArmorReduction = (armor) => (armor > 0 ? armor / (armor + DAMAGE_CONFIG.armorScale) : 0)
+
+export const getHeroDamageType = (heroType) => GUINEA_PIG_TYPES[heroType]?.damageType || 'physical'
+
+export const getDamageColor = (type) => (DAMAGE_TYPES[type] || DAMAGE_TYPES.physical).color
+
+/**
+ * Damage a target would take from a hit
+ * @param {Object} data - Target userData ({ armor, resistances, statusEffects })
+ * @param {number} amount - Raw damage
+ * @param {string} type - Key of DAMAGE_TYPES
+ */
+export function calculateDamage(data, amount, type = 'physical') {
+  const damageType = DAMAGE_TYPES[type] || DAMAGE_TYPES.physical
+  const armor = (data.armor || 0) * (1 - damageType.armorPenetration)
+  const resistance = data.resistances?.[type] || 0
+  return Math.max(0, amount * (1 - getArmorReduction(armor)) * (1 - resistance) * getStatusMultiplier(data, 'damageTaken'))
+}
+
+/**
+ * Apply a hit to a target
+ * @returns {number} Damage actually taken
+ */
+export function dealDamage(data, amount, type = 'physical') {
+  const damage = calculateDamage(data, amount, type)
+  data.health -= damage
+  return damage
+}
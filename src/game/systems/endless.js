@@ -0,0 +1,91 @@
+/**
+ * Endless Mode - Procedural waves after the last scripted wave
+ *
+ * Each generated wave spends a threat budget that grows per wave on enemy
+ * groups, rotates through the boss types and scales enemy stats with
+ * escalating modifiers. The budget stops growing at MAX_BUDGET and the enemy
+ * count at MAX_ENEMIES_PER_WAVE; further difficulty goes into health, damage
+ * and armor instead of more bodies. The output is a regular wave script entry, so it is
+ * validated and played like the hand-written waves.
+ *
+ * Generation only uses a generator forked from the run seed per wave, so the
+ * same seed always produces the same endless waves without shifting the main
+ * random sequence.
+ */
+
+import { ENDLESS_CONFIG } from '../../constants/config.js'
+import { createRandom } from '../utils/random.js'
+import { loadWaveScripts, WAVE_SCRIPT_VERSION, WAVE_LANES } from './waveScript.js'
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits
+
+/**
+ * Generate the raw script of an endless wave
+ * @param {number} level - 0 for the first wave after the scripted ones
+ * @param {Function} random - Seeded random function
+ * @returns {Object} Wave script entry (not normalized)
+ */
+export function generateEndlessWave(level, random = Math.random) {
+  const config = ENDLESS_CONFIG
+  const rawBudget = config.BASE_BUDGET * config.BUDGET_GROWTH ** level
+  const budget = Math.min(rawBudget, config.MAX_BUDGET)
+  // Budget the wave could not spend on enemies, 1 until the cap is reached
+  const overflow = rawBudget / budget
+  const modifiers = {
+    health: round((1 + level * config.HEALTH_PER_WAVE) * overflow),
+    damage: round((1 + level * config.DAMAGE_PER_WAVE) * (1 + (overflow - 1) * config.OVERFLOW_DAMAGE)),
+    speed: round(Math.min(config.MAX_SPEED_MODIFIER, 1 + level * config.SPEED_PER_WAVE)),
+    armor: level * config.ARMOR_PER_WAVE + Math.round(Math.log2(overflow) * config.OVERFLOW_ARMOR),
+  }
+  const interval = round(Math.max(config.MIN_INTERVAL, config.BASE_INTERVAL - level * 0.05))
+  const enemyTypes = Object.keys(config.ENEMY_COSTS)
+  const lanes = Object.keys(WAVE_LANES)
+
+  // More, smaller groups from more directions as the waves grow
+  const groupCount = 3 + Math.min(3, Math.floor(level / 3))
+  const groupBudget = budget / groupCount
+  const reinforcementCount = level >= config.REINFORCEMENTS_FROM ? Math.ceil(budget * 0.1) : 0
+  const maxPerGroup = Math.max(1, Math.floor((config.MAX_ENEMIES_PER_WAVE - reinforcementCount) / groupCount))
+  const groups = []
+  for (let i = 0; i < groupCount; i++) {
+    const enemy = enemyTypes[Math.floor(random() * enemyTypes.length)]
+    groups.push({
+      at: i * 4,
+      enemy,
+      count: Math.min(maxPerGroup, Math.max(1, Math.round(groupBudget / config.ENEMY_COSTS[enemy]))),
+      interval,
+      lane: i % 2 === 0 ? lanes[(level + i) % lanes.length] : 'random',
+      modifiers,
+    })
+  }
+
+  // Bosses arrive halfway through the wave
+  if ((level + 1) % config.BOSS_EVERY === 0) {
+    const rotation = config.BOSS_ROTATION[Math.floor(level / config.BOSS_EVERY) % config.BOSS_ROTATION.length]
+    rotation.forEach((enemy, i) => {
+      groups.push({ at: groupCount * 2 + i * 6, enemy, lane: lanes[Math.floor(random() * lanes.length)], modifiers })
+    })
+  }
+
+  const reinforcements = []
+  if (reinforcementCount > 0) {
+    reinforcements.push({
+      when: { baseHealthBelow: 0.5 },
+      groups: [{ enemy: 'fox', count: reinforcementCount, interval: config.MIN_INTERVAL, lane: 'random', modifiers }],
+    })
+  }
+
+  return { name: `Endlos ${level + 1}`, groups, reinforcements }
+}
+
+/**
+ * Normalized endless wave for a run
+ * @param {string} seed - Run seed
+ * @param {number} waveNum - Absolute wave number
+ * @param {number} scriptedWaves - Number of scripted waves before endless starts
+ */
+export function getEndlessWave(seed, waveNum, scriptedWaves) {
+  const random = createRandom(seed).fork(`endless:${waveNum}`).next
+  const raw = generateEndlessWave(waveNum - scriptedWaves, random)
+  return loadWaveScripts({ version: WAVE_SCRIPT_VERSION, waves: [raw] }).waves[0]
+}
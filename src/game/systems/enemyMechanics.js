@@ -0,0 +1,133 @@
+/**
+ * Enemy Mechanics - Special behaviour of the mole, weasel, hawk and badger
+ *
+ * The flags come from ENEMY_TYPES and are copied into the enemy's userData by
+ * initEnemyMechanics, everything else works on plain userData and positions:
+ *   burrows        - starts underground: ignores walls and can't be hit until
+ *                    it surfaces within surfaceRadius of the burrow
+ *   stealsCarrots  - takes a collector's load and flees to the map edge
+ *   snatchesHeroes - lifts a hero for snatchDuration, then drops it (dropDamage)
+ *   buildingDamageMultiplier - siege damage against buildings
+ */
+
+import { ENEMY_TYPES } from '../../constants/enemies.js'
+import { applyStatus, removeStatus } from './statusEffects.js'
+
+export const ESCAPE_RADIUS = 42 // Fleeing thieves are gone beyond this distance
+const SNATCH_HEIGHT = 2.2
+
+const distanceFromCenter = (unit) => Math.hypot(unit.position.x, unit.position.z)
+
+/**
+ * Copy the mechanic flags of an enemy type into its userData
+ * @returns {Object} data
+ */
+export function initEnemyMechanics(data, type = data.type) {
+  const config = ENEMY_TYPES[type] || {}
+  data.burrowed = !!config.burrows
+  data.surfaceRadius = config.surfaceRadius || 0
+  data.stealsCarrots = !!config.stealsCarrots
+  data.stolenCarrots = 0
+  data.snatchesHeroes = !!config.snatchesHeroes
+  data.snatchDuration = config.snatchDuration || 0
+  data.dropDamage = config.dropDamage || 0
+  data.carriedHero = null
+  data.buildingDamageMultiplier = config.buildingDamageMultiplier || 1
+  data.fleeing = false
+  return data
+}
+
+export const isBurrowed = (enemy) => !!enemy?.userData?.burrowed
+
+// Heroes dangling from a hawk are out of reach for everyone
+export const isSnatched = (unit) => !!unit?.userData?.snatchedBy
+
+export const getBuildingDamage = (data) => data.damage * (data.buildingDamageMultiplier || 1)
+
+/**
+ * Surface a burrowed enemy once it is inside the wall ring
+ * @returns {boolean} true in the frame it surfaced
+ */
+export function updateBurrow(enemy) {
+  const data = enemy.userData
+  if (!data.burrowed || distanceFromCenter(enemy) > data.surfaceRadius) return false
+  data.burrowed = false
+  data.path = null
+  return true
+}
+
+// Point on the map edge straight away from the burrow
+export function getFleePoint(enemy) {
+  const dist = distanceFromCenter(enemy) || 1
+  const scale = (ESCAPE_RADIUS + 5) / dist
+  return { x: enemy.position.x * scale, z: enemy.position.z * scale }
+}
+
+export const hasEscaped = (enemy) => enemy.userData.fleeing && distanceFromCenter(enemy) > ESCAPE_RADIUS
+
+/**
+ * Rob a collector of everything it carries
+ * @returns {number} Carrots stolen (0 if it carried nothing)
+ */
+export function stealCarrots(enemy, collector) {
+  const loot = collector.userData.carryingCarrots || 0
+  if (loot <= 0) return 0
+  collector.userData.carryingCarrots = 0
+  collector.userData.carryingCount = 0
+  enemy.userData.stolenCarrots += loot
+  enemy.userData.fleeing = true
+  enemy.userData.currentTarget = null
+  enemy.userData.targetType = 'base'
+  enemy.userData.path = null
+  return loot
+}
+
+/**
+ * Grab a hero; it is stunned while carried
+ * @returns {boolean} Whether the hero was taken
+ */
+export function snatchHero(enemy, hero) {
+  const data = enemy.userData
+  if (data.carriedHero || isSnatched(hero) || hero.userData.health <= 0) return false
+  data.carriedHero = hero
+  data.snatchTimer = data.snatchDuration
+  data.fleeing = true
+  data.currentTarget = null
+  data.targetType = 'base'
+  data.path = null
+  hero.userData.snatchedBy = enemy
+  applyStatus(hero.userData, 'stun', { duration: data.snatchDuration })
+  return true
+}
+
+/**
+ * Let go of the carried hero; it takes fall damage where it lands
+ * @returns {Object|null} The dropped hero
+ */
+export function releaseHero(enemy, { fall = true } = {}) {
+  const data = enemy.userData
+  const hero = data.carriedHero
+  if (!hero) return null
+  data.carriedHero = null
+  data.fleeing = false
+  hero.userData.snatchedBy = null
+  hero.position.y = 0
+  removeStatus(hero.userData, 'stun')
+  if (fall) hero.userData.health -= data.dropDamage
+  return hero
+}
+
+/**
+ * Carry the snatched hero along and drop it when time is up
+ * @returns {Object|null} The hero if it was dropped this frame
+ */
+export function updateSnatch(enemy, dt) {
+  const data = enemy.userData
+  const hero = data.carriedHero
+  if (!hero) return null
+  hero.position.x = enemy.position.x
+  hero.position.z = enemy.position.z
+  hero.position.y = SNATCH_HEIGHT
+  data.snatchTimer -= dt
+  return data.snatchTimer <= 0 ? releaseHero(enemy) : null
+}
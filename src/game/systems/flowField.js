@@ -0,0 +1,177 @@
+/**
+ * Flow Field - Shared navigation toward the burrow for mass enemy movement
+ *
+ * Instead of one A* search per enemy, a single integration field (path cost to
+ * the burrow for every grid cell) is built with Dijkstra whenever the WallGrid
+ * changes. Every cell remembers its next cell on the cheapest route, so steering
+ * an enemy is a single array lookup no matter how many enemies there are.
+ *
+ * Gates block enemies but not guinea pigs, so units that may pass gates read a
+ * separate field. Fields are rebuilt lazily on the first query after a change.
+ */
+
+import { MinHeap } from './pathfinding.js'
+
+// 8 directions; costs are distances * 10 so they stay integers
+const DIRECTIONS = [
+  { dx: 1, dz: 0, cost: 10 },
+  { dx: -1, dz: 0, cost: 10 },
+  { dx: 0, dz: 1, cost: 10 },
+  { dx: 0, dz: -1, cost: 10 },
+  { dx: 1, dz: 1, cost: 14 },
+  { dx: 1, dz: -1, cost: 14 },
+  { dx: -1, dz: 1, cost: 14 },
+  { dx: -1, dz: -1, cost: 14 },
+]
+
+export class FlowField {
+  constructor(wallGrid, options = {}) {
+    this.wallGrid = wallGrid
+    this.goal = wallGrid.worldToGrid(options.goalX || 0, options.goalZ || 0)
+    this.radius = options.radius || 21 // Cells around the goal (covers the spawn ring)
+    this.size = this.radius * 2 + 1
+    this.fields = new Map() // 'ground' | 'gate' -> { version, cost, next }
+    this.buildCount = 0
+  }
+
+  // Grid cell -> array index, or -1 outside the field
+  toIndex(gx, gz) {
+    const ix = gx - this.goal.gx + this.radius
+    const iz = gz - this.goal.gz + this.radius
+    if (ix < 0 || iz < 0 || ix >= this.size || iz >= this.size) return -1
+    return iz * this.size + ix
+  }
+
+  toCell(index) {
+    return {
+      gx: (index % this.size) - this.radius + this.goal.gx,
+      gz: Math.floor(index / this.size) - this.radius + this.goal.gz,
+    }
+  }
+
+  isWalkable(gx, gz, allowGate) {
+    if (this.wallGrid.isBlockedCell(gx, gz)) return false
+    const cell = this.wallGrid.getWall(gx, gz)
+    return !cell || (allowGate && cell.segmentType === 'gate')
+  }
+
+  getField(allowGate = false) {
+    const key = allowGate ? 'gate' : 'ground'
+    let field = this.fields.get(key)
+    if (!field || field.version !== this.wallGrid.version) {
+      field = this.build(allowGate)
+      this.fields.set(key, field)
+    }
+    return field
+  }
+
+  // Dijkstra from the goal over all walkable cells
+  build(allowGate) {
+    const count = this.size * this.size
+    const cost = new Float64Array(count).fill(Infinity)
+    const next = new Int32Array(count).fill(-1)
+    const walkable = new Uint8Array(count)
+    for (let i = 0; i < count; i++) {
+      const { gx, gz } = this.toCell(i)
+      walkable[i] = this.isWalkable(gx, gz, allowGate) ? 1 : 0
+    }
+
+    // The burrow blocks the cells it stands on, so the whole blocked area
+    // around the goal counts as goal
+    const goalIndex = this.toIndex(this.goal.gx, this.goal.gz)
+    const open = new MinHeap()
+    const goalArea = [goalIndex]
+    cost[goalIndex] = 0
+    while (goalArea.length > 0) {
+      const index = goalArea.pop()
+      open.push({ f: 0, index })
+      const { gx, gz } = this.toCell(index)
+      for (const { dx, dz } of DIRECTIONS) {
+        const neighbor = this.toIndex(gx + dx, gz + dz)
+        if (neighbor < 0 || cost[neighbor] === 0) continue
+        if (this.wallGrid.isBlockedCell(gx + dx, gz + dz)) {
+          cost[neighbor] = 0
+          goalArea.push(neighbor)
+        }
+      }
+    }
+
+    while (!open.isEmpty()) {
+      const { f, index } = open.pop()
+      if (f > cost[index]) continue // Stale heap entry
+      const { gx, gz } = this.toCell(index)
+
+      for (const { dx, dz, cost: stepCost } of DIRECTIONS) {
+        const neighbor = this.toIndex(gx + dx, gz + dz)
+        if (neighbor < 0 || !walkable[neighbor]) continue
+        // No cutting corners between two blocked cells
+        if (dx !== 0 && dz !== 0) {
+          const sideX = this.toIndex(gx + dx, gz)
+          const sideZ = this.toIndex(gx, gz + dz)
+          if (sideX < 0 || sideZ < 0 || !walkable[sideX] || !walkable[sideZ]) continue
+        }
+        const nextCost = f + stepCost
+        if (nextCost < cost[neighbor]) {
+          cost[neighbor] = nextCost
+          next[neighbor] = index
+          open.push({ f: nextCost, index: neighbor })
+        }
+      }
+    }
+
+    this.buildCount++
+    return { version: this.wallGrid.version, cost, next }
+  }
+
+  /**
+   * Steering direction toward the burrow
+   * @returns {{x: number, z: number}|null} Unit vector, or null if the burrow is unreachable
+   */
+  getDirection(x, z, options = {}) {
+    const field = this.getField(options.allowGate)
+    const { gx, gz } = this.wallGrid.worldToGrid(x, z)
+    const index = this.toIndex(gx, gz)
+
+    let target
+    if (index < 0 || field.cost[index] === 0) {
+      // Outside the field or already there: head straight for the goal
+      target = this.wallGrid.gridToWorld(this.goal.gx, this.goal.gz)
+    } else if (field.next[index] >= 0) {
+      const cell = this.toCell(field.next[index])
+      target = this.wallGrid.gridToWorld(cell.gx, cell.gz)
+    } else {
+      // Standing in a blocked/unreachable cell: step to the best neighbor
+      let best = -1
+      for (const { dx, dz } of DIRECTIONS) {
+        const neighbor = this.toIndex(gx + dx, gz + dz)
+        if (neighbor >= 0 && field.cost[neighbor] < (best < 0 ? Infinity : field.cost[best])) best = neighbor
+      }
+      if (best < 0) return null
+      const cell = this.toCell(best)
+      target = this.wallGrid.gridToWorld(cell.gx, cell.gz)
+    }
+
+    const dx = target.x - x
+    const dz = target.z - z
+    const dist = Math.sqrt(dx * dx + dz * dz)
+    if (dist < 0.001) return { x: 0, z: 0 }
+    return { x: dx / dist, z: dz / dist }
+  }
+
+  // Path length to the burrow in world units (Infinity if walled off)
+  getDistance(x, z, options = {}) {
+    const field = this.getField(options.allowGate)
+    const { gx, gz } = this.wallGrid.worldToGrid(x, z)
+    const index = this.toIndex(gx, gz)
+    if (index < 0) return Math.sqrt(x * x + z * z)
+    return field.cost[index] / 10 * this.wallGrid.cellSize
+  }
+
+  // True if a world position lies in the goal cell (e.g. the burrow)
+  isGoal(x, z) {
+    const { gx, gz } = this.wallGrid.worldToGrid(x, z)
+    return gx === this.goal.gx && gz === this.goal.gz
+  }
+}
+
+export default FlowField
@@ -0,0 +1,115 @@
+/**
+ * Breeding Genetics - Offspring of the player and a partner
+ *
+ * Each partner (GUINEA_PIG_TYPES.partnerX.genetics) biases the hero type of
+ * its offspring and passes on stat modifiers. Every stat is rolled around
+ * the partner's modifier, so two children of the same partner differ.
+ * The result ("genes") is stored in the hero's userData and saved with the run.
+ */
+
+import { GUINEA_PIG_TYPES, HERO_TYPES, GENETICS, GENE_STATS, GENE_TRAITS, HERO_NAMES } from '../../constants/guineaPigs.js'
+
+/**
+ * @typedef {Object} Genes
+ * @property {string} name - Name of the hero
+ * @property {string} heroType - One of HERO_TYPES
+ * @property {string} parent - Partner type (partner1..3)
+ * @property {{ health, damage, speed, abilityCooldown }} modifiers - Fractions, 0.1 = +10%
+ * @property {Array<{ stat, label, icon, good }>} traits - Visible traits
+ */
+
+const round = (value) => Math.round(value * 100) / 100
+const clamp = (value) => Math.max(GENETICS.minModifier, Math.min(GENETICS.maxModifier, value))
+
+/**
+ * Chance of each hero type for the offspring of a partner
+ * @returns {Object<string, number>} Probability per hero type (sums to 1)
+ */
+export function getOffspringChances(partnerType) {
+  const affinity = GUINEA_PIG_TYPES[partnerType]?.genetics?.affinity || {}
+  const weights = HERO_TYPES.map(type => affinity[type] || 1)
+  const total = weights.reduce((sum, w) => sum + w, 0)
+  const chances = {}
+  HERO_TYPES.forEach((type, i) => { chances[type] = weights[i] / total })
+  return chances
+}
+
+/**
+ * Visible traits of a set of modifiers (strongest first)
+ */
+export function getGeneTraits(modifiers) {
+  return GENE_STATS
+    .filter(stat => Math.abs(modifiers[stat] || 0) >= GENETICS.traitThreshold)
+    .sort((a, b) => Math.abs(modifiers[b]) - Math.abs(modifiers[a]))
+    .map(stat => {
+      // A shorter ability cooldown is the favourable direction
+      const good = stat === 'abilityCooldown' ? modifiers[stat] < 0 : modifiers[stat] > 0
+      return { stat, ...GENE_TRAITS[stat][good ? 'good' : 'bad'], good }
+    })
+}
+
+/**
+ * What a partner passes on, for the breeding preview
+ * @returns {{ name, trait, chances: Array<{ heroType, chance }>, traits }|null} Chances sorted descending
+ */
+export function getPartnerProfile(partnerType) {
+  const config = GUINEA_PIG_TYPES[partnerType]
+  if (!config?.genetics) return null
+  const chances = Object.entries(getOffspringChances(partnerType))
+    .map(([heroType, chance]) => ({ heroType, chance }))
+    .sort((a, b) => b.chance - a.chance)
+  return {
+    name: config.name,
+    trait: config.genetics.trait,
+    chances,
+    traits: getGeneTraits(config.genetics.modifiers),
+  }
+}
+
+/**
+ * Roll the offspring of a partner
+ * @param {string} partnerType - partner1..3
+ * @param {Function} random - Seeded random number generator
+ * @returns {Genes}
+ */
+export function rollOffspring(partnerType, random) {
+  const chances = getOffspringChances(partnerType)
+  let roll = random()
+  let heroType = HERO_TYPES[HERO_TYPES.length - 1]
+  for (const type of HERO_TYPES) {
+    roll -= chances[type]
+    if (roll < 0) {
+      heroType = type
+      break
+    }
+  }
+
+  const inherited = GUINEA_PIG_TYPES[partnerType]?.genetics?.modifiers || {}
+  const modifiers = {}
+  GENE_STATS.forEach(stat => {
+    modifiers[stat] = round(clamp((inherited[stat] || 0) + (random() * 2 - 1) * GENETICS.spread))
+  })
+
+  return {
+    name: HERO_NAMES[Math.floor(random() * HERO_NAMES.length)],
+    heroType,
+    parent: partnerType,
+    modifiers,
+    traits: getGeneTraits(modifiers),
+  }
+}
+
+/**
+ * Apply genes to a freshly created hero's userData (heals to the new max HP)
+ * The ability cooldown is scaled by the AI via abilityCooldownMultiplier.
+ */
+export function applyGenes(userData, genes) {
+  const { health = 0, damage = 0, speed = 0, abilityCooldown = 0 } = genes.modifiers
+  userData.maxHealth = Math.floor(userData.maxHealth * (1 + health))
+  userData.health = userData.maxHealth
+  userData.attackDamage = Math.floor(userData.attackDamage * (1 + damage))
+  userData.speed *= 1 + speed
+  userData.abilityCooldownMultiplier = 1 + abilityCooldown
+  userData.genes = genes
+  return userData
+}
@@ -0,0 +1,157 @@
+/**
+ * Hero Orders - RTS style commands for selected heroes
+ *
+ * An order lives in the hero's userData.order and overrides the free patrol
+ * inside the defense circle. Positions are plain { x, z } objects; a guard
+ * order keeps the building's live position so it follows relocations.
+ *
+ *   move   - walk to a point ignoring enemies, then hold there
+ *   hold   - stay put, only attack enemies within attack range
+ *   guard  - fight enemies near a building, return to it afterwards
+ *   patrol - walk between two points, engaging enemies on the way
+ */
+
+export const HERO_ORDERS = {
+  MOVE: 'move',
+  HOLD: 'hold',
+  GUARD: 'guard',
+  PATROL: 'patrol',
+}
+
+export const HERO_ORDER_CONFIG = {
+  guardRadius: 7,        // Enemies this close to the guarded building are engaged
+  guardIdleDistance: 2.5, // Distance kept to the building while nothing happens
+  arriveDistance: 0.6,
+  formationSpacing: 1.6,
+}
+
+export const HERO_ORDER_STYLES = {
+  [HERO_ORDERS.MOVE]: { label: 'Bewegen', icon: '🚩', color: 0x00BFFF },
+  [HERO_ORDERS.HOLD]: { label: 'Halten', icon: '✋', color: 0xFFD700 },
+  [HERO_ORDERS.GUARD]: { label: 'Bewachen', icon: '🛡️', color: 0x7CFC00 },
+  [HERO_ORDERS.PATROL]: { label: 'Patrouille', icon: '🔁', color: 0xFF69B4 },
+}
+
+const point = ({ x, z }) => ({ x, z })
+const distance = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.z - b.z) ** 2)
+
+/**
+ * Create an order
+ * @param {string} type - One of HERO_ORDERS
+ * @param {Object} params - { target } for move/hold, { building } for guard, { from, to } for patrol
+ * @returns {Object|null} null if a required target is missing
+ */
+export function createHeroOrder(type, { target, building, from, to } = {}) {
+  switch (type) {
+    case HERO_ORDERS.MOVE:
+    case HERO_ORDERS.HOLD:
+      return target ? { type, target: point(target) } : null
+    case HERO_ORDERS.GUARD:
+      return building ? { type, building, target: building.position } : null
+    case HERO_ORDERS.PATROL:
+      return from && to ? { type, points: [point(from), point(to)], index: 1 } : null
+    default:
+      return null
+  }
+}
+
+/**
+ * Offsets that spread a group around a shared target (first hero in the center)
+ * @returns {Array<{ x, z }>}
+ */
+export function getFormationOffsets(count, spacing = HERO_ORDER_CONFIG.formationSpacing) {
+  const offsets = [{ x: 0, z: 0 }]
+  let ring = 1
+  while (offsets.length < count) {
+    const slots = ring * 6
+    for (let i = 0; i < slots && offsets.length < count; i++) {
+      const angle = (i / slots) * Math.PI * 2
+      offsets.push({ x: Math.cos(angle) * spacing * ring, z: Math.sin(angle) * spacing * ring })
+    }
+    ring++
+  }
+  return offsets
+}
+
+/**
+ * Point the hero walks to while no enemy is engaged
+ * @returns {{ x, z }|null}
+ */
+export function getOrderDestination(order) {
+  if (!order) return null
+  if (order.type === HERO_ORDERS.PATROL) return order.points[order.index]
+  return order.target
+}
+
+export const getOrderStopDistance = (order) =>
+  order?.type === HERO_ORDERS.GUARD ? HERO_ORDER_CONFIG.guardIdleDistance : HERO_ORDER_CONFIG.arriveDistance
+
+/**
+ * Next state of an order once its destination is reached
+ * Move turns into hold, patrol heads to the other point, hold and guard stay.
+ */
+export function advanceHeroOrder(order) {
+  if (order.type === HERO_ORDERS.MOVE) return { type: HERO_ORDERS.HOLD, target: order.target }
+  if (order.type === HERO_ORDERS.PATROL) return { ...order, index: 1 - order.index }
+  return order
+}
+
+/**
+ * Whether a hero under this order may engage an enemy
+ * @param {Object|null} order
+ * @param {{ x, z }} heroPos
+ * @param {{ x, z }} enemyPos
+ * @param {{ attackRange, sightRange }} ranges
+ */
+export function canEngageEnemy(order, heroPos, enemyPos, { attackRange, sightRange }) {
+  const dist = distance(heroPos, enemyPos)
+  switch (order?.type) {
+    case HERO_ORDERS.MOVE:
+      return false
+    case HERO_ORDERS.HOLD:
+      return dist <= attackRange
+    case HERO_ORDERS.GUARD:
+      return distance(order.target, enemyPos) <= HERO_ORDER_CONFIG.guardRadius
+    default:
+      return dist < sightRange
+  }
+}
+
+// Holding heroes never leave their spot
+export const canChaseEnemy = (order) => order?.type !== HERO_ORDERS.HOLD
+
+/**
+ * JSON-safe copy of an order for run saves, a guard order keeps its building by index
+ * @param {Object|null} order
+ * @param {Array} buildings - Buildings in save order
+ * @returns {Object|null}
+ */
+export function serializeHeroOrder(order, buildings) {
+  if (!order) return null
+  if (order.type === HERO_ORDERS.GUARD) {
+    const building = buildings.indexOf(order.building)
+    return building >= 0 ? { type: order.type, building } : null
+  }
+  if (order.type === HERO_ORDERS.PATROL) return { type: order.type, points: order.points.map(point), index: order.index }
+  return { type: order.type, target: point(order.target) }
+}
+
+/**
+ * Rebuild a saved order, null if its target is gone
+ * @param {Object|null} saved - See serializeHeroOrder
+ * @param {Array} buildings - Restored buildings in save order
+ */
+export function restoreHeroOrder(saved, buildings) {
+  if (!saved) return null
+  switch (saved.type) {
+    case HERO_ORDERS.GUARD:
+      return createHeroOrder(saved.type, { building: buildings[saved.building] })
+    case HERO_ORDERS.PATROL: {
+      const order = createHeroOrder(saved.type, { from: saved.points?.[0], to: saved.points?.[1] })
+      if (order) order.index = saved.index === 0 ? 0 : 1
+      return order
+    }
+    default:
+      return createHeroOrder(saved.type, { target: saved.target })
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Hero Progression - XP, levels and perks of defenders within a run
+ *
+ * Progress lives in the hero's userData ({ xp, level, perks, pendingPerks }),
+ * so it is saved with the run like the genes. Level-ups scale the current
+ * stats, which already contain the genetics modifiers.
+ */
+
+import { HERO_LEVELS, HERO_PERKS } from '../../constants/guineaPigs.js'
+
+/**
+ * Level for a total amount of XP
+ */
+export function getHeroLevel(xp = 0) {
+  let level = 1
+  HERO_LEVELS.xpThresholds.forEach((threshold, i) => {
+    if (xp >= threshold) level = i + 1
+  })
+  return Math.min(level, HERO_LEVELS.maxLevel)
+}
+
+/**
+ * XP bar of a hero
+ * @returns {{ level, xp, current, next, progress }} next is null at max level
+ */
+export function getLevelProgress(userData) {
+  const xp = userData.xp || 0
+  const level = getHeroLevel(xp)
+  const current = HERO_LEVELS.xpThresholds[level - 1]
+  const next = level < HERO_LEVELS.maxLevel ? HERO_LEVELS.xpThresholds[level] : null
+  return { level, xp, current, next, progress: next ? (xp - current) / (next - current) : 1 }
+}
+
+function applyModifiers(data, { health = 0, damage = 0, speed = 0, abilityCooldown = 0, critChance = 0 }) {
+  if (health) {
+    const maxHealth = Math.floor(data.maxHealth * (1 + health))
+    data.health += maxHealth - data.maxHealth // Gained HP is healed
+    data.maxHealth = maxHealth
+  }
+  if (damage) data.attackDamage = Math.floor(data.attackDamage * (1 + damage))
+  if (speed) data.speed *= 1 + speed
+  if (abilityCooldown) data.abilityCooldownMultiplier = (data.abilityCooldownMultiplier || 1) * (1 + abilityCooldown)
+  if (critChance) data.critBonus = (data.critBonus || 0) + critChance
+}
+
+/**
+ * Give XP to a hero and apply level-ups
+ * @returns {{ level, levelsGained, perkUnlocked }|null} null if nothing changed
+ */
+export function awardHeroXp(hero, amount) {
+  const data = hero?.userData
+  if (!data || amount <= 0) return null
+  const before = data.level || 1
+  if (before >= HERO_LEVELS.maxLevel) return null
+
+  data.xp = (data.xp || 0) + amount
+  data.level = getHeroLevel(data.xp)
+  const levelsGained = data.level - before
+  let perkUnlocked = false
+  for (let level = before + 1; level <= data.level; level++) {
+    applyModifiers(data, HERO_LEVELS.growth)
+    if (HERO_LEVELS.perkLevels.includes(level)) {
+      data.pendingPerks = (data.pendingPerks || 0) + 1
+      perkUnlocked = true
+    }
+  }
+  return { level: data.level, levelsGained, perkUnlocked }
+}
+
+/**
+ * Perks a hero can still pick (empty while no perk is pending)
+ * @returns {Array<{ id, label, icon, description }>}
+ */
+export function getPerkOptions(hero) {
+  const data = hero?.userData
+  if (!data?.pendingPerks) return []
+  const taken = data.perks || []
+  return Object.entries(HERO_PERKS)
+    .filter(([id]) => !taken.includes(id))
+    .map(([id, { label, icon, description }]) => ({ id, label, icon, description }))
+}
+
+/**
+ * Spend a pending perk
+ * @returns {Object|null} The perk, or null if it can't be chosen
+ */
+export function chooseHeroPerk(hero, perkId) {
+  if (!getPerkOptions(hero).some(option => option.id === perkId)) return null
+  const data = hero.userData
+  data.pendingPerks--
+  data.perks = [...(data.perks || []), perkId]
+  applyModifiers(data, HERO_PERKS[perkId].modifiers)
+  return HERO_PERKS[perkId]
+}
+
+/**
+ * Re-apply saved progress to a freshly created hero (genes first)
+ * @param {{ xp, perks, pendingPerks }} progress
+ */
+export function restoreHeroProgress(hero, { xp = 0, perks = [], pendingPerks = 0 } = {}) {
+  awardHeroXp(hero, xp)
+  const data = hero.userData
+  data.pendingPerks = perks.length + pendingPerks
+  perks.forEach(perkId => chooseHeroPerk(hero, perkId))
+  data.pendingPerks = pendingPerks
+  return hero
+}
@@ -5,3 +5,25 @@ export * from './combat'
 export * from './wallGrid'
 export * from './pathfinding'
 export * from './threat'
+export * from './replay'
+export * from './runSave'
+export * from './waveScript'
+export * from './flowField'
+export * from './towers'
+export * from './buildingActions'
+export * from './wallUpgrades'
+export * from './woodEconomy'
+export * from './collectorLogistics'
+export * from './carrots'
+export * from './commands'
+export * from './genetics'
+export * from './heroProgression'
+export * from './heroOrders'
+export * from './statusEffects'
+export * from './damage'
+export * from './airDefense'
+export * from './enemyMechanics'
+export * from './bosses'
+export * from './targeting'
+export * from './movement'
+export * from './projectiles'
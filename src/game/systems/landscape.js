@@ -6,13 +6,16 @@ import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import {
   LANDSCAPE_CONFIG,
   LANDSCAPE_ASSETS,
-  PROCEDURAL_LANDSCAPE
+  PROCEDURAL_LANDSCAPE,
+  RESOURCE_TREE_CONFIG
 } from '../../constants/landscape.js';
 import { GAME_CONFIG } from '../../constants/config.js';
+import { getTreeStage } from './woodEconomy.js';
 
 class LandscapeSystem {
-  constructor(scene) {
+  constructor(scene, options = {}) {
     this.scene = scene;
+    this.random = options.random || Math.random; // Seeded per run for reproducible maps
     this.loader = new GLTFLoader();
     this.loadedAssets = new Map();
     this.placedElements = [];
@@ -148,13 +151,13 @@ class LandscapeSystem {
       placed++;
 
       // Cluster spawning
-      if (Math.random() < zoneConfig.clusterChance) {
-        const clusterCount = Math.floor(Math.random() * zoneConfig.clusterSize) + 1;
+      if (this.random() < zoneConfig.clusterChance) {
+        const clusterCount = Math.floor(this.random() * zoneConfig.clusterSize) + 1;
         for (let c = 0; c < clusterCount && placed < zoneConfig.count; c++) {
           const offset = new THREE.Vector3(
-            (Math.random() - 0.5) * 4,
+            (this.random() - 0.5) * 4,
             0,
-            (Math.random() - 0.5) * 4
+            (this.random() - 0.5) * 4
           );
           const clusterPos = position.clone().add(offset);
           const clusterAsset = this.selectWeightedAsset(availableAssets, totalWeight);
@@ -170,11 +173,11 @@ class LandscapeSystem {
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       // Random angle
-      const angle = Math.random() * Math.PI * 2;
+      const angle = this.random() * Math.PI * 2;
 
       // Random radius within zone
       const radius = zoneConfig.minRadius +
-        Math.random() * (zoneConfig.maxRadius - zoneConfig.minRadius);
+        this.random() * (zoneConfig.maxRadius - zoneConfig.minRadius);
 
       const x = Math.cos(angle) * radius;
       const z = Math.sin(angle) * radius;
@@ -206,7 +209,7 @@ class LandscapeSystem {
   }
 
   selectWeightedAsset(assets, totalWeight) {
-    let random = Math.random() * totalWeight;
+    let random = this.random() * totalWeight;
     for (const asset of assets) {
       random -= asset.weight;
       if (random <= 0) {
@@ -227,10 +230,10 @@ class LandscapeSystem {
     element.position.y = assetConfig.yOffset;
 
     // Random rotation around Y axis
-    element.rotation.y = Math.random() * Math.PI * 2;
+    element.rotation.y = this.random() * Math.PI * 2;
 
     // Slight scale variation (90% - 110%)
-    const scaleVar = 0.9 + Math.random() * 0.2;
+    const scaleVar = 0.9 + this.random() * 0.2;
     element.scale.multiplyScalar(scaleVar);
 
     element.userData = {
@@ -244,9 +247,9 @@ class LandscapeSystem {
                    assetConfig.id.includes('oak');
     if (isTree) {
       element.userData.isResourceTree = true;
-      element.userData.woodAmount = 3;
-      element.userData.maxWood = 3;
-      element.userData.regenTimer = 0;
+      element.userData.woodAmount = RESOURCE_TREE_CONFIG.maxWood;
+      element.userData.maxWood = RESOURCE_TREE_CONFIG.maxWood;
+      element.userData.baseScale = element.scale.x;
       this.resourceTrees.push(element);
     }
 
@@ -289,12 +292,12 @@ class LandscapeSystem {
     const tree = new THREE.Group();
 
     const variant = PROCEDURAL_LANDSCAPE.trees.variants[
-      Math.floor(Math.random() * PROCEDURAL_LANDSCAPE.trees.variants.length)
+      Math.floor(this.random() * PROCEDURAL_LANDSCAPE.trees.variants.length)
     ];
 
     // Trunk
-    const trunkHeight = 2 + Math.random() * 1.5;
-    const trunkRadius = 0.2 + Math.random() * 0.1;
+    const trunkHeight = 2 + this.random() * 1.5;
+    const trunkRadius = 0.2 + this.random() * 0.1;
     const trunkGeom = new THREE.CylinderGeometry(
       trunkRadius * 0.7,
       trunkRadius,
@@ -318,7 +321,7 @@ class LandscapeSystem {
 
     if (variant === 'pine') {
       // Cone-shaped pine tree
-      const coneHeight = 3 + Math.random() * 2;
+      const coneHeight = 3 + this.random() * 2;
       const coneGeom = new THREE.ConeGeometry(1.2, coneHeight, 8);
       const cone = new THREE.Mesh(coneGeom, foliageMat);
       cone.position.y = trunkHeight + coneHeight / 2 - 0.3;
@@ -326,7 +329,7 @@ class LandscapeSystem {
       tree.add(cone);
     } else if (variant === 'oak') {
       // Spherical oak tree
-      const sphereGeom = new THREE.SphereGeometry(1.5 + Math.random() * 0.5, 8, 6);
+      const sphereGeom = new THREE.SphereGeometry(1.5 + this.random() * 0.5, 8, 6);
       const sphere = new THREE.Mesh(sphereGeom, foliageMat);
       sphere.position.y = trunkHeight + 1;
       sphere.castShadow = true;
@@ -334,12 +337,12 @@ class LandscapeSystem {
     } else {
       // Birch - multiple small spheres
       for (let i = 0; i < 3; i++) {
-        const sphereGeom = new THREE.SphereGeometry(0.8 + Math.random() * 0.3, 6, 4);
+        const sphereGeom = new THREE.SphereGeometry(0.8 + this.random() * 0.3, 6, 4);
         const sphere = new THREE.Mesh(sphereGeom, foliageMat);
         sphere.position.set(
-          (Math.random() - 0.5) * 0.8,
+          (this.random() - 0.5) * 0.8,
           trunkHeight + 0.5 + i * 0.6,
-          (Math.random() - 0.5) * 0.8
+          (this.random() - 0.5) * 0.8
         );
         sphere.castShadow = true;
         tree.add(sphere);
@@ -347,14 +350,14 @@ class LandscapeSystem {
     }
 
     tree.position.copy(position);
-    tree.rotation.y = Math.random() * Math.PI * 2;
+    tree.rotation.y = this.random() * Math.PI * 2;
     tree.userData = {
       type: 'landscape',
       assetId: `procedural_tree_${variant}`,
       isResourceTree: true,
-      woodAmount: 3,
-      maxWood: 3,
-      regenTimer: 0,
+      woodAmount: RESOURCE_TREE_CONFIG.maxWood,
+      maxWood: RESOURCE_TREE_CONFIG.maxWood,
+      baseScale: tree.scale.x,
     };
 
     this.landscapeGroup.add(tree);
@@ -367,13 +370,13 @@ class LandscapeSystem {
 
     // Rock type variations - simpler, rounder rocks
     const rockTypes = ['boulder', 'round', 'flat', 'pebbles'];
-    const rockType = rockTypes[Math.floor(Math.random() * rockTypes.length)];
+    const rockType = rockTypes[Math.floor(this.random() * rockTypes.length)];
 
     const colors = PROCEDURAL_LANDSCAPE.rocks.colors;
-    const baseColor = new THREE.Color(colors[Math.floor(Math.random() * colors.length)]);
+    const baseColor = new THREE.Color(colors[Math.floor(this.random() * colors.length)]);
 
     // Slightly vary the color
-    baseColor.offsetHSL(0, (Math.random() - 0.5) * 0.1, (Math.random() - 0.5) * 0.1);
+    baseColor.offsetHSL(0, (this.random() - 0.5) * 0.1, (this.random() - 0.5) * 0.1);
 
     const baseMat = new THREE.MeshStandardMaterial({
       color: baseColor,
@@ -383,7 +386,7 @@ class LandscapeSystem {
 
     if (rockType === 'boulder') {
       // Large smooth boulder
-      const size = 0.8 + Math.random() * 0.6;
+      const size = 0.8 + this.random() * 0.6;
       const geom = new THREE.SphereGeometry(size, 8, 6);
 
       // Gentle distortion for natural look
@@ -391,9 +394,9 @@ class LandscapeSystem {
 
       const mesh = new THREE.Mesh(geom, baseMat);
       mesh.scale.set(
-        0.9 + Math.random() * 0.3,
-        0.5 + Math.random() * 0.3,
-        0.9 + Math.random() * 0.3
+        0.9 + this.random() * 0.3,
+        0.5 + this.random() * 0.3,
+        0.9 + this.random() * 0.3
       );
       mesh.castShadow = true;
       mesh.receiveShadow = true;
@@ -403,13 +406,13 @@ class LandscapeSystem {
 
     } else if (rockType === 'round') {
       // Medium round rock
-      const size = 0.4 + Math.random() * 0.4;
+      const size = 0.4 + this.random() * 0.4;
       const geom = new THREE.IcosahedronGeometry(size, 1);
 
       this.gentleDistort(geom, 0.1);
 
       const mesh = new THREE.Mesh(geom, baseMat);
-      mesh.scale.y = 0.6 + Math.random() * 0.2;
+      mesh.scale.y = 0.6 + this.random() * 0.2;
       mesh.castShadow = true;
       mesh.receiveShadow = true;
       rock.add(mesh);
@@ -418,8 +421,8 @@ class LandscapeSystem {
 
     } else if (rockType === 'flat') {
       // Flat stepping stone
-      const radius = 0.5 + Math.random() * 0.4;
-      const height = 0.12 + Math.random() * 0.1;
+      const radius = 0.5 + this.random() * 0.4;
+      const height = 0.12 + this.random() * 0.1;
       const geom = new THREE.CylinderGeometry(
         radius * 0.9,
         radius,
@@ -438,17 +441,17 @@ class LandscapeSystem {
 
     } else if (rockType === 'pebbles') {
       // Group of small pebbles
-      const count = 3 + Math.floor(Math.random() * 3);
+      const count = 3 + Math.floor(this.random() * 3);
 
       for (let i = 0; i < count; i++) {
-        const pebbleSize = 0.12 + Math.random() * 0.15;
+        const pebbleSize = 0.12 + this.random() * 0.15;
         const geom = new THREE.SphereGeometry(pebbleSize, 6, 5);
 
         this.gentleDistort(geom, 0.12);
 
         // Vary color slightly
         const pebbleColor = baseColor.clone();
-        pebbleColor.offsetHSL(0, 0, (Math.random() - 0.5) * 0.1);
+        pebbleColor.offsetHSL(0, 0, (this.random() - 0.5) * 0.1);
         const pebbleMat = new THREE.MeshStandardMaterial({
           color: pebbleColor,
           roughness: 0.85,
@@ -456,12 +459,12 @@ class LandscapeSystem {
 
         const mesh = new THREE.Mesh(geom, pebbleMat);
         mesh.position.set(
-          (Math.random() - 0.5) * 0.6,
+          (this.random() - 0.5) * 0.6,
           pebbleSize * 0.5,
-          (Math.random() - 0.5) * 0.6
+          (this.random() - 0.5) * 0.6
         );
-        mesh.scale.y = 0.6 + Math.random() * 0.3;
-        mesh.rotation.y = Math.random() * Math.PI;
+        mesh.scale.y = 0.6 + this.random() * 0.3;
+        mesh.rotation.y = this.random() * Math.PI;
         mesh.castShadow = true;
         rock.add(mesh);
       }
@@ -469,7 +472,7 @@ class LandscapeSystem {
 
     rock.position.x = position.x;
     rock.position.z = position.z;
-    rock.rotation.y = Math.random() * Math.PI * 2;
+    rock.rotation.y = this.random() * Math.PI * 2;
     rock.userData = { type: 'landscape', assetId: `procedural_rock_${rockType}` };
 
     this.landscapeGroup.add(rock);
@@ -504,22 +507,22 @@ class LandscapeSystem {
     });
 
     // Create bush from multiple spheres
-    const sphereCount = 3 + Math.floor(Math.random() * 3);
+    const sphereCount = 3 + Math.floor(this.random() * 3);
     for (let i = 0; i < sphereCount; i++) {
-      const radius = 0.3 + Math.random() * 0.3;
+      const radius = 0.3 + this.random() * 0.3;
       const geom = new THREE.SphereGeometry(radius, 6, 4);
       const mesh = new THREE.Mesh(geom, mat);
       mesh.position.set(
-        (Math.random() - 0.5) * 0.6,
+        (this.random() - 0.5) * 0.6,
         radius * 0.8,
-        (Math.random() - 0.5) * 0.6
+        (this.random() - 0.5) * 0.6
       );
       mesh.castShadow = false;
       bush.add(mesh);
     }
 
     // Optional berries
-    if (Math.random() > 0.7) {
+    if (this.random() > 0.7) {
       const berryMat = new THREE.MeshStandardMaterial({
         color: PROCEDURAL_LANDSCAPE.bushes.berryColor,
       });
@@ -527,16 +530,16 @@ class LandscapeSystem {
         const berryGeom = new THREE.SphereGeometry(0.05, 4, 4);
         const berry = new THREE.Mesh(berryGeom, berryMat);
         berry.position.set(
-          (Math.random() - 0.5) * 0.8,
-          0.3 + Math.random() * 0.4,
-          (Math.random() - 0.5) * 0.8
+          (this.random() - 0.5) * 0.8,
+          0.3 + this.random() * 0.4,
+          (this.random() - 0.5) * 0.8
         );
         bush.add(berry);
       }
     }
 
     bush.position.copy(position);
-    bush.rotation.y = Math.random() * Math.PI * 2;
+    bush.rotation.y = this.random() * Math.PI * 2;
     bush.userData = { type: 'landscape', assetId: 'procedural_bush' };
 
     this.landscapeGroup.add(bush);
@@ -553,6 +556,73 @@ class LandscapeSystem {
     return this.resourceTrees;
   }
 
+  // Show the stage of a resource tree: full model, smaller when thinned,
+  // a stump (with a sapling once a beaver replanted it) when chopped down
+  updateTreeVisual(tree) {
+    const data = tree.userData;
+    const stage = getTreeStage(tree);
+    tree.visible = stage !== 'stump';
+    tree.scale.setScalar(data.baseScale * (stage === 'thinned' ? RESOURCE_TREE_CONFIG.thinnedScale : 1));
+
+    if (stage === 'stump' && !data.stump) data.stump = this.createStump(tree);
+    if (data.stump) data.stump.visible = stage === 'stump';
+
+    const planted = stage === 'stump' && data.planted;
+    if (planted && !data.sapling) data.sapling = this.createSapling(tree);
+    if (data.sapling) data.sapling.visible = planted;
+  }
+
+  createStump(tree) {
+    const asset = this.loadedAssets.get(RESOURCE_TREE_CONFIG.stumpAsset);
+    let stump;
+    if (asset) {
+      stump = asset.model.clone();
+      stump.position.y = asset.config.yOffset || 0;
+    } else {
+      stump = new THREE.Group();
+      const bark = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.35, 0.45, 0.5, 8),
+        new THREE.MeshStandardMaterial({ color: PROCEDURAL_LANDSCAPE.trees.trunkColor, roughness: 0.9 })
+      );
+      bark.position.y = 0.25;
+      bark.castShadow = true;
+      stump.add(bark);
+      const cut = new THREE.Mesh(
+        new THREE.CircleGeometry(0.34, 8),
+        new THREE.MeshStandardMaterial({ color: 0xDEB887, roughness: 0.8 })
+      );
+      cut.rotation.x = -Math.PI / 2;
+      cut.position.y = 0.51;
+      stump.add(cut);
+    }
+    stump.position.x = tree.position.x;
+    stump.position.z = tree.position.z;
+    stump.rotation.y = tree.rotation.y;
+    stump.userData = { type: 'landscape', assetId: 'resource_stump' };
+    this.landscapeGroup.add(stump);
+    return stump;
+  }
+
+  createSapling(tree) {
+    const sapling = new THREE.Group();
+    const stem = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.04, 0.06, 0.6, 6),
+      new THREE.MeshStandardMaterial({ color: PROCEDURAL_LANDSCAPE.trees.trunkColor })
+    );
+    stem.position.y = 0.3;
+    sapling.add(stem);
+    const leaves = new THREE.Mesh(
+      new THREE.ConeGeometry(0.25, 0.5, 6),
+      new THREE.MeshStandardMaterial({ color: PROCEDURAL_LANDSCAPE.trees.leavesColor })
+    );
+    leaves.position.y = 0.7;
+    sapling.add(leaves);
+    sapling.position.set(tree.position.x + 0.7, 0, tree.position.z);
+    sapling.userData = { type: 'landscape', assetId: 'resource_sapling' };
+    this.landscapeGroup.add(sapling);
+    return sapling;
+  }
+
   clear() {
     while (this.landscapeGroup.children.length > 0) {
       const child = this.landscapeGroup.children[0];
@@ -582,8 +652,8 @@ class LandscapeSystem {
 }
 
 // Factory function for easy integration
-export function createLandscape(scene) {
-  return new LandscapeSystem(scene);
+export function createLandscape(scene, options = {}) {
+  return new LandscapeSystem(scene, options);
 }
 
 export default LandscapeSystem;
@@ -0,0 +1,234 @@
+/**
+ * Movement - Unit navigation and collisions against the castle and buildings
+ *
+ * All functions take the world they move in ({ castle, buildings, wallGrid,
+ * pathfinding, flowField }, the GameSimulation itself) and work on plain
+ * entities with position, rotation, visible and userData. Navigation state
+ * (navPath, navPathIndex, navNoPath, ...) is cached in the unit's userData:
+ *
+ *   moveUnitWithPathfinding(world, collector, hut.position, data.speed, { allowGate: true })
+ *   if (collector.userData.navNoPath) ... // target unreachable this tick
+ *   resolveUnitBuildingCollisions(world, collector, { unitRadius: UNIT_COLLISION_RADIUS.collector })
+ */
+
+// Collision radius of each unit kind against the castle and buildings
+export const UNIT_COLLISION_RADIUS = {
+  player: 0.9,
+  partner: 0.7,
+  collector: 0.65,
+  beaver: 0.65,
+  defender: 0.8,
+  enemy: 0.85,
+}
+
+export function findHomeBuilding(world, type, homePos) {
+  if (!homePos) return null
+  return world.buildings.find(b => {
+    if (b.userData.type !== type) return false
+    const dx = b.position.x - homePos.x
+    const dz = b.position.z - homePos.z
+    return Math.sqrt(dx * dx + dz * dz) < 0.5
+  }) || null
+}
+
+// Push a unit out of the castle and all solid buildings
+export function resolveUnitBuildingCollisions(world, unit, options = {}) {
+  if (!unit || !unit.visible) return
+
+  const {
+    unitRadius = 0.7,
+    allowBuilding = null,
+    ignoreCastle = false,
+  } = options
+
+  const position = unit.position
+  const castle = world.castle
+
+  if (!ignoreCastle && castle?.userData?.collisionRadius) {
+    const dx = position.x - castle.position.x
+    const dz = position.z - castle.position.z
+    const dist = Math.sqrt(dx * dx + dz * dz)
+    const radius = castle.userData.collisionRadius + unitRadius
+    if (dist > 0 && dist < radius) {
+      const push = radius - dist
+      position.x += (dx / dist) * push
+      position.z += (dz / dist) * push
+    }
+  }
+
+  for (const building of world.buildings) {
+    if (!building.visible) continue
+    if (allowBuilding && allowBuilding(building)) continue
+    const radius = (building.userData.collisionRadius || 1.2) + unitRadius
+    const dx = position.x - building.position.x
+    const dz = position.z - building.position.z
+    const dist = Math.sqrt(dx * dx + dz * dz)
+    if (dist > 0 && dist < radius) {
+      const push = radius - dist
+      position.x += (dx / dist) * push
+      position.z += (dz / dist) * push
+    }
+  }
+}
+
+// Distance at which a unit counts as arrived at a building (deposit, repair, entering)
+export function getBuildingApproachDistance(building, unitRadius, extra = 0.4) {
+  const radius = building?.userData?.collisionRadius
+  if (Number.isFinite(radius)) {
+    return radius + unitRadius + extra
+  }
+  return 1.5 + unitRadius + extra
+}
+
+/**
+ * Move a unit one tick towards a target: straight on line of sight, along the
+ * flow field towards the burrow, otherwise along a cached A* path
+ * @returns {number} Distance to the target before the move
+ */
+export function moveUnitWithPathfinding(world, unit, target, speed, options = {}) {
+  if (!unit || !target) return 0
+
+  const {
+    allowGate = false,
+    stopDistance = 1.0,
+    maxPathAge = 60,
+    setRotation = true,
+    allowFallback = true,
+  } = options
+
+  const data = unit.userData || {}
+  data.navNoPath = false
+  data.navNoPathTargetKey = null
+
+  const dx = target.x - unit.position.x
+  const dz = target.z - unit.position.z
+  const dist = Math.sqrt(dx * dx + dz * dz)
+  if (dist <= stopDistance || dist === 0) return dist
+
+  const pathfinding = world.pathfinding
+  if (!pathfinding) {
+    unit.position.x += (dx / dist) * speed
+    unit.position.z += (dz / dist) * speed
+    if (setRotation) {
+      unit.rotation.y = Math.atan2(-dz, dx)
+    }
+    return dist
+  }
+  const wallGrid = world.wallGrid
+  const targetGrid = wallGrid ? wallGrid.worldToGrid(target.x, target.z) : null
+  const targetKey = targetGrid
+    ? `${targetGrid.gx},${targetGrid.gz}`
+    : `${Math.round(target.x)},${Math.round(target.z)}`
+  const targetChanged = data.navTargetKey !== targetKey
+  const allowGateChanged = data.navAllowGate !== allowGate
+
+  const hasDirectPath = pathfinding.hasLineOfSight(
+    unit.position.x, unit.position.z, target.x, target.z, { allowGate }
+  )
+
+  if (hasDirectPath) {
+    unit.position.x += (dx / dist) * speed
+    unit.position.z += (dz / dist) * speed
+    if (setRotation) {
+      unit.rotation.y = Math.atan2(-dz, dx)
+    }
+    data.navPath = null
+    data.navPathAge = 0
+    data.navTargetKey = targetKey
+    data.navAllowGate = allowGate
+    return dist
+  }
+
+  // Returning to the burrow: the flow field already knows the way (gates passable via allowGate)
+  const flowField = world.flowField
+  const flow = flowField && flowField.isGoal(target.x, target.z)
+    ? flowField.getDirection(unit.position.x, unit.position.z, { allowGate })
+    : null
+  if (flow) {
+    unit.position.x += flow.x * speed
+    unit.position.z += flow.z * speed
+    if (setRotation && (flow.x !== 0 || flow.z !== 0)) {
+      unit.rotation.y = Math.atan2(-flow.z, flow.x)
+    }
+    data.navPath = null
+    data.navTargetKey = targetKey
+    data.navAllowGate = allowGate
+    return dist
+  }
+
+  if (!data.navPath || data.navPathInvalid || data.navPathAge > maxPathAge || targetChanged || allowGateChanged) {
+    data.navPath = pathfinding.findSmoothPath(
+      unit.position.x, unit.position.z, target.x, target.z, { allowGate }
+    )
+    data.navPathIndex = 0
+    data.navPathAge = 0
+    data.navPathInvalid = false
+  }
+
+  data.navPathAge = (data.navPathAge || 0) + 1
+  data.navTargetKey = targetKey
+  data.navAllowGate = allowGate
+
+  let moveX = 0
+  let moveZ = 0
+
+  if (!data.navPath || data.navPath.length === 0) {
+    data.navNoPath = true
+    data.navNoPathTargetKey = targetKey
+    if (!allowFallback) {
+      return dist
+    }
+  }
+
+  if (data.navPath && data.navPath.length > 0) {
+    let waypoint = data.navPath[data.navPathIndex] || data.navPath[0]
+
+    while (data.navPathIndex < data.navPath.length - 1) {
+      const wdx = waypoint.x - unit.position.x
+      const wdz = waypoint.z - unit.position.z
+      const wDist = Math.sqrt(wdx * wdx + wdz * wdz)
+      if (wDist < 0.8) {
+        data.navPathIndex += 1
+        waypoint = data.navPath[data.navPathIndex]
+      } else {
+        break
+      }
+    }
+
+    const wdx = waypoint.x - unit.position.x
+    const wdz = waypoint.z - unit.position.z
+    const wDist = Math.sqrt(wdx * wdx + wdz * wdz)
+
+    if (wDist > 0.05) {
+      moveX = (wdx / wDist) * speed
+      moveZ = (wdz / wDist) * speed
+    }
+
+    if (data.navPathIndex >= data.navPath.length - 1 && wDist < 0.8) {
+      data.navPath = null
+    }
+  } else {
+    moveX = (dx / dist) * speed
+    moveZ = (dz / dist) * speed
+  }
+
+  if (moveX !== 0 || moveZ !== 0) {
+    unit.position.x += moveX
+    unit.position.z += moveZ
+    if (setRotation) {
+      unit.rotation.y = Math.atan2(-moveZ, moveX)
+    }
+  }
+
+  return dist
+}
+
+export function isPathReachable(world, from, to, options = {}) {
+  const pathfinding = world.pathfinding
+  if (!pathfinding || !from || !to) return true
+  const hasDirectPath = pathfinding.hasLineOfSight(
+    from.x, from.z, to.x, to.z, options
+  )
+  if (hasDirectPath) return true
+  return !!pathfinding.findPath(from.x, from.z, to.x, to.z, options)
+}
@@ -4,7 +4,7 @@
  */
 
 // Min-Heap implementation for efficient priority queue
-class MinHeap {
+export class MinHeap {
   constructor() {
     this.data = []
   }
@@ -58,6 +58,13 @@ class MinHeap {
   }
 }
 
+// Cheapest-breach search: wall cells are passable at a cost that grows with their HP
+export const BREACH_CONFIG = {
+  wallBaseCost: 2,          // Extra cells a wall is worth even at 1 HP
+  costPerHp: 0.05,          // 100 HP wall = 5 extra cells of detour
+  maxIterations: 3000,
+}
+
 // Pathfinding node
 class PathNode {
   constructor(gx, gz) {
@@ -350,6 +357,90 @@ export class PathfindingSystem {
     if (!path) return null
     return this.smoothPath(path, options)
   }
+
+  // Cost of entering a cell on a breach path (Infinity = impassable)
+  getBreachCost(gx, gz) {
+    if (this.wallGrid.isBlockedCell && this.wallGrid.isBlockedCell(gx, gz)) return Infinity
+    const cell = this.wallGrid.getWall(gx, gz)
+    if (!cell) return 1
+    const health = cell.building?.userData?.health
+    if (Number.isFinite(health) && health <= 0) return 1 // Already destroyed
+    return 1 + BREACH_CONFIG.wallBaseCost + (Number.isFinite(health) ? health : 100) * BREACH_CONFIG.costPerHp
+  }
+
+  /**
+   * Cheapest way to the target when walls block every route: A* that walks
+   * through wall cells at a cost proportional to their remaining HP, so weak
+   * segments and short detours win over fresh walls.
+   * @returns {{path: Array, wall: {gx: number, gz: number, building: Object}|null}|null}
+   *   Smoothed path up to and including the first wall to break (wall is null
+   *   if the target is reachable without breaching), or null if even that fails
+   */
+  findBreachPath(startX, startZ, targetX, targetZ) {
+    const start = this.wallGrid.worldToGrid(startX, startZ)
+    let goal = this.wallGrid.worldToGrid(targetX, targetZ)
+
+    // The burrow blocks its own cells; aim for the nearest open cell instead
+    if (this.getBreachCost(goal.gx, goal.gz) === Infinity) {
+      goal = this.findNearestWalkable(goal.gx, goal.gz, 5)
+      if (!goal) return null
+    }
+
+    const openSet = new MinHeap()
+    const nodeMap = new Map()
+    const startNode = new PathNode(start.gx, start.gz)
+    startNode.g = 0
+    startNode.f = this.heuristic(start.gx, start.gz, goal.gx, goal.gz)
+    openSet.push(startNode)
+    nodeMap.set(this.wallGrid.getKey(start.gx, start.gz), startNode)
+
+    const directions = [{ dx: 0, dz: 1 }, { dx: 0, dz: -1 }, { dx: 1, dz: 0 }, { dx: -1, dz: 0 }]
+    let iterations = 0
+    while (!openSet.isEmpty() && iterations < BREACH_CONFIG.maxIterations) {
+      iterations++
+      const current = openSet.pop()
+      if (current.closed) continue
+      current.closed = true
+
+      if (current.gx === goal.gx && current.gz === goal.gz) {
+        return this.cutAtBreach(this.reconstructPath(current))
+      }
+
+      for (const { dx, dz } of directions) {
+        const gx = current.gx + dx
+        const gz = current.gz + dz
+        const cost = this.getBreachCost(gx, gz)
+        if (cost === Infinity) continue
+
+        const key = this.wallGrid.getKey(gx, gz)
+        let node = nodeMap.get(key)
+        if (!node) {
+          node = new PathNode(gx, gz)
+          nodeMap.set(key, node)
+        }
+        const tentativeG = current.g + cost
+        if (tentativeG < node.g) {
+          node.parent = current
+          node.g = tentativeG
+          node.h = this.heuristic(gx, gz, goal.gx, goal.gz)
+          node.f = node.g + node.h
+          openSet.push(node)
+        }
+      }
+    }
+    return null
+  }
+
+  // Keep a breach path only up to the first standing wall
+  cutAtBreach(path) {
+    const index = path.findIndex((point, i) => i > 0 && this.getBreachCost(point.gx, point.gz) > 1)
+    if (index < 0) return { path: this.smoothPath(path), wall: null }
+    const wall = path[index]
+    return {
+      path: [...(this.smoothPath(path.slice(0, index)) || []), wall],
+      wall: { gx: wall.gx, gz: wall.gz, building: this.wallGrid.getWall(wall.gx, wall.gz).building },
+    }
+  }
 }
 
 export default PathfindingSystem
@@ -0,0 +1,159 @@
+/**
+ * Projectiles - Flight and hits of tower shots
+ *
+ * Works on projectile entities ({ position: Vector3, userData }); the meshes
+ * and their spin come from entities/Projectile.js and the renderer:
+ *
+ *   const shot = { position: start.clone(), userData: createTowerShot(start, enemy.position, stats) }
+ *   const { hits, shouldRemove } = updateProjectile(shot, enemies)
+ */
+
+import * as THREE from 'three'
+import { applyStatus } from './statusEffects.js'
+import { dealDamage } from './damage.js'
+
+const PROJECTILE_SPEEDS = {
+  tower: 0.5,
+  mortar: 0.22,
+  frost: 0.55,
+  sniper: 1.2,
+}
+
+const MORTAR_GRAVITY = 0.012
+
+// Height a shot has to pass to hit an enemy (flyers are up in the air); towers aim there
+export const getHitHeight = (enemy) => (enemy.userData.flying ? 1.8 : 0.5)
+
+/**
+ * Flight data of a tower shot with branch behaviour
+ *   tower  - straight shot, single target
+ *   mortar - lobbed shell, explodes where the target stood (ground enemies only)
+ *   frost  - fast shard that slows (and at tier 3 splashes)
+ *   sniper - very fast bolt that pierces `pierce` enemies
+ * @param {Object} stats - From getTowerStats (systems/towers.js)
+ * @returns {Object} userData of the projectile entity (starting at `start`)
+ */
+export function createTowerShot(start, target, stats) {
+  const type = stats.projectile
+  const speed = PROJECTILE_SPEEDS[type] || PROJECTILE_SPEEDS.tower
+
+  const data = {
+    type,
+    towerShot: true,
+    damage: stats.damage,
+    damageType: stats.damageType,
+    splash: stats.splashRadius > 0,
+    splashRadius: stats.splashRadius,
+    slowDuration: stats.slowDuration,
+    pierce: stats.pierce || 1,
+    hitEnemies: [],
+    maxDistance: 50,
+    distanceTraveled: 0,
+  }
+
+  if (type === 'mortar') {
+    // Flat velocity plus an arc that lands on the target after the same time
+    const flat = new THREE.Vector3(target.x - start.x, 0, target.z - start.z)
+    const frames = Math.max(1, flat.length() / speed)
+    data.velocity = flat.normalize().multiplyScalar(speed)
+    data.verticalVelocity = (0.5 * MORTAR_GRAVITY * frames * frames - start.y) / frames
+  } else {
+    data.velocity = new THREE.Vector3().subVectors(target, start).normalize().multiplyScalar(speed)
+  }
+
+  return data
+}
+
+function applyHit(projectile, enemy, hits) {
+  const { slowDuration } = projectile.userData
+  const { damageType } = projectile.userData
+  const wasAlive = enemy.userData.health > 0
+  const damage = dealDamage(enemy.userData, projectile.userData.damage, damageType)
+  if (slowDuration > 0) applyStatus(enemy.userData, 'slow', { duration: slowDuration })
+  hits.push({ enemy, damage, damageType, kill: wasAlive && enemy.userData.health <= 0 })
+}
+
+function applySplash(projectile, enemies, hits, { groundOnly = false } = {}) {
+  enemies.forEach(enemy => {
+    if (enemy.userData.burrowed || (groundOnly && enemy.userData.flying)) return
+    const dx = projectile.position.x - enemy.position.x
+    const dz = projectile.position.z - enemy.position.z
+    if (Math.sqrt(dx * dx + dz * dz) < projectile.userData.splashRadius) {
+      applyHit(projectile, enemy, hits)
+    }
+  })
+}
+
+// Mortar shells fly over everything and explode on landing
+function updateMortarShell(projectile, enemies) {
+  const data = projectile.userData
+  projectile.position.add(data.velocity)
+  projectile.position.y += data.verticalVelocity
+  data.verticalVelocity -= MORTAR_GRAVITY
+  data.distanceTraveled += data.velocity.length()
+
+  const hits = []
+  const landed = projectile.position.y <= 0.1
+  if (landed) {
+    projectile.position.y = 0.1
+    applySplash(projectile, enemies, hits, { groundOnly: true })
+  }
+
+  return {
+    hit: landed,
+    hits,
+    shouldRemove: landed || data.distanceTraveled > 100,
+    position: projectile.position.clone(),
+    splash: true,
+  }
+}
+
+// Update projectile position
+export function updateProjectile(projectile, enemies) {
+  const data = projectile.userData
+  if (data.type === 'mortar') return updateMortarShell(projectile, enemies)
+
+  const { velocity, splash } = data
+
+  projectile.position.add(velocity)
+  data.distanceTraveled += velocity.length()
+
+  let hit = false
+  let hitEnemy = null
+  const hits = []
+
+  // Check for enemy collision (pierced and burrowed enemies are skipped)
+  for (const enemy of enemies) {
+    if (data.hitEnemies?.includes(enemy) || enemy.userData.burrowed) continue
+    const dx = projectile.position.x - enemy.position.x
+    const dz = projectile.position.z - enemy.position.z
+    const dy = projectile.position.y - getHitHeight(enemy)
+
+    if (Math.sqrt(dx * dx + dy * dy + dz * dz) < 1.5) {
+      hit = true
+      hitEnemy = enemy
+      break
+    }
+  }
+
+  // Apply damage on hit
+  if (hit && hitEnemy) {
+    if (splash) {
+      // Splash damage to all nearby enemies
+      applySplash(projectile, enemies, hits)
+    } else {
+      applyHit(projectile, hitEnemy, hits)
+    }
+    data.hitEnemies?.push(hitEnemy)
+  }
+
+  // Piercing shots fly on until they have hit enough enemies
+  const spent = hit && (data.hitEnemies?.length || 1) >= (data.pierce || 1)
+
+  // Check if projectile should be removed
+  const shouldRemove = spent ||
+    projectile.position.length() > data.maxDistance ||
+    data.distanceTraveled > 100
+
+  return { hit, hits, shouldRemove, position: projectile.position.clone(), splash }
+}
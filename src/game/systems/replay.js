@@ -0,0 +1,183 @@
+/**
+ * Replay System - Records the commands of a run and plays them back
+ *
+ * A recording only stores the run setup (seed, difficulty, mode, skill
+ * levels), every command that went through the command bus and the movement
+ * input, each stamped with the game tick it applies to. Because every random
+ * decision comes from the seed and the game advances in fixed ticks, the game
+ * reproduces the run by feeding these inputs back in at the same ticks.
+ */
+
+import { DEFAULT_SKILLS } from '../../constants/skills.js'
+import { GAME_COMMANDS } from './commands.js'
+import { saveToIndexedDB, loadFromIndexedDB, STORAGE_KEYS } from '../../storage/indexedDB.js'
+
+export const REPLAY_VERSION = 1
+export const REPLAY_SPEEDS = [1, 4, 16]
+const MAX_STORED_REPLAYS = 10
+
+// Input types a recording may contain
+export const REPLAY_INPUTS = {
+  COMMAND: 'command', // { command, payload } one of GAME_COMMANDS
+  MOVE: 'move',       // { x, z } movement vector (WASD / joystick)
+}
+
+const round = (value, digits = 3) => {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+function getSkillLevels(skills) {
+  const levels = {}
+  Object.entries(skills || {}).forEach(([id, skill]) => {
+    levels[id] = skill?.level || 0
+  })
+  return levels
+}
+
+// Skill tree of a recording: the default skills at the recorded levels
+export function getReplaySkills(recording) {
+  const skills = {}
+  Object.entries(DEFAULT_SKILLS).forEach(([id, skill]) => {
+    const level = recording.skills?.[id] || 0
+    skills[id] = { ...skill, level: Math.min(level, skill.max) }
+  })
+  return skills
+}
+
+export class ReplayRecorder {
+  constructor({ seed, difficulty, mode = 'classic', skills }) {
+    this.seed = seed
+    this.difficulty = difficulty
+    this.mode = mode
+    this.skillLevels = getSkillLevels(skills)
+    this.inputs = []
+    this.lastMove = { x: 0, z: 0 }
+    this.active = true
+  }
+
+  record(tick, type, payload = {}) {
+    if (!this.active) return
+    this.inputs.push({ tick, type, ...payload })
+  }
+
+  recordCommand(tick, command, payload = {}) {
+    this.record(tick, REPLAY_INPUTS.COMMAND, { command, payload: { ...payload } })
+  }
+
+  // Movement is sampled every tick; only changes are stored. Returns the
+  // rounded vector, which the game has to use so playback moves the same way
+  recordMovement(tick, moveX, moveZ) {
+    const x = round(moveX, 2)
+    const z = round(moveZ, 2)
+    if (x !== this.lastMove.x || z !== this.lastMove.z) {
+      this.lastMove = { x, z }
+      this.record(tick, REPLAY_INPUTS.MOVE, { x, z })
+    }
+    return this.lastMove
+  }
+
+  // ticks: length of the run in game ticks
+  finish(result = {}, ticks = 0) {
+    this.active = false
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      skills: this.skillLevels,
+      createdAt: Date.now(),
+      ticks,
+      result,
+      inputs: this.inputs,
+    }
+  }
+}
+
+// Feeds the inputs of a recording back into the game, tick by tick
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording
+    this.inputs = recording.inputs
+    this.index = 0
+    this.move = { x: 0, z: 0 } // Movement input of the current tick
+  }
+
+  get finished() {
+    return this.index >= this.inputs.length
+  }
+
+  // Commands recorded for this tick (in recorded order); movement is kept in this.move
+  takeCommands(tick) {
+    const commands = []
+    while (this.index < this.inputs.length && this.inputs[this.index].tick <= tick) {
+      const input = this.inputs[this.index++]
+      if (input.type === REPLAY_INPUTS.MOVE) this.move = { x: input.x, z: input.z }
+      else commands.push(input)
+    }
+    return commands
+  }
+}
+
+export function validateReplay(data) {
+  if (!data || typeof data !== 'object') return { valid: false, error: 'Keine Replay-Daten' }
+  if (data.version !== REPLAY_VERSION) {
+    return { valid: false, error: `Replay-Version ${data.version} wird nicht unterstützt` }
+  }
+  if (typeof data.seed !== 'string' || !data.seed) return { valid: false, error: 'Seed fehlt' }
+  if (!Number.isInteger(data.ticks)) return { valid: false, error: 'Laufzeit fehlt' }
+  if (!Array.isArray(data.inputs)) return { valid: false, error: 'Eingaben fehlen' }
+
+  const knownCommands = Object.values(GAME_COMMANDS)
+  for (let i = 0; i < data.inputs.length; i++) {
+    const input = data.inputs[i]
+    const valid = Number.isInteger(input?.tick) && (input.type === REPLAY_INPUTS.MOVE
+      ? Number.isFinite(input.x) && Number.isFinite(input.z)
+      : input.type === REPLAY_INPUTS.COMMAND && knownCommands.includes(input.command))
+    if (!valid) {
+      return { valid: false, error: `Ungültige Eingabe #${i}` }
+    }
+    if (i > 0 && input.tick < data.inputs[i - 1].tick) {
+      return { valid: false, error: `Eingabe #${i} ist nicht chronologisch` }
+    }
+  }
+  return { valid: true, error: null }
+}
+
+// ============== STORAGE ==============
+export async function loadReplays() {
+  const replays = await loadFromIndexedDB(STORAGE_KEYS.REPLAYS)
+  // Recordings of older versions cannot be played back
+  return Array.isArray(replays) ? replays.filter(replay => validateReplay(replay).valid) : []
+}
+
+// Keep the most recent recordings only
+export async function saveReplay(recording) {
+  const replays = await loadReplays()
+  const next = [recording, ...replays].slice(0, MAX_STORED_REPLAYS)
+  await saveToIndexedDB(STORAGE_KEYS.REPLAYS, next)
+  return next
+}
+
+export function serializeReplay(recording) {
+  return JSON.stringify(recording)
+}
+
+export function parseReplay(text) {
+  const data = JSON.parse(text)
+  const { valid, error } = validateReplay(data)
+  if (!valid) throw new Error(error)
+  return data
+}
+
+// m:ss for the replay list and the playback bar
+export function formatReplayTime(seconds) {
+  const m = Math.floor(seconds / 60)
+  const s = Math.floor(seconds % 60)
+  return `${m}:${String(s).padStart(2, '0')}`
+}
+
+export function getReplayFileName(recording) {
+  const date = new Date(recording.createdAt).toISOString().slice(0, 19).replace(/[:T]/g, '-')
+  return `guinea-bros-replay-${recording.seed}-${date}.json`
+}
@@ -0,0 +1,177 @@
+/**
+ * Run Save System - Versioned snapshot of a running game for "Weiterspielen"
+ *
+ * Snapshots are plain JSON. Entities are read through their position and
+ * userData only; the game rebuilds meshes and object references on resume.
+ */
+
+import { saveToIndexedDB, loadFromIndexedDB, deleteFromIndexedDB, STORAGE_KEYS } from '../../storage/indexedDB.js'
+import { serializeBoss } from './bosses.js'
+import { serializeHeroOrder } from './heroOrders.js'
+
+export const RUN_SAVE_VERSION = 1
+
+// gameState fields that survive a reload (object references are rebuilt)
+const GAME_STATE_FIELDS = [
+  'phase', 'wave', 'baseHealth', 'maxBaseHealth', 'score', 'time', 'dayDuration',
+  'nightActive', 'dayTimer', 'combo', 'comboTimer', 'weather', 'weatherTimer',
+  'rageActive', 'bossWave', 'speedBoostTimer', 'baseStatus', 'wood', 'carrotMagnet', 'playerStatus',
+]
+
+const round = (value) => Math.round((value || 0) * 1000) / 1000
+
+const serializePosition = (entity) => ({ x: round(entity.position.x), z: round(entity.position.z) })
+
+function serializeBuilding(building, wallGrid) {
+  const data = building.userData
+  const saved = {
+    type: data.type,
+    ...serializePosition(building),
+    rotation: data.rotation || 0,
+    health: data.health,
+    maxHealth: data.maxHealth,
+    spawnTimer: round(data.spawnTimer),
+  }
+  if (data.tier > 1) {
+    saved.tier = data.tier
+    saved.branch = data.branch
+  }
+  if (data.targeting) saved.targeting = data.targeting
+  if (data.gatherZone) saved.gatherZone = data.gatherZone
+
+  const grid = wallGrid?.worldToGrid(building.position.x, building.position.z)
+  const cell = grid && wallGrid.getWall(grid.gx, grid.gz)
+  if (cell && cell.building === building) {
+    saved.wallCell = {
+      gx: cell.gx,
+      gz: cell.gz,
+      segmentType: cell.segmentType,
+      rotation: cell.rotation,
+      segmentLocked: cell.segmentLocked,
+      rotationLocked: cell.rotationLocked,
+    }
+  }
+  return saved
+}
+
+/**
+ * Create a snapshot of the current run
+ * @param {Object} run - Live run objects (gameState, entity arrays, wallGrid, waveRun, rng)
+ * @returns {Object} JSON-safe save data
+ */
+export function createRunSnapshot(run) {
+  const {
+    seed, rngState, difficulty, mode = 'classic', gameState, wallGrid,
+    buildings = [], defenders = [], collectors = [], beavers = [],
+    carrots = [], enemies = [], waveRun = null, player, forest = [],
+  } = run
+  const homeIndex = (unit) => buildings.indexOf(unit.userData.homeBuilding)
+
+  const state = {}
+  GAME_STATE_FIELDS.forEach(field => { state[field] = gameState[field] })
+
+  return {
+    version: RUN_SAVE_VERSION,
+    savedAt: Date.now(),
+    seed,
+    rngState,
+    difficulty,
+    mode,
+    state,
+    player: player ? serializePosition(player) : null,
+    buildings: buildings.map(b => serializeBuilding(b, wallGrid)),
+    defenders: defenders.map(d => ({
+      type: d.userData.type,
+      ...serializePosition(d),
+      health: d.userData.health,
+      genes: d.userData.genes || null,
+      xp: d.userData.xp || 0,
+      kills: d.userData.kills || 0,
+      perks: d.userData.perks || [],
+      pendingPerks: d.userData.pendingPerks || 0,
+      targeting: d.userData.targeting || null,
+      order: serializeHeroOrder(d.userData.order, buildings),
+      statusEffects: d.userData.statusEffects || {},
+      // Seconds left of a hero summoned by a purple carrot
+      ...(d.userData.expiresIn > 0 ? { expiresIn: round(d.userData.expiresIn) } : {}),
+    })),
+    collectors: collectors.map(c => ({
+      ...serializePosition(c),
+      home: homeIndex(c),
+      state: c.userData.state,
+      inHut: !!c.userData.inHut,
+      carryingCarrots: c.userData.carryingCarrots || 0,
+      carryingCount: c.userData.carryingCount || 0,
+    })),
+    beavers: beavers.map(b => ({
+      ...serializePosition(b),
+      home: homeIndex(b),
+      state: b.userData.state,
+      inHut: !!b.userData.inHut,
+      carryingWood: b.userData.carryingWood || 0,
+    })),
+    carrots: carrots
+      .filter(c => !c.userData.collected)
+      .map(c => ({
+        type: c.userData.type,
+        ...serializePosition(c),
+        // Carrot field (building index) and slot the carrot grew on
+        ...(c.userData.field ? { field: buildings.indexOf(c.userData.field), fieldSlot: c.userData.fieldSlot } : {}),
+      })),
+    enemies: enemies
+      .filter(e => e.userData.health > 0)
+      .map(e => {
+        const data = e.userData
+        return {
+          type: data.type,
+          ...serializePosition(e),
+          // Stats after difficulty and wave modifiers
+          health: data.health,
+          maxHealth: data.maxHealth,
+          damage: data.damage,
+          speed: data.speed,
+          armor: data.armor || 0,
+          resistances: data.resistances || {},
+          statusEffects: data.statusEffects || {},
+          // Mechanics state (systems/enemyMechanics.js), a carried hero by defender index
+          burrowed: !!data.burrowed,
+          stolenCarrots: data.stolenCarrots || 0,
+          fleeing: !!data.fleeing,
+          ...(data.carriedHero ? { carriedHero: defenders.indexOf(data.carriedHero), snatchTimer: round(data.snatchTimer) } : {}),
+          ...(data.boss ? { boss: serializeBoss(data) } : {}),
+        }
+      }),
+    waveRun: waveRun ? waveRun.serialize() : null,
+    // Resource trees by position ({ x, z, wood, stumpDays, planted }), see woodEconomy.serializeTree
+    forest,
+  }
+}
+
+// Upgrade older snapshots; returns null if the save can't be used anymore
+export function migrateRunSave(save) {
+  if (!save || typeof save !== 'object') return null
+  if (save.version === RUN_SAVE_VERSION) return save
+  return null
+}
+
+export function validateRunSave(save) {
+  if (!save) return false
+  return typeof save.seed === 'string' &&
+    save.state && Number.isFinite(save.state.wave) &&
+    Array.isArray(save.buildings) &&
+    Array.isArray(save.carrots)
+}
+
+// ============== STORAGE ==============
+export async function saveRun(snapshot) {
+  return saveToIndexedDB(STORAGE_KEYS.RUN, snapshot)
+}
+
+export async function loadRun() {
+  const save = migrateRunSave(await loadFromIndexedDB(STORAGE_KEYS.RUN))
+  return validateRunSave(save) ? save : null
+}
+
+export async function clearRun() {
+  return deleteFromIndexedDB(STORAGE_KEYS.RUN)
+}
@@ -0,0 +1,143 @@
+/**
+ * Status Effects - Timed effects on any unit, building or the base
+ *
+ * Effects live in holder.statusEffects (usually a unit's userData) as plain
+ * { remaining, stacks, tickTimer, damage } records, so they survive JSON
+ * saves. Behaviour comes from STATUS_EFFECTS; a definition may also provide
+ * onApply(holder, effect), onTick(holder, effect) and onExpire(holder) hooks.
+ * Immunities are listed in holder.immunities.
+ *
+ *   applyStatus(enemy.userData, 'slow', { duration: 3 })
+ *   const speed = data.speed * getStatusMultiplier(data, 'speed')
+ */
+
+import { STATUS_EFFECTS } from '../../constants/statusEffects.js'
+
+const getEffects = (holder) => {
+  if (!holder.statusEffects) holder.statusEffects = {}
+  return holder.statusEffects
+}
+
+export const isImmune = (holder, id) => !!holder?.immunities?.includes(id)
+
+/**
+ * Apply an effect following its stacking rule
+ * @param {Object} holder - userData or another object with health
+ * @param {string} id - Key of STATUS_EFFECTS
+ * @param {{ duration, damage, stacks }} options - damage overrides the tick damage per stack
+ * @returns {Object|null} The effect record, or null if unknown, immune or ignored
+ */
+export function applyStatus(holder, id, { duration, damage, stacks = 1 } = {}) {
+  const def = STATUS_EFFECTS[id]
+  if (!holder || !def || isImmune(holder, id)) return null
+
+  const effects = getEffects(holder)
+  const length = duration ?? def.duration
+  const current = effects[id]
+
+  if (!current) {
+    effects[id] = {
+      remaining: length,
+      stacks: Math.min(stacks, def.maxStacks || 1),
+      tickTimer: 0,
+      damage: damage ?? def.tick?.damage ?? 0,
+    }
+    def.onApply?.(holder, effects[id])
+    return effects[id]
+  }
+
+  switch (def.stacking) {
+    case 'ignore':
+      return null
+    case 'extend':
+      current.remaining = Math.min(current.remaining + length, def.maxDuration || Infinity)
+      break
+    case 'stack':
+      current.stacks = Math.min(current.stacks + stacks, def.maxStacks || 1)
+      current.remaining = Math.max(current.remaining, length)
+      break
+    default:
+      current.remaining = Math.max(current.remaining, length)
+  }
+  if (damage !== undefined) current.damage = Math.max(current.damage, damage)
+  return current
+}
+
+export function removeStatus(holder, id) {
+  if (!holder?.statusEffects?.[id]) return
+  delete holder.statusEffects[id]
+  STATUS_EFFECTS[id]?.onExpire?.(holder)
+}
+
+export const clearStatuses = (holder) => {
+  Object.keys(holder?.statusEffects || {}).forEach(id => removeStatus(holder, id))
+}
+
+export const hasStatus = (holder, id) => !!holder?.statusEffects?.[id]
+
+// Whether any active effect carries a flag (stopsMovement, stopsAttack, ...)
+export function hasStatusFlag(holder, flag) {
+  return Object.keys(holder?.statusEffects || {}).some(id => STATUS_EFFECTS[id]?.flags?.includes(flag))
+}
+
+/**
+ * Product of all active modifiers of a stat (1 without effects)
+ * @param {string} stat - speed, damageTaken or damageDealt
+ */
+export function getStatusMultiplier(holder, stat) {
+  let multiplier = 1
+  Object.keys(holder?.statusEffects || {}).forEach(id => {
+    const value = STATUS_EFFECTS[id]?.modifiers?.[stat]
+    if (value !== undefined) multiplier *= value
+  })
+  // Stopped units don't move at all
+  if (stat === 'speed' && hasStatusFlag(holder, 'stopsMovement')) return 0
+  return multiplier
+}
+
+/**
+ * Active effects for icons and tooltips, in STATUS_EFFECTS order
+ * @returns {Array<{ id, label, icon, color, remaining, stacks }>}
+ */
+export function getActiveStatuses(holder) {
+  const effects = holder?.statusEffects || {}
+  return Object.entries(STATUS_EFFECTS)
+    .filter(([id]) => effects[id])
+    .map(([id, { label, icon, color }]) => ({ id, label, icon, color, ...effects[id] }))
+}
+
+/**
+ * Advance durations and ticks; the caller applies the damage
+ * @returns {{ damage: number, ticks: Array<{ id, damage, damageType, color }>, expired: string[] }}
+ */
+export function updateStatuses(holder, dt) {
+  const result = { damage: 0, ticks: [], expired: [] }
+  const effects = holder?.statusEffects
+  if (!effects) return result
+
+  Object.entries(effects).forEach(([id, effect]) => {
+    const def = STATUS_EFFECTS[id]
+    if (!def) {
+      delete effects[id]
+      return
+    }
+
+    if (def.tick) {
+      effect.tickTimer += dt
+      while (effect.tickTimer >= def.tick.interval) {
+        effect.tickTimer -= def.tick.interval
+        const damage = effect.damage * effect.stacks
+        result.damage += damage
+        result.ticks.push({ id, damage, damageType: def.tick.type || 'poison', color: def.color })
+        def.onTick?.(holder, effect)
+      }
+    }
+
+    effect.remaining -= dt
+    if (effect.remaining <= 0) {
+      removeStatus(holder, id)
+      result.expired.push(id)
+    }
+  })
+  return result
+}
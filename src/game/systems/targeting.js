@@ -0,0 +1,111 @@
+/**
+ * Targeting - Target priority modes of towers and ranged heroes
+ *
+ * The mode lives in the shooter's userData.targeting (set from the selection
+ * UI, saved with the run). Shots carry the mode they were fired with, hits
+ * and kills are counted per mode in a targeting log that is reset every night.
+ *
+ *   const target = pickTarget(tower.position, hittable, range, getTargetingMode(tower.userData), { flowField })
+ *   recordTargetingHit(log, proj.userData.targeting, { damage, kill })
+ */
+
+import { TARGETING_MODES, DEFAULT_TARGETING_MODE } from '../../constants/targeting.js'
+import { GUINEA_PIG_TYPES } from '../../constants/guineaPigs.js'
+
+export const getTargetingMode = (data) => (TARGETING_MODES[data?.targeting] ? data.targeting : DEFAULT_TARGETING_MODE)
+
+// Towers and heroes that shoot (bombers) pick their targets, melee heroes fight what is next to them
+export function hasTargeting(unit) {
+  const { type } = unit.userData
+  return type === 'tower' || !!GUINEA_PIG_TYPES[type]?.useProjectiles
+}
+
+const distanceTo = (from, enemy) => Math.hypot(enemy.position.x - from.x, enemy.position.z - from.z)
+
+// Remaining way to the burrow: flow field path for walkers, straight line for flyers and tunnelers
+function getPathDistance(enemy, flowField) {
+  const { x, z } = enemy.position
+  if (!flowField || enemy.userData.flying || enemy.userData.burrowed) return Math.hypot(x, z)
+  const distance = flowField.getDistance(x, z)
+  return Number.isFinite(distance) ? distance : Infinity
+}
+
+// Sort key per mode, lower is better
+const MODE_SCORES = {
+  nearest: () => 0,
+  closest: (enemy) => Math.hypot(enemy.position.x, enemy.position.z),
+  first: (enemy, { flowField }) => getPathDistance(enemy, flowField),
+  strongest: (enemy) => -enemy.userData.health,
+  weakest: (enemy) => enemy.userData.health,
+  boss: (enemy) => (enemy.userData.isBoss ? 0 : 1),
+  flying: (enemy) => (enemy.userData.flying ? 0 : 1),
+}
+
+// Priority of an enemy under a mode, lower is better (break ties by distance)
+export const getTargetScore = (enemy, mode, options = {}) =>
+  (MODE_SCORES[mode] || MODE_SCORES[DEFAULT_TARGETING_MODE])(enemy, options)
+
+/**
+ * Best target within range for a mode
+ * @param {{ x, z }} from - Shooter position
+ * @param {Array} enemies - Enemies the shooter can hit
+ * @param {number} range
+ * @param {string} mode - Key of TARGETING_MODES
+ * @param {{ flowField }} options - Flow field for 'first' (straight line without)
+ * @returns {Object|null}
+ */
+export function pickTarget(from, enemies, range, mode = DEFAULT_TARGETING_MODE, options = {}) {
+  let best = null
+  let bestScore = Infinity
+  let bestDist = Infinity
+  for (const enemy of enemies) {
+    if (!(enemy.userData.health > 0)) continue
+    const dist = distanceTo(from, enemy)
+    if (dist >= range) continue
+    const value = getTargetScore(enemy, mode, options)
+    if (value < bestScore || (value === bestScore && dist < bestDist)) {
+      best = enemy
+      bestScore = value
+      bestDist = dist
+    }
+  }
+  return best
+}
+
+// Per-mode counters of one night
+export function createTargetingLog() {
+  const log = {}
+  Object.keys(TARGETING_MODES).forEach(mode => {
+    log[mode] = { shots: 0, hits: 0, damage: 0, kills: 0 }
+  })
+  return log
+}
+
+export function recordTargetingShot(log, mode) {
+  if (log?.[mode]) log[mode].shots++
+}
+
+export function recordTargetingHit(log, mode, { damage = 0, kill = false } = {}) {
+  const entry = log?.[mode]
+  if (!entry) return
+  entry.hits++
+  entry.damage += damage
+  if (kill) entry.kills++
+}
+
+/**
+ * Modes that fired this night, most damage first
+ * @returns {Array<{ mode, label, icon, shots, hits, damage, kills }>}
+ */
+export function getTargetingSummary(log) {
+  return Object.entries(log || {})
+    .filter(([, entry]) => entry.shots > 0)
+    .map(([mode, entry]) => ({
+      mode,
+      label: TARGETING_MODES[mode].label,
+      icon: TARGETING_MODES[mode].icon,
+      ...entry,
+      damage: Math.round(entry.damage),
+    }))
+    .sort((a, b) => b.damage - a.damage)
+}
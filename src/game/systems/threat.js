@@ -3,6 +3,9 @@
  * Manages enemy target selection based on damage received and proximity
  */
 
+import { hasStatusFlag } from './statusEffects.js'
+import { isSnatched } from './enemyMechanics.js'
+
 export const THREAT_CONFIG = {
   baseDamageThreat: 1.5,    // Threat per damage point
   proximityThreat: 2,       // Threat per second in range
@@ -10,8 +13,15 @@ export const THREAT_CONFIG = {
   decayRate: 5,             // Threat decay per second
   maxThreat: 200,           // Maximum threat cap
   switchThreshold: 10,      // Minimum priority difference to switch targets
+  breachPriority: 40,       // Walls worth breaking once the burrow is walled in
+  breachWallBonus: 10,      // Extra priority for the planned breach segment
+  weakWallBonus: 40,        // Max bonus for a nearly broken wall (scaled by breachFocus)
+  breachSearchRange: 8,     // Other walls considered around a breaching enemy
+  lootPriority: 60,         // Collectors carrying carrots, for thieves (plus the load)
 }
 
+const isBreachable = (building) => building.userData?.type === 'wall' || building.userData?.type === 'gate'
+
 /**
  * Add threat to an enemy's threat table
  * @param {Object} enemy - The enemy receiving threat
@@ -101,7 +111,7 @@ export function calculatePriority(enemy, target) {
   }
 
   // Taunt override (Tank ability)
-  if (target.userData?.isTaunting) {
+  if (hasStatusFlag(target.userData, 'taunts')) {
     priority = THREAT_CONFIG.tauntThreat
   }
 
@@ -113,15 +123,22 @@ export function calculatePriority(enemy, target) {
  * @param {Object} enemy - The enemy selecting a target
  * @param {Array} defenders - Array of defender objects
  * @param {Array} buildings - Array of building objects
- * @returns {Object} { target, type } where type is 'defender' | 'building' | 'base'
+ * @param {Array} collectors - Collectors, only thieves look at them
+ * @returns {Object} { target, type } where type is 'defender' | 'building' | 'collector' | 'base'
  */
-export function selectTarget(enemy, defenders, buildings) {
+export function selectTarget(enemy, defenders, buildings, collectors = []) {
   const data = enemy.userData
   if (!data) return { target: null, type: 'base' }
 
+  // Underground there is only the way to the burrow
+  if (data.burrowed) return { target: null, type: 'base' }
+
+  // Heroes carried off by a hawk can't be reached
+  defenders = defenders.filter(d => !isSnatched(d))
+
   // 1. Check for taunting Tank first (always prioritize)
   const tauntingTank = defenders.find(d =>
-    d.userData?.isTaunting &&
+    hasStatusFlag(d.userData, 'taunts') &&
     d.userData?.health > 0 &&
     getDistance(enemy, d) < 8
   )
@@ -172,6 +189,43 @@ export function selectTarget(enemy, defenders, buildings) {
     })
   }
 
+  // Thieves go for collectors carrying carrots
+  if (data.stealsCarrots) {
+    collectors.forEach(c => {
+      if (c.userData?.inHut) return
+      const load = c.userData?.carryingCarrots || 0
+      const dist = getDistance(enemy, c)
+      if (load <= 0 || dist > data.aggroRange) return
+      candidates.push({
+        target: c,
+        type: 'collector',
+        priority: THREAT_CONFIG.lootPriority + load * 5 - dist,
+        distance: dist,
+      })
+    })
+  }
+
+  // Breaching (no open path to the burrow): go for the planned wall, or a
+  // weaker one nearby - foxes with high breachFocus hunt damaged segments
+  if (data.breachWall?.userData?.health > 0) {
+    buildings.forEach(b => {
+      if (!b.userData || b.userData.health <= 0 || !isBreachable(b)) return
+      const dist = getDistance(enemy, b)
+      const isBreachWall = b === data.breachWall
+      if (!isBreachWall && dist > THREAT_CONFIG.breachSearchRange) return
+      const weakness = 1 - b.userData.health / (b.userData.maxHealth || b.userData.health)
+      candidates.push({
+        target: b,
+        type: 'building',
+        priority: THREAT_CONFIG.breachPriority +
+          (isBreachWall ? THREAT_CONFIG.breachWallBonus : 0) +
+          weakness * THREAT_CONFIG.weakWallBonus * (data.breachFocus || 0) -
+          dist * 0.5,
+        distance: dist,
+      })
+    })
+  }
+
   // 3. Sort by priority (highest first)
   candidates.sort((a, b) => b.priority - a.priority)
 
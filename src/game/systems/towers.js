@@ -0,0 +1,81 @@
+/**
+ * Tower Upgrade System - Tiers and specialization branches
+ *
+ * A tower starts at tier 1 (BUILDING_TYPES.tower). At tier 2 the player picks
+ * a branch from TOWER_BRANCHES (mortar, frost, sniper), tier 3 improves it.
+ * Upgrade state lives in the building's userData ({ tier, branch }) and is
+ * saved with the run.
+ */
+
+import { BUILDING_TYPES, TOWER_BRANCHES, TOWER_MAX_TIER } from '../../constants/buildings.js'
+
+const BASE_TOWER = BUILDING_TYPES.tower
+
+export const getTowerTier = (tower) => tower?.userData?.tier || 1
+
+/**
+ * Effective combat stats of a tower
+ * @param {Object} tower - Tower building
+ * @param {Object} skillEffects - { towerDamage, towerRange } skill bonuses in percent
+ * @returns {{ damage, damageType, antiAir, range, cooldown, projectile, splashRadius, slowDuration, pierce }}
+ */
+export function getTowerStats(tower, skillEffects = {}) {
+  const data = tower?.userData || {}
+  const branch = TOWER_BRANCHES[data.branch]
+  const tier = branch ? branch.tiers[Math.min(getTowerTier(tower), TOWER_MAX_TIER) - 2] : null
+  const base = tier || { damage: BASE_TOWER.baseDamage, range: BASE_TOWER.baseRange, cooldown: BASE_TOWER.attackCooldown }
+
+  return {
+    damage: base.damage * (1 + (skillEffects.towerDamage || 0) / 100),
+    range: base.range * (1 + (skillEffects.towerRange || 0) / 100),
+    cooldown: base.cooldown,
+    damageType: branch?.damageType || BASE_TOWER.damageType,
+    antiAir: branch?.antiAir ?? BASE_TOWER.antiAir,
+    projectile: branch ? branch.projectile : 'tower',
+    splashRadius: base.splashRadius || 0,
+    slowDuration: base.slowDuration || 0,
+    pierce: base.pierce || 1,
+  }
+}
+
+/**
+ * Upgrades a tower can take next
+ * @param {Object} skillEffects - Passed to getTowerStats for the preview stats
+ * @returns {Array<{ branch, tier, cost, label, icon, description, stats }>} Empty at max tier
+ */
+export function getTowerUpgrades(tower, skillEffects = {}) {
+  if (tower?.userData?.type !== 'tower') return []
+  const tier = getTowerTier(tower)
+  if (tier >= TOWER_MAX_TIER) return []
+
+  // Tier 1 -> choose a branch, afterwards follow the chosen one
+  const branches = tier === 1 ? Object.keys(TOWER_BRANCHES) : [tower.userData.branch]
+  return branches.map(branch => {
+    const config = TOWER_BRANCHES[branch]
+    const next = config.tiers[tier - 1]
+    return {
+      branch,
+      tier: tier + 1,
+      cost: next.cost,
+      label: config.label,
+      icon: config.icon,
+      description: config.description,
+      stats: getTowerStats({ userData: { type: 'tower', tier: tier + 1, branch } }, skillEffects),
+    }
+  })
+}
+
+export const canAffordUpgrade = (cost, { carrots = 0, wood = 0 }) =>
+  carrots >= cost.carrots && wood >= cost.wood
+
+/**
+ * Apply an upgrade to a tower (the caller pays the cost)
+ * @returns {Object|null} The applied option, or null if the branch is not available
+ */
+export function upgradeTower(tower, branch) {
+  const option = getTowerUpgrades(tower).find(o => o.branch === branch)
+  if (!option) return null
+  tower.userData.tier = option.tier
+  tower.userData.branch = option.branch
+  return option
+}
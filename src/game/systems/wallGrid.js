@@ -31,6 +31,7 @@ export class WallGrid {
     this.cellSize = cellSize
     this.cells = new Map() // "gx,gz" -> WallCell
     this.blockedCells = new Set() // Non-wall blockers (buildings)
+    this.version = 0 // Bumped on every change, so derived data (flow fields) can rebuild lazily
   }
 
   // Convert world coordinates to grid coordinates
@@ -79,6 +80,7 @@ export class WallGrid {
     } else {
       this.blockedCells.delete(key)
     }
+    this.version++
   }
 
   isBlockedCell(gx, gz) {
@@ -94,6 +96,7 @@ export class WallGrid {
 
     const cell = new WallCell(gx, gz, building)
     this.cells.set(key, cell)
+    this.version++
 
     const {
       connect = true,
@@ -139,6 +142,7 @@ export class WallGrid {
 
     // Remove from grid
     this.cells.delete(key)
+    this.version++
 
     // Update neighbor segment types
     const directions = ['north', 'south', 'east', 'west']
@@ -265,6 +269,7 @@ export class WallGrid {
   clear() {
     this.cells.clear()
     this.blockedCells.clear()
+    this.version++
   }
 
   // Check if a world position is blocked by a wall
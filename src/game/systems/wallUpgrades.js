@@ -0,0 +1,54 @@
+/**
+ * Wall Upgrade System - Reinforcing walls and gates with wood
+ *
+ * Walls and gates start at tier 1, each entry of WALL_UPGRADES is the next
+ * tier. Like towers the tier lives in userData.tier and the caller pays the
+ * cost.
+ */
+
+import { BUILDING_TYPES, WALL_UPGRADES, WALL_MAX_TIER } from '../../constants/buildings.js'
+
+const isWallLike = (building) => ['wall', 'gate'].includes(building?.userData?.type)
+
+export const getWallTier = (building) => building?.userData?.tier || 1
+
+/**
+ * Health of a wall tier
+ * @param {number} wallHealth - wallHealth skill bonus
+ */
+export function getWallMaxHealth(tier, wallHealth = 0) {
+  const upgrade = WALL_UPGRADES[tier - 2]
+  return (upgrade ? upgrade.health : BUILDING_TYPES.wall.baseHealth) + wallHealth
+}
+
+// Colors of the wall segment model, null for the plain wall
+export const getWallColors = (building) => WALL_UPGRADES[getWallTier(building) - 2]?.colors || null
+
+/**
+ * Next upgrade of a wall or gate
+ * @returns {{ tier, cost, label, icon, description, health }|null} Null at max tier
+ */
+export function getWallUpgrade(building) {
+  if (!isWallLike(building)) return null
+  const tier = getWallTier(building)
+  if (tier >= WALL_MAX_TIER) return null
+  const { cost, label, icon, description, health } = WALL_UPGRADES[tier - 1]
+  return { tier: tier + 1, cost, label, icon, description, health }
+}
+
+/**
+ * Apply the next tier (the caller pays the cost). The wall keeps its damage,
+ * the added health is added to the current health as well.
+ * @param {number} wallHealth - wallHealth skill bonus
+ * @returns {Object|null} The applied option, or null at max tier
+ */
+export function upgradeWall(building, wallHealth = 0) {
+  const option = getWallUpgrade(building)
+  if (!option) return null
+  const data = building.userData
+  const maxHealth = getWallMaxHealth(option.tier, wallHealth)
+  data.health += Math.max(0, maxHealth - data.maxHealth)
+  data.maxHealth = maxHealth
+  data.tier = option.tier
+  return option
+}
@@ -0,0 +1,344 @@
+/**
+ * Wave Script System - Loads and plays data-driven night waves
+ *
+ * A wave script is plain JSON:
+ *
+ *   {
+ *     "version": 1,
+ *     "waves": [{
+ *       "name": "Der Fuchsbau",
+ *       "groups": [
+ *         { "at": 0, "enemy": "fox", "count": 6, "interval": 1.4, "lane": "west" },
+ *         { "at": 16, "enemy": "boss_fox", "lane": "north", "modifiers": { "health": 1.2 } }
+ *       ],
+ *       "reinforcements": [
+ *         { "when": { "baseHealthBelow": 0.5 }, "groups": [{ "enemy": "fox", "count": 3 }] }
+ *       ]
+ *     }]
+ *   }
+ *
+ * Group fields: `at` (seconds after wave start, default 0), `enemy`, `count`
+ * (default 1), `interval` (seconds between spawns, default 1), `lane`
+ * ('north' | 'east' | 'south' | 'west' | 'random' or an angle in degrees) and
+ * `modifiers` ({ health, damage, speed } multipliers on top of difficulty,
+ * `armor` is added to the enemy's armor for armored variants).
+ *
+ * Reinforcements fire once, when every condition in `when` holds:
+ *   baseHealthBelow - base health fraction (0-1)
+ *   enemiesBelow    - all scripted groups are out and fewer enemies are alive
+ *   afterTime       - seconds since wave start
+ *   bossDefeated    - a boss has spawned and no boss is alive anymore
+ * Their group times are relative to the moment they fire.
+ *
+ * The built-in waves live in constants/waveScripts.js and go through the
+ * same validator as any other script when this module loads.
+ */
+
+import { ENEMY_TYPES } from '../../constants/enemies.js'
+import { WAVE_SCRIPTS } from '../../constants/waveScripts.js'
+
+export const WAVE_SCRIPT_VERSION = 1
+
+// Spawn angles in degrees (x = cos, z = sin; north is away from the camera)
+export const WAVE_LANES = {
+  east: 0,
+  south: 90,
+  west: 180,
+  north: 270,
+}
+const LANE_SPREAD = 20 // Degrees of jitter around a lane
+const MODIFIER_KEYS = ['health', 'damage', 'speed']
+const FLAT_MODIFIER_KEYS = ['armor']
+const CONDITION_KEYS = ['baseHealthBelow', 'enemiesBelow', 'afterTime', 'bossDefeated']
+
+const isBossType = (type) => type.startsWith('boss')
+
+// ============== VALIDATION ==============
+function validateGroup(group, path, errors) {
+  if (!group || typeof group !== 'object') {
+    errors.push(`${path}: Gruppe fehlt`)
+    return
+  }
+  if (!ENEMY_TYPES[group.enemy]) errors.push(`${path}.enemy: unbekannter Gegner "${group.enemy}"`)
+  if (group.at !== undefined && !(Number.isFinite(group.at) && group.at >= 0)) {
+    errors.push(`${path}.at: muss eine Zahl >= 0 sein`)
+  }
+  if (group.count !== undefined && !(Number.isInteger(group.count) && group.count > 0)) {
+    errors.push(`${path}.count: muss eine ganze Zahl > 0 sein`)
+  }
+  if (group.interval !== undefined && !(Number.isFinite(group.interval) && group.interval >= 0)) {
+    errors.push(`${path}.interval: muss eine Zahl >= 0 sein`)
+  }
+  if (group.lane !== undefined && group.lane !== 'random' &&
+      WAVE_LANES[group.lane] === undefined && !Number.isFinite(group.lane)) {
+    errors.push(`${path}.lane: unbekannte Richtung "${group.lane}"`)
+  }
+  if (group.modifiers !== undefined) {
+    if (!group.modifiers || typeof group.modifiers !== 'object') {
+      errors.push(`${path}.modifiers: muss ein Objekt sein`)
+      return
+    }
+    Object.entries(group.modifiers).forEach(([key, value]) => {
+      if (FLAT_MODIFIER_KEYS.includes(key)) {
+        if (!(Number.isFinite(value) && value >= 0)) errors.push(`${path}.modifiers.${key}: muss >= 0 sein`)
+      } else if (!MODIFIER_KEYS.includes(key)) errors.push(`${path}.modifiers.${key}: unbekannter Modifikator`)
+      else if (!(Number.isFinite(value) && value > 0)) errors.push(`${path}.modifiers.${key}: muss > 0 sein`)
+    })
+  }
+}
+
+function validateGroups(groups, path, errors) {
+  if (!Array.isArray(groups) || groups.length === 0) {
+    errors.push(`${path}: mindestens eine Gruppe nötig`)
+    return
+  }
+  groups.forEach((group, i) => validateGroup(group, `${path}[${i}]`, errors))
+}
+
+function validateCondition(when, path, errors) {
+  if (!when || typeof when !== 'object' || Object.keys(when).length === 0) {
+    errors.push(`${path}: Bedingung fehlt`)
+    return
+  }
+  Object.entries(when).forEach(([key, value]) => {
+    if (!CONDITION_KEYS.includes(key)) {
+      errors.push(`${path}.${key}: unbekannte Bedingung`)
+    } else if (key === 'bossDefeated' ? value !== true : !Number.isFinite(value)) {
+      errors.push(`${path}.${key}: ungültiger Wert`)
+    }
+  })
+}
+
+/**
+ * Validate a wave script
+ * @param {Object} data - Parsed wave script
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateWaveScript(data) {
+  const errors = []
+  if (!data || typeof data !== 'object') return { valid: false, errors: ['Keine Wellen-Daten'] }
+  if (data.version !== WAVE_SCRIPT_VERSION) {
+    errors.push(`Wellen-Version ${data.version} wird nicht unterstützt`)
+  }
+  if (!Array.isArray(data.waves) || data.waves.length === 0) {
+    errors.push('waves: mindestens eine Welle nötig')
+    return { valid: false, errors }
+  }
+
+  data.waves.forEach((wave, w) => {
+    const path = `waves[${w}]`
+    if (!wave || typeof wave !== 'object') {
+      errors.push(`${path}: Welle fehlt`)
+      return
+    }
+    validateGroups(wave.groups, `${path}.groups`, errors)
+    if (wave.reinforcements !== undefined) {
+      if (!Array.isArray(wave.reinforcements)) {
+        errors.push(`${path}.reinforcements: muss eine Liste sein`)
+        return
+      }
+      wave.reinforcements.forEach((reinforcement, r) => {
+        const rPath = `${path}.reinforcements[${r}]`
+        validateCondition(reinforcement?.when, `${rPath}.when`, errors)
+        validateGroups(reinforcement?.groups, `${rPath}.groups`, errors)
+      })
+    }
+  })
+  return { valid: errors.length === 0, errors }
+}
+
+// ============== LOADING ==============
+function normalizeGroup(group) {
+  const modifiers = {}
+  MODIFIER_KEYS.forEach(key => { modifiers[key] = group.modifiers?.[key] ?? 1 })
+  FLAT_MODIFIER_KEYS.forEach(key => { modifiers[key] = group.modifiers?.[key] ?? 0 })
+  return {
+    at: group.at ?? 0,
+    enemy: group.enemy,
+    count: group.count ?? 1,
+    interval: group.interval ?? 1,
+    lane: group.lane ?? 'random',
+    modifiers,
+  }
+}
+
+function normalizeWave(wave, index) {
+  const groups = wave.groups.map(normalizeGroup)
+  const reinforcements = (wave.reinforcements || []).map(r => ({
+    when: { ...r.when },
+    groups: r.groups.map(normalizeGroup),
+  }))
+  return {
+    name: wave.name || `Welle ${index + 1}`,
+    groups,
+    reinforcements,
+    boss: groups.some(g => isBossType(g.enemy)),
+  }
+}
+
+/**
+ * Load a wave script from JSON text or an already parsed object
+ * @param {string|Object} source - Wave script
+ * @returns {Object} Normalized script with all defaults filled in
+ * @throws {Error} With all validation errors if the script is invalid
+ */
+export function loadWaveScripts(source) {
+  const data = typeof source === 'string' ? JSON.parse(source) : source
+  const { valid, errors } = validateWaveScript(data)
+  if (!valid) throw new Error(`Wellen-Skript ungültig: ${errors.join('; ')}`)
+  return {
+    version: data.version,
+    waves: data.waves.map(normalizeWave),
+  }
+}
+
+// Built-in waves of the classic run, normalized
+export const DEFAULT_WAVES = loadWaveScripts(WAVE_SCRIPTS).waves
+export const TOTAL_WAVES = DEFAULT_WAVES.length
+
+// Enemy counts of the scripted groups (without reinforcements), for previews.
+// `flyers` also looks at reinforcements, the HUD warns before any air attack.
+export function getWaveSummary(wave) {
+  const enemies = {}
+  wave.groups.forEach(g => { enemies[g.enemy] = (enemies[g.enemy] || 0) + g.count })
+  const allGroups = [...wave.groups, ...wave.reinforcements.flatMap(r => r.groups)]
+  return {
+    name: wave.name,
+    enemies,
+    boss: wave.boss,
+    reinforcements: wave.reinforcements.length,
+    flyers: allGroups.some(g => ENEMY_TYPES[g.enemy]?.flying),
+  }
+}
+
+// Multiply enemy stats with group modifiers (after difficulty is applied)
+export function applyEnemyModifiers(data, modifiers) {
+  if (!modifiers) return data
+  if (modifiers.health !== 1) {
+    data.health = Math.floor(data.health * modifiers.health)
+    data.maxHealth = Math.floor(data.maxHealth * modifiers.health)
+  }
+  if (modifiers.damage !== 1) data.damage = Math.floor(data.damage * modifiers.damage)
+  if (modifiers.speed !== 1) data.speed = data.speed * modifiers.speed
+  if (modifiers.armor) data.armor = (data.armor || 0) + modifiers.armor
+  return data
+}
+
+// ============== PLAYBACK ==============
+/**
+ * Plays one scripted wave. `update` returns the spawns that are due, each with
+ * a position on the spawn ring: { enemy, x, z, modifiers }.
+ */
+export class WaveRun {
+  constructor(wave, { random = Math.random, spawnRadius = 38 } = {}) {
+    this.wave = wave
+    this.random = random
+    this.spawnRadius = spawnRadius
+    this.elapsed = 0
+    this.pending = []          // { t, enemy, lane, modifiers }, sorted by t
+    this.fired = []            // Indices of reinforcements that already fired
+    this.bossesSpawned = 0
+    this.schedule(wave.groups, 0)
+  }
+
+  get hasBoss() {
+    return this.wave.boss
+  }
+
+  get remaining() {
+    return this.pending.length
+  }
+
+  schedule(groups, offset) {
+    groups.forEach(group => {
+      for (let i = 0; i < group.count; i++) {
+        this.pending.push({
+          t: offset + group.at + i * group.interval,
+          enemy: group.enemy,
+          lane: group.lane,
+          modifiers: group.modifiers,
+        })
+      }
+    })
+    // Stable sort keeps script order for spawns at the same time
+    this.pending.sort((a, b) => a.t - b.t)
+  }
+
+  checkCondition(when, context) {
+    if (when.baseHealthBelow !== undefined && !(context.baseHealthRatio < when.baseHealthBelow)) return false
+    if (when.afterTime !== undefined && this.elapsed < when.afterTime) return false
+    if (when.enemiesBelow !== undefined &&
+        !(this.pending.length === 0 && context.enemiesAlive < when.enemiesBelow)) return false
+    if (when.bossDefeated && !(this.bossesSpawned > 0 && context.bossesAlive === 0)) return false
+    return true
+  }
+
+  // Reinforcements whose conditions hold right now but haven't fired yet
+  getReadyReinforcements(context) {
+    const ready = []
+    this.wave.reinforcements.forEach((reinforcement, i) => {
+      if (!this.fired.includes(i) && this.checkCondition(reinforcement.when, context)) ready.push(i)
+    })
+    return ready
+  }
+
+  /**
+   * Advance the wave clock
+   * @param {number} dt - Seconds (already scaled by the difficulty spawn rate)
+   * @param {Object} context - { baseHealthRatio, enemiesAlive, bossesAlive }
+   * @returns {Array} Spawns that are due this frame
+   */
+  update(dt, context) {
+    this.elapsed += dt
+
+    this.getReadyReinforcements(context).forEach(i => {
+      this.fired.push(i)
+      this.schedule(this.wave.reinforcements[i].groups, this.elapsed)
+    })
+
+    const spawns = []
+    while (this.pending.length > 0 && this.pending[0].t <= this.elapsed) {
+      const entry = this.pending.shift()
+      if (isBossType(entry.enemy)) this.bossesSpawned++
+      spawns.push({ ...entry, ...this.getSpawnPosition(entry.lane) })
+    }
+    return spawns
+  }
+
+  getSpawnPosition(lane) {
+    let angle
+    if (lane === 'random') {
+      angle = this.random() * Math.PI * 2
+    } else {
+      const degrees = WAVE_LANES[lane] ?? lane
+      angle = (degrees + (this.random() - 0.5) * 2 * LANE_SPREAD) * Math.PI / 180
+    }
+    return {
+      x: Math.cos(angle) * this.spawnRadius,
+      z: Math.sin(angle) * this.spawnRadius,
+    }
+  }
+
+  // The wave is over once nothing is scheduled and no reinforcement is about to fire
+  isComplete(context) {
+    return this.pending.length === 0 && this.getReadyReinforcements(context).length === 0
+  }
+
+  serialize() {
+    return {
+      elapsed: Math.round(this.elapsed * 1000) / 1000,
+      pending: this.pending.map(entry => ({ ...entry })),
+      fired: [...this.fired],
+      bossesSpawned: this.bossesSpawned,
+    }
+  }
+
+  static restore(wave, saved, options) {
+    const run = new WaveRun(wave, options)
+    run.elapsed = saved.elapsed || 0
+    run.pending = (saved.pending || []).map(entry => ({ ...entry }))
+    run.fired = [...(saved.fired || [])]
+    run.bossesSpawned = saved.bossesSpawned || 0
+    return run
+  }
+}
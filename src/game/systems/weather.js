@@ -80,11 +80,11 @@ export function updateFog(fogPlanes, time) {
 }
 
 // Get random weather (optionally biased by skill)
-export function getRandomWeather(weatherMasterLevel = 0) {
-  if (weatherMasterLevel >= 2 && Math.random() < 0.6) {
+export function getRandomWeather(weatherMasterLevel = 0, random = Math.random) {
+  if (weatherMasterLevel >= 2 && random() < 0.6) {
     return 'sunny'
   }
-  return WEATHER_TYPES[Math.floor(Math.random() * WEATHER_TYPES.length)]
+  return WEATHER_TYPES[Math.floor(random() * WEATHER_TYPES.length)]
 }
 
 // Apply weather effects to scene
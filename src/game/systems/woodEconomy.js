@@ -0,0 +1,146 @@
+/**
+ * Wood Economy - Resource tree stock and the lumber yard
+ *
+ * Resource trees (LandscapeSystem) carry their stock in userData
+ * ({ woodAmount, maxWood, stumpDays, planted }). Beavers chop it one wood at a
+ * time and it only grows back at dawn, so huts next to an untouched forest pay
+ * off and a chopped-down forest forces the beavers to walk further. A tree
+ * chopped to the ground stays a stump for a few days, faster if a beaver
+ * replanted it. Lumber yards sell the wood above their reserve for carrots.
+ *
+ *   const chopped = harvestTree(tree)
+ *   if (isStump(tree)) replantTree(tree)
+ *   const trade = updateLumberYard(building, dt, gameState.wood)
+ */
+
+import { BUILDING_TYPES } from '../../constants/buildings.js'
+import { RESOURCE_TREE_CONFIG } from '../../constants/landscape.js'
+
+/**
+ * Take wood from a tree
+ * @returns {number} Wood actually taken
+ */
+export function harvestTree(tree, amount = 1) {
+  const data = tree.userData
+  const taken = Math.min(amount, Math.max(0, data.woodAmount || 0))
+  data.woodAmount -= taken
+  if (taken > 0 && data.woodAmount <= 0) {
+    data.stumpDays = 0
+    data.planted = false
+  }
+  return taken
+}
+
+export const isStump = (tree) => !(tree.userData.woodAmount > 0)
+
+/**
+ * Visual stage of a tree
+ * @returns {'full'|'thinned'|'stump'}
+ */
+export function getTreeStage(tree) {
+  const { woodAmount, maxWood } = tree.userData
+  if (!(woodAmount > 0)) return 'stump'
+  return woodAmount <= maxWood * RESOURCE_TREE_CONFIG.thinnedBelow ? 'thinned' : 'full'
+}
+
+/**
+ * A beaver plants a sapling into a stump, it sprouts after plantedRegrowDays
+ * @returns {boolean} False if the tree is no stump or already replanted
+ */
+export function replantTree(tree) {
+  if (!isStump(tree) || tree.userData.planted) return false
+  tree.userData.planted = true
+  return true
+}
+
+// One morning for one tree: stumps wait, standing trees grow
+function regrowTree(data) {
+  if (!(data.woodAmount > 0)) {
+    data.stumpDays = (data.stumpDays || 0) + 1
+    const waitDays = data.planted ? RESOURCE_TREE_CONFIG.plantedRegrowDays : RESOURCE_TREE_CONFIG.stumpRegrowDays
+    if (data.stumpDays < waitDays) return
+    data.stumpDays = 0
+    data.planted = false
+    data.woodAmount = 0
+  }
+  data.woodAmount = Math.min(data.maxWood, data.woodAmount + RESOURCE_TREE_CONFIG.regrowPerDay)
+}
+
+/**
+ * Morning regrowth of all resource trees
+ * @returns {Array} Trees that changed their visual stage
+ */
+export function regrowTrees(trees, days = 1) {
+  return trees.filter(tree => {
+    const data = tree.userData
+    if (data.woodAmount >= data.maxWood) return false
+    const stage = getTreeStage(tree)
+    for (let day = 0; day < days; day++) regrowTree(data)
+    return getTreeStage(tree) !== stage
+  })
+}
+
+/**
+ * Nearest tree matching a filter
+ * @param {{ x, z }} from
+ * @returns {{ tree: Object|null, distance: number }}
+ */
+export function findNearestTree(trees, from, filter = () => true) {
+  let nearest = { tree: null, distance: Infinity }
+  trees.forEach(tree => {
+    if (!filter(tree)) return
+    const distance = Math.hypot(tree.position.x - from.x, tree.position.z - from.z)
+    if (distance < nearest.distance) nearest = { tree, distance }
+  })
+  return nearest
+}
+
+// Stock and growth state of a tree for run saves
+export const serializeTree = (tree) => ({
+  x: Math.round(tree.position.x * 1000) / 1000,
+  z: Math.round(tree.position.z * 1000) / 1000,
+  wood: tree.userData.woodAmount,
+  stumpDays: tree.userData.stumpDays || 0,
+  planted: !!tree.userData.planted,
+})
+
+export function restoreTree(tree, saved) {
+  const data = tree.userData
+  data.woodAmount = Math.max(0, Math.min(data.maxWood, saved.wood ?? data.maxWood))
+  data.stumpDays = saved.stumpDays || 0
+  data.planted = !!saved.planted
+  return tree
+}
+
+/**
+ * Wood left in the trees around a position (beaver hut panel)
+ * @param {{ x, z }} from
+ * @returns {{ wood: number, maxWood: number, trees: number, stumps: number }}
+ */
+export function getForestStock(trees, from, radius) {
+  const stock = { wood: 0, maxWood: 0, trees: 0, stumps: 0 }
+  trees.forEach(tree => {
+    if (Math.hypot(tree.position.x - from.x, tree.position.z - from.z) > radius) return
+    stock.wood += Math.max(0, tree.userData.woodAmount || 0)
+    stock.maxWood += tree.userData.maxWood || 0
+    stock.trees++
+    if (isStump(tree)) stock.stumps++
+  })
+  return stock
+}
+
+/**
+ * Advance a lumber yard; every convertInterval it trades one batch of wood
+ * for carrots if the stock stays above the reserve (the caller books it)
+ * @param {number} wood - Current wood stock
+ * @returns {{ wood: number, carrots: number }|null} The trade, or null
+ */
+export function updateLumberYard(building, dt, wood) {
+  const config = BUILDING_TYPES.lumberYard
+  const data = building.userData
+  data.tradeTimer = (data.tradeTimer || 0) + dt
+  if (data.tradeTimer < config.convertInterval) return null
+  data.tradeTimer = 0
+  if (wood - config.woodPerBatch < config.woodReserve) return null
+  return { wood: config.woodPerBatch, carrots: config.carrotsPerBatch }
+}
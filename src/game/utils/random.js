@@ -0,0 +1,96 @@
+/**
+ * Seeded Random - Reproducible random numbers for a whole run
+ *
+ * Every gameplay decision (spawn queues, spawn positions, weather, carrots,
+ * landscape, crits) draws from a generator created from the run seed, so a
+ * run with the same seed and the same inputs plays out identically.
+ * Purely visual randomness (particles, grass) may keep using Math.random.
+ */
+
+const SEED_ALPHABET = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ' // no I/O to avoid confusion
+const SEED_LENGTH = 6
+
+// Hash a string (or number) into a 32-bit unsigned seed (FNV-1a)
+export function hashSeed(value) {
+  const str = String(value)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// Mulberry32 - small, fast PRNG with a 32-bit state
+function mulberry32(initialState) {
+  let state = initialState >>> 0
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  return {
+    next,
+    getState: () => state,
+    setState: (value) => { state = value >>> 0 },
+  }
+}
+
+/**
+ * Create a seeded random generator
+ * @param {string} seed - Run seed (e.g. 'K3F9QZ')
+ * @returns {Object} Generator; `next` is a drop-in replacement for Math.random
+ */
+export function createRandom(seed) {
+  const normalizedSeed = normalizeSeed(seed)
+  const generator = mulberry32(hashSeed(normalizedSeed))
+  const next = generator.next
+
+  return {
+    seed: normalizedSeed,
+    next,
+    // Current position in the sequence, for saving and resuming a run
+    getState: generator.getState,
+    setState: generator.setState,
+    // Float in [min, max)
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [0, max)
+    int: (max) => Math.floor(next() * max),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    chance: (probability) => next() < probability,
+    // Independent stream for a subsystem, so it doesn't shift the main sequence
+    fork: (label) => createRandom(`${normalizedSeed}:${label}`),
+  }
+}
+
+export function normalizeSeed(seed) {
+  return String(seed ?? '').trim().toUpperCase()
+}
+
+// Random, human-shareable seed
+export function generateSeed() {
+  let seed = ''
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)]
+  }
+  return seed
+}
+
+// Same seed for everybody on a given (UTC) day
+export function getDailySeed(date = new Date()) {
+  const day = date.toISOString().slice(0, 10)
+  let value = hashSeed(`daily:${day}`)
+  let seed = ''
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[value % SEED_ALPHABET.length]
+    value = Math.floor(value / SEED_ALPHABET.length)
+  }
+  return seed
+}
+
+export function isValidSeed(seed) {
+  const normalized = normalizeSeed(seed)
+  return normalized.length > 0 && normalized.length <= 16 && /^[0-9A-Z]+$/.test(normalized)
+}
@@ -112,5 +112,7 @@ export async function migrateFromLocalStorage(localStorageKey, indexedDBKey) {
 
 export const STORAGE_KEYS = {
   SKILLS: 'skills',
-  META: 'meta'
+  META: 'meta',
+  REPLAYS: 'replays',
+  RUN: 'run'
 }